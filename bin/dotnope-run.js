@@ -8,6 +8,7 @@
  * Usage:
  *   npx dotnope-run your-app.js [args...]
  *   dotnope-run -- node your-app.js [args...]
+ *   dotnope-run --learn your-app.js [args...]
  */
 
 'use strict';
@@ -30,11 +31,15 @@ Usage:
   npx dotnope-run -- <command> [args...]   Run any command with protection
   npx dotnope-run --check                  Check if preload library is available
   npx dotnope-run --status                 Show current protection status
+  npx dotnope-run --validate               Validate environmentWhitelist config (for CI)
 
 Options:
   --help, -h      Show this help message
   --check         Check if the preload library is available
   --status        Show current protection status
+  --validate      Validate the whitelist config and exit non-zero on errors
+  --learn         Allow every access, record it, and write a proposed
+                  whitelist to dotnope.learned.json when the app exits
   --verbose, -v   Show verbose output
   --log <file>    Log preload library activity to file
 
@@ -42,8 +47,9 @@ Examples:
   npx dotnope-run server.js
   npx dotnope-run --verbose app.js --port 3000
   npx dotnope-run -- node --inspect app.js
+  npx dotnope-run --learn server.js
 
-Note: This tool only works on Linux with LD_PRELOAD support.
+Note: This tool only works on Linux with LD_PRELOAD support (--learn works everywhere).
 `);
     process.exit(0);
 }
@@ -72,8 +78,38 @@ if (args.includes('--status')) {
     process.exit(0);
 }
 
+// Validate command
+if (args.includes('--validate')) {
+    const { validateConfig } = require('../lib/config-loader');
+    let result;
+    try {
+        result = validateConfig();
+    } catch (err) {
+        console.error('[dotnope-run] Error:', err.message);
+        process.exit(1);
+    }
+
+    if (result.valid) {
+        console.log('[dotnope-run] environmentWhitelist is valid.');
+        process.exit(0);
+    }
+
+    console.error(`[dotnope-run] environmentWhitelist has ${result.errors.length} problem(s):`);
+    for (const { path: jsonPath, message, suggestion, source } of result.errors) {
+        console.error(`  ${jsonPath}: ${message}${suggestion ? ` (${suggestion})` : ''}`);
+        if (source) {
+            console.error(`    in ${source}`);
+        }
+    }
+    process.exit(1);
+}
+
+// Learning mode records JavaScript accesses through dotnope/register and
+// needs no preload library, so it works on every platform
+const learn = args.includes('--learn');
+
 // Check platform
-if (process.platform !== 'linux') {
+if (process.platform !== 'linux' && !learn) {
     console.error('[dotnope-run] Error: LD_PRELOAD is only supported on Linux.');
     console.error('[dotnope-run] On other platforms, use dotnope without native addon protection.');
     process.exit(1);
@@ -87,6 +123,8 @@ const filteredArgs = [];
 for (let i = 0; i < args.length; i++) {
     if (args[i] === '--verbose' || args[i] === '-v') {
         verbose = true;
+    } else if (args[i] === '--learn') {
+        // Handled above
     } else if (args[i] === '--log' && args[i + 1]) {
         logFile = args[++i];
     } else if (args[i] === '--') {
@@ -126,11 +164,21 @@ if (!pkgPath) {
 
 // Generate preload environment
 let preloadEnv;
-try {
-    preloadEnv = generatePreloadEnv(pkgPath);
-} catch (err) {
-    console.error('[dotnope-run] Error:', err.message);
-    process.exit(1);
+if (learn) {
+    // The preload policy would block what is being learned; load dotnope
+    // in learning mode into the app instead
+    const registerPath = path.join(__dirname, '..', 'register.js');
+    preloadEnv = {
+        DOTNOPE_LEARN: '1',
+        NODE_OPTIONS: [process.env.NODE_OPTIONS, `--require ${JSON.stringify(registerPath)}`].filter(Boolean).join(' ')
+    };
+} else {
+    try {
+        preloadEnv = generatePreloadEnv(pkgPath);
+    } catch (err) {
+        console.error('[dotnope-run] Error:', err.message);
+        process.exit(1);
+    }
 }
 
 // Add logging if requested
@@ -140,8 +188,12 @@ if (logFile) {
 
 if (verbose) {
     console.log('[dotnope-run] Package.json:', pkgPath);
-    console.log('[dotnope-run] LD_PRELOAD:', preloadEnv.LD_PRELOAD);
-    console.log('[dotnope-run] DOTNOPE_POLICY:', preloadEnv.DOTNOPE_POLICY || '(allow all)');
+    if (learn) {
+        console.log('[dotnope-run] Learning mode: NODE_OPTIONS:', preloadEnv.NODE_OPTIONS);
+    } else {
+        console.log('[dotnope-run] LD_PRELOAD:', preloadEnv.LD_PRELOAD);
+        console.log('[dotnope-run] DOTNOPE_POLICY:', preloadEnv.DOTNOPE_POLICY || '(allow all)');
+    }
     if (logFile) {
         console.log('[dotnope-run] Logging to:', logFile);
     }
@@ -0,0 +1,572 @@
+#!/usr/bin/env node
+/**
+ * dotnope - Inspect and plan environmentWhitelist policies
+ *
+ * Usage:
+ *   npx dotnope scan [dir] [--json] [--output <file>] [--include-tests]
+ *   npx dotnope diff <old> [new] [--json] [--var <names>] [--profile <name>]
+ *   npx dotnope lock [--check]
+ */
+
+'use strict';
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = `
+dotnope - Inspect and plan environmentWhitelist policies
+
+Usage:
+  npx dotnope scan [dir]          Scan node_modules for env access and suggest a whitelist
+  npx dotnope diff <old> [new]    Show which packages gained or lost access between two policies
+  npx dotnope lock                Pin whitelisted packages in dotnope-lock.json
+
+Scan options:
+  --json             Print the full report as JSON
+  --output <file>    Write the suggested whitelist to a file
+  --include-tests    Also scan test/, tests/, __tests__/, fixtures/ and
+                     *.test.js / *.spec.js files, skipped by default
+
+Diff options:
+  <old>, [new]       A package.json, a config file, a project directory, a git
+                     revision (the project's policy at that revision) or
+                     <revision>:<path>; [new] defaults to the current project
+  --var <names>      Also check these comma-separated env vars for new readers
+  --profile <name>   Profile to apply to both sides
+  --json             Print the full diff as JSON
+
+  JavaScript configs and presets are not read from git revisions. Package
+  presets and peer dependencies of both sides are resolved against the
+  node_modules installed now.
+
+Lock options:
+  --check            Verify dotnope-lock.json instead of writing it (for CI)
+  --profile <name>   Profile to apply
+
+  --help, -h         Show this help message
+
+Examples:
+  npx dotnope scan
+  npx dotnope scan --output dotnope.suggested.json
+  npx dotnope diff HEAD
+  npx dotnope diff main feature-branch --var DATABASE_URL
+  npx dotnope diff old/.dotnoperc.json .dotnoperc.json
+  npx dotnope lock --check
+`;
+
+// Labels for the report, most urgent first
+const RISK_LABELS = {
+    high: 'HIGH',
+    medium: 'MEDIUM',
+    low: 'low'
+};
+
+// Findings shown per package before the rest are summarized
+const MAX_FINDINGS_SHOWN = 5;
+
+// Package names shown per env var before the rest are summarized
+const MAX_READERS_SHOWN = 10;
+
+// Options of the git commands reading old revisions
+const GIT_OPTIONS = { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] };
+
+/**
+ * Split arguments into positionals and flags
+ * @param {string[]} args
+ * @param {string[]} valueFlags - Flags that take a value
+ * @returns {{positionals: string[], flags: Object}}
+ */
+function parseArgs(args, valueFlags) {
+    const positionals = [];
+    const flags = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (valueFlags.includes(arg)) {
+            flags[arg.slice(2)] = args[++i];
+        } else if (arg.startsWith('--')) {
+            flags[arg.slice(2)] = true;
+        } else {
+            positionals.push(arg);
+        }
+    }
+
+    return { positionals, flags };
+}
+
+/**
+ * Print a scan report for people
+ * @param {Object} report - scanProject() result
+ * @param {Object} whitelist - Suggested whitelist
+ * @param {string} projectDir
+ */
+function printScanReport(report, whitelist, projectDir) {
+    const packages = Object.values(report.packages);
+    const byRisk = (risk) => packages.filter(entry => entry.risk === risk);
+
+    console.log(`[dotnope] Scanned ${packages.length} packages (${report.fileCount} files) in ${path.join(projectDir, 'node_modules')}`);
+    console.log('');
+
+    for (const risk of ['high', 'medium']) {
+        for (const entry of byRisk(risk)) {
+            console.log(`  ${RISK_LABELS[risk].padEnd(6)}  ${entry.name}@${entry.versions.join(', ')}`);
+            if (entry.reads.length > 0) {
+                console.log(`          reads: ${entry.reads.join(', ')}`);
+            }
+            for (const finding of entry.findings.slice(0, MAX_FINDINGS_SHOWN)) {
+                console.log(`          ${finding.kind} (${finding.detail}) at ${finding.file}:${finding.line}`);
+                console.log(`            ${finding.snippet}`);
+            }
+            if (entry.findings.length > MAX_FINDINGS_SHOWN) {
+                console.log(`          ...and ${entry.findings.length - MAX_FINDINGS_SHOWN} more (see --json)`);
+            }
+        }
+    }
+
+    for (const entry of byRisk('low').filter(item => item.name in whitelist)) {
+        const lists = [
+            entry.reads.length > 0 ? `reads: ${entry.reads.join(', ')}` : null,
+            entry.writes.length > 0 ? `writes: ${entry.writes.join(', ')}` : null,
+            entry.deletes.length > 0 ? `deletes: ${entry.deletes.join(', ')}` : null
+        ].filter(Boolean);
+        console.log(`  ${RISK_LABELS.low.padEnd(6)}  ${entry.name}  ${lists.join('; ')}`);
+    }
+
+    if (report.skipped.length > 0) {
+        console.log('');
+        console.log(`  Skipped ${report.skipped.length} file(s) over 5 MB: ${report.skipped.join(', ')}`);
+    }
+
+    console.log('');
+    console.log('Suggested environmentWhitelist (literal accesses only; review HIGH packages by hand):');
+    console.log(JSON.stringify(whitelist, null, 2));
+}
+
+/**
+ * dotnope scan [dir]
+ * @param {string[]} args
+ * @returns {number} Exit code
+ */
+function scanCommand(args) {
+    const { scanProject, suggestWhitelist } = require('../lib/scanner');
+    const { positionals, flags } = parseArgs(args, ['--output']);
+    const projectDir = path.resolve(positionals[0] || process.cwd());
+
+    if (!fs.existsSync(path.join(projectDir, 'node_modules'))) {
+        console.error(`[dotnope] Error: No node_modules in ${projectDir}`);
+        console.error('[dotnope] Install dependencies first, or pass the project directory.');
+        return 1;
+    }
+
+    const report = scanProject(projectDir, { includeTests: Boolean(flags['include-tests']) });
+    const whitelist = suggestWhitelist(report.packages);
+
+    if (flags.output) {
+        const outputPath = path.resolve(flags.output);
+        fs.writeFileSync(outputPath, JSON.stringify({ environmentWhitelist: whitelist }, null, 2) + '\n');
+        console.error(`[dotnope] Suggested whitelist written to ${outputPath}`);
+    }
+
+    if (flags.json) {
+        console.log(JSON.stringify({ ...report, whitelist }, null, 2));
+    } else {
+        printScanReport(report, whitelist, projectDir);
+    }
+
+    return 0;
+}
+
+/**
+ * Read a file at a git revision
+ * @param {string} object - "<revision>:<path>"
+ * @param {string} cwd
+ * @returns {string|null} File contents, or null if it does not exist there
+ */
+function gitShow(object, cwd) {
+    try {
+        return execFileSync('git', ['show', object], { ...GIT_OPTIONS, cwd });
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Refuse a JavaScript config from a git revision. Reading it would run
+ * code from a branch nobody has checked out, with this shell's environment.
+ * @param {string} fileName
+ * @param {string} spec
+ * @throws {Error} If the file is JavaScript
+ */
+function refuseScriptConfig(fileName, spec) {
+    if (['.js', '.cjs', '.mjs'].includes(path.extname(fileName))) {
+        throw new Error(`dotnope: "${spec}" has ${fileName}, and JavaScript configs are not run from git revisions. ` +
+            'Check the revision out and pass the file\'s path instead.');
+    }
+}
+
+/**
+ * Get the relative presets a whitelist extends
+ * @param {*} whitelist - Raw whitelist, possibly with "extends"
+ * @returns {string[]}
+ */
+function getRelativePresets(whitelist) {
+    const presets = whitelist && typeof whitelist === 'object' ? whitelist.extends : undefined;
+    const specs = typeof presets === 'string' ? [presets] : (Array.isArray(presets) ? presets : []);
+    return specs.filter(spec => typeof spec === 'string' && spec.startsWith('.'));
+}
+
+/**
+ * Copy a file of a git revision into the mirror directory, at its path in
+ * the repository, followed by the relative presets it extends
+ * @param {string} repoPath - Path from the repository root
+ * @param {Object} context - { spec, revision, projectDir, targetDir, written }
+ * @returns {string|null} Path of the copy, or null if the revision has no such file
+ * @throws {Error} If the file or one of its presets is JavaScript
+ */
+function extractFile(repoPath, context) {
+    const filePath = path.join(context.targetDir, repoPath);
+    if (context.written.has(repoPath)) {
+        return filePath;
+    }
+    refuseScriptConfig(path.basename(repoPath), context.spec);
+
+    const content = gitShow(`${context.revision}:${repoPath}`, context.projectDir);
+    if (content === null) {
+        return null;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    context.written.add(repoPath);
+
+    const { readConfigFile } = require('../lib/config-loader');
+    let whitelist;
+    try {
+        whitelist = path.basename(repoPath) === 'package.json'
+            ? JSON.parse(content).environmentWhitelist
+            : readConfigFile(filePath);
+    } catch (err) {
+        // readPolicy() reports the broken file
+        return filePath;
+    }
+
+    for (const preset of getRelativePresets(whitelist)) {
+        const presetPath = path.posix.join(path.posix.dirname(repoPath), preset);
+        // A missing preset is left for readPolicy() to report
+        if (!presetPath.startsWith('../')) {
+            extractFile(presetPath, context);
+        }
+    }
+    return filePath;
+}
+
+/**
+ * Mirror the policy files of a git revision into a directory: every
+ * package.json (for workspaces), the config file and the relative presets
+ * they extend. A bare revision takes the project's policy at that
+ * revision; "<revision>:<path>" takes that one file and its presets.
+ * @param {string} spec
+ * @param {string} projectDir
+ * @param {string} targetDir
+ * @returns {string} Path to pass to readPolicy()
+ * @throws {Error} If the revision or file does not exist, or a config or preset is JavaScript
+ */
+function extractRevision(spec, projectDir, targetDir) {
+    const { CONFIG_FILE_NAMES } = require('../lib/config-loader');
+    const separator = spec.indexOf(':');
+    const revision = separator === -1 ? spec : spec.slice(0, separator);
+
+    let prefix;
+    try {
+        prefix = execFileSync('git', ['rev-parse', '--show-prefix'], { ...GIT_OPTIONS, cwd: projectDir }).trim();
+    } catch (err) {
+        throw new Error(`dotnope: "${spec}" is not a file, and ${projectDir} is not in a git repository`);
+    }
+    const context = { spec, revision, projectDir, targetDir, written: new Set() };
+
+    if (separator !== -1) {
+        // Like git show: "./" and "../" are relative to the current directory
+        const filePart = spec.slice(separator + 1);
+        const repoPath = /^\.\.?\//.test(filePart) ? path.posix.join(prefix, filePart) : filePart;
+        const filePath = extractFile(repoPath, context);
+        if (filePath === null) {
+            throw new Error(`dotnope: "${spec}" is not a file or a file at a git revision`);
+        }
+        return filePath;
+    }
+
+    const pkgPath = extractFile(`${prefix}package.json`, context);
+    if (pkgPath === null) {
+        throw new Error(`dotnope: "${spec}" is not a file or a git revision with ${prefix}package.json`);
+    }
+
+    // Workspace globs are expanded against the mirror, so it needs the
+    // revision's package.json files, not the ones checked out now
+    const listing = execFileSync('git', ['ls-tree', '-r', '-z', '--full-tree', '--name-only', revision], {
+        ...GIT_OPTIONS,
+        cwd: projectDir,
+        maxBuffer: 64 * 1024 * 1024
+    });
+    for (const repoPath of listing.split('\0')) {
+        if (path.posix.basename(repoPath) === 'package.json' && !repoPath.split('/').includes('node_modules')) {
+            extractFile(repoPath, context);
+        }
+    }
+
+    for (const fileName of CONFIG_FILE_NAMES) {
+        if (gitShow(`${revision}:${prefix}${fileName}`, projectDir) !== null) {
+            return extractFile(`${prefix}${fileName}`, context);
+        }
+    }
+    return pkgPath;
+}
+
+/**
+ * Read one side of a diff
+ * @param {string} spec - Path, directory, git revision or "<revision>:<path>"
+ * @param {string} projectDir
+ * @param {string|null} profile
+ * @returns {Object} { config, options, configPath }
+ */
+function readDiffSide(spec, projectDir, profile) {
+    const { readPolicy } = require('../lib/config-loader');
+
+    if (fs.existsSync(spec)) {
+        const target = fs.statSync(spec).isDirectory() ? path.join(spec, 'package.json') : spec;
+        return readPolicy(path.resolve(target), profile);
+    }
+
+    // Inside the project, so package presets resolve from its node_modules
+    const tempDir = fs.mkdtempSync(path.join(projectDir, '.dotnope-diff-'));
+    try {
+        const policy = readPolicy(extractRevision(spec, projectDir, tempDir), profile);
+        return { ...policy, configPath: spec };
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Format added and removed items as "+A +B -C"
+ * @param {{added: string[], removed: string[]}} change
+ * @returns {string}
+ */
+function formatListChange(change) {
+    return [
+        ...change.added.map(item => `+${item}`),
+        ...change.removed.map(item => `-${item}`)
+    ].join(' ');
+}
+
+/**
+ * Format package names, shortening long lists
+ * @param {string[]} names
+ * @returns {string}
+ */
+function formatNames(names) {
+    const shown = names.slice(0, MAX_READERS_SHOWN).join(', ');
+    return names.length > MAX_READERS_SHOWN ? `${shown}, ...and ${names.length - MAX_READERS_SHOWN} more` : shown;
+}
+
+/**
+ * Print a policy diff for people
+ * @param {Object} result - { old, new, rights, readers, changes }
+ * @param {Object} before - Old policy
+ * @param {Object} after - New policy
+ */
+function printDiffReport(result, before, after) {
+    const { formatConfigDiff } = require('../lib/config-diff');
+    const rights = Object.entries(result.rights);
+    const readers = Object.entries(result.readers);
+
+    console.log(`[dotnope] ${result.old} -> ${result.new}`);
+
+    if (rights.length > 0) {
+        console.log('');
+        console.log('Rights:');
+        for (const [key, changes] of rights) {
+            const marker = !(key in before.config) ? '+' : !(key in after.config) ? '-' : '~';
+            const lists = Object.entries(changes).map(([right, change]) => `${right} ${formatListChange(change)}`);
+            console.log(`  ${marker} ${key}: ${lists.join('; ')}`);
+        }
+    }
+
+    if (readers.length > 0) {
+        console.log('');
+        console.log('Effective readers (allowPeerDependencies expanded in the installed node_modules):');
+        for (const [envVar, change] of readers) {
+            const parts = [];
+            if (change.added.length > 0) {
+                const peers = change.viaPeers > 0 ? `, ${change.viaPeers} via peer dependencies` : '';
+                parts.push(`+${change.added.length} package(s)${peers}: ${formatNames(change.added)}`);
+            }
+            if (change.removed.length > 0) {
+                parts.push(`-${change.removed.length} package(s): ${formatNames(change.removed)}`);
+            }
+            console.log(`  ${envVar}: ${parts.join('; ')}`);
+        }
+    }
+
+    // Everything the sections above do not already show
+    const other = {
+        added: result.changes.added.filter(key => !(key in result.rights)),
+        removed: result.changes.removed.filter(key => !(key in result.rights)),
+        changed: {},
+        options: result.changes.options
+    };
+    for (const [key, fields] of Object.entries(result.changes.changed)) {
+        const { allowed, canWrite, canDelete, ...rest } = fields;
+        if (Object.keys(rest).length > 0) {
+            other.changed[key] = rest;
+        }
+    }
+    const otherLines = formatConfigDiff(other);
+    if (otherLines.length > 0) {
+        console.log('');
+        console.log('Other changes:');
+        for (const line of otherLines) {
+            console.log(`  ${line}`);
+        }
+    }
+
+    if (!result.changes.hasChanges && readers.length === 0) {
+        console.log('');
+        console.log('No permission changes.');
+    }
+}
+
+/**
+ * dotnope diff <old> [new]
+ * @param {string[]} args
+ * @returns {number} Exit code
+ */
+function diffCommand(args) {
+    const { findPackageJson } = require('../lib/config-loader');
+    const { diffConfigs, diffRights, diffEffectiveReaders } = require('../lib/config-diff');
+    const { positionals, flags } = parseArgs(args, ['--var', '--profile']);
+
+    if (positionals.length === 0 || positionals.length > 2) {
+        console.error('[dotnope] Error: Expected "dotnope diff <old> [new]".');
+        console.error('[dotnope] Run "npx dotnope --help" for usage.');
+        return 1;
+    }
+
+    const pkgPath = findPackageJson();
+    if (!pkgPath) {
+        console.error('[dotnope] Error: Could not find package.json');
+        console.error('[dotnope] Run from within a Node.js project directory.');
+        return 1;
+    }
+    const projectDir = path.dirname(pkgPath);
+    const [oldSpec, newSpec = pkgPath] = positionals;
+    const profile = flags.profile || null;
+
+    let before, after;
+    try {
+        before = readDiffSide(oldSpec, projectDir, profile);
+        after = readDiffSide(newSpec, projectDir, profile);
+    } catch (err) {
+        console.error('[dotnope] Error:', err.message);
+        return 1;
+    }
+
+    const extraEnvVars = typeof flags.var === 'string' ? flags.var.split(',').filter(Boolean) : [];
+    const result = {
+        old: before.configPath,
+        new: after.configPath,
+        rights: diffRights(before.config, after.config),
+        readers: diffEffectiveReaders(before, after, extraEnvVars),
+        changes: diffConfigs(before.config, after.config, before.options, after.options)
+    };
+
+    if (flags.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        printDiffReport(result, before, after);
+    }
+
+    return 0;
+}
+
+/**
+ * dotnope lock
+ * @param {string[]} args
+ * @returns {number} Exit code
+ */
+function lockCommand(args) {
+    const { readPolicy } = require('../lib/config-loader');
+    const lockfile = require('../lib/lockfile');
+    const { flags } = parseArgs(args, ['--profile']);
+
+    let policy;
+    try {
+        policy = readPolicy(null, flags.profile || null);
+    } catch (err) {
+        console.error('[dotnope] Error:', err.message);
+        return 1;
+    }
+
+    // Next to the file the whitelist was loaded from, where enableStrictEnv() looks
+    const projectDir = path.dirname(policy.configPath);
+    const lockPath = path.join(projectDir, lockfile.LOCKFILE_NAME);
+    const context = { projectDir, workspaces: policy.workspaces };
+
+    if (!flags.check) {
+        const lock = lockfile.createLockfile(policy.config, context);
+        fs.writeFileSync(lockPath, JSON.stringify(lock, null, 2) + '\n');
+        console.log(`[dotnope] Pinned ${Object.keys(lock.packages).length} package(s) in ${lockPath}`);
+        return 0;
+    }
+
+    let lock;
+    try {
+        lock = lockfile.readLockfile(lockPath);
+    } catch (err) {
+        console.error('[dotnope] Error:', err.message);
+        return 1;
+    }
+    if (!lock) {
+        console.error(`[dotnope] Error: No ${lockfile.LOCKFILE_NAME} in ${projectDir}`);
+        console.error('[dotnope] Create it with: npx dotnope lock');
+        return 1;
+    }
+
+    const mismatches = lockfile.findMismatches(policy.config, lock, context);
+    const changedGrants = lockfile.findChangedGrants(policy.config, lock);
+
+    if (mismatches.size === 0 && changedGrants.length === 0) {
+        console.log(`[dotnope] ${lockfile.LOCKFILE_NAME} matches every installed whitelisted package.`);
+        return 0;
+    }
+
+    console.error(`[dotnope] ${lockfile.LOCKFILE_NAME} is out of date:`);
+    for (const [key, reason] of mismatches) {
+        console.error(`  ${key}: ${reason}`);
+    }
+    for (const key of changedGrants) {
+        console.error(`  ${key}: grants changed since it was locked`);
+    }
+    console.error('[dotnope] Review the changes, then re-approve them with: npx dotnope lock');
+    return 1;
+}
+
+const COMMANDS = {
+    scan: scanCommand,
+    diff: diffCommand,
+    lock: lockCommand
+};
+
+const [commandName, ...commandArgs] = process.argv.slice(2);
+
+if (!commandName || commandName === '--help' || commandName === '-h' || commandArgs.includes('--help') || commandArgs.includes('-h')) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+if (!COMMANDS[commandName]) {
+    console.error(`[dotnope] Error: Unknown command "${commandName}".`);
+    console.error('[dotnope] Run "npx dotnope --help" for usage.');
+    process.exit(1);
+}
+
+process.exitCode = COMMANDS[commandName](commandArgs);
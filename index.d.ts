@@ -3,11 +3,24 @@
  */
 export interface StrictEnvOptions {
     /**
-     * Custom path to package.json containing environmentWhitelist config.
+     * Custom path to package.json containing environmentWhitelist config,
+     * or to a standalone dotnope config file (dotnope.config.js, .dotnoperc.json, ...).
      * If not specified, searches for package.json from current working directory.
      */
     configPath?: string;
 
+    /**
+     * Whitelist passed in code. Takes precedence over package.json
+     * and standalone config files.
+     */
+    config?: EnvironmentWhitelistConfig;
+
+    /**
+     * Name of the profile under environmentWhitelist.profiles to overlay.
+     * Defaults to DOTNOPE_PROFILE, then NODE_ENV.
+     */
+    profile?: string;
+
     /**
      * Suppress security warnings on startup.
      */
@@ -30,6 +43,12 @@ export interface StrictEnvOptions {
      */
     workerConfig?: object;
 
+    /**
+     * Token for a worker's handle. Set by the protectWorkers preload;
+     * ignored in the main thread.
+     */
+    workerToken?: string;
+
     /**
      * If false, disable strict load order checking.
      * When true (default), throws if too many modules are loaded before enableStrictEnv().
@@ -41,6 +60,151 @@ export interface StrictEnvOptions {
      * Default is 5. Only applies if strictLoadOrder is true.
      */
     maxPreloadedModules?: number;
+
+    /**
+     * Reload the whitelist when one of its files changes.
+     * Pass { interval } to set the poll interval in ms (default 1000).
+     */
+    watch?: boolean | { interval?: number };
+
+    /**
+     * Called after each reload triggered by `watch`. Without it,
+     * changes and rejected edits are logged with console.warn.
+     */
+    onReload?: (err: StrictEnvError | null, changes: ConfigChanges | null) => void;
+
+    /**
+     * Called with each new violation recorded in audit mode. Without it,
+     * violations are logged with console.warn.
+     */
+    onViolation?: (violation: Violation) => void;
+
+    /**
+     * Learning mode: allow every access, record it, and write a proposed
+     * whitelist when the process exits or protection is disabled.
+     */
+    learn?: boolean | LearnOptions;
+}
+
+/**
+ * Options for learning mode
+ */
+export interface LearnOptions {
+    /**
+     * "whitelist" (default) writes { environmentWhitelist } with what was observed;
+     * "package.json" writes package.json with the observed grants added
+     */
+    format?: 'whitelist' | 'package.json';
+    /** File to write, relative to the project directory (default: dotnope.learned.json or package.learned.json) */
+    output?: string;
+}
+
+/**
+ * Enforcement mode: block, allow and record, or skip checks
+ */
+export type EnforcementMode = 'enforce' | 'audit' | 'off';
+
+/**
+ * An access audit mode allowed but enforce mode would have blocked
+ */
+export interface Violation {
+    /** Error code enforce mode would have thrown */
+    code: DotnopeErrorCode;
+    /** Calling package, or null if the caller was unknown */
+    packageName: string | null;
+    packageVersion: string | null;
+    envVar: string;
+    operation: 'read' | 'write' | 'delete';
+    fileName: string | null;
+    lineNumber: number | null;
+    /** How many times it happened */
+    count: number;
+    /** Timestamps (ms) of the first and latest occurrence */
+    firstSeen: number;
+    lastSeen: number;
+}
+
+/**
+ * Options for getAccessStats() and getViolations()
+ */
+export interface StatsOptions {
+    /**
+     * Add what worker threads and cluster workers reported
+     * (__options__.aggregateStats)
+     */
+    aggregate?: boolean;
+}
+
+/**
+ * The latest report of a worker thread or cluster worker
+ * (__options__.aggregateStats)
+ */
+export interface WorkerStats {
+    /** "thread:<threadId>" or "cluster:<worker.id>" */
+    id: string;
+    kind: 'thread' | 'cluster';
+    pid: number;
+    /** 0 for a cluster worker, whose report includes its own threads */
+    threadId: number;
+    /** Access counts by "packageName:envVar:operation" */
+    stats: Record<string, number>;
+    violations: Violation[];
+    /** Timestamp (ms) of the report */
+    updatedAt: number;
+}
+
+/**
+ * A refused access reported by a Node.js child process
+ * (__options__.protectNodeChildren)
+ */
+export interface ChildViolation extends Violation {
+    /** Process id of the child */
+    pid: number;
+    /** True if the access was blocked, false if audit mode only recorded it */
+    blocked: boolean;
+}
+
+/**
+ * Permissions passed to handle.grant() and handle.revoke()
+ */
+export interface RuntimePermissions {
+    allowed?: string[];
+    canWrite?: string[];
+    canDelete?: string[];
+    /** Milliseconds until the rule lapses */
+    ttlMs?: number;
+}
+
+/**
+ * Added and removed items of a list
+ */
+export interface ListChange {
+    added: string[];
+    removed: string[];
+}
+
+/**
+ * What a reload changed
+ */
+export interface ConfigChanges {
+    /** Packages that gained an entry */
+    added: string[];
+    /** Packages whose entry was removed */
+    removed: string[];
+    /** Changed fields per package, e.g. { pg: { allowed: { added: [...], removed: [...] } } } */
+    changed: Record<string, Record<string, ListChange | { from: unknown; to: unknown } | Record<string, Record<string, ListChange>>>>;
+    /** Changed __options__ keys */
+    options: Record<string, ListChange | { from: unknown; to: unknown }>;
+    /** True if anything changed */
+    hasChanges: boolean;
+}
+
+/**
+ * Options for handle.lock()
+ */
+export interface LockOptions {
+    /** Make process.env read-only for all code, the main application included (default: false) */
+    readOnly?: boolean;
 }
 
 /**
@@ -56,11 +220,76 @@ export interface StrictEnvHandle {
      */
     disable(token: string): void;
 
+    /**
+     * Re-read the whitelist from disk, validate it and swap it in.
+     * An invalid whitelist throws and the current one stays in force.
+     *
+     * @param token - The security token from getToken()
+     * @returns What changed
+     * @throws Error if token is invalid
+     */
+    reload(token: string): ConfigChanges;
+
+    /**
+     * End the startup phase and switch to the steady-state whitelist.
+     * Cannot be undone short of disable().
+     *
+     * @param token - The security token from getToken()
+     * @param options - Set readOnly to reject every write and delete, __main__'s included
+     * @returns What the switch changed
+     * @throws Error if token is invalid
+     */
+    lock(token: string, options?: LockOptions): ConfigChanges;
+
+    /**
+     * Grant a package access at runtime, on top of the whitelist.
+     * The most recent grant or revoke matching an env var wins.
+     *
+     * @param token - The security token from getToken()
+     * @param packageName - Package name or whitelist key (e.g. "axios@^1.6.0")
+     * @param permissions - Env vars to grant, optionally for ttlMs milliseconds
+     * @throws Error if token is invalid, ERR_DOTNOPE_INVALID_GRANT if permissions are malformed
+     */
+    grant(token: string, packageName: string, permissions: RuntimePermissions): void;
+
+    /**
+     * Revoke a package's access at runtime, including access from the whitelist.
+     * Without permissions, every read, write and delete is revoked.
+     *
+     * @param token - The security token from getToken()
+     * @param packageName - Package name or whitelist key
+     * @param permissions - Env vars to revoke, optionally for ttlMs milliseconds
+     */
+    revoke(token: string, packageName: string, permissions?: RuntimePermissions): void;
+
     /**
      * Get access statistics for environment variable operations.
      * Keys are in format "packageName:envVar:operation"
      */
-    getAccessStats(): Record<string, number>;
+    getAccessStats(options?: StatsOptions): Record<string, number>;
+
+    /**
+     * Get the accesses audit mode allowed but would otherwise have blocked,
+     * one entry per code, package, env var and operation.
+     */
+    getViolations(options?: StatsOptions): Violation[];
+
+    /**
+     * Get the latest stats and violations of each worker thread and
+     * cluster worker, with aggregateStats.
+     */
+    getWorkerStats(): WorkerStats[];
+
+    /**
+     * Get what Node.js child processes refused, with protectNodeChildren.
+     * Includes the children those children started.
+     */
+    getChildViolations(): ChildViolation[];
+
+    /**
+     * Get the whitelist learning mode would propose from the accesses seen so far.
+     */
+    getLearnedWhitelist(): EnvironmentWhitelistConfig;
 
     /**
      * Get the security token required to disable protection.
@@ -97,6 +326,69 @@ export interface DotnopeGlobalOptions {
      * Packages only see env vars they have read permission for.
      */
     protectEnumeration?: boolean;
+
+    /**
+     * Environment variables no package may read, write or delete,
+     * whatever it is granted. Does not apply to the main application.
+     */
+    denied?: string[];
+
+    /**
+     * "enforce" (default) blocks unauthorized access, "audit" allows it and
+     * records a violation, "off" skips checks. Packages may override it.
+     */
+    mode?: EnforcementMode;
+
+    /**
+     * What happens to a whitelisted package that no longer matches
+     * dotnope-lock.json: "deny" (default) suspends its grants, "audit"
+     * keeps them and records an ERR_DOTNOPE_INTEGRITY violation
+     */
+    lockMismatch?: 'deny' | 'audit';
+
+    /**
+     * Environment variables nobody may write or delete once protection is
+     * enabled, the main application and "*" writers included. Replaces the
+     * default list: NODE_OPTIONS, LD_PRELOAD, DOTNOPE_POLICY,
+     * DOTNOPE_POLICY_FILE, DOTNOPE_CONFIG, DOTNOPE_PROFILE, DOTNOPE_LEARN,
+     * DOTNOPE_LEARN_DIR, NODE_TLS_REJECT_UNAUTHORIZED, NODE_EXTRA_CA_CERTS and PATH.
+     */
+    immutable?: string[];
+
+    /**
+     * Give child processes and workers started by a package only the
+     * environment variables that package may read, plus inheritForChildren
+     * @default true
+     */
+    protectChildren?: boolean;
+
+    /**
+     * Environment variables every child process and worker gets, whoever
+     * starts it. Replaces the default list (PATH, HOME, LANG, TMPDIR, ...).
+     */
+    inheritForChildren?: string[];
+
+    /**
+     * Preload dotnope in Node.js child processes (fork, spawn of node, npx,
+     * npm run) through NODE_OPTIONS, with this process's policy
+     * @default false
+     */
+    protectNodeChildren?: boolean;
+
+    /**
+     * Preload dotnope in every new worker thread with this thread's policy,
+     * so worker scripts need not call enableStrictEnv() themselves
+     * @default false
+     */
+    protectWorkers?: boolean;
+
+    /**
+     * Have worker threads report their stats and violations to the main
+     * thread, and cluster workers to the primary, for
+     * getAccessStats({ aggregate: true }) and getWorkerStats()
+     * @default false
+     */
+    aggregateStats?: boolean;
 }
 
 /**
@@ -106,26 +398,93 @@ export interface PackageEnvConfig {
     /**
      * List of allowed environment variable names for reading.
      * Use "*" to allow read access to all environment variables.
+     * Entries may be glob patterns ("AWS_*") or negations ("!AWS_SECRET_*").
      */
-    allowed: string[];
+    allowed?: string[];
 
     /**
      * List of environment variable names the package can write/set.
      * Use "*" to allow write access to all environment variables.
+     * Entries may be glob patterns or negations, as in `allowed`.
+     * Use an object to limit the values written as well, e.g.
+     * `{ "NODE_ENV": ["production"], "HTTP_PROXY": { "pattern": "^http://localhost(:\\d+)?$" } }`.
      */
-    canWrite?: string[];
+    canWrite?: WriteGrant;
 
     /**
      * List of environment variable names the package can delete.
      * Use "*" to allow delete access to all environment variables.
+     * Entries may be glob patterns or negations, as in `allowed`.
      */
     canDelete?: string[];
 
+    /**
+     * Environment variables this package may never access.
+     * Wins over allowed, canWrite, canDelete, "*" and allowPeerDependencies.
+     */
+    denied?: string[];
+
     /**
      * If true, all dependencies of this package are also allowed
      * to access the same environment variables (read only).
      */
     allowPeerDependencies?: boolean;
+
+    /**
+     * Built-in preset whose grants are added to this entry (e.g. "pg")
+     */
+    preset?: string;
+
+    /**
+     * Extra grants for files inside the package, keyed by a path relative to
+     * the package root: a file ("lib/config.js"), a directory ("lib/") or a glob.
+     * They add to the package's grants for callers in matching files only.
+     */
+    files?: Record<string, FileEnvConfig | string[] | string>;
+
+    /**
+     * Date after which the grant stops working, e.g. "2026-12-31"
+     * (a bare date is valid through the end of that day, UTC)
+     */
+    expires?: string;
+
+    /**
+     * Milliseconds after enableStrictEnv() after which the grant stops working
+     */
+    untilMs?: number;
+
+    /**
+     * Number of reads of each env var the grant allows. Every read counts,
+     * including `in` checks and enumeration.
+     */
+    maxReads?: number;
+
+    /**
+     * Enforcement mode for this package, overriding __options__.mode
+     */
+    mode?: EnforcementMode;
+}
+
+/**
+ * Values a package may write to an env var: any value (true), one of a
+ * list, or any value matching a regular expression
+ */
+export type WriteConstraint = true | string[] | { pattern: string };
+
+/**
+ * Env var names or patterns a package may write, optionally mapped to the
+ * values it may write to them
+ */
+export type WriteGrant = string[] | Record<string, WriteConstraint>;
+
+/**
+ * Grant for specific files inside a package
+ */
+export interface FileEnvConfig {
+    allowed?: string[];
+    canWrite?: WriteGrant;
+    canDelete?: string[];
+    denied?: string[];
 }
 
 /**
@@ -139,9 +498,32 @@ export interface EnvironmentWhitelistConfig {
     __options__?: DotnopeGlobalOptions;
 
     /**
-     * Package-specific environment access rules
+     * Built-in presets or groups (e.g. "common") granting every package they cover
+     */
+    __presets__?: string[];
+
+    /**
+     * Presets to deep-merge under this whitelist: npm packages or paths
+     * relative to the declaring file
+     */
+    extends?: string | string[];
+
+    /**
+     * Named overlays selected by the profile option, DOTNOPE_PROFILE or NODE_ENV
+     */
+    profiles?: Record<string, EnvironmentWhitelistConfig>;
+
+    /**
+     * Extra grants in force until handle.lock(), added to the steady-state entries
      */
-    [packageName: string]: PackageEnvConfig | string[] | DotnopeGlobalOptions;
+    startup?: EnvironmentWhitelistConfig;
+
+    /**
+     * Package-specific environment access rules.
+     * Keys may carry a semver range ("axios@^1.6.0") to scope the entry
+     * to the installed versions that satisfy it.
+     */
+    [packageName: string]: PackageEnvConfig | string[] | string | DotnopeGlobalOptions | Record<string, EnvironmentWhitelistConfig> | EnvironmentWhitelistConfig | undefined;
 }
 
 /**
@@ -149,10 +531,21 @@ export interface EnvironmentWhitelistConfig {
  */
 export type DotnopeErrorCode =
     | 'ERR_DOTNOPE_UNAUTHORIZED'
+    | 'ERR_DOTNOPE_DENIED'
+    | 'ERR_DOTNOPE_INVALID_CONFIG'
     | 'ERR_DOTNOPE_UNKNOWN_CALLER'
     | 'ERR_DOTNOPE_EVAL_CONTEXT'
     | 'ERR_DOTNOPE_LOAD_ORDER'
     | 'ERR_DOTNOPE_WORKER_NOT_ALLOWED'
+    | 'ERR_DOTNOPE_RELOAD_UNAVAILABLE'
+    | 'ERR_DOTNOPE_INVALID_GRANT'
+    | 'ERR_DOTNOPE_GRANT_EXPIRED'
+    | 'ERR_DOTNOPE_WRITE_VALUE'
+    | 'ERR_DOTNOPE_IMMUTABLE'
+    | 'ERR_DOTNOPE_SHARE_ENV'
+    | 'ERR_DOTNOPE_READ_ONLY'
+    | 'ERR_DOTNOPE_INTEGRITY'
+    | 'ERR_DOTNOPE_INVALID_LOCKFILE'
     | 'ERR_DOTNOPE_DEPRECATED';
 
 /**
@@ -161,6 +554,11 @@ export type DotnopeErrorCode =
 export interface StrictEnvError extends Error {
     code: DotnopeErrorCode;
     packageName?: string;
+    /**
+     * Installed version of the calling package, when the whitelist
+     * has version-scoped entries for it
+     */
+    packageVersion?: string | null;
     envVar?: string;
     operation?: 'read' | 'write' | 'delete';
     fileName?: string;
@@ -168,6 +566,46 @@ export interface StrictEnvError extends Error {
     functionName?: string;
     loadedModules?: number;
     maxPreloadedModules?: number;
+    /**
+     * File the offending package's rules were loaded from
+     */
+    configPath?: string | null;
+    /**
+     * Which limit ran out, for ERR_DOTNOPE_GRANT_EXPIRED, or why the
+     * package does not match its pin, for ERR_DOTNOPE_INTEGRITY
+     */
+    reason?: 'expires' | 'untilMs' | 'maxReads' | string;
+    /**
+     * Every schema problem, for ERR_DOTNOPE_INVALID_CONFIG
+     */
+    errors?: ConfigValidationError[];
+}
+
+/**
+ * A single problem found while validating environmentWhitelist
+ */
+export interface ConfigValidationError {
+    /**
+     * JSON path of the offending key, e.g. "environmentWhitelist.axios.alowed"
+     */
+    path: string;
+    message: string;
+    /**
+     * Hint such as 'did you mean "allowed"?'
+     */
+    suggestion: string | null;
+    /**
+     * File the offending key was loaded from
+     */
+    source: string | null;
+}
+
+/**
+ * Result of validateConfig
+ */
+export interface ConfigValidationResult {
+    valid: boolean;
+    errors: ConfigValidationError[];
 }
 
 /**
@@ -270,7 +708,22 @@ export function disableStrictEnv(): void;
  *
  * @returns Object mapping "packageName:envVar:operation" to access count
  */
-export function getAccessStats(): Record<string, number>;
+export function getAccessStats(options?: StatsOptions): Record<string, number>;
+
+/**
+ * Get the accesses audit mode allowed but would otherwise have blocked.
+ */
+export function getViolations(options?: StatsOptions): Violation[];
+
+/**
+ * Get the latest stats and violations of each worker, with aggregateStats.
+ */
+export function getWorkerStats(): WorkerStats[];
+
+/**
+ * Get what Node.js child processes refused, with protectNodeChildren.
+ */
+export function getChildViolations(): ChildViolation[];
 
 /**
  * Check if strict mode is currently enabled.
@@ -313,7 +766,8 @@ export function isWorkerAllowed(): boolean;
 
 /**
  * Get a serializable copy of the current configuration.
- * Use this to pass config from main thread to worker threads.
+ * Use this to pass config from main thread to worker threads, or set
+ * protectWorkers to have dotnope do it for every worker.
  *
  * @returns Serializable config object to pass via workerData
  *
@@ -339,16 +793,30 @@ export function isWorkerAllowed(): boolean;
  */
 export function getSerializableConfig(): object;
 
+/**
+ * Validate an environmentWhitelist against the schema without enabling protection.
+ * Useful as a CI step.
+ *
+ * @param target - A whitelist object, or a path to package.json or a dotnope config file.
+ *                 Defaults to the config enableStrictEnv() would discover.
+ * @returns Whether the config is valid, and every problem found
+ */
+export function validateConfig(target?: EnvironmentWhitelistConfig | string): ConfigValidationResult;
+
 declare const _default: {
     enableStrictEnv: typeof enableStrictEnv;
     disableStrictEnv: typeof disableStrictEnv;
     getAccessStats: typeof getAccessStats;
+    getViolations: typeof getViolations;
+    getChildViolations: typeof getChildViolations;
+    getWorkerStats: typeof getWorkerStats;
     isEnabled: typeof isEnabled;
     isPreloadActive: typeof isPreloadActive;
     emitSecurityWarnings: typeof emitSecurityWarnings;
     isRunningInMainThread: typeof isRunningInMainThread;
     isWorkerAllowed: typeof isWorkerAllowed;
     getSerializableConfig: typeof getSerializableConfig;
+    validateConfig: typeof validateConfig;
 };
 
 export default _default;
@@ -4,22 +4,30 @@ const {
     enableStrictEnv,
     disableStrictEnv,
     getAccessStats,
+    getViolations,
+    getChildViolations,
+    getWorkerStats,
     isEnabled,
     isPreloadActive,
     emitSecurityWarnings,
     isRunningInMainThread,
     isWorkerAllowed,
-    getSerializableConfig
+    getSerializableConfig,
+    validateConfig
 } = require('./lib/dotnope');
 
 module.exports = {
     enableStrictEnv,
     disableStrictEnv,
     getAccessStats,
+    getViolations,
+    getChildViolations,
+    getWorkerStats,
     isEnabled,
     isPreloadActive,
     emitSecurityWarnings,
     isRunningInMainThread,
     isWorkerAllowed,
-    getSerializableConfig
+    getSerializableConfig,
+    validateConfig
 };
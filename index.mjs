@@ -6,6 +6,10 @@ const dotnope = require('./lib/dotnope.js');
 export const enableStrictEnv = dotnope.enableStrictEnv;
 export const disableStrictEnv = dotnope.disableStrictEnv;
 export const getAccessStats = dotnope.getAccessStats;
+export const getViolations = dotnope.getViolations;
+export const getChildViolations = dotnope.getChildViolations;
+export const getWorkerStats = dotnope.getWorkerStats;
 export const isEnabled = dotnope.isEnabled;
+export const validateConfig = dotnope.validateConfig;
 
 export default dotnope;
@@ -0,0 +1,341 @@
+/**
+ * aggregator.js - Collect access stats and violations from workers
+ *
+ * With __options__.aggregateStats, each worker thread reports its stats and
+ * violations to the thread that started it, its own threads included, and
+ * each cluster worker reports to the primary in the same way. Reports go out
+ * when something changed, at most once per REPORT_INTERVAL and once more at
+ * exit. The main thread of the primary keeps the latest report of every
+ * worker, finished ones included.
+ *
+ * Reports never reach user code. A thread posts them on its parentPort, and
+ * the parent takes them off the Worker before its 'message' listeners run.
+ * A cluster worker sends them as a Node.js internal message ("NODE_"
+ * command), which the IPC channel emits as 'internalMessage' instead of
+ * 'message'; should that ever reach 'message', the primary takes them off
+ * there too. Either way a report must carry the nonce the parent handed
+ * that worker alone, and the parent knows which worker it came from by
+ * where it arrived.
+ */
+
+'use strict';
+
+const cluster = require('cluster');
+const crypto = require('crypto');
+
+// Worker thread support
+let workerThreads = null;
+try {
+    workerThreads = require('worker_threads');
+} catch (e) {
+    // worker_threads not available (older Node.js or browser)
+}
+
+const MESSAGE_TYPE = 'dotnope:stats';
+// Node.js routes IPC messages whose cmd starts with "NODE_" to its own
+// 'internalMessage' listeners. The prefix is reserved for Node.js and the
+// routing is undocumented, so watchClusterWorker() does not rely on it.
+const CLUSTER_COMMAND = 'NODE_DOTNOPE_STATS';
+const NONCE_KEY = 'dotnope:stats-nonce';
+const NONCE_ENV = 'DOTNOPE_STATS_NONCE';
+const REPORT_INTERVAL = 1000;
+
+// Returns this isolate's { stats, violations }
+let getSnapshotFn = null;
+
+// Nonce this thread puts on its reports, from its parent
+let reportNonce = null;
+
+// Nonce handed to the worker being created, until watchWorker() takes it
+let pendingNonce = null;
+
+// Timer sending reports, and what the last report held
+let reportTimer = null;
+let lastReport = null;
+
+// In the primary: the cluster.fork() dotnope replaced, and how each live worker is watched
+let originalFork = null;
+const clusterWatches = new Map();
+
+// Latest report of each worker: id -> { id, kind, pid, threadId, stats, violations, updatedAt }
+const reports = new Map();
+
+/**
+ * Keep the latest report of a worker
+ * @param {Object} source - { id, kind, pid, threadId } of the worker it arrived from
+ * @param {Object} message - The report
+ */
+function receiveReport(source, message) {
+    if (getSnapshotFn === null || typeof message.stats !== 'object' || message.stats === null ||
+        !Array.isArray(message.violations)) {
+        return;
+    }
+    reports.set(source.id, {
+        ...source,
+        stats: message.stats,
+        violations: message.violations,
+        updatedAt: typeof message.updatedAt === 'number' ? message.updatedAt : Date.now()
+    });
+}
+
+/**
+ * Merge access counts
+ * @param {Object[]} statsList - Objects of "packageName:envVar:operation" -> count
+ * @returns {Object} Summed counts
+ */
+function sumStats(statsList) {
+    const merged = {};
+    for (const stats of statsList) {
+        for (const [key, count] of Object.entries(stats)) {
+            merged[key] = (merged[key] || 0) + count;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Merge violations, one entry per code, package, env var and operation
+ * @param {Object[][]} violationLists
+ * @returns {Object[]} Violations with counts summed and the widest time span
+ */
+function sumViolations(violationLists) {
+    const merged = new Map();
+    for (const violations of violationLists) {
+        for (const violation of violations) {
+            const key = `${violation.code}:${violation.packageName || '<unknown>'}:${violation.envVar}:${violation.operation}`;
+            const existing = merged.get(key);
+            if (existing) {
+                existing.count += violation.count;
+                existing.firstSeen = Math.min(existing.firstSeen, violation.firstSeen);
+                existing.lastSeen = Math.max(existing.lastSeen, violation.lastSeen);
+            } else {
+                merged.set(key, { ...violation });
+            }
+        }
+    }
+    return [...merged.values()];
+}
+
+/**
+ * Merge this isolate's access counts with every worker's
+ * @param {Object} stats - From getAccessStats()
+ * @returns {Object} Summed counts
+ */
+function mergeStats(stats) {
+    return sumStats([stats, ...[...reports.values()].map(report => report.stats)]);
+}
+
+/**
+ * Merge this isolate's violations with every worker's
+ * @param {Object[]} violations - From getViolations()
+ * @returns {Object[]} Merged violations
+ */
+function mergeViolations(violations) {
+    return sumViolations([violations, ...[...reports.values()].map(report => report.violations)]);
+}
+
+/**
+ * Get the latest report of each worker
+ * @returns {Object[]} { id, kind, pid, threadId, stats, violations, updatedAt }
+ */
+function getWorkerReports() {
+    return [...reports.values()].map(report => ({
+        ...report,
+        stats: { ...report.stats },
+        violations: report.violations.map(violation => ({ ...violation }))
+    }));
+}
+
+/**
+ * Send this worker's report if it changed since the last one.
+ * It holds the counts of the threads it started as its own.
+ */
+function sendReport() {
+    const { stats, violations } = getSnapshotFn();
+    const snapshot = { stats: mergeStats(stats), violations: mergeViolations(violations) };
+
+    const text = JSON.stringify(snapshot);
+    if (text === lastReport) {
+        return;
+    }
+
+    if (workerThreads && !workerThreads.isMainThread) {
+        workerThreads.parentPort.postMessage({ type: MESSAGE_TYPE, nonce: reportNonce, ...snapshot, updatedAt: Date.now() });
+    } else if (process.connected) {
+        process.send({ cmd: CLUSTER_COMMAND, nonce: reportNonce, ...snapshot, updatedAt: Date.now() });
+    } else {
+        return;
+    }
+    lastReport = text;
+}
+
+/**
+ * Hand a nonce to the next worker this thread starts. Called by the Worker
+ * wrapper before it creates the worker; the nonce reaches it as environment data.
+ */
+function prepareWorkerReports() {
+    if (getSnapshotFn === null || !workerThreads) {
+        return;
+    }
+    pendingNonce = crypto.randomBytes(16).toString('hex');
+    workerThreads.setEnvironmentData(NONCE_KEY, pendingNonce);
+}
+
+/**
+ * Take the reports of a new worker off its 'message' event. Called by the
+ * Worker wrapper once the worker is created, or with null if that failed.
+ * @param {Worker|null} worker
+ */
+function watchWorker(worker) {
+    const nonce = pendingNonce;
+    if (nonce === null) {
+        return;
+    }
+    pendingNonce = null;
+    workerThreads.setEnvironmentData(NONCE_KEY, undefined);
+    if (!worker) {
+        return;
+    }
+
+    // threadId reads -1 once the worker has exited
+    const source = { id: `thread:${worker.threadId}`, kind: 'thread', pid: process.pid, threadId: worker.threadId };
+    const emit = worker.emit;
+    worker.emit = function(event, message, ...rest) {
+        if (event === 'message' && message !== null && typeof message === 'object' && message.type === MESSAGE_TYPE) {
+            if (message.nonce === nonce) {
+                receiveReport(source, message);
+            }
+            return true;
+        }
+        return emit.call(this, event, message, ...rest);
+    };
+}
+
+/**
+ * Fork a cluster worker with a nonce for its reports in its environment,
+ * and watch it. Replaces cluster.fork() in the primary while aggregating.
+ * @param {Object} [env] - Env vars to add, as for cluster.fork()
+ * @returns {cluster.Worker}
+ */
+function forkWithNonce(env) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const worker = originalFork.call(cluster, { ...env, [NONCE_ENV]: nonce });
+    watchClusterWorker(worker, nonce);
+    return worker;
+}
+
+/**
+ * Take the reports of a cluster worker off its IPC channel, on
+ * 'internalMessage' and, should Node.js stop routing them there, on
+ * 'message' before user listeners run
+ * @param {cluster.Worker} worker
+ * @param {string} nonce - Handed to the worker by forkWithNonce()
+ */
+function watchClusterWorker(worker, nonce) {
+    const source = { id: `cluster:${worker.id}`, kind: 'cluster', pid: worker.process.pid, threadId: 0 };
+    const child = worker.process;
+    const isReport = message => message !== null && typeof message === 'object' && message.cmd === CLUSTER_COMMAND;
+    const accept = (message) => {
+        if (message.nonce === nonce) {
+            receiveReport(source, message);
+        }
+    };
+
+    const listener = (message) => {
+        if (isReport(message)) {
+            accept(message);
+        }
+    };
+    const emit = child.emit;
+    child.emit = function(event, message, ...rest) {
+        if (event === 'message' && isReport(message)) {
+            accept(message);
+            return true;
+        }
+        return emit.call(this, event, message, ...rest);
+    };
+    const onExit = () => {
+        child.removeListener('internalMessage', listener);
+        clusterWatches.delete(worker);
+    };
+
+    child.on('internalMessage', listener);
+    worker.once('exit', onExit);
+    clusterWatches.set(worker, { listener, emit, onExit });
+}
+
+/**
+ * Start collecting reports, and sending them if this is a worker
+ * @param {Function} getSnapshot - Returns this isolate's { stats, violations }
+ * @param {Object} env - The real environment, where a cluster worker finds its nonce
+ */
+function startAggregation(getSnapshot, env) {
+    if (getSnapshotFn) {
+        return;
+    }
+    getSnapshotFn = getSnapshot;
+
+    const inThread = workerThreads && !workerThreads.isMainThread;
+    if (inThread) {
+        // Only the parent that started this thread knows the nonce. It must not
+        // reach the threads this one starts with other Worker constructors.
+        const nonce = workerThreads.getEnvironmentData(NONCE_KEY);
+        workerThreads.setEnvironmentData(NONCE_KEY, undefined);
+        reportNonce = typeof nonce === 'string' && workerThreads.parentPort ? nonce : null;
+    } else if (cluster.isPrimary) {
+        // Workers forked before this have no nonce, and are not heard
+        originalFork = cluster.fork;
+        cluster.fork = forkWithNonce;
+        return;
+    } else if (cluster.isWorker) {
+        // Only the primary knows the nonce. It must not reach this worker's children.
+        const nonce = env[NONCE_ENV];
+        delete env[NONCE_ENV];
+        reportNonce = typeof nonce === 'string' && typeof process.send === 'function' ? nonce : null;
+    }
+
+    if (reportNonce !== null) {
+        reportTimer = setInterval(sendReport, REPORT_INTERVAL);
+        reportTimer.unref();
+        process.on('exit', sendReport);
+    }
+}
+
+/**
+ * Send a last report, stop, and forget every worker's
+ */
+function stopAggregation() {
+    if (reportTimer) {
+        sendReport();
+        clearInterval(reportTimer);
+        reportTimer = null;
+        process.removeListener('exit', sendReport);
+    }
+    if (originalFork) {
+        if (cluster.fork === forkWithNonce) {
+            cluster.fork = originalFork;
+        }
+        originalFork = null;
+    }
+    for (const [worker, { listener, emit, onExit }] of clusterWatches) {
+        worker.process.removeListener('internalMessage', listener);
+        worker.process.emit = emit;
+        worker.removeListener('exit', onExit);
+    }
+    clusterWatches.clear();
+    getSnapshotFn = null;
+    reportNonce = null;
+    pendingNonce = null;
+    lastReport = null;
+    reports.clear();
+}
+
+module.exports = {
+    startAggregation,
+    stopAggregation,
+    prepareWorkerReports,
+    watchWorker,
+    mergeStats,
+    mergeViolations,
+    getWorkerReports
+};
@@ -0,0 +1,314 @@
+/**
+ * child-env.js - Filter the environment handed to child processes and workers
+ *
+ * Children get a copy of the real environment, not the proxy, so a package
+ * allowed to spawn processes could otherwise pass every secret to a
+ * subprocess. The child_process functions and the Worker constructor are
+ * wrapped so each child gets the env its caller may see instead.
+ */
+
+'use strict';
+
+const childProcess = require('child_process');
+const { syncBuiltinESMExports } = require('module');
+const { promisify, types } = require('util');
+const { enable, disable, isStrictModeEnabled } = require('./proxy');
+
+// Worker thread support
+let workerThreads = null;
+try {
+    workerThreads = require('worker_threads');
+} catch (e) {
+    // worker_threads not available (older Node.js or browser)
+}
+
+// child_process functions that start a child, all taking an options object with "env"
+const CHILD_PROCESS_FUNCTIONS = ['spawn', 'spawnSync', 'exec', 'execSync', 'execFile', 'execFileSync', 'fork'];
+
+// Original functions while the guards are installed: name -> function
+const originals = new Map();
+
+// Original Worker constructor while the guards are installed
+let OriginalWorker = null;
+
+// Called with the env a child would get and the kind of child; returns the env to pass instead, or null
+let getChildEnvFn = null;
+
+// Called with the options of each new worker; returns the options to create it with
+let prepareWorkerFn = null;
+
+// Called with each new worker once created, or null if creating it failed
+let setupWorkerFn = null;
+
+/**
+ * Find the options object of a child_process call.
+ * The options follow the command and, for all but exec, an optional argument list.
+ * @param {Array} args - Call arguments
+ * @returns {number} Index of the options object, -1 if there is none
+ */
+function findOptionsIndex(args) {
+    for (let i = 1; i < args.length && i <= 2; i++) {
+        const arg = args[i];
+        if (typeof arg === 'object' && arg !== null && !Array.isArray(arg)) {
+            return i;
+        }
+        if (typeof arg === 'function') {
+            break;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Check if an object has an accessor (getter or setter) as own property
+ * @param {Object} value
+ * @returns {boolean}
+ */
+function hasOwnAccessor(value) {
+    return Object.values(Object.getOwnPropertyDescriptors(value))
+        .some(descriptor => descriptor.get !== undefined || descriptor.set !== undefined);
+}
+
+/**
+ * Copy an argument of a child_process call or Worker as plain data.
+ * Node.js reads the arguments while env checks are paused, so a getter,
+ * Proxy trap or toString in them would run unchecked: they run here instead,
+ * with checks on. Arrays, plain objects, Proxies and objects with own
+ * accessors are copied, dropping any functions inside them; other objects
+ * (streams, signals, buffers, URLs, ports) are passed as they are.
+ * @param {*} value
+ * @param {Map} [seen] - Objects already copied: original -> copy
+ * @returns {*} The copy
+ */
+function snapshot(value, seen = new Map()) {
+    if (typeof value !== 'object' || value === null) {
+        return value;
+    }
+    if (seen.has(value)) {
+        return seen.get(value);
+    }
+
+    const isArray = Array.isArray(value);
+    if (!isArray && !types.isProxy(value) && !hasOwnAccessor(value)) {
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype !== Object.prototype && prototype !== null) {
+            return value;
+        }
+    }
+
+    const copy = isArray ? [] : {};
+    seen.set(value, copy);
+    for (const key of Object.keys(value)) {
+        const item = value[key];
+        if (typeof item !== 'function') {
+            copy[key] = snapshot(item, seen);
+        }
+    }
+    return copy;
+}
+
+/**
+ * Copy the options of a child as plain data. The env is read once, so
+ * the one filtered is the one passed, and kept apart: it may be process.env.
+ * @param {Object|undefined} options - Options the caller passed
+ * @returns {{ env: *, rest: Object|undefined }} The caller's env, and a copy of the other options
+ */
+function splitOptions(options) {
+    if (typeof options !== 'object' || options === null) {
+        return { env: undefined, rest: options };
+    }
+    const { env, ...rest } = options;
+    return { env, rest: snapshot(rest) };
+}
+
+/**
+ * Put the env to pass into copied options
+ * @param {Object|undefined} rest - Copied options, from splitOptions()
+ * @param {*} callerEnv - The env the caller passed
+ * @param {Object|symbol|null} env - Filtered env, or null to keep the caller's
+ * @returns {Object|undefined} Options to start the child with
+ */
+function joinOptions(rest, callerEnv, env) {
+    if (env === null && callerEnv === undefined) {
+        return rest;
+    }
+    const options = typeof rest === 'object' && rest !== null ? rest : {};
+    if (env !== null) {
+        options.env = env;
+    } else {
+        options.env = callerEnv === process.env ? callerEnv : snapshot(callerEnv);
+    }
+    return options;
+}
+
+/**
+ * Replace the env of a child_process call with the filtered one, and copy
+ * the arguments as plain data
+ * @param {Array} args - Call arguments
+ * @returns {Array} Arguments to call the original with
+ */
+function withChildEnv(args) {
+    const optionsIndex = findOptionsIndex(args);
+    const { env: callerEnv, rest } = splitOptions(args[optionsIndex]);
+    const env = getChildEnvFn(callerEnv === undefined ? process.env : callerEnv, 'process');
+
+    // Callbacks are kept: Node.js calls them after the child has started
+    const filtered = args.map((arg, index) => index === optionsIndex
+        ? joinOptions(rest, callerEnv, env)
+        : snapshot(arg));
+    if (env === null || optionsIndex !== -1) {
+        return filtered;
+    }
+
+    // No options given: they go after the command and its argument list
+    const index = Array.isArray(filtered[1]) ? 2 : 1;
+    if (index < filtered.length && filtered[index] == null) {
+        filtered[index] = { env };
+    } else {
+        filtered.splice(index, 0, { env });
+    }
+    return filtered;
+}
+
+/**
+ * Run a function with env checks paused. Node.js reads a few variables
+ * from process.env while starting a child, on the caller's stack, after
+ * the env has already been filtered. Only call it with arguments copied
+ * by snapshot(), so no code of the caller runs while checks are off.
+ * @param {Function} fn
+ * @returns {*} Result of fn
+ */
+function callUnchecked(fn) {
+    if (!isStrictModeEnabled()) {
+        return fn();
+    }
+    disable();
+    try {
+        return fn();
+    } finally {
+        enable();
+    }
+}
+
+/**
+ * Wrap a child_process function
+ * @param {Function} original
+ * @returns {Function}
+ */
+function wrapChildProcessFunction(original) {
+    const wrapped = function(...args) {
+        const childArgs = withChildEnv(args);
+        return callUnchecked(() => original.apply(this, childArgs));
+    };
+    Object.defineProperty(wrapped, 'name', { value: original.name });
+
+    // exec and execFile have their own promisified forms, which call the originals directly
+    if (typeof original[promisify.custom] === 'function') {
+        Object.defineProperty(wrapped, promisify.custom, {
+            value: wrapChildProcessFunction(original[promisify.custom])
+        });
+    }
+    return wrapped;
+}
+
+/**
+ * Copy the filename of a Worker: a string, or a URL rebuilt from its href
+ * @param {*} filename
+ * @returns {*}
+ */
+function snapshotFilename(filename) {
+    if (filename instanceof URL && !types.isProxy(filename)) {
+        return new URL(filename.href);
+    }
+    return snapshot(filename);
+}
+
+/**
+ * Build a Worker subclass that filters the env of every new worker
+ * @param {Function} Base - The original constructor
+ * @returns {Function}
+ */
+function wrapWorker(Base) {
+    return class Worker extends Base {
+        constructor(filename, options) {
+            const { env: callerEnv, rest } = splitOptions(options);
+            const env = getChildEnvFn(callerEnv === undefined ? process.env : callerEnv, 'worker');
+            const workerFilename = snapshotFilename(filename);
+            const workerOptions = prepareWorkerFn(joinOptions(rest, callerEnv, env));
+            let created = false;
+            try {
+                callUnchecked(() => super(workerFilename, workerOptions));
+                created = true;
+            } finally {
+                setupWorkerFn(created ? this : null);
+            }
+        }
+    };
+}
+
+/**
+ * Start filtering the env of child processes and workers
+ * @param {Function} getChildEnv - Called as getChildEnv(env, kind) with the env a
+ *                                 child would get (process.env, an env object or
+ *                                 SHARE_ENV) and 'process' or 'worker'; returns the
+ *                                 env to pass instead, or null to keep it
+ * @param {Function} [prepareWorker] - Called with the options of each new worker,
+ *                                     after the env is filtered; returns the options
+ *                                     to create it with
+ * @param {Function} [setupWorker] - Called with each new worker once created, or
+ *                                   with null if creating it threw
+ */
+function installChildGuards(getChildEnv, prepareWorker = options => options, setupWorker = () => {}) {
+    getChildEnvFn = getChildEnv;
+    prepareWorkerFn = prepareWorker;
+    setupWorkerFn = setupWorker;
+    if (originals.size > 0) {
+        return;
+    }
+
+    for (const name of CHILD_PROCESS_FUNCTIONS) {
+        originals.set(name, childProcess[name]);
+        childProcess[name] = wrapChildProcessFunction(childProcess[name]);
+    }
+
+    if (workerThreads) {
+        OriginalWorker = workerThreads.Worker;
+        workerThreads.Worker = wrapWorker(OriginalWorker);
+    }
+
+    // Named ESM imports of the builtins see the wrappers too
+    syncBuiltinESMExports();
+}
+
+/**
+ * Restore the original child_process functions and Worker constructor
+ */
+function removeChildGuards() {
+    for (const [name, original] of originals) {
+        childProcess[name] = original;
+    }
+    originals.clear();
+
+    if (OriginalWorker) {
+        workerThreads.Worker = OriginalWorker;
+        OriginalWorker = null;
+    }
+    getChildEnvFn = null;
+    prepareWorkerFn = null;
+    setupWorkerFn = null;
+    syncBuiltinESMExports();
+}
+
+/**
+ * Check if the guards are installed
+ * @returns {boolean}
+ */
+function areChildGuardsInstalled() {
+    return originals.size > 0;
+}
+
+module.exports = {
+    installChildGuards,
+    removeChildGuards,
+    areChildGuardsInstalled
+};
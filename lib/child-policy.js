@@ -0,0 +1,211 @@
+/**
+ * child-policy.js - Carry the policy into Node.js child processes
+ *
+ * With __options__.protectNodeChildren, every child process gets
+ * --require for dotnope's register.js in NODE_OPTIONS, and in
+ * DOTNOPE_POLICY_FILE the path of a file holding the resolved policy. A
+ * Node.js child, and every Node.js process it starts in turn, enforces the
+ * same whitelist from its first line. What a child refuses is written to a
+ * report next to the policy file, where the parent reads it.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const POLICY_FILE_ENV = 'DOTNOPE_POLICY_FILE';
+const POLICY_FILE_NAME = 'policy.json';
+const REPORT_PREFIX = 'report-';
+const REGISTER_PATH = path.join(__dirname, '..', 'register.js');
+
+// Policy file written for children, and what it holds
+let policyFile = null;
+let writtenPolicy = null;
+
+// Policy file this process was started with, if a parent handed one down
+let inheritedFile = null;
+
+// Refusals reported to the parent: key -> violation
+const reported = new Map();
+let reportFile = null;
+
+/**
+ * Remove the policy directory and the reports in it
+ */
+function removePolicyDir() {
+    if (policyFile) {
+        fs.rmSync(path.dirname(policyFile), { recursive: true, force: true });
+        policyFile = null;
+        writtenPolicy = null;
+    }
+}
+
+/**
+ * Write the policy for children to load, once per change.
+ * A child started with an inherited policy hands down the same file, so
+ * every descendant reports to the same place.
+ * @param {Object} policy - From getInheritablePolicy()
+ * @returns {string} Path of the policy file
+ */
+function writePolicyFile(policy) {
+    if (inheritedFile) {
+        return inheritedFile;
+    }
+
+    const text = JSON.stringify(policy);
+    if (text === writtenPolicy) {
+        return policyFile;
+    }
+
+    if (!policyFile) {
+        // mkdtemp creates the directory readable by this user only
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dotnope-'));
+        policyFile = path.join(dir, POLICY_FILE_NAME);
+        process.once('exit', removePolicyDir);
+    }
+
+    // Children may be reading the old file: replace it in one step
+    const tempFile = `${policyFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, text, { mode: 0o600 });
+    fs.renameSync(tempFile, policyFile);
+    writtenPolicy = text;
+    return policyFile;
+}
+
+/**
+ * Add dotnope to the environment of a child process
+ * @param {Object} env - Environment the child gets
+ * @param {string} file - From writePolicyFile()
+ * @returns {Object} A copy with NODE_OPTIONS and DOTNOPE_POLICY_FILE set
+ */
+function addPolicyToEnv(env, file) {
+    const nodeOptions = typeof env.NODE_OPTIONS === 'string' ? env.NODE_OPTIONS : '';
+    const requireOption = `--require ${JSON.stringify(REGISTER_PATH)}`;
+
+    return {
+        ...env,
+        NODE_OPTIONS: nodeOptions.includes(requireOption)
+            ? nodeOptions
+            : `${nodeOptions} ${requireOption}`.trim(),
+        [POLICY_FILE_ENV]: file
+    };
+}
+
+/**
+ * Read the policy a parent handed down, and report refusals next to it
+ * @param {string} file - Value of DOTNOPE_POLICY_FILE
+ * @returns {Object} The policy, for loadInheritedPolicy()
+ * @throws {Error} ERR_DOTNOPE_INVALID_CONFIG if the file cannot be read
+ */
+function readPolicyFile(file) {
+    let policy;
+    try {
+        policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        const error = new Error(
+            `dotnope: Cannot read the policy handed down by the parent process!\n` +
+            `\n` +
+            `  ${POLICY_FILE_ENV}: ${file}\n` +
+            `  ${err.message}\n` +
+            `\n` +
+            `The parent removes this file when it exits; start the child again from a running parent.\n`
+        );
+        error.code = 'ERR_DOTNOPE_INVALID_CONFIG';
+        error.errors = [];
+        throw error;
+    }
+
+    inheritedFile = file;
+    reportFile = path.join(path.dirname(file), `${REPORT_PREFIX}${process.pid}.json`);
+    return policy;
+}
+
+/**
+ * Write this process's report
+ */
+function writeReport() {
+    try {
+        fs.writeFileSync(reportFile, JSON.stringify([...reported.values()]), { mode: 0o600 });
+    } catch (err) {
+        // The parent is gone and took the directory with it
+    }
+}
+
+/**
+ * Report a refused access to the parent process. A new kind of refusal is
+ * written at once; repeats only update the count, written at exit.
+ * @param {Object} violation - { code, packageName, envVar, operation, ... }
+ * @param {boolean} blocked - True if the access was blocked, false if only recorded
+ */
+function reportToParent(violation, blocked) {
+    if (!reportFile) {
+        return;
+    }
+
+    const key = `${violation.code}:${violation.packageName || '<unknown>'}:${violation.envVar}:${violation.operation}`;
+    const existing = reported.get(key);
+    if (existing) {
+        existing.count++;
+        existing.lastSeen = violation.lastSeen;
+        return;
+    }
+
+    if (reported.size === 0) {
+        process.once('exit', writeReport);
+    }
+    reported.set(key, { pid: process.pid, ...violation, blocked, count: 1 });
+    writeReport();
+}
+
+/**
+ * Read what Node.js child processes refused
+ * @returns {Array<Object>} Violations, each with the child's pid and whether it was blocked
+ */
+function readChildReports() {
+    const file = policyFile || inheritedFile;
+    if (!file) {
+        return [];
+    }
+
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const found = [];
+    for (const name of fs.readdirSync(dir).sort()) {
+        if (!name.startsWith(REPORT_PREFIX)) {
+            continue;
+        }
+        try {
+            found.push(...JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+        } catch (err) {
+            // Being written right now; the next read picks it up
+        }
+    }
+    return found;
+}
+
+/**
+ * Forget the policy file and reports of this process
+ */
+function clearCache() {
+    removePolicyDir();
+    process.removeListener('exit', removePolicyDir);
+    process.removeListener('exit', writeReport);
+    inheritedFile = null;
+    reportFile = null;
+    reported.clear();
+}
+
+module.exports = {
+    writePolicyFile,
+    addPolicyToEnv,
+    readPolicyFile,
+    reportToParent,
+    readChildReports,
+    clearCache,
+    POLICY_FILE_ENV
+};
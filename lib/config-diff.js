@@ -0,0 +1,291 @@
+/**
+ * config-diff.js - Compare two normalized whitelists
+ *
+ * Used to report what a reload changed, so a tightened policy can be
+ * checked before it bites, and by `dotnope diff` to review a policy
+ * change before it is merged.
+ */
+
+'use strict';
+
+const { getAllowedPackagesForEnvVar, isEnvVarDenied, clearCache } = require('./dependency-resolver');
+
+// Package entry fields holding env var lists
+const LIST_KEYS = ['allowed', 'canWrite', 'canDelete', 'denied', 'excludePeerDependencies'];
+
+// Package entry fields holding single values
+const SCALAR_KEYS = ['allowPeerDependencies', 'peerDepthLimit', 'mode', 'expires', 'untilMs', 'maxReads'];
+
+// Entry fields holding objects, compared by content
+const OBJECT_KEYS = ['writeConstraints'];
+
+// Right -> package entry field granting it
+const RIGHT_KEYS = {
+    read: 'allowed',
+    write: 'canWrite',
+    delete: 'canDelete'
+};
+
+/**
+ * Compare two lists
+ * @param {string[]} [before]
+ * @param {string[]} [after]
+ * @returns {{added: string[], removed: string[]}|null} Null if the lists hold the same items
+ */
+function diffLists(before = [], after = []) {
+    const added = after.filter(item => !before.includes(item));
+    const removed = before.filter(item => !after.includes(item));
+    return added.length > 0 || removed.length > 0 ? { added, removed } : null;
+}
+
+/**
+ * Compare the list and value fields of two entries
+ * @param {Object} before
+ * @param {Object} after
+ * @param {string[]} listKeys
+ * @param {string[]} scalarKeys
+ * @returns {Object|null} Changed fields, or null if nothing changed
+ */
+function diffFields(before, after, listKeys, scalarKeys) {
+    const changes = {};
+
+    for (const key of listKeys) {
+        const diff = diffLists(before[key], after[key]);
+        if (diff) {
+            changes[key] = diff;
+        }
+    }
+    for (const key of scalarKeys) {
+        if (before[key] !== after[key]) {
+            changes[key] = { from: before[key], to: after[key] };
+        }
+    }
+    for (const key of OBJECT_KEYS) {
+        const from = JSON.stringify(before[key] || null);
+        const to = JSON.stringify(after[key] || null);
+        if (from !== to) {
+            changes[key] = { from, to };
+        }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Compare two normalized package entries
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Object|null} Changed fields, or null if the entries grant the same
+ */
+function diffEntries(before, after) {
+    const changes = diffFields(before, after, LIST_KEYS, SCALAR_KEYS) || {};
+    const beforeFiles = before.files || {};
+    const afterFiles = after.files || {};
+    const files = {};
+
+    for (const subpath of new Set([...Object.keys(beforeFiles), ...Object.keys(afterFiles)])) {
+        const diff = diffFields(beforeFiles[subpath] || {}, afterFiles[subpath] || {}, ['allowed', 'canWrite', 'canDelete', 'denied'], []);
+        if (diff) {
+            files[subpath] = diff;
+        }
+    }
+    if (Object.keys(files).length > 0) {
+        changes.files = files;
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Compare two normalized configurations
+ * @param {Object} beforeConfig - Normalized whitelist before the change
+ * @param {Object} afterConfig - Normalized whitelist after the change
+ * @param {Object} [beforeOptions] - Options before the change
+ * @param {Object} [afterOptions] - Options after the change
+ * @returns {Object} { added, removed, changed, options, hasChanges }
+ *   added/removed: package names; changed: package -> changed fields;
+ *   options: option -> { from, to } or { added, removed }
+ */
+function diffConfigs(beforeConfig, afterConfig, beforeOptions = {}, afterOptions = {}) {
+    const added = Object.keys(afterConfig).filter(key => !(key in beforeConfig)).sort();
+    const removed = Object.keys(beforeConfig).filter(key => !(key in afterConfig)).sort();
+    const changed = {};
+
+    for (const key of Object.keys(afterConfig).sort()) {
+        if (key in beforeConfig) {
+            const diff = diffEntries(beforeConfig[key], afterConfig[key]);
+            if (diff) {
+                changed[key] = diff;
+            }
+        }
+    }
+
+    const options = {};
+    for (const key of new Set([...Object.keys(beforeOptions), ...Object.keys(afterOptions)])) {
+        const from = beforeOptions[key];
+        const to = afterOptions[key];
+        if (Array.isArray(from) || Array.isArray(to)) {
+            const diff = diffLists(from, to);
+            if (diff) {
+                options[key] = diff;
+            }
+        } else if (from !== to) {
+            options[key] = { from, to };
+        }
+    }
+
+    return {
+        added,
+        removed,
+        changed,
+        options,
+        hasChanges: added.length > 0 || removed.length > 0 ||
+            Object.keys(changed).length > 0 || Object.keys(options).length > 0
+    };
+}
+
+/**
+ * Compare the read, write and delete grants of two configurations.
+ * A package that was added or removed gains or loses all of its grants.
+ * @param {Object} beforeConfig - Normalized whitelist before the change
+ * @param {Object} afterConfig - Normalized whitelist after the change
+ * @returns {Object} package -> { read?, write?, delete? } of { added, removed }
+ */
+function diffRights(beforeConfig, afterConfig) {
+    const rights = {};
+    const keys = new Set([...Object.keys(beforeConfig), ...Object.keys(afterConfig)]);
+
+    for (const key of [...keys].sort()) {
+        const changes = {};
+        for (const [right, field] of Object.entries(RIGHT_KEYS)) {
+            const diff = diffLists((beforeConfig[key] || {})[field], (afterConfig[key] || {})[field]);
+            if (diff) {
+                changes[right] = diff;
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            rights[key] = changes;
+        }
+    }
+
+    return rights;
+}
+
+/**
+ * Get the packages that may read each env var under a configuration,
+ * with allowPeerDependencies expanded over the installed node_modules
+ * @param {Object} config - Normalized whitelist
+ * @param {Object} options - Options of the whitelist
+ * @param {string[]} envVars
+ * @returns {Map<string, Set<string>>} envVar -> package names
+ */
+function getEffectiveReaders(config, options, envVars) {
+    const readers = new Map();
+
+    // The resolver caches by env var name alone, so start each config afresh
+    clearCache();
+    for (const envVar of envVars) {
+        const allowed = [...getAllowedPackagesForEnvVar(envVar, config)]
+            .filter(packageName => !isEnvVarDenied(packageName, envVar, config, options.denied));
+        readers.set(envVar, new Set(allowed));
+    }
+    clearCache();
+
+    return readers;
+}
+
+/**
+ * Compare which packages may read each env var, peer dependencies included.
+ * Checked for every name or pattern listed in either configuration's
+ * "allowed" lists, plus any extra names given.
+ * @param {Object} before - { config, options } before the change
+ * @param {Object} after - { config, options } after the change
+ * @param {string[]} [extraEnvVars] - More env var names to check
+ * @returns {Object} envVar -> { added, removed, viaPeers } where viaPeers
+ *          counts added packages that have no whitelist entry of their own
+ */
+function diffEffectiveReaders(before, after, extraEnvVars = []) {
+    const envVars = new Set(extraEnvVars);
+    for (const config of [before.config, after.config]) {
+        for (const entry of Object.values(config)) {
+            for (const pattern of entry.allowed || []) {
+                if (!pattern.startsWith('!')) {
+                    envVars.add(pattern);
+                }
+            }
+        }
+    }
+
+    const sorted = [...envVars].sort();
+    const beforeReaders = getEffectiveReaders(before.config, before.options || {}, sorted);
+    const afterReaders = getEffectiveReaders(after.config, after.options || {}, sorted);
+    const changes = {};
+
+    for (const envVar of sorted) {
+        const diff = diffLists([...beforeReaders.get(envVar)].sort(), [...afterReaders.get(envVar)].sort());
+        if (diff) {
+            changes[envVar] = {
+                ...diff,
+                viaPeers: diff.added.filter(packageName => !(packageName in after.config)).length
+            };
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Format a field change as "+A -B" or "from -> to"
+ * @param {Object} change
+ * @returns {string}
+ */
+function formatChange(change) {
+    if ('from' in change) {
+        return `${change.from} -> ${change.to}`;
+    }
+    return [
+        ...change.added.map(item => `+${item}`),
+        ...change.removed.map(item => `-${item}`)
+    ].join(' ');
+}
+
+/**
+ * Format a diff as readable lines
+ * @param {Object} diff - Result of diffConfigs()
+ * @returns {string[]} One line per change, empty if nothing changed
+ */
+function formatConfigDiff(diff) {
+    const lines = [];
+
+    for (const key of diff.added) {
+        lines.push(`+ ${key}`);
+    }
+    for (const key of diff.removed) {
+        lines.push(`- ${key}`);
+    }
+    for (const [key, fields] of Object.entries(diff.changed)) {
+        for (const [field, change] of Object.entries(fields)) {
+            if (field === 'files') {
+                for (const [subpath, fileFields] of Object.entries(change)) {
+                    for (const [fileField, fileChange] of Object.entries(fileFields)) {
+                        lines.push(`~ ${key}.files["${subpath}"].${fileField}: ${formatChange(fileChange)}`);
+                    }
+                }
+            } else {
+                lines.push(`~ ${key}.${field}: ${formatChange(change)}`);
+            }
+        }
+    }
+    for (const [key, change] of Object.entries(diff.options)) {
+        lines.push(`~ __options__.${key}: ${formatChange(change)}`);
+    }
+
+    return lines;
+}
+
+module.exports = {
+    diffConfigs,
+    diffRights,
+    diffEffectiveReaders,
+    formatConfigDiff
+};
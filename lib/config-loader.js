@@ -2,11 +2,88 @@
 
 const fs = require('fs');
 const path = require('path');
+const {
+    validateWhitelist,
+    assertValidWhitelist,
+    createValidationError,
+    suggestKey,
+    MODES,
+    LOCK_MISMATCH_ACTIONS
+} = require('./config-validator');
+const { parsePackageKey } = require('./version-matcher');
+const { getPreset, expandPresetNames, getPresetPackages } = require('./presets');
+const workspaces = require('./workspaces');
 
 let cachedConfig = null;
 let cachedOptions = null;
 let configPath = null;
 
+// Where each rule came from: packageName or "__options__.<key>" -> file path
+let ruleSources = new Map();
+
+// Arguments of the last loadConfig() call, replayed by reloadConfig()
+let lastLoadArgs = null;
+
+// Name of the profile overlay applied by the last load, if any
+let activeProfile = null;
+
+// Startup-phase whitelist ("startup" section over the base), until lockStartup()
+let startupConfig = null;
+let startupOptions = null;
+let startupSources = null;
+let startupLocked = false;
+
+// Set when the policy was handed down by a parent process rather than read from disk
+let inheritedPolicy = false;
+
+/**
+ * Format version of getInheritablePolicy()
+ */
+const INHERITED_POLICY_VERSION = 1;
+
+/**
+ * Env vars nobody may change once protection is on: they load code into
+ * this process or its children, decide which TLS certificates and
+ * binaries are trusted, or choose the policy dotnope loads on reload and
+ * in children
+ */
+const DEFAULT_IMMUTABLE = [
+    'NODE_OPTIONS',
+    'LD_PRELOAD',
+    'DOTNOPE_POLICY',
+    'DOTNOPE_POLICY_FILE',
+    'DOTNOPE_CONFIG',
+    'DOTNOPE_PROFILE',
+    'DOTNOPE_LEARN',
+    'DOTNOPE_LEARN_DIR',
+    'NODE_TLS_REJECT_UNAUTHORIZED',
+    'NODE_EXTRA_CA_CERTS',
+    'PATH'
+];
+
+/**
+ * Env vars every child process and worker gets, whoever starts it:
+ * what shells and common tools need to run, and no credentials
+ */
+const DEFAULT_INHERIT_FOR_CHILDREN = [
+    'PATH',
+    'HOME',
+    'USER',
+    'LOGNAME',
+    'SHELL',
+    'LANG',
+    'LC_*',
+    'TERM',
+    'TZ',
+    'TMPDIR',
+    'TMP',
+    'TEMP',
+    'SYSTEMROOT',
+    'COMSPEC',
+    'PATHEXT',
+    'WINDIR'
+];
+
 /**
  * Default options for dotnope behavior
  */
@@ -14,9 +91,32 @@ const DEFAULT_OPTIONS = {
     failClosed: true,           // Deny access when caller cannot be determined
     protectWrites: true,        // Control write operations to process.env
     protectDeletes: true,       // Control delete operations on process.env
-    protectEnumeration: true    // Filter ownKeys to only show allowed vars
+    protectEnumeration: true,   // Filter ownKeys to only show allowed vars
+    denied: [],                 // Env vars no package may access, whatever it is granted
+    mode: 'enforce',            // 'enforce' throws, 'audit' records violations, 'off' skips checks
+    lockMismatch: 'deny',       // Packages that no longer match dotnope-lock.json lose their grants
+    immutable: DEFAULT_IMMUTABLE, // Env vars nobody may write or delete, the main application included
+    protectChildren: true,      // Give child processes and workers only the env their spawner may read
+    inheritForChildren: DEFAULT_INHERIT_FOR_CHILDREN, // Env vars every child gets anyway
+    protectNodeChildren: false, // Load dotnope with this policy in Node.js child processes
+    protectWorkers: false,      // Load dotnope with this policy in worker threads
+    aggregateStats: false       // Collect stats and violations from workers and cluster workers
 };
 
+/**
+ * Standalone config file names, in discovery order.
+ * Looked up in the directory holding the project's package.json.
+ */
+const CONFIG_FILE_NAMES = [
+    'dotnope.config.js',
+    'dotnope.config.cjs',
+    '.dotnoperc.json',
+    '.dotnoperc.json5',
+    '.dotnoperc',
+    '.dotnoperc.yaml',
+    '.dotnoperc.yml'
+];
+
 /**
  * Find package.json by walking up from a starting directory
  * @param {string} startDir - Directory to start searching from
@@ -42,13 +142,798 @@ function findPackageJson(startDir = process.cwd()) {
     return null;
 }
 
+/**
+ * Find a standalone dotnope config file in a project directory
+ * @param {string} projectDir - Directory holding the project's package.json
+ * @returns {string|null} Path to the config file or null
+ */
+function findConfigFile(projectDir) {
+    for (const fileName of CONFIG_FILE_NAMES) {
+        const filePath = path.join(projectDir, fileName);
+        if (fs.existsSync(filePath)) {
+            return filePath;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check if only whitespace and comments separate a position from } or ]
+ * @param {string} text
+ * @param {number} start
+ * @returns {boolean}
+ */
+function isFollowedByClosingBracket(text, start) {
+    let i = start;
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+        } else if (text[i] === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (text[i] === '/' && text[i + 1] === '*') {
+            const close = text.indexOf('*/', i + 2);
+            i = close === -1 ? text.length : close + 2;
+        } else {
+            return text[i] === '}' || text[i] === ']';
+        }
+    }
+    return false;
+}
+
+/**
+ * Parse JSON that may contain // and block comments and trailing commas
+ * @param {string} text - File contents
+ * @returns {*} Parsed value
+ */
+function parseJsonWithComments(text) {
+    let output = '';
+    let inString = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inString) {
+            output += ch;
+            if (ch === '\\') {
+                output += text[++i] || '';
+            } else if (ch === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inString = true;
+            output += ch;
+        } else if (ch === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+            output += '\n';
+        } else if (ch === '/' && text[i + 1] === '*') {
+            const close = text.indexOf('*/', i + 2);
+            i = close === -1 ? text.length : close + 1;
+        } else if (ch === ',') {
+            // Drop trailing commas before a closing bracket
+            if (!isFollowedByClosingBracket(text, i + 1)) {
+                output += ch;
+            }
+        } else {
+            output += ch;
+        }
+    }
+
+    return JSON.parse(output);
+}
+
+/**
+ * Parse a YAML config file using whichever YAML package the app has installed
+ * @param {string} text - File contents
+ * @param {string} filePath - Path for error messages
+ * @returns {*} Parsed value
+ */
+function parseYaml(text, filePath) {
+    for (const moduleName of ['yaml', 'js-yaml']) {
+        let yaml;
+        try {
+            yaml = require(require.resolve(moduleName, { paths: [path.dirname(filePath)] }));
+        } catch (e) {
+            continue;
+        }
+        return moduleName === 'yaml' ? yaml.parse(text) : yaml.load(text);
+    }
+
+    throw new Error(
+        `dotnope: ${filePath} is YAML, but no YAML parser is installed.\n` +
+        `Install "yaml" or "js-yaml", or use .dotnoperc.json instead.`
+    );
+}
+
+/**
+ * Read a standalone config file and return its whitelist.
+ * The file may hold the whitelist itself or { environmentWhitelist: {...} }.
+ * @param {string} filePath - Path to the config file
+ * @returns {Object} Raw whitelist
+ */
+function readConfigFile(filePath) {
+    const ext = path.extname(filePath);
+    let content;
+
+    if (ext === '.js' || ext === '.cjs') {
+        const resolved = require.resolve(path.resolve(filePath));
+        delete require.cache[resolved];
+        content = require(resolved);
+    } else {
+        const text = fs.readFileSync(filePath, 'utf8');
+        content = (ext === '.yaml' || ext === '.yml')
+            ? parseYaml(text, filePath)
+            : parseJsonWithComments(text);
+    }
+
+    if (content === null || typeof content !== 'object' || Array.isArray(content)) {
+        throw new Error(`dotnope: ${filePath} must export an object`);
+    }
+
+    return content.environmentWhitelist || content;
+}
+
+/**
+ * Merge whitelist layers, lowest precedence first.
+ * A package entry from a later layer replaces the earlier entry;
+ * __options__ keys are merged one by one.
+ * @param {Array<{whitelist: Object, source: string, sources?: Map}>} layers -
+ *        `sources` overrides `source` per key for layers built from presets
+ * @returns {Object} { whitelist, sources }
+ */
+function mergeWhitelists(layers) {
+    const whitelist = {};
+    const sources = new Map();
+
+    for (const { whitelist: layer, source, sources: layerSources } of layers) {
+        const sourceOf = (key) => (layerSources && layerSources.get(key)) || source;
+
+        for (const [key, value] of Object.entries(layer || {})) {
+            if (key === '__options__' && isPlainObject(value)) {
+                whitelist.__options__ = { ...whitelist.__options__, ...value };
+                for (const optionKey of Object.keys(value)) {
+                    sources.set(`__options__.${optionKey}`, sourceOf(`__options__.${optionKey}`));
+                }
+                continue;
+            }
+            // A later layer replaces whole profiles, not the whole "profiles" map
+            if (key === 'profiles' && isPlainObject(value)) {
+                whitelist.profiles = { ...whitelist.profiles, ...value };
+                for (const profileName of Object.keys(value)) {
+                    sources.set(`profiles.${profileName}`, sourceOf(`profiles.${profileName}`));
+                }
+                continue;
+            }
+            whitelist[key] = value;
+            sources.set(key, sourceOf(key));
+        }
+    }
+
+    return { whitelist, sources };
+}
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Union two "canWrite" grants. Lists stay lists; if either side limits
+ * values, both become name -> constraint maps and the later one wins per name.
+ * @param {string[]|Object} [base]
+ * @param {string[]|Object} [over]
+ * @returns {string[]|Object}
+ */
+function unionWriteGrants(base = [], over = []) {
+    if (Array.isArray(base) && Array.isArray(over)) {
+        return [...new Set([...base, ...over])];
+    }
+    const toMap = (grant) => (Array.isArray(grant)
+        ? Object.fromEntries(grant.map(name => [name, true]))
+        : grant);
+    return { ...toMap(base), ...toMap(over) };
+}
+
+/**
+ * Split a "canWrite" grant into the names it covers and the values allowed for them
+ * @param {*} canWrite - Array of names or patterns, or an object mapping them
+ *        to true, an array of allowed values or { pattern }
+ * @returns {{canWrite: string[], writeConstraints: Object|null}} writeConstraints
+ *          maps names to { values } or { pattern }, null if any value may be written
+ */
+function normalizeWriteGrant(canWrite) {
+    if (Array.isArray(canWrite)) {
+        return { canWrite, writeConstraints: null };
+    }
+    if (!isPlainObject(canWrite)) {
+        return { canWrite: [], writeConstraints: null };
+    }
+
+    const names = [];
+    const writeConstraints = {};
+    for (const [name, constraint] of Object.entries(canWrite)) {
+        if (constraint === true) {
+            names.push(name);
+        } else if (Array.isArray(constraint)) {
+            names.push(name);
+            writeConstraints[name] = { values: constraint.map(String) };
+        } else if (isPlainObject(constraint) && typeof constraint.pattern === 'string') {
+            names.push(name);
+            writeConstraints[name] = { pattern: constraint.pattern };
+        }
+        // Anything else grants nothing
+    }
+
+    return {
+        canWrite: names,
+        writeConstraints: Object.keys(writeConstraints).length > 0 ? writeConstraints : null
+    };
+}
+
+/**
+ * Convert a package entry to its object form for merging
+ * @param {Object|string[]|string} entry
+ * @returns {Object}
+ */
+function toEntryObject(entry) {
+    if (typeof entry === 'string') {
+        return { allowed: [entry] };
+    }
+    if (Array.isArray(entry)) {
+        return { allowed: entry };
+    }
+    return entry;
+}
+
+/**
+ * Deep-merge one package entry over another. Keys of the later entry win,
+ * lists are replaced rather than concatenated, and "files" is merged per path.
+ * @param {*} base - Earlier entry (may be undefined)
+ * @param {*} over - Later entry
+ * @returns {*} Merged entry
+ */
+function mergePackageEntry(base, over) {
+    const isEntry = (value) => typeof value === 'string' || Array.isArray(value) || isPlainObject(value);
+    if (!isEntry(base) || !isEntry(over)) {
+        return over;
+    }
+
+    const from = toEntryObject(base);
+    const to = toEntryObject(over);
+    const merged = { ...from, ...to };
+
+    if (isPlainObject(from.files) && isPlainObject(to.files)) {
+        merged.files = { ...from.files, ...to.files };
+    }
+
+    return merged;
+}
+
+/**
+ * Deep-merge a whitelist into another, in place
+ * @param {Object} target - Whitelist merged so far
+ * @param {Map<string, string>} targetSources - Where each key of target came from
+ * @param {Object} layer - Whitelist to merge over target
+ * @param {Function} sourceOf - Returns the file a key of layer came from
+ */
+function deepMergeWhitelist(target, targetSources, layer, sourceOf) {
+    for (const [key, value] of Object.entries(layer)) {
+        if (key === '__options__' && isPlainObject(value)) {
+            target.__options__ = { ...target.__options__, ...value };
+            for (const optionKey of Object.keys(value)) {
+                targetSources.set(`__options__.${optionKey}`, sourceOf(`__options__.${optionKey}`));
+            }
+        } else if (key === 'profiles' && isPlainObject(value)) {
+            target.profiles = { ...target.profiles };
+            for (const [profileName, profile] of Object.entries(value)) {
+                const existing = target.profiles[profileName];
+                if (isPlainObject(existing) && isPlainObject(profile)) {
+                    const mergedProfile = { ...existing };
+                    deepMergeWhitelist(mergedProfile, new Map(), profile, sourceOf);
+                    target.profiles[profileName] = mergedProfile;
+                } else {
+                    target.profiles[profileName] = profile;
+                }
+                targetSources.set(`profiles.${profileName}`, sourceOf(`profiles.${profileName}`));
+            }
+        } else {
+            target[key] = key in target ? mergePackageEntry(target[key], value) : value;
+            targetSources.set(key, sourceOf(key));
+        }
+    }
+}
+
+/**
+ * Resolve a preset named in "extends" to a file.
+ * Relative paths are resolved against the file that extends them; anything
+ * else goes through Node module resolution from that file's directory,
+ * falling back to the package's own package.json.
+ * @param {string} spec - e.g. "@acme/dotnope-policy" or "./policies/base.json"
+ * @param {string} fromSource - File declaring the preset, or "<programmatic>"
+ * @returns {string|null} Absolute path, or null if it cannot be resolved
+ */
+function resolvePreset(spec, fromSource) {
+    const baseDir = fromSource && path.isAbsolute(fromSource)
+        ? path.dirname(fromSource)
+        : process.cwd();
+
+    if (spec.startsWith('.') || path.isAbsolute(spec)) {
+        const presetPath = path.resolve(baseDir, spec);
+        return fs.existsSync(presetPath) ? presetPath : null;
+    }
+
+    for (const request of [spec, `${spec}/package.json`]) {
+        try {
+            return require.resolve(request, { paths: [baseDir] });
+        } catch (err) {
+            // Try the next candidate
+        }
+    }
+    return null;
+}
+
+/**
+ * Read a preset file. A package.json contributes its environmentWhitelist.
+ * @param {string} presetPath
+ * @returns {Object} Raw whitelist
+ */
+function readPreset(presetPath) {
+    if (path.basename(presetPath) === 'package.json') {
+        const pkg = JSON.parse(fs.readFileSync(presetPath, 'utf8'));
+        return pkg.environmentWhitelist || {};
+    }
+    return readConfigFile(presetPath);
+}
+
+/**
+ * Expand the "extends" key of a whitelist. Presets are applied in order,
+ * each deep-merged over the previous ones, and the whitelist's own keys
+ * are deep-merged last. Presets may extend other presets.
+ * @param {Object} whitelist - Raw whitelist, possibly with "extends"
+ * @param {string} source - File the whitelist came from, or "<programmatic>"
+ * @param {string[]} [chain] - Presets being expanded, for cycle detection
+ * @returns {Object} { whitelist, sources }
+ * @throws {Error} ERR_DOTNOPE_INVALID_CONFIG for unresolvable or circular presets
+ */
+function expandExtends(whitelist, source, chain = []) {
+    const { extends: presets, ...own } = whitelist;
+    const sources = new Map();
+
+    if (presets === undefined) {
+        return { whitelist: own, sources };
+    }
+
+    const fail = (message, suggestion = null) => createValidationError([{
+        path: 'environmentWhitelist.extends',
+        message,
+        suggestion,
+        source
+    }]);
+
+    const specs = typeof presets === 'string' ? [presets] : presets;
+    if (!Array.isArray(specs) || !specs.every(spec => typeof spec === 'string' && spec.length > 0)) {
+        throw fail('expected a preset name or an array of preset names');
+    }
+
+    const merged = {};
+    for (const spec of specs) {
+        const presetPath = resolvePreset(spec, source);
+        if (!presetPath) {
+            throw fail(
+                `cannot resolve preset "${spec}"`,
+                spec.startsWith('.') ? 'check the path' : `install it with: npm install ${spec}`
+            );
+        }
+        if (chain.includes(presetPath) || presetPath === source) {
+            throw fail(`circular extends: ${[...chain, presetPath].join(' -> ')}`);
+        }
+
+        let preset;
+        try {
+            preset = readPreset(presetPath);
+        } catch (err) {
+            throw fail(`cannot load preset "${spec}" from ${presetPath}: ${err.message}`);
+        }
+        if (!isPlainObject(preset)) {
+            throw fail(`preset "${spec}" must export an object`);
+        }
+
+        const expanded = expandExtends(preset, presetPath, [...chain, presetPath]);
+        deepMergeWhitelist(merged, sources, expanded.whitelist, (key) => expanded.sources.get(key) || presetPath);
+    }
+
+    deepMergeWhitelist(merged, sources, own, () => source);
+    return { whitelist: merged, sources };
+}
+
+/**
+ * Pick the profile to apply: the explicit option, then DOTNOPE_PROFILE,
+ * then NODE_ENV
+ * @param {string|null} [profile] - Profile passed to enableStrictEnv()
+ * @param {Object} [env] - Where to read DOTNOPE_PROFILE and NODE_ENV
+ * @returns {{name: string|null, explicit: boolean}}
+ */
+function selectProfile(profile = null, env = process.env) {
+    if (profile) {
+        return { name: profile, explicit: true };
+    }
+    if (env.DOTNOPE_PROFILE) {
+        return { name: env.DOTNOPE_PROFILE, explicit: true };
+    }
+    if (env.NODE_ENV) {
+        return { name: env.NODE_ENV, explicit: false };
+    }
+    return { name: null, explicit: false };
+}
+
+/**
+ * Overlay a profile from "profiles" onto the base whitelist.
+ * Package entries in the profile replace the base entries and
+ * __options__ keys are merged, as with config layers.
+ * @param {Object} whitelist - Merged whitelist, possibly with a "profiles" key
+ * @param {Map<string, string>} sources - Where each key came from
+ * @param {string|null} profileName - Profile to apply, or null for none
+ * @param {boolean} [required] - Throw if the profile is not defined
+ * @returns {Object} { whitelist, sources, profile }
+ * @throws {Error} ERR_DOTNOPE_INVALID_CONFIG if a required profile is missing
+ */
+function applyProfile(whitelist, sources, profileName, required = false) {
+    const { profiles = {}, ...base } = whitelist;
+    const overlay = profileName ? profiles[profileName] : null;
+
+    if (!overlay) {
+        // NODE_ENV often names environments nobody wrote a profile for
+        if (profileName && required) {
+            const suggestion = suggestKey(profileName, Object.keys(profiles));
+            throw createValidationError([{
+                path: 'environmentWhitelist.profiles',
+                message: `profile "${profileName}" is not defined`,
+                suggestion: suggestion
+                    ? `did you mean "${suggestion}"?`
+                    : `defined profiles: ${Object.keys(profiles).join(', ') || '(none)'}`,
+                source: null
+            }]);
+        }
+        return { whitelist: base, sources, profile: null };
+    }
+
+    const source = sources.get(`profiles.${profileName}`) || null;
+    const overlaid = overlayWhitelist(base, sources, overlay, source);
+
+    return { whitelist: overlaid.whitelist, sources: overlaid.sources, profile: profileName };
+}
+
+/**
+ * Overlay a partial whitelist (a profile or the startup section) on a base.
+ * Package entries replace the base entries and __options__ keys are merged.
+ * @param {Object} base - Whitelist to overlay
+ * @param {Map<string, string>} sources - Where each key of base came from
+ * @param {Object} overlay - Partial whitelist
+ * @param {string|null} source - File the overlay came from
+ * @returns {Object} { whitelist, sources }
+ */
+function overlayWhitelist(base, sources, overlay, source) {
+    const whitelist = { ...base };
+    const merged = mergeWhitelists([{ whitelist: overlay, source }]);
+    const mergedSources = new Map(sources);
+
+    for (const [key, value] of Object.entries(merged.whitelist)) {
+        if (key === '__options__') {
+            whitelist.__options__ = { ...whitelist.__options__, ...value };
+        } else {
+            whitelist[key] = value;
+        }
+    }
+    for (const [key, keySource] of merged.sources) {
+        mergedSources.set(key, keySource);
+    }
+
+    return { whitelist, sources: mergedSources };
+}
+
+/**
+ * Expand built-in presets. A "preset" key inside an entry adds the preset's
+ * grants to that entry; "__presets__" adds an entry for every package a
+ * preset covers, unless the whitelist already has one for it.
+ * @param {Object} whitelist - Whitelist with profiles applied
+ * @param {Map<string, string>} sources - Where each key came from
+ * @param {string} projectDir - Directory to find "@scope/*" packages from
+ * @returns {Object} { whitelist, sources }
+ */
+function expandPresets(whitelist, sources, projectDir) {
+    const { __presets__: presetNames, ...expanded } = whitelist;
+    const expandedSources = new Map(sources);
+    const union = (...lists) => [...new Set(lists.flat().filter(item => item !== undefined))];
+
+    for (const [key, entry] of Object.entries(expanded)) {
+        if (!isPlainObject(entry) || entry.preset === undefined) {
+            continue;
+        }
+        const { preset: presetName, ...rest } = entry;
+        const preset = getPreset(presetName) || { allowed: [] };
+        expanded[key] = {
+            ...rest,
+            allowed: union(preset.allowed, rest.allowed || []),
+            canWrite: unionWriteGrants(preset.canWrite, rest.canWrite)
+        };
+    }
+
+    if (Array.isArray(presetNames)) {
+        // Explicit entries, versioned or not, always win over presets
+        const listed = new Set(Object.keys(expanded).map(key => parsePackageKey(key).name));
+        const source = sources.get('__presets__') || null;
+
+        for (const presetName of expandPresetNames(presetNames)) {
+            const preset = getPreset(presetName);
+            for (const packageName of getPresetPackages(preset, projectDir)) {
+                if (listed.has(packageName)) {
+                    continue;
+                }
+                listed.add(packageName);
+                expanded[packageName] = {
+                    allowed: [...preset.allowed],
+                    canWrite: [...(preset.canWrite || [])]
+                };
+                expandedSources.set(packageName, source);
+            }
+        }
+    }
+
+    return { whitelist: expanded, sources: expandedSources };
+}
+
+/**
+ * Union two entries for the same package. Workspaces share one process,
+ * so a dependency used by two of them needs both sets of grants; startup
+ * entries add to the steady-state grants rather than replacing them.
+ * @param {*} base - Entry from an earlier workspace, or the steady-state entry
+ * @param {*} over - Entry from a later workspace, or the startup entry
+ * @returns {*} Merged entry
+ */
+function unionPackageEntry(base, over) {
+    const isEntry = (value) => typeof value === 'string' || Array.isArray(value) || isPlainObject(value);
+    if (!isEntry(base) || !isEntry(over)) {
+        return over;
+    }
+
+    const from = toEntryObject(base);
+    const to = toEntryObject(over);
+    const merged = mergePackageEntry(from, to);
+
+    for (const key of ['allowed', 'canDelete', 'denied', 'excludePeerDependencies']) {
+        if (Array.isArray(from[key]) && Array.isArray(to[key])) {
+            merged[key] = [...new Set([...from[key], ...to[key]])];
+        }
+    }
+    const isWriteGrant = (value) => Array.isArray(value) || isPlainObject(value);
+    if (isWriteGrant(from.canWrite) && isWriteGrant(to.canWrite)) {
+        merged.canWrite = unionWriteGrants(from.canWrite, to.canWrite);
+    }
+
+    return merged;
+}
+
+/**
+ * Read and merge the "environmentWhitelist" sections of workspace packages.
+ * A workspace grants itself through "__main__" (or its own name) and its
+ * dependencies by name; options, profiles, presets and startup belong to the root.
+ * @param {Array} workspaceList - Result of findWorkspaces()
+ * @returns {Object} { whitelist, sources }
+ * @throws {Error} ERR_DOTNOPE_INVALID_CONFIG for root-only keys or bad extends
+ */
+function readWorkspaceWhitelists(workspaceList) {
+    const whitelist = {};
+    const sources = new Map();
+    const errors = [];
+
+    for (const workspace of workspaceList) {
+        let section;
+        try {
+            section = JSON.parse(fs.readFileSync(workspace.pkgPath, 'utf8')).environmentWhitelist;
+        } catch (err) {
+            continue;
+        }
+        if (!isPlainObject(section)) {
+            continue;
+        }
+
+        const rootOnly = ['__options__', 'profiles', '__presets__', 'startup'].filter(key => key in section);
+        for (const key of rootOnly) {
+            errors.push({
+                path: `environmentWhitelist.${key}`,
+                message: `"${key}" is only allowed in the workspace root`,
+                suggestion: 'move it to the root package.json',
+                source: workspace.pkgPath
+            });
+        }
+        if (rootOnly.length > 0) {
+            continue;
+        }
+
+        const expanded = expandExtends(section, workspace.pkgPath);
+        for (const [key, value] of Object.entries(expanded.whitelist)) {
+            const name = key === '__main__' ? workspace.name : key;
+            whitelist[name] = name in whitelist ? unionPackageEntry(whitelist[name], value) : value;
+            sources.set(name, expanded.sources.get(key) || workspace.pkgPath);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw createValidationError(errors);
+    }
+
+    return { whitelist, sources };
+}
+
+/**
+ * Turn a resolved whitelist into the one that is enforced:
+ * overlay the selected profile, then expand built-in presets.
+ * The "startup" section is split off into a second whitelist, the
+ * steady-state one with the startup entries unioned in.
+ * @param {Object} resolved - Result of resolveWhitelist()
+ * @param {string|null} [profile] - Explicit profile name
+ * @param {Object} [selected] - Profile already picked by selectProfile()
+ * @returns {Object} { whitelist, sources, profile, startup } where startup
+ *          is { whitelist, sources } or null if there is no "startup" section
+ */
+function finalizeWhitelist(resolved, profile = null, selected = selectProfile(profile)) {
+    const applied = applyProfile(resolved.whitelist, resolved.sources, selected.name, selected.explicit);
+    const projectDir = resolved.configPath && path.isAbsolute(resolved.configPath)
+        ? path.dirname(resolved.configPath)
+        : process.cwd();
+    const { startup: startupOverlay, ...steady } = applied.whitelist;
+    const expanded = expandPresets(steady, applied.sources, projectDir);
+
+    let startup = null;
+    if (isPlainObject(startupOverlay)) {
+        const additions = {};
+        for (const [key, entry] of Object.entries(startupOverlay)) {
+            additions[key] = key in steady && key !== '__options__' ? unionPackageEntry(steady[key], entry) : entry;
+        }
+        const overlaid = overlayWhitelist(steady, applied.sources, additions, applied.sources.get('startup') || null);
+        startup = expandPresets(overlaid.whitelist, overlaid.sources, projectDir);
+    }
+
+    return { whitelist: expanded.whitelist, sources: expanded.sources, profile: applied.profile, startup };
+}
+
+/**
+ * Resolve the config layers for a project without caching anything.
+ * Precedence, lowest first: workspace packages' "environmentWhitelist"
+ * sections, the root package.json "environmentWhitelist", the standalone
+ * config file (DOTNOPE_CONFIG, or discovered next to package.json), then
+ * the programmatic config. Each layer's "extends" presets are expanded first.
+ * Inside a monorepo the workspace root's package.json is used, wherever
+ * the lookup started.
+ * @param {string|null} customPath - Path to package.json or to a config file
+ * @param {Object|null} programmaticConfig - Whitelist passed in code
+ * @param {string|null} [envConfigPath] - Config file named by DOTNOPE_CONFIG
+ * @returns {Object} { whitelist, sources, configPath, workspaces }
+ */
+function resolveWhitelist(customPath = null, programmaticConfig = null, envConfigPath = process.env.DOTNOPE_CONFIG || null) {
+    let pkgPath = null;
+    let configFilePath = null;
+
+    if (customPath && path.basename(customPath) !== 'package.json') {
+        configFilePath = path.resolve(customPath);
+        pkgPath = findPackageJson(path.dirname(configFilePath));
+    } else {
+        pkgPath = customPath || findPackageJson();
+    }
+
+    const workspaceRoot = pkgPath && fs.existsSync(pkgPath) ? workspaces.findWorkspaceRoot(pkgPath) : null;
+    if (workspaceRoot) {
+        pkgPath = workspaceRoot;
+    }
+    const workspaceList = workspaceRoot ? workspaces.findWorkspaces(workspaceRoot) : [];
+
+    if (!configFilePath && envConfigPath) {
+        configFilePath = path.resolve(envConfigPath);
+    } else if (!configFilePath && pkgPath && fs.existsSync(pkgPath)) {
+        configFilePath = findConfigFile(path.dirname(pkgPath));
+    }
+
+    if (!pkgPath && !configFilePath) {
+        throw new Error('dotnope: Could not find package.json. Please ensure you are running from a Node.js project directory.');
+    }
+
+    const layers = [];
+
+    if (workspaceList.length > 0) {
+        const merged = readWorkspaceWhitelists(workspaceList);
+        layers.push({ whitelist: merged.whitelist, source: workspaceRoot, sources: merged.sources });
+    }
+
+    if (pkgPath && (!configFilePath || fs.existsSync(pkgPath))) {
+        try {
+            const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+            layers.push({ whitelist: pkg.environmentWhitelist || {}, source: pkgPath });
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                throw new Error(`dotnope: package.json not found at ${pkgPath}`);
+            }
+            if (err instanceof SyntaxError) {
+                throw new Error(`dotnope: Invalid JSON in ${pkgPath}: ${err.message}`);
+            }
+            throw new Error(`dotnope: Failed to load config from ${pkgPath}: ${err.message}`);
+        }
+    }
+
+    if (configFilePath) {
+        try {
+            layers.push({ whitelist: readConfigFile(configFilePath), source: configFilePath });
+        } catch (err) {
+            if (err.code === 'ENOENT' || err.code === 'MODULE_NOT_FOUND') {
+                throw new Error(`dotnope: Config file not found at ${configFilePath}`);
+            }
+            if (err instanceof SyntaxError) {
+                throw new Error(`dotnope: Invalid config in ${configFilePath}: ${err.message}`);
+            }
+            throw err.message.startsWith('dotnope:')
+                ? err
+                : new Error(`dotnope: Failed to load config from ${configFilePath}: ${err.message}`);
+        }
+    }
+
+    if (programmaticConfig && typeof programmaticConfig === 'object') {
+        layers.push({
+            whitelist: programmaticConfig.environmentWhitelist || programmaticConfig,
+            source: '<programmatic>'
+        });
+    }
+
+    // A non-object layer cannot be merged key by key - reject it up front
+    const rootErrors = [];
+    for (const layer of layers) {
+        for (const error of validateWhitelist(layer.whitelist).filter(e => e.path === 'environmentWhitelist')) {
+            rootErrors.push({ ...error, source: layer.source });
+        }
+    }
+    if (rootErrors.length > 0) {
+        throw createValidationError(rootErrors);
+    }
+
+    // Presets are expanded within each layer, before layers are merged
+    const expandedLayers = layers.map(layer => {
+        if (layer.sources) {
+            // Workspace sections were expanded one by one
+            return layer;
+        }
+        const expanded = expandExtends(layer.whitelist, layer.source);
+        return { whitelist: expanded.whitelist, source: layer.source, sources: expanded.sources };
+    });
+
+    const { whitelist, sources } = mergeWhitelists(expandedLayers);
+
+    return {
+        whitelist,
+        sources,
+        configPath: configFilePath || pkgPath,
+        workspaces: workspaceList
+    };
+}
+
 /**
  * Load and parse the environmentWhitelist configuration
- * @param {string|null} customPath - Custom path to package.json
+ * @param {string|null} customPath - Custom path to package.json or to a config file
  * @param {Object|null} directConfig - Direct config object (for worker threads)
+ * @param {Object|null} programmaticConfig - Whitelist passed in code, highest precedence
+ * @param {string|null} [profile] - Profile to overlay (defaults to DOTNOPE_PROFILE, then NODE_ENV)
+ * @param {Object} [env] - Where to read DOTNOPE_CONFIG, DOTNOPE_PROFILE and NODE_ENV
  * @returns {Object} Normalized whitelist configuration
  */
-function loadConfig(customPath = null, directConfig = null) {
+function loadConfig(customPath = null, directConfig = null, programmaticConfig = null, profile = null, env = process.env) {
+    // A policy from getSerializableConfig() is already normalized
+    if (isPlainObject(directConfig) && directConfig.version === INHERITED_POLICY_VERSION) {
+        return loadInheritedPolicy(directConfig);
+    }
+
     // If direct config is provided (e.g., for worker threads), use it
     if (directConfig && typeof directConfig === 'object') {
         const whitelist = directConfig.environmentWhitelist || directConfig;
@@ -56,51 +941,166 @@ function loadConfig(customPath = null, directConfig = null) {
         cachedConfig = config;
         cachedOptions = options;
         configPath = '<worker:direct>';
+        ruleSources = new Map(Object.keys(whitelist).map(key => [key, configPath]));
+        startupConfig = null;
+        inheritedPolicy = false;
         return cachedConfig;
     }
 
-    const pkgPath = customPath || findPackageJson();
+    // The profile and DOTNOPE_CONFIG are read once: a reload must not follow
+    // env vars a package changed since
+    return loadResolvedConfig({
+        customPath,
+        programmaticConfig,
+        profile,
+        selectedProfile: selectProfile(profile, env),
+        envConfigPath: env.DOTNOPE_CONFIG || null
+    });
+}
 
-    if (!pkgPath) {
-        throw new Error('dotnope: Could not find package.json. Please ensure you are running from a Node.js project directory.');
-    }
+/**
+ * Load the whitelist with the profile and config path already chosen
+ * @param {Object} args - { customPath, programmaticConfig, profile, selectedProfile, envConfigPath }
+ * @returns {Object} Normalized whitelist configuration
+ */
+function loadResolvedConfig(args) {
+    const { customPath, programmaticConfig, profile, selectedProfile, envConfigPath } = args;
+    lastLoadArgs = args;
+    const resolved = resolveWhitelist(customPath, programmaticConfig, envConfigPath);
 
-    configPath = pkgPath;
+    // Fail before the proxy goes in rather than silently dropping bad entries
+    assertValidWhitelist(resolved.whitelist, resolved.sources);
 
-    try {
-        const pkgContent = fs.readFileSync(pkgPath, 'utf8');
-        const pkg = JSON.parse(pkgContent);
+    const applied = finalizeWhitelist(resolved, profile, selectedProfile);
 
-        const whitelist = pkg.environmentWhitelist || {};
+    // Normalize and validate configuration
+    const { config, options } = normalizeConfig(applied.whitelist);
+    const startup = applied.startup ? normalizeConfig(applied.startup.whitelist) : null;
+    cachedConfig = config;
+    cachedOptions = options;
+    configPath = resolved.configPath;
+    ruleSources = applied.sources;
+    activeProfile = applied.profile;
+    startupConfig = startup ? startup.config : null;
+    startupOptions = startup ? startup.options : null;
+    startupSources = startup ? applied.startup.sources : null;
+    inheritedPolicy = false;
+    workspaces.setWorkspaces(resolved.workspaces);
 
-        // Normalize and validate configuration
-        const { config, options } = normalizeConfig(whitelist);
-        cachedConfig = config;
-        cachedOptions = options;
+    return cachedConfig;
+}
 
-        return cachedConfig;
-    } catch (err) {
-        if (err.code === 'ENOENT') {
-            throw new Error(`dotnope: package.json not found at ${pkgPath}`);
-        }
-        if (err instanceof SyntaxError) {
-            throw new Error(`dotnope: Invalid JSON in ${pkgPath}: ${err.message}`);
+/**
+ * Validate a whitelist without loading it - for CI and tooling
+ * @param {Object|string|null} [target] - Whitelist object, path to package.json
+ *                                        or config file, or null to discover
+ * @returns {Object} { valid, errors } where errors carry path, message, suggestion, source
+ */
+function validateConfig(target = null) {
+    let errors;
+
+    if (target && typeof target === 'object') {
+        errors = validateWhitelist(target.environmentWhitelist || target);
+    } else {
+        try {
+            const { whitelist, sources } = resolveWhitelist(target);
+            errors = validateWhitelist(whitelist, sources);
+        } catch (err) {
+            if (err.code !== 'ERR_DOTNOPE_INVALID_CONFIG') {
+                throw err;
+            }
+            errors = err.errors;
         }
-        throw new Error(`dotnope: Failed to load config from ${pkgPath}: ${err.message}`);
     }
+
+    return { valid: errors.length === 0, errors };
 }
 
 /**
- * Get a serializable copy of the current config for passing to workers
- * @returns {Object} Config object that can be serialized
+ * Resolve a project's steady-state policy without loading it - for tooling
+ * that compares policies. Nothing is cached and the active config is untouched.
+ * @param {string|null} [customPath] - Path to package.json or to a config file
+ * @param {string|null} [profile] - Profile to overlay (defaults to DOTNOPE_PROFILE, then NODE_ENV)
+ * @returns {Object} { config, options, configPath, workspaces }
+ * @throws {Error} ERR_DOTNOPE_INVALID_CONFIG if the whitelist is invalid
+ */
+function readPolicy(customPath = null, profile = null) {
+    const resolved = resolveWhitelist(customPath);
+    assertValidWhitelist(resolved.whitelist, resolved.sources);
+
+    const applied = finalizeWhitelist(resolved, profile);
+    const { config, options } = normalizeConfig(applied.whitelist);
+
+    return { config, options, configPath: resolved.configPath, workspaces: resolved.workspaces };
+}
+
+/**
+ * Get a serializable copy of the current config for passing to workers.
+ * loadConfig() takes it back as directConfig without normalizing it again.
+ * @returns {Object} Policy as from getInheritablePolicy()
  */
 function getSerializableConfig() {
+    return getInheritablePolicy();
+}
+
+/**
+ * Get the resolved policy in a form another process can load as is
+ * with loadInheritedPolicy(): normalized, so nothing is re-read or re-resolved
+ * @returns {Object} { version, config, options, configPath, ruleSources, workspaces }
+ */
+function getInheritablePolicy() {
+    if (!cachedConfig) {
+        loadConfig();
+    }
     return {
+        version: INHERITED_POLICY_VERSION,
         config: cachedConfig,
-        options: cachedOptions
+        options: cachedOptions,
+        configPath,
+        ruleSources: Object.fromEntries(ruleSources),
+        workspaces: workspaces.getWorkspaces()
     };
 }
 
+/**
+ * Load a policy handed down by getInheritablePolicy() in another process.
+ * It cannot be reloaded here: the parent owns the files it came from.
+ * @param {Object} policy
+ * @returns {Object} The configuration
+ * @throws {Error} ERR_DOTNOPE_INVALID_CONFIG if it is not such a policy
+ */
+function loadInheritedPolicy(policy) {
+    if (!isPlainObject(policy) || policy.version !== INHERITED_POLICY_VERSION ||
+        !isPlainObject(policy.config) || !isPlainObject(policy.options)) {
+        const error = new Error('dotnope: The policy handed down by the parent is not valid!\n');
+        error.code = 'ERR_DOTNOPE_INVALID_CONFIG';
+        error.errors = [];
+        throw error;
+    }
+
+    cachedConfig = policy.config;
+    cachedOptions = { ...DEFAULT_OPTIONS, ...policy.options };
+    configPath = typeof policy.configPath === 'string' ? policy.configPath : null;
+    ruleSources = new Map(Object.entries(isPlainObject(policy.ruleSources) ? policy.ruleSources : {}));
+    lastLoadArgs = null;
+    activeProfile = null;
+    startupConfig = null;
+    startupOptions = null;
+    startupSources = null;
+    inheritedPolicy = true;
+    workspaces.setWorkspaces(Array.isArray(policy.workspaces) ? policy.workspaces : []);
+
+    return cachedConfig;
+}
+
+/**
+ * Check if the policy was handed down by a parent process
+ * @returns {boolean}
+ */
+function isInheritedPolicy() {
+    return inheritedPolicy;
+}
+
 /**
  * Normalize whitelist configuration to a consistent format
  * Extracts __options__ into separate options object
@@ -119,41 +1119,77 @@ function normalizeConfig(whitelist) {
                     failClosed: config.failClosed !== false,  // Default true
                     protectWrites: config.protectWrites !== false,  // Default true
                     protectDeletes: config.protectDeletes !== false,  // Default true
-                    protectEnumeration: config.protectEnumeration !== false  // Default true
+                    protectEnumeration: config.protectEnumeration !== false,  // Default true
+                    denied: Array.isArray(config.denied) ? config.denied : [],
+                    mode: MODES.includes(config.mode) ? config.mode : 'enforce',
+                    lockMismatch: LOCK_MISMATCH_ACTIONS.includes(config.lockMismatch) ? config.lockMismatch : 'deny',
+                    immutable: Array.isArray(config.immutable) ? config.immutable : DEFAULT_IMMUTABLE,
+                    protectChildren: config.protectChildren !== false,  // Default true
+                    inheritForChildren: Array.isArray(config.inheritForChildren)
+                        ? config.inheritForChildren
+                        : DEFAULT_INHERIT_FOR_CHILDREN,
+                    protectNodeChildren: config.protectNodeChildren === true, // Default false
+                    protectWorkers: config.protectWorkers === true, // Default false
+                    aggregateStats: config.aggregateStats === true  // Default false
                 };
             }
             continue;
         }
 
+        // Profiles, presets and the startup section are handled by finalizeWhitelist() before normalization
+        if (packageName === 'profiles' || packageName === '__presets__' || packageName === 'startup') {
+            continue;
+        }
+
         if (typeof config === 'object' && config !== null && !Array.isArray(config)) {
             // Full object format
             normalized[packageName] = {
                 allowed: Array.isArray(config.allowed) ? config.allowed : [],
-                canWrite: Array.isArray(config.canWrite) ? config.canWrite : [],
+                ...normalizeWriteGrant(config.canWrite),
                 canDelete: Array.isArray(config.canDelete) ? config.canDelete : [],
+                denied: Array.isArray(config.denied) ? config.denied : [],
                 allowPeerDependencies: Boolean(config.allowPeerDependencies),
                 peerDepthLimit: typeof config.peerDepthLimit === 'number' ? config.peerDepthLimit : 1,
-                excludePeerDependencies: Array.isArray(config.excludePeerDependencies) ? config.excludePeerDependencies : []
+                excludePeerDependencies: Array.isArray(config.excludePeerDependencies) ? config.excludePeerDependencies : [],
+                files: normalizeFileGrants(config.files),
+                expires: parseExpiry(config.expires),
+                untilMs: typeof config.untilMs === 'number' ? config.untilMs : null,
+                maxReads: typeof config.maxReads === 'number' ? config.maxReads : null,
+                mode: MODES.includes(config.mode) ? config.mode : null
             };
         } else if (Array.isArray(config)) {
             // Shorthand: just an array of allowed vars
             normalized[packageName] = {
                 allowed: config,
                 canWrite: [],
+                writeConstraints: null,
                 canDelete: [],
+                denied: [],
                 allowPeerDependencies: false,
                 peerDepthLimit: 1,
-                excludePeerDependencies: []
+                excludePeerDependencies: [],
+                files: {},
+                expires: null,
+                untilMs: null,
+                maxReads: null,
+                mode: null
             };
         } else if (typeof config === 'string') {
             // Single env var as string
             normalized[packageName] = {
                 allowed: [config],
                 canWrite: [],
+                writeConstraints: null,
                 canDelete: [],
+                denied: [],
                 allowPeerDependencies: false,
                 peerDepthLimit: 1,
-                excludePeerDependencies: []
+                excludePeerDependencies: [],
+                files: {},
+                expires: null,
+                untilMs: null,
+                maxReads: null,
+                mode: null
             };
         }
         // Skip invalid entries
@@ -162,6 +1198,61 @@ function normalizeConfig(whitelist) {
     return { config: normalized, options };
 }
 
+/**
+ * Turn an "expires" date into a timestamp.
+ * A bare date ("2026-12-31") stays valid through the end of that day, UTC.
+ * @param {*} value - Date string from the config
+ * @returns {number|null} Milliseconds since the epoch, or null for no expiry
+ */
+function parseExpiry(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        return null;
+    }
+    return /^\d{4}-\d{2}-\d{2}$/.test(value.trim()) ? time + 24 * 60 * 60 * 1000 : time;
+}
+
+/**
+ * Normalize a package's "files" map of subpath -> grant.
+ * Grants take the same array, string or object forms as package entries.
+ * @param {Object} files - Raw files map
+ * @returns {Object} Map of subpath -> { allowed, canWrite, writeConstraints, canDelete, denied }
+ */
+function normalizeFileGrants(files) {
+    const normalized = {};
+
+    if (typeof files !== 'object' || files === null || Array.isArray(files)) {
+        return normalized;
+    }
+
+    for (const [subpath, grant] of Object.entries(files)) {
+        // Subpaths are relative to the package root, with forward slashes
+        const key = subpath.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+
+        if (typeof grant === 'object' && grant !== null && !Array.isArray(grant)) {
+            normalized[key] = {
+                allowed: Array.isArray(grant.allowed) ? grant.allowed : [],
+                ...normalizeWriteGrant(grant.canWrite),
+                canDelete: Array.isArray(grant.canDelete) ? grant.canDelete : [],
+                denied: Array.isArray(grant.denied) ? grant.denied : []
+            };
+        } else if (Array.isArray(grant) || typeof grant === 'string') {
+            normalized[key] = {
+                allowed: Array.isArray(grant) ? grant : [grant],
+                canWrite: [],
+                writeConstraints: null,
+                canDelete: [],
+                denied: []
+            };
+        }
+    }
+
+    return normalized;
+}
+
 /**
  * Get the current configuration (loads if not cached)
  * @returns {Object} Whitelist configuration
@@ -170,7 +1261,7 @@ function getConfig() {
     if (!cachedConfig) {
         loadConfig();
     }
-    return cachedConfig;
+    return isStartupPhase() ? startupConfig : cachedConfig;
 }
 
 /**
@@ -181,17 +1272,65 @@ function getOptions() {
     if (!cachedOptions) {
         loadConfig();
     }
+    if (isStartupPhase()) {
+        return startupOptions;
+    }
     return cachedOptions || DEFAULT_OPTIONS;
 }
 
 /**
- * Get the path to the loaded package.json
+ * Check if the startup-phase whitelist is in force
+ * @returns {boolean} True until lockStartup() when a "startup" section exists
+ */
+function isStartupPhase() {
+    return startupConfig !== null && !startupLocked;
+}
+
+/**
+ * Switch from the startup-phase whitelist to the steady-state one, for good
+ * (reloads keep the steady state)
+ */
+function lockStartup() {
+    startupLocked = true;
+}
+
+/**
+ * Get the path to the loaded config: the standalone config file if
+ * one was used, otherwise package.json
  * @returns {string|null}
  */
 function getConfigPath() {
     return configPath;
 }
 
+/**
+ * Get the file a rule was loaded from
+ * @param {string} key - Package name or "__options__.<key>"
+ * @returns {string|null} File path, "<programmatic>", or null if not configured
+ */
+function getRuleSource(key) {
+    if (isStartupPhase() && startupSources.has(key)) {
+        return startupSources.get(key);
+    }
+    return ruleSources.get(key) || null;
+}
+
+/**
+ * Get the source of every loaded rule
+ * @returns {Object} Map of package name or "__options__.<key>" to file path
+ */
+function getConfigSources() {
+    return Object.fromEntries(ruleSources);
+}
+
+/**
+ * Get the name of the profile applied by the last load
+ * @returns {string|null}
+ */
+function getActiveProfile() {
+    return activeProfile;
+}
+
 /**
  * Clear the configuration cache (useful for testing)
  */
@@ -199,15 +1338,27 @@ function clearCache() {
     cachedConfig = null;
     cachedOptions = null;
     configPath = null;
+    ruleSources = new Map();
+    activeProfile = null;
+    startupConfig = null;
+    startupOptions = null;
+    startupSources = null;
+    startupLocked = false;
+    inheritedPolicy = false;
+    workspaces.clearCache();
 }
 
 /**
- * Reload configuration from disk
+ * Reload configuration from disk, with the profile and DOTNOPE_CONFIG
+ * picked at the first load.
+ * The new whitelist is resolved and validated before anything is replaced,
+ * so an invalid edit throws and leaves the current configuration in place.
+ * @param {Object} [env] - Where to read DOTNOPE_CONFIG, DOTNOPE_PROFILE and
+ *                         NODE_ENV if nothing was loaded yet
  * @returns {Object} Fresh configuration
  */
-function reloadConfig() {
-    clearCache();
-    return loadConfig(configPath);
+function reloadConfig(env = process.env) {
+    return lastLoadArgs ? loadResolvedConfig(lastLoadArgs) : loadConfig(null, null, null, null, env);
 }
 
 /**
@@ -233,15 +1384,40 @@ function getAllowedForPackage(packageName) {
 
 module.exports = {
     findPackageJson,
+    findConfigFile,
+    readConfigFile,
+    parseJsonWithComments,
+    mergeWhitelists,
+    expandExtends,
+    resolvePreset,
+    resolveWhitelist,
+    selectProfile,
+    applyProfile,
+    expandPresets,
+    finalizeWhitelist,
+    unionPackageEntry,
     loadConfig,
+    validateConfig,
+    readPolicy,
     getConfig,
     getOptions,
     getConfigPath,
+    getRuleSource,
+    getConfigSources,
+    getActiveProfile,
+    isStartupPhase,
+    lockStartup,
     clearCache,
     reloadConfig,
     hasWhitelistEntry,
     getAllowedForPackage,
     normalizeConfig,
     getSerializableConfig,
-    DEFAULT_OPTIONS
+    getInheritablePolicy,
+    loadInheritedPolicy,
+    isInheritedPolicy,
+    DEFAULT_OPTIONS,
+    DEFAULT_IMMUTABLE,
+    DEFAULT_INHERIT_FOR_CHILDREN,
+    CONFIG_FILE_NAMES
 };
@@ -0,0 +1,690 @@
+/**
+ * config-validator.js - Strict schema validation for environmentWhitelist
+ *
+ * normalizeConfig() is lenient and drops anything it does not understand.
+ * This module reports every such problem with its JSON path, so typos like
+ * "alowed" fail loudly at startup instead of silently granting nothing.
+ */
+
+'use strict';
+
+const { parsePackageKey, isValidRange } = require('./version-matcher');
+const { PRESETS, getPreset, getPresetNames } = require('./presets');
+
+/**
+ * Enforcement modes: throw, allow but record a violation, or skip checks
+ */
+const MODES = ['enforce', 'audit', 'off'];
+
+/**
+ * What happens to a package that no longer matches dotnope-lock.json:
+ * lose its grants, or keep them and record a violation
+ */
+const LOCK_MISMATCH_ACTIONS = ['deny', 'audit'];
+
+/**
+ * Value types used by the schema
+ */
+const VALUE_TYPES = {
+    boolean: {
+        expected: 'a boolean',
+        check: (value) => typeof value === 'boolean'
+    },
+    nonNegativeInteger: {
+        expected: 'a non-negative integer',
+        check: (value) => Number.isInteger(value) && value >= 0
+    },
+    positiveInteger: {
+        expected: 'a positive integer',
+        check: (value) => Number.isInteger(value) && value > 0
+    },
+    date: {
+        expected: 'a date such as "2026-12-31" or "2026-12-31T18:00:00Z"',
+        check: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+    },
+    mode: {
+        expected: 'one of "enforce", "audit" or "off"',
+        check: (value) => MODES.includes(value),
+        suggest: (value) => {
+            const suggestion = suggestKey(value, MODES);
+            return suggestion ? `did you mean "${suggestion}"?` : null;
+        }
+    },
+    lockMismatch: {
+        expected: 'one of "deny" or "audit"',
+        check: (value) => LOCK_MISMATCH_ACTIONS.includes(value),
+        suggest: (value) => {
+            const suggestion = suggestKey(value, LOCK_MISMATCH_ACTIONS);
+            return suggestion ? `did you mean "${suggestion}"?` : null;
+        }
+    },
+    stringList: {
+        expected: 'an array of strings',
+        check: (value) => Array.isArray(value),
+        itemExpected: 'a non-empty string',
+        checkItem: (item) => typeof item === 'string' && item.length > 0
+    },
+    patternList: {
+        expected: 'an array of env var names or patterns',
+        check: (value) => Array.isArray(value),
+        itemExpected: 'a non-empty string',
+        checkItem: (item) => typeof item === 'string' && item.length > 0 && item !== '!'
+    },
+    writeGrant: {
+        expected: 'an array of env var names or patterns, or an object mapping them to allowed values',
+        check: (value) => Array.isArray(value) || isPlainObject(value),
+        checkItem: (item) => typeof item === 'string' && item.length > 0 && item !== '!'
+    },
+    fileGrants: {
+        expected: 'an object mapping file paths to grants',
+        check: (value) => isPlainObject(value)
+    },
+    presetName: {
+        expected: 'the name of a built-in preset',
+        check: (value) => typeof value === 'string' && getPreset(value) !== null,
+        suggest: (value) => suggestPreset(value, Object.keys(PRESETS))
+    },
+    presetList: {
+        expected: 'an array of preset names',
+        check: (value) => Array.isArray(value),
+        itemExpected: 'a built-in preset or group name',
+        checkItem: (item) => typeof item === 'string' && getPresetNames().includes(item),
+        suggest: (item) => suggestPreset(item, getPresetNames())
+    }
+};
+
+/**
+ * Keys accepted in a package entry's object form
+ */
+const PACKAGE_KEYS = {
+    allowed: 'patternList',
+    canWrite: 'writeGrant',
+    canDelete: 'patternList',
+    denied: 'patternList',
+    allowPeerDependencies: 'boolean',
+    peerDepthLimit: 'nonNegativeInteger',
+    excludePeerDependencies: 'stringList',
+    files: 'fileGrants',
+    preset: 'presetName',
+    expires: 'date',
+    untilMs: 'positiveInteger',
+    maxReads: 'positiveInteger',
+    mode: 'mode'
+};
+
+/**
+ * Package keys that limit how long or how often a grant may be used
+ */
+const LIMIT_KEYS = ['expires', 'untilMs', 'maxReads'];
+
+/**
+ * Keys accepted in a file-level grant under "files"
+ */
+const FILE_GRANT_KEYS = {
+    allowed: 'patternList',
+    canWrite: 'writeGrant',
+    canDelete: 'patternList',
+    denied: 'patternList'
+};
+
+/**
+ * Keys accepted under __options__
+ */
+const OPTION_KEYS = {
+    failClosed: 'boolean',
+    protectWrites: 'boolean',
+    protectDeletes: 'boolean',
+    protectEnumeration: 'boolean',
+    denied: 'patternList',
+    mode: 'mode',
+    lockMismatch: 'lockMismatch',
+    immutable: 'patternList',
+    protectChildren: 'boolean',
+    inheritForChildren: 'patternList',
+    protectNodeChildren: 'boolean',
+    protectWorkers: 'boolean',
+    aggregateStats: 'boolean'
+};
+
+/**
+ * Top-level keys with a special meaning (everything else is a package name)
+ */
+const RESERVED_KEYS = ['__options__', '__main__', '__presets__', 'profiles', 'extends', 'startup'];
+
+/**
+ * Compute the Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Find the closest known key to a mistyped one
+ * @param {string} key - Unknown key
+ * @param {string[]} candidates - Known keys
+ * @returns {string|null} Suggestion or null if nothing is close enough
+ */
+function suggestKey(key, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+        const distance = editDistance(key, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    const threshold = Math.max(2, Math.floor(key.length / 3));
+    return bestDistance <= threshold ? best : null;
+}
+
+/**
+ * Suggest a preset name for a mistyped one
+ * @param {string} value - Unknown preset name
+ * @param {string[]} names - Known preset names
+ * @returns {string}
+ */
+function suggestPreset(value, names) {
+    const suggestion = suggestKey(value, names);
+    return suggestion ? `did you mean "${suggestion}"?` : `available presets: ${names.join(', ')}`;
+}
+
+/**
+ * Format a JSON path segment
+ * @param {string} base
+ * @param {string|number} segment
+ * @returns {string}
+ */
+function joinPath(base, segment) {
+    if (typeof segment === 'number') {
+        return `${base}[${segment}]`;
+    }
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) {
+        return `${base}.${segment}`;
+    }
+    return `${base}[${JSON.stringify(segment)}]`;
+}
+
+/**
+ * Describe the type of a value for error messages
+ * @param {*} value
+ * @returns {string}
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validate an object against a key -> type schema
+ * @param {Object} value - Object to validate
+ * @param {Object} schema - Map of key to VALUE_TYPES name
+ * @param {string} jsonPath - Path of the object
+ * @param {Function} sourceOf - Returns the file a key came from
+ * @param {Array} errors - Collected errors
+ */
+function validateObject(value, schema, jsonPath, sourceOf, errors) {
+    const knownKeys = Object.keys(schema);
+
+    for (const [key, entry] of Object.entries(value)) {
+        const keyPath = joinPath(jsonPath, key);
+        const typeName = schema[key];
+        const source = sourceOf(key);
+
+        if (!typeName) {
+            const suggestion = suggestKey(key, knownKeys);
+            errors.push({
+                path: keyPath,
+                message: `unknown key "${key}"`,
+                suggestion: suggestion ? `did you mean "${suggestion}"?` : `expected one of: ${knownKeys.join(', ')}`,
+                source
+            });
+            continue;
+        }
+
+        validateValue(entry, typeName, keyPath, source, errors);
+    }
+}
+
+/**
+ * Validate a single value against a VALUE_TYPES entry
+ * @param {*} value
+ * @param {string} typeName
+ * @param {string} jsonPath
+ * @param {string|null} source
+ * @param {Array} errors
+ */
+function validateValue(value, typeName, jsonPath, source, errors) {
+    const type = VALUE_TYPES[typeName];
+
+    if (!type.check(value)) {
+        let suggestion = null;
+        if (type.checkItem && type.checkItem(value)) {
+            suggestion = `wrap it in an array: [${JSON.stringify(value)}]`;
+        } else if (typeName === 'boolean' && (value === 'true' || value === 'false')) {
+            suggestion = `use ${value} without quotes`;
+        } else if (type.suggest && typeof value === 'string') {
+            suggestion = type.suggest(value);
+        }
+        errors.push({
+            path: jsonPath,
+            message: `expected ${type.expected}, got ${describeType(value)}`,
+            suggestion,
+            source
+        });
+        return;
+    }
+
+    if (typeName === 'writeGrant') {
+        if (Array.isArray(value)) {
+            validateValue(value, 'patternList', jsonPath, source, errors);
+        } else {
+            validateWriteConstraints(value, jsonPath, source, errors);
+        }
+        return;
+    }
+
+    if (typeName === 'fileGrants') {
+        validateFileGrants(value, jsonPath, source, errors);
+        return;
+    }
+
+    if (type.checkItem) {
+        value.forEach((item, index) => {
+            if (!type.checkItem(item)) {
+                errors.push({
+                    path: joinPath(jsonPath, index),
+                    message: `expected ${type.itemExpected}, got ${describeType(item)}${typeof item === 'string' ? ` ${JSON.stringify(item)}` : ''}`,
+                    suggestion: type.suggest && typeof item === 'string' ? type.suggest(item) : null,
+                    source
+                });
+            }
+        });
+    }
+}
+
+/**
+ * Validate the object form of "canWrite": env var name or pattern ->
+ * true, an array of allowed values, or { "pattern": "<regex>" }
+ * @param {Object} constraints
+ * @param {string} jsonPath
+ * @param {string|null} source
+ * @param {Array} errors
+ */
+function validateWriteConstraints(constraints, jsonPath, source, errors) {
+    for (const [name, constraint] of Object.entries(constraints)) {
+        const constraintPath = joinPath(jsonPath, name);
+
+        if (name.length === 0 || name === '!') {
+            errors.push({ path: constraintPath, message: `invalid env var name or pattern "${name}"`, suggestion: null, source });
+        } else if (constraint === true) {
+            continue;
+        } else if (name.startsWith('!')) {
+            errors.push({
+                path: constraintPath,
+                message: `expected true for a negation, got ${describeType(constraint)}`,
+                suggestion: 'a negation removes the name, so it takes no values',
+                source
+            });
+        } else if (Array.isArray(constraint)) {
+            if (constraint.length === 0) {
+                errors.push({
+                    path: constraintPath,
+                    message: 'expected at least one allowed value',
+                    suggestion: 'use true to allow any value, or remove the entry to deny writes',
+                    source
+                });
+            }
+            constraint.forEach((value, index) => {
+                if (typeof value !== 'string') {
+                    errors.push({
+                        path: joinPath(constraintPath, index),
+                        message: `expected a string, got ${describeType(value)}`,
+                        suggestion: typeof value === 'number' || typeof value === 'boolean'
+                            ? `environment values are strings: use ${JSON.stringify(String(value))}`
+                            : null,
+                        source
+                    });
+                }
+            });
+        } else if (isPlainObject(constraint) && typeof constraint.pattern === 'string' && Object.keys(constraint).length === 1) {
+            try {
+                new RegExp(constraint.pattern);
+            } catch (err) {
+                errors.push({
+                    path: joinPath(constraintPath, 'pattern'),
+                    message: `invalid regular expression: ${err.message}`,
+                    suggestion: null,
+                    source
+                });
+            }
+        } else {
+            errors.push({
+                path: constraintPath,
+                message: `expected true, an array of allowed values or { "pattern": "..." }, got ${describeType(constraint)}`,
+                suggestion: constraint === false ? 'remove the entry to deny writes' : null,
+                source
+            });
+        }
+    }
+}
+
+/**
+ * Validate a package's "files" map of subpath -> grant
+ * @param {Object} files
+ * @param {string} jsonPath
+ * @param {string|null} source
+ * @param {Array} errors
+ */
+function validateFileGrants(files, jsonPath, source, errors) {
+    for (const [subpath, grant] of Object.entries(files)) {
+        const grantPath = joinPath(jsonPath, subpath);
+
+        if (subpath.length === 0 || subpath.split(/[\\/]/).includes('..')) {
+            errors.push({
+                path: grantPath,
+                message: `invalid file path "${subpath}"`,
+                suggestion: 'use a path relative to the package root, e.g. "lib/config.js" or "lib/"',
+                source
+            });
+            continue;
+        }
+
+        if (typeof grant === 'string') {
+            if (grant.length === 0) {
+                errors.push({ path: grantPath, message: 'expected a non-empty string', suggestion: null, source });
+            }
+        } else if (Array.isArray(grant)) {
+            validateValue(grant, 'patternList', grantPath, source, errors);
+        } else if (isPlainObject(grant)) {
+            validateObject(grant, FILE_GRANT_KEYS, grantPath, () => source, errors);
+        } else {
+            errors.push({
+                path: grantPath,
+                message: `expected an object, an array of env var names or a string, got ${describeType(grant)}`,
+                suggestion: null,
+                source
+            });
+        }
+    }
+}
+
+/**
+ * Validate a raw environmentWhitelist object
+ * @param {Object} whitelist - Raw whitelist (before normalization)
+ * @param {Map<string, string>|Object} [sources] - Where each top-level key came from
+ * @returns {Array<{path: string, message: string, suggestion: string|null, source: string|null}>}
+ */
+function validateWhitelist(whitelist, sources = new Map()) {
+    const errors = [];
+    const sourceOf = (key) => (sources instanceof Map ? sources.get(key) : sources[key]) || null;
+    const rootPath = 'environmentWhitelist';
+
+    if (!isPlainObject(whitelist)) {
+        errors.push({
+            path: rootPath,
+            message: `expected an object, got ${describeType(whitelist)}`,
+            suggestion: null,
+            source: null
+        });
+        return errors;
+    }
+
+    validateEntries(whitelist, rootPath, sourceOf, errors, true);
+    return errors;
+}
+
+/**
+ * Validate the entries of a whitelist or of one of its profiles
+ * @param {Object} entries - Whitelist or profile object
+ * @param {string} rootPath - JSON path of the object
+ * @param {Function} sourceOf - Returns the file a key came from
+ * @param {Array} errors - Collected errors
+ * @param {boolean} topLevel - False inside a profile, where "profiles" and "extends" are not accepted
+ */
+function validateEntries(entries, rootPath, sourceOf, errors, topLevel) {
+    for (const [key, entry] of Object.entries(entries)) {
+        const keyPath = joinPath(rootPath, key);
+
+        if (key === '__options__') {
+            if (!isPlainObject(entry)) {
+                errors.push({
+                    path: keyPath,
+                    message: `expected an object, got ${describeType(entry)}`,
+                    suggestion: null,
+                    source: sourceOf('__options__')
+                });
+                continue;
+            }
+            validateObject(entry, OPTION_KEYS, keyPath, (optionKey) => sourceOf(`__options__.${optionKey}`), errors);
+            continue;
+        }
+
+        if (key === 'profiles') {
+            validateProfiles(entry, keyPath, sourceOf, errors, topLevel);
+            continue;
+        }
+
+        if (key === '__presets__') {
+            validateValue(entry, 'presetList', keyPath, sourceOf(key), errors);
+            continue;
+        }
+
+        if (key === 'startup') {
+            if (!topLevel) {
+                errors.push({
+                    path: keyPath,
+                    message: '"startup" is only allowed at the top level',
+                    suggestion: null,
+                    source: sourceOf(key)
+                });
+            } else if (!isPlainObject(entry)) {
+                errors.push({
+                    path: keyPath,
+                    message: `expected an object, got ${describeType(entry)}`,
+                    suggestion: null,
+                    source: sourceOf(key)
+                });
+            } else {
+                validateEntries(entry, keyPath, () => sourceOf(key), errors, false);
+            }
+            continue;
+        }
+
+        if (key === 'extends') {
+            if (!topLevel) {
+                errors.push({
+                    path: keyPath,
+                    message: '"extends" is only allowed at the top level',
+                    suggestion: null,
+                    source: sourceOf(key)
+                });
+            } else if (typeof entry !== 'string' || entry.length === 0) {
+                validateValue(entry, 'stringList', keyPath, sourceOf(key), errors);
+            }
+            continue;
+        }
+
+        const source = sourceOf(key);
+
+        // Keys that look like a reserved key but are not one are almost always typos
+        if (key.startsWith('_') && !RESERVED_KEYS.includes(key)) {
+            const suggestion = suggestKey(key, RESERVED_KEYS);
+            if (suggestion) {
+                errors.push({
+                    path: keyPath,
+                    message: `unknown reserved key "${key}"`,
+                    suggestion: `did you mean "${suggestion}"?`,
+                    source
+                });
+                continue;
+            }
+        }
+
+        // "name@range" keys must carry a range we can evaluate
+        const { range } = parsePackageKey(key);
+        if (range !== null && (range.length === 0 || !isValidRange(range))) {
+            errors.push({
+                path: keyPath,
+                message: `invalid version range "${range}"`,
+                suggestion: 'use a semver range such as "^1.6.0", "~2.1.0" or ">=3.0.0 <4"',
+                source
+            });
+        }
+
+        if (typeof entry === 'string') {
+            if (entry.length === 0) {
+                errors.push({ path: keyPath, message: 'expected a non-empty string', suggestion: null, source });
+            }
+        } else if (Array.isArray(entry)) {
+            validateValue(entry, 'patternList', keyPath, source, errors);
+        } else if (isPlainObject(entry)) {
+            validateObject(entry, PACKAGE_KEYS, keyPath, () => source, errors);
+
+            // A limited grant passed on to peers could not be used up or expire for them
+            const limits = LIMIT_KEYS.filter(limitKey => entry[limitKey] !== undefined);
+            if (limits.length > 0 && entry.allowPeerDependencies === true) {
+                errors.push({
+                    path: joinPath(keyPath, limits[0]),
+                    message: `"${limits[0]}" cannot be combined with "allowPeerDependencies"`,
+                    suggestion: 'give each dependency that needs access its own entry',
+                    source
+                });
+            }
+        } else {
+            errors.push({
+                path: keyPath,
+                message: `expected an object, an array of env var names or a string, got ${describeType(entry)}`,
+                suggestion: null,
+                source
+            });
+        }
+    }
+}
+
+/**
+ * Validate the "profiles" map: every profile is a whitelist overlay
+ * @param {*} profiles
+ * @param {string} jsonPath
+ * @param {Function} sourceOf
+ * @param {Array} errors
+ * @param {boolean} allowed - False inside a profile, where profiles cannot nest
+ */
+function validateProfiles(profiles, jsonPath, sourceOf, errors, allowed) {
+    if (!allowed) {
+        errors.push({
+            path: jsonPath,
+            message: 'profiles cannot be nested',
+            suggestion: 'move this profile to the top-level "profiles" key',
+            source: null
+        });
+        return;
+    }
+
+    if (!isPlainObject(profiles)) {
+        errors.push({
+            path: jsonPath,
+            message: `expected an object mapping profile names to whitelists, got ${describeType(profiles)}`,
+            suggestion: null,
+            source: sourceOf('profiles')
+        });
+        return;
+    }
+
+    for (const [profileName, profile] of Object.entries(profiles)) {
+        const profilePath = joinPath(jsonPath, profileName);
+        const source = sourceOf(`profiles.${profileName}`);
+
+        if (!isPlainObject(profile)) {
+            errors.push({
+                path: profilePath,
+                message: `expected an object, got ${describeType(profile)}`,
+                suggestion: null,
+                source
+            });
+            continue;
+        }
+
+        validateEntries(profile, profilePath, () => source, errors, false);
+    }
+}
+
+/**
+ * Build the error thrown for an invalid configuration
+ * @param {Array} errors - Errors from validateWhitelist()
+ * @returns {Error} Error with code ERR_DOTNOPE_INVALID_CONFIG
+ */
+function createValidationError(errors) {
+    const lines = errors.map(({ path: jsonPath, message, suggestion, source }) => {
+        let line = `  ${jsonPath}: ${message}`;
+        if (suggestion) {
+            line += ` (${suggestion})`;
+        }
+        if (source) {
+            line += `\n    in ${source}`;
+        }
+        return line;
+    });
+
+    const error = new Error(
+        `dotnope: Invalid environmentWhitelist configuration ` +
+        `(${errors.length} problem${errors.length === 1 ? '' : 's'})\n` +
+        `\n` +
+        `${lines.join('\n')}\n`
+    );
+    error.code = 'ERR_DOTNOPE_INVALID_CONFIG';
+    error.errors = errors;
+    return error;
+}
+
+/**
+ * Throw if a raw whitelist does not match the schema
+ * @param {Object} whitelist - Raw whitelist
+ * @param {Map<string, string>|Object} [sources] - Where each top-level key came from
+ * @throws {Error} ERR_DOTNOPE_INVALID_CONFIG listing every problem
+ */
+function assertValidWhitelist(whitelist, sources) {
+    const errors = validateWhitelist(whitelist, sources);
+    if (errors.length > 0) {
+        throw createValidationError(errors);
+    }
+}
+
+module.exports = {
+    validateWhitelist,
+    assertValidWhitelist,
+    createValidationError,
+    suggestKey,
+    PACKAGE_KEYS,
+    FILE_GRANT_KEYS,
+    OPTION_KEYS,
+    MODES,
+    LOCK_MISMATCH_ACTIONS,
+    RESERVED_KEYS
+};
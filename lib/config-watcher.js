@@ -0,0 +1,83 @@
+/**
+ * config-watcher.js - Watch whitelist files for changes
+ *
+ * Polls with fs.watchFile rather than fs.watch: editors and deploy tools
+ * often replace a file instead of writing it in place, which ends an
+ * fs.watch subscription. Watchers never keep the process alive.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Watch a set of files and call back once per burst of changes
+ * @param {string[]} files - Absolute file paths
+ * @param {Function} onChange - Called with no arguments after a change
+ * @param {Object} [options]
+ * @param {number} [options.interval=1000] - Poll interval in ms
+ * @param {number} [options.debounce=100] - Quiet period before onChange fires
+ * @returns {Object} { setFiles(files), getFiles(), close() }
+ */
+function watchConfigFiles(files, onChange, options = {}) {
+    const interval = options.interval || 1000;
+    const debounce = options.debounce === undefined ? 100 : options.debounce;
+    const watched = new Map();
+    let timer = null;
+    let closed = false;
+
+    const listener = (curr, prev) => {
+        if (closed || (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size && curr.ino === prev.ino)) {
+            return;
+        }
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            if (!closed) {
+                onChange();
+            }
+        }, debounce);
+        timer.unref();
+    };
+
+    /**
+     * Replace the set of watched files
+     * @param {string[]} nextFiles
+     */
+    function setFiles(nextFiles) {
+        const wanted = new Set(nextFiles.filter(file => path.isAbsolute(file)));
+
+        for (const file of watched.keys()) {
+            if (!wanted.has(file)) {
+                fs.unwatchFile(file, listener);
+                watched.delete(file);
+            }
+        }
+        for (const file of wanted) {
+            if (!watched.has(file)) {
+                const watcher = fs.watchFile(file, { persistent: false, interval }, listener);
+                watched.set(file, watcher);
+            }
+        }
+    }
+
+    setFiles(files);
+
+    return {
+        setFiles,
+        getFiles: () => [...watched.keys()],
+        close() {
+            closed = true;
+            clearTimeout(timer);
+            for (const file of watched.keys()) {
+                fs.unwatchFile(file, listener);
+            }
+            watched.clear();
+        }
+    };
+}
+
+module.exports = {
+    watchConfigFiles
+};
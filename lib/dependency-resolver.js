@@ -2,6 +2,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { matchesAny, matchesPattern } = require('./pattern-matcher');
+const { parsePackageKey, satisfies } = require('./version-matcher');
 
 // Cache: packageName -> Set of dependency names
 const dependencyCache = new Map();
@@ -9,6 +11,9 @@ const dependencyCache = new Map();
 // Cache: envVar -> Set of packages allowed to access it
 const envVarAllowedCache = new Map();
 
+// Cache: packageName -> version-scoped config keys for it ("axios@^1.6.0")
+const versionedKeysCache = new Map();
+
 // Track warnings already emitted to avoid spam
 const peerDepWarningsEmitted = new Set();
 
@@ -162,9 +167,9 @@ function getAllowedPackagesForEnvVar(envVar, config) {
         }
 
         // Check if this package is allowed to access this env var
-        const isAllowed = packageConfig.allowed &&
-                         (packageConfig.allowed.includes(envVar) ||
-                          packageConfig.allowed.includes('*'));
+        // An explicit deny also stops the grant from reaching peer dependencies
+        const isAllowed = matchesAny(envVar, packageConfig.allowed) &&
+                         !matchesAny(envVar, packageConfig.denied);
 
         if (isAllowed) {
             allowedPackages.add(packageName);
@@ -180,8 +185,8 @@ function getAllowedPackagesForEnvVar(envVar, config) {
                 // Get excluded packages
                 const excludePackages = new Set(packageConfig.excludePeerDependencies || []);
 
-                // Get dependencies with limits
-                const deps = getDependenciesWithLimit(packageName, depthLimit, excludePackages);
+                // Get dependencies with limits (version-scoped keys resolve by name)
+                const deps = getDependenciesWithLimit(parsePackageKey(packageName).name, depthLimit, excludePackages);
 
                 for (const dep of deps) {
                     allowedPackages.add(dep);
@@ -207,6 +212,116 @@ function getAllowedPackagesForEnvVar(envVar, config) {
     return allowedPackages;
 }
 
+/**
+ * Get the version-scoped config keys for a package, in config order
+ * @param {string} packageName
+ * @param {Object} config - Whitelist configuration
+ * @returns {string[]}
+ */
+function getVersionedKeys(packageName, config) {
+    if (versionedKeysCache.has(packageName)) {
+        return versionedKeysCache.get(packageName);
+    }
+
+    const keys = Object.keys(config).filter(key => {
+        const { name, range } = parsePackageKey(key);
+        return range !== null && name === packageName;
+    });
+
+    versionedKeysCache.set(packageName, keys);
+    return keys;
+}
+
+/**
+ * Check if the whitelist scopes any entry for a package to a version range
+ * @param {string} packageName
+ * @param {Object} config - Whitelist configuration
+ * @returns {boolean}
+ */
+function hasVersionedKeys(packageName, config) {
+    return getVersionedKeys(packageName, config).length > 0;
+}
+
+/**
+ * Find the config key that governs a specific installed copy of a package.
+ * The first "name@range" key whose range the version satisfies wins;
+ * otherwise the plain package name is used.
+ * @param {string} packageName
+ * @param {string|null} version - Installed version of the calling copy
+ * @param {Object} config - Whitelist configuration
+ * @returns {string} Config key to look permissions up under
+ */
+function resolveConfigKey(packageName, version, config) {
+    if (version) {
+        for (const key of getVersionedKeys(packageName, config)) {
+            if (satisfies(version, parsePackageKey(key).range)) {
+                return key;
+            }
+        }
+    }
+    return packageName;
+}
+
+/**
+ * Check if a file subpath is covered by a "files" key.
+ * "lib/config.js" matches that file, "lib/" matches everything under lib,
+ * and glob keys such as "lib/*.js" are matched as patterns.
+ * @param {string} subpath - Caller's path relative to the package root
+ * @param {string} fileKey - Key from the package's "files" map
+ * @returns {boolean}
+ */
+function subpathMatches(subpath, fileKey) {
+    if (fileKey.endsWith('/')) {
+        return subpath.startsWith(fileKey);
+    }
+    return matchesPattern(subpath, fileKey);
+}
+
+/**
+ * Get the file-level grants that apply to a caller inside a package
+ * @param {string} packageName - Config key of the package
+ * @param {string|null} subpath - Caller's path relative to the package root
+ * @param {Object} config - Whitelist configuration
+ * @returns {Object[]} Matching grants ({ allowed, canWrite, canDelete, denied })
+ */
+function getFileGrants(packageName, subpath, config) {
+    const packageConfig = config[packageName];
+    if (!packageConfig || !packageConfig.files || subpath === null) {
+        return [];
+    }
+
+    const grants = [];
+    for (const [fileKey, grant] of Object.entries(packageConfig.files)) {
+        if (subpathMatches(subpath, fileKey)) {
+            grants.push(grant);
+        }
+    }
+    return grants;
+}
+
+/**
+ * Check if an env var is explicitly denied to a package.
+ * Denies win over allowed, "*" and allowPeerDependencies.
+ * @param {string} packageName
+ * @param {string} envVar
+ * @param {Object} config - Whitelist configuration
+ * @param {string[]} [globalDenied] - Denied patterns from __options__
+ * @returns {boolean}
+ */
+function isEnvVarDenied(packageName, envVar, config, globalDenied = []) {
+    // Main application always has access
+    if (packageName === '__main__') {
+        return false;
+    }
+
+    if (matchesAny(envVar, globalDenied)) {
+        return true;
+    }
+
+    const packageConfig = config[packageName];
+    return Boolean(packageConfig && matchesAny(envVar, packageConfig.denied));
+}
+
 /**
  * Check if a package is allowed to access an env var
  * @param {string} packageName
@@ -220,6 +335,10 @@ function isPackageAllowed(packageName, envVar, config) {
         return true;
     }
 
+    if (isEnvVarDenied(packageName, envVar, config)) {
+        return false;
+    }
+
     const allowedPackages = getAllowedPackagesForEnvVar(envVar, config);
     return allowedPackages.has(packageName);
 }
@@ -230,6 +349,7 @@ function isPackageAllowed(packageName, envVar, config) {
 function clearCache() {
     dependencyCache.clear();
     envVarAllowedCache.clear();
+    versionedKeysCache.clear();
     peerDepWarningsEmitted.clear();
 }
 
@@ -262,6 +382,10 @@ module.exports = {
     isDependencyOf,
     getAllowedPackagesForEnvVar,
     isPackageAllowed,
+    isEnvVarDenied,
+    hasVersionedKeys,
+    resolveConfigKey,
+    getFileGrants,
     clearCache,
     getDependencyTree,
     getDependenciesWithLimit
@@ -1,11 +1,55 @@
 'use strict';
 
 const crypto = require('crypto');
-const { createEnvProxy, enable, disable, restore, setFilterKeysFn } = require('./proxy');
-const { getCallingPackage, wasTamperingDetected } = require('./stack-parser');
-const { loadConfig, getConfig, getOptions, clearCache: clearConfigCache, getSerializableConfig } = require('./config-loader');
-const { isPackageAllowed, clearCache: clearDepCache } = require('./dependency-resolver');
+const path = require('path');
+const { createEnvProxy, enable, disable, restore, setFilterKeysFn, setProxyOptions, setReadOnly, getOriginalEnv } = require('./proxy');
+const {
+    getCallingPackage,
+    getPackageVersion,
+    getPackageDir,
+    getPackageSubpath,
+    wasTamperingDetected,
+    clearCache: clearStackCache
+} = require('./stack-parser');
+const {
+    findPackageJson,
+    loadConfig,
+    getConfig,
+    getOptions,
+    getConfigPath,
+    getRuleSource,
+    getConfigSources,
+    reloadConfig,
+    isStartupPhase,
+    lockStartup,
+    clearCache: clearConfigCache,
+    getSerializableConfig,
+    getInheritablePolicy,
+    loadInheritedPolicy,
+    isInheritedPolicy,
+    validateConfig
+} = require('./config-loader');
+const {
+    isPackageAllowed,
+    isEnvVarDenied,
+    hasVersionedKeys,
+    resolveConfigKey,
+    getFileGrants,
+    clearCache: clearDepCache
+} = require('./dependency-resolver');
+const { matchesAny, isUnrestricted } = require('./pattern-matcher');
+const writeConstraints = require('./write-constraints');
 const nativeBridge = require('./native-bridge');
+const { diffConfigs, formatConfigDiff } = require('./config-diff');
+const { watchConfigFiles } = require('./config-watcher');
+const runtimeGrants = require('./runtime-grants');
+const learner = require('./learner');
+const lockfile = require('./lockfile');
+const { getWorkspaces } = require('./workspaces');
+const { installChildGuards, removeChildGuards } = require('./child-env');
+const childPolicy = require('./child-policy');
+const workerPolicy = require('./worker-policy');
+const aggregator = require('./aggregator');
 
 // Worker thread support
 let isMainThread = true;
@@ -25,27 +69,73 @@ let globalHandle = null;
 // Access tracking: "packageName:envVar" -> count
 const accessCounts = new Map();
 
+// Reads counted against "maxReads": "principal:envVar" -> count
+const limitedReadCounts = new Map();
+
+// "principal:envVar" of a counted descriptor read, whose following get is the same read
+let pendingDescriptorRead = null;
+
+// Accesses allowed in audit mode: "code:packageName:envVar:operation" -> violation
+const violations = new Map();
+
+// Called with each new violation; set by enableStrictEnv({ onViolation })
+let onViolation = null;
+
+// Set by enableStrictEnv({ learn }): { output, format }, and the exit hooks writing the result
+let learnOptions = null;
+let learnExitHooks = null;
+
+// When protection was enabled, for "untilMs" grants
+let enabledAt = null;
+
 // Track if security warnings have been emitted
 let securityWarningsEmitted = false;
 
 // Track if this is a worker that was explicitly allowed
 let workerAllowed = false;
 
+// File watcher started by enableStrictEnv({ watch: true })
+let configWatcher = null;
+
 /**
  * Check if a package is allowed to access an environment variable
  * Throws an error if access is denied
  * @param {string} envVar - The environment variable being accessed
  * @param {string} operation - The operation type: 'read', 'write', or 'delete'
+ * @param {*} [value] - The value being written, for writes
+ * @param {string} [readKind] - For reads: 'get', 'has' ('in') or 'descriptor'
  */
-function checkAccess(envVar, operation = 'read') {
+function checkAccess(envVar, operation = 'read', value, readKind = 'get') {
     // Get the caller info - isInternalFile check handles skipping strictenv frames
     const callerInfo = getCallingPackage(0);
     const options = getOptions();
 
+    // Immutable env vars stay as they were for everyone, the main application included
+    if (operation !== 'read' && options.mode !== 'off' && matchesAny(envVar, options.immutable)) {
+        rejectAccess(createImmutableError(envVar, operation, callerInfo), options.mode);
+        return;
+    }
+
+    // With protectWrites or protectDeletes off, only immutable env vars get here
+    if ((operation === 'write' && !options.protectWrites) || (operation === 'delete' && !options.protectDeletes)) {
+        return;
+    }
+
+    // Learning mode allows everything and records who used what
+    if (learnOptions) {
+        if (callerInfo && callerInfo.packageName !== '__main__') {
+            const { principal } = resolvePrincipal(callerInfo.packageName, callerInfo.fileName, getConfig());
+            const trackingKey = `${callerInfo.packageName}:${envVar}:${operation}`;
+            accessCounts.set(trackingKey, (accessCounts.get(trackingKey) || 0) + 1);
+            learner.record(principal, envVar, operation);
+        }
+        return;
+    }
+
     if (!callerInfo) {
         // Cannot determine caller - this can happen in some edge cases
         // Fail-closed by default (configurable)
-        if (options.failClosed) {
+        if (options.failClosed && options.mode !== 'off') {
             const error = new Error(
                 `dotnope: Unable to identify calling package!\n` +
                 `\n` +
@@ -64,7 +154,7 @@ function checkAccess(envVar, operation = 'read') {
             error.code = 'ERR_DOTNOPE_UNKNOWN_CALLER';
             error.envVar = envVar;
             error.operation = operation;
-            throw error;
+            rejectAccess(error, options.mode);
         }
         return;
     }
@@ -72,8 +162,9 @@ function checkAccess(envVar, operation = 'read') {
     const { packageName, fileName, lineNumber, functionName, isEval } = callerInfo;
 
     // Block eval/Function contexts when failClosed is enabled
-    // eval() and new Function() can be used to hide the true calling package
-    if (isEval && options.failClosed) {
+    // eval() and new Function() can be used to hide the true calling package,
+    // so only the global mode applies here
+    if (isEval && options.failClosed && options.mode !== 'off') {
         const error = new Error(
             `dotnope: Environment variable access from eval context blocked!\n` +
             `\n` +
@@ -97,7 +188,8 @@ function checkAccess(envVar, operation = 'read') {
         error.packageName = packageName;
         error.fileName = fileName;
         error.lineNumber = lineNumber;
-        throw error;
+        rejectAccess(error, options.mode);
+        return;
     }
 
     // Main application always has access
@@ -106,55 +198,493 @@ function checkAccess(envVar, operation = 'read') {
     }
 
     const config = getConfig();
+    const { principal, packageVersion, fileGrants } = resolvePrincipal(packageName, fileName, config);
 
     // Track access
     const trackingKey = `${packageName}:${envVar}:${operation}`;
     accessCounts.set(trackingKey, (accessCounts.get(trackingKey) || 0) + 1);
 
+    const mode = getMode(principal, config, options);
+    if (mode === 'off') {
+        return;
+    }
+
+    // A package that no longer matches dotnope-lock.json has lost its grants,
+    // unless mismatches are only audited
+    if (lockfile.isActive()) {
+        const callerVersion = packageVersion || getPackageVersion(fileName, packageName);
+        const pinMismatch = lockfile.getPinMismatch(principal, callerVersion, getPackageDir(fileName, packageName));
+        if (pinMismatch) {
+            const auditOnly = options.lockMismatch === 'audit';
+            rejectAccess(createIntegrityError(pinMismatch, {
+                packageName, principal, packageVersion: callerVersion, envVar, operation, fileName, lineNumber, functionName
+            }), auditOnly ? 'audit' : mode);
+            if (!auditOnly) {
+                return;
+            }
+        }
+    }
+
+    // Explicit denies win over allowed, "*" and allowPeerDependencies
+    if (isEnvVarDenied(principal, envVar, config, options.denied) ||
+        fileGrants.some(grant => matchesAny(envVar, grant.denied))) {
+        const denyPath = matchesAny(envVar, options.denied)
+            ? getRuleSource('__options__.denied')
+            : getRuleSource(principal);
+        const error = new Error(
+            `dotnope: Environment variable ${operation} explicitly denied!\n` +
+            `\n` +
+            `  Package: "${packageName}"\n` +
+            formatVersionLine(packageVersion) +
+            `  Attempted to ${operation}: "${envVar}"\n` +
+            `  Location: ${fileName}:${lineNumber}\n` +
+            `  Function: ${functionName}\n` +
+            `\n` +
+            `"${envVar}" matches a "denied" entry, which overrides every grant.\n` +
+            `Remove it from the "denied" list${denyPath ? ` in ${denyPath}` : ''} to allow this access.\n`
+        );
+
+        error.code = 'ERR_DOTNOPE_DENIED';
+        error.configPath = denyPath;
+        error.packageName = packageName;
+        error.packageVersion = packageVersion;
+        error.envVar = envVar;
+        error.operation = operation;
+        error.fileName = fileName;
+        error.lineNumber = lineNumber;
+        error.functionName = functionName;
+
+        rejectAccess(error, mode);
+        return;
+    }
+
     // Check if access is allowed based on operation type
     let isAllowed = false;
-    let configKey = 'allowed';
+    const configKey = operation === 'write' ? 'canWrite' : operation === 'delete' ? 'canDelete' : 'allowed';
 
-    if (operation === 'read') {
-        isAllowed = isPackageAllowed(packageName, envVar, config);
-        configKey = 'allowed';
-    } else if (operation === 'write') {
-        isAllowed = isPackageAllowedForOperation(packageName, envVar, config, 'canWrite');
-        configKey = 'canWrite';
-    } else if (operation === 'delete') {
-        isAllowed = isPackageAllowedForOperation(packageName, envVar, config, 'canDelete');
-        configKey = 'canDelete';
+    // Grants and revocations made through the handle take precedence over the whitelist
+    const runtimeDecision = runtimeGrants.checkRuntimeRules(packageName, principal, envVar, configKey);
+
+    if (runtimeDecision !== null) {
+        isAllowed = runtimeDecision;
+    } else if (operation === 'read') {
+        isAllowed = isPackageAllowed(principal, envVar, config);
+    } else if (operation === 'write' || operation === 'delete') {
+        isAllowed = isPackageAllowedForOperation(principal, envVar, config, configKey);
+    }
+
+    // File-level grants add to the package's grants for callers in those files
+    if (!isAllowed && runtimeDecision === null) {
+        isAllowed = fileGrants.some(grant => matchesAny(envVar, grant[configKey]));
+    }
+
+    // Write grants may limit the values written
+    if (isAllowed && runtimeDecision === null && operation === 'write') {
+        const constraint = writeConstraints.findRejectingConstraint([config[principal], ...fileGrants], envVar, value);
+        if (constraint) {
+            rejectAccess(createWriteValueError(constraint, {
+                packageName, principal, packageVersion, envVar, operation, fileName, lineNumber, functionName
+            }), mode);
+            return;
+        }
+    }
+
+    // Whitelist grants may be limited in time or in number of reads
+    if (isAllowed && runtimeDecision === null && config[principal]) {
+        const reason = useGrantLimits(config[principal], principal, envVar, operation, readKind);
+        if (reason) {
+            rejectAccess(createExpiredError(reason, config[principal], {
+                packageName, principal, packageVersion, envVar, operation, fileName, lineNumber, functionName
+            }), mode);
+            return;
+        }
     }
 
     if (!isAllowed) {
         const operationVerb = operation === 'read' ? 'read' : operation === 'write' ? 'write to' : 'delete';
+        const rulePath = getRuleSource(principal) || getConfigPath();
         const error = new Error(
             `dotnope: Unauthorized environment variable ${operation}!\n` +
             `\n` +
             `  Package: "${packageName}"\n` +
+            formatVersionLine(packageVersion) +
             `  Attempted to ${operationVerb}: "${envVar}"\n` +
             `  Location: ${fileName}:${lineNumber}\n` +
             `  Function: ${functionName}\n` +
             `\n` +
-            `To allow this access, add to your package.json:\n` +
-            `\n` +
-            `  "environmentWhitelist": {\n` +
-            `    "${packageName}": {\n` +
-            `      "${configKey}": ["${envVar}"]\n` +
-            `    }\n` +
-            `  }\n`
+            (runtimeDecision === false
+                ? `This access was revoked at runtime with handle.revoke().\n`
+                : formatAllowHint(rulePath, principal, configKey, envVar))
         );
 
         error.code = 'ERR_DOTNOPE_UNAUTHORIZED';
+        error.configPath = rulePath;
         error.packageName = packageName;
+        error.packageVersion = packageVersion;
         error.envVar = envVar;
         error.operation = operation;
         error.fileName = fileName;
         error.lineNumber = lineNumber;
         error.functionName = functionName;
 
+        rejectAccess(error, mode);
+    }
+}
+
+/**
+ * Get the enforcement mode for a whitelist key: its own "mode", else the global one
+ * @param {string} principal - Whitelist key governing the caller
+ * @param {Object} config - Normalized whitelist
+ * @param {Object} options - Normalized __options__
+ * @returns {string} 'enforce', 'audit' or 'off'
+ */
+function getMode(principal, config, options) {
+    return (config[principal] && config[principal].mode) || options.mode;
+}
+
+/**
+ * Describe a refused access for getViolations()
+ * @param {Error} error - The error enforce mode would throw
+ * @param {number} now - Timestamp of the access
+ * @returns {Object} { code, packageName, packageVersion, envVar, operation, fileName, lineNumber, count, firstSeen, lastSeen }
+ */
+function toViolation(error, now) {
+    return {
+        code: error.code,
+        packageName: error.packageName || null,
+        packageVersion: error.packageVersion || null,
+        envVar: error.envVar,
+        operation: error.operation,
+        fileName: error.fileName || null,
+        lineNumber: error.lineNumber || null,
+        count: 1,
+        firstSeen: now,
+        lastSeen: now
+    };
+}
+
+/**
+ * Refuse an access: throw in enforce mode, record a violation in audit mode
+ * @param {Error} error - The error enforce mode would throw
+ * @param {string} mode - 'enforce' or 'audit'
+ * @throws {Error} The given error unless mode is 'audit'
+ */
+function rejectAccess(error, mode) {
+    const now = Date.now();
+
+    // A child running its parent's policy tells the parent what it refused
+    if (isInheritedPolicy()) {
+        childPolicy.reportToParent(toViolation(error, now), mode !== 'audit');
+    }
+
+    if (mode !== 'audit') {
         throw error;
     }
+
+    const key = `${error.code}:${error.packageName || '<unknown>'}:${error.envVar}:${error.operation}`;
+    const existing = violations.get(key);
+    if (existing) {
+        existing.count++;
+        existing.lastSeen = now;
+        return;
+    }
+
+    const violation = toViolation(error, now);
+    violations.set(key, violation);
+
+    // Reporting runs with the offending package still on the stack, and
+    // console.warn reads FORCE_COLOR and friends - pause checks meanwhile
+    disable();
+    try {
+        if (onViolation) {
+            onViolation({ ...violation });
+        } else {
+            console.warn(
+                `[dotnope] audit: ${violation.packageName ? `"${violation.packageName}"` : 'unknown caller'} ` +
+                `${violation.operation} "${violation.envVar}" would be blocked (${violation.code})` +
+                (violation.fileName ? ` at ${violation.fileName}:${violation.lineNumber}` : '')
+            );
+        }
+    } finally {
+        enable();
+    }
+}
+
+/**
+ * Check whether a whitelist entry has run out of time
+ * @param {Object} packageConfig - Normalized entry
+ * @param {number} [now]
+ * @returns {string|null} 'expires' or 'untilMs' if it has, null otherwise
+ */
+function getExpiryReason(packageConfig, now = Date.now()) {
+    if (packageConfig.expires !== null && now >= packageConfig.expires) {
+        return 'expires';
+    }
+    if (packageConfig.untilMs !== null && enabledAt !== null && now >= enabledAt + packageConfig.untilMs) {
+        return 'untilMs';
+    }
+    return null;
+}
+
+/**
+ * Apply an entry's time and read limits to an access it allows,
+ * counting the read if it goes ahead
+ * @param {Object} packageConfig - Normalized entry
+ * @param {string} principal
+ * @param {string} envVar
+ * @param {string} operation
+ * @param {string} readKind - 'get', 'has' or 'descriptor'; 'in' tells only whether
+ *        the variable is set and is not counted, and a descriptor read followed
+ *        by a get of the same variable, as object spread does, counts once
+ * @returns {string|null} 'expires', 'untilMs' or 'maxReads' if the grant is used up, null otherwise
+ */
+function useGrantLimits(packageConfig, principal, envVar, operation, readKind) {
+    const expiry = getExpiryReason(packageConfig);
+    if (expiry) {
+        return expiry;
+    }
+
+    if (operation === 'read' && packageConfig.maxReads !== null) {
+        const countKey = `${principal}:${envVar}`;
+        if (readKind === 'get' && pendingDescriptorRead === countKey) {
+            pendingDescriptorRead = null;
+            return null;
+        }
+
+        const count = limitedReadCounts.get(countKey) || 0;
+        if (count >= packageConfig.maxReads) {
+            return 'maxReads';
+        }
+        if (readKind !== 'has') {
+            limitedReadCounts.set(countKey, count + 1);
+            pendingDescriptorRead = readKind === 'descriptor' ? countKey : null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the error thrown when a time- or count-limited grant is used up
+ * @param {string} reason - 'expires', 'untilMs' or 'maxReads'
+ * @param {Object} packageConfig - Normalized entry
+ * @param {Object} access - Caller and access details
+ * @returns {Error} Error with code ERR_DOTNOPE_GRANT_EXPIRED
+ */
+function createExpiredError(reason, packageConfig, access) {
+    const { packageName, principal, packageVersion, envVar, operation, fileName, lineNumber, functionName } = access;
+    const rulePath = getRuleSource(principal) || getConfigPath();
+    const explanation = {
+        expires: `The grant for "${principal}" expired at ${new Date(packageConfig.expires).toISOString()}.`,
+        untilMs: `The grant for "${principal}" ended ${packageConfig.untilMs}ms after protection was enabled.`,
+        maxReads: `The grant for "${principal}" allows ${packageConfig.maxReads} read${packageConfig.maxReads === 1 ? '' : 's'} of "${envVar}", all used.\n` +
+            `A credential read again after start-up is a sign of something harvesting it.`
+    }[reason];
+
+    const error = new Error(
+        `dotnope: Environment variable grant expired!\n` +
+        `\n` +
+        `  Package: "${packageName}"\n` +
+        formatVersionLine(packageVersion) +
+        `  Attempted to ${operation}: "${envVar}"\n` +
+        `  Location: ${fileName}:${lineNumber}\n` +
+        `  Function: ${functionName}\n` +
+        `\n` +
+        `${explanation}\n` +
+        `Extend or remove the "${reason}" limit${rulePath ? ` in ${rulePath}` : ''} to allow this access.\n`
+    );
+
+    error.code = 'ERR_DOTNOPE_GRANT_EXPIRED';
+    error.reason = reason;
+    error.configPath = rulePath;
+    error.packageName = packageName;
+    error.packageVersion = packageVersion;
+    error.envVar = envVar;
+    error.operation = operation;
+    error.fileName = fileName;
+    error.lineNumber = lineNumber;
+    error.functionName = functionName;
+    return error;
+}
+
+/**
+ * Build the error for a write or delete of an immutable env var
+ * @param {string} envVar
+ * @param {string} operation - 'write' or 'delete'
+ * @param {Object|null} callerInfo - From getCallingPackage(), null if unknown
+ * @returns {Error}
+ */
+function createImmutableError(envVar, operation, callerInfo) {
+    const { packageName = null, fileName = null, lineNumber = null, functionName = null } = callerInfo || {};
+    const configPath = getConfigPath();
+    const error = new Error(
+        `dotnope: Environment variable is immutable!\n` +
+        `\n` +
+        (packageName ? `  Package: "${packageName}"\n` : '') +
+        `  Attempted to ${operation === 'write' ? 'write to' : 'delete'}: "${envVar}"\n` +
+        (fileName ? `  Location: ${fileName}:${lineNumber}\n` : '') +
+        (functionName ? `  Function: ${functionName}\n` : '') +
+        `\n` +
+        `"${envVar}" is on the "immutable" list, so no code may change it once\n` +
+        `protection is enabled, the main application included. Set it before\n` +
+        `enabling dotnope, or remove it from __options__.immutable${configPath ? ` in ${configPath}` : ''}.\n`
+    );
+
+    error.code = 'ERR_DOTNOPE_IMMUTABLE';
+    error.configPath = configPath;
+    error.packageName = packageName;
+    error.envVar = envVar;
+    error.operation = operation;
+    error.fileName = fileName;
+    error.lineNumber = lineNumber;
+    error.functionName = functionName;
+    return error;
+}
+
+/**
+ * Build the error for a write whose value the caller's grants do not allow.
+ * The value itself is left out, as it may be a secret.
+ * @param {Object} constraint - The rejecting { values } or { pattern }
+ * @param {Object} access - { packageName, principal, packageVersion, envVar, operation, fileName, lineNumber, functionName }
+ * @returns {Error}
+ */
+function createWriteValueError(constraint, access) {
+    const { packageName, principal, packageVersion, envVar, operation, fileName, lineNumber, functionName } = access;
+    const rulePath = getRuleSource(principal) || getConfigPath();
+    const error = new Error(
+        `dotnope: Environment variable value not allowed!\n` +
+        `\n` +
+        `  Package: "${packageName}"\n` +
+        formatVersionLine(packageVersion) +
+        `  Attempted to write to: "${envVar}"\n` +
+        `  Location: ${fileName}:${lineNumber}\n` +
+        `  Function: ${functionName}\n` +
+        `\n` +
+        `"${principal}" may only set "${envVar}" to ${writeConstraints.describeConstraint(constraint)}.\n` +
+        `Change its "canWrite" entry${rulePath ? ` in ${rulePath}` : ''} to allow this value.\n`
+    );
+
+    error.code = 'ERR_DOTNOPE_WRITE_VALUE';
+    error.configPath = rulePath;
+    error.packageName = packageName;
+    error.packageVersion = packageVersion;
+    error.envVar = envVar;
+    error.operation = operation;
+    error.fileName = fileName;
+    error.lineNumber = lineNumber;
+    error.functionName = functionName;
+    return error;
+}
+
+/**
+ * Build the error for a package that no longer matches its pin in dotnope-lock.json
+ * @param {string} reason - From lockfile.getPinMismatch()
+ * @param {Object} access - { packageName, principal, packageVersion, envVar, operation, fileName, lineNumber, functionName }
+ * @returns {Error}
+ */
+function createIntegrityError(reason, access) {
+    const { packageName, principal, packageVersion, envVar, operation, fileName, lineNumber, functionName } = access;
+    const error = new Error(
+        `dotnope: Package does not match ${lockfile.LOCKFILE_NAME}!\n` +
+        `\n` +
+        `  Package: "${packageName}"\n` +
+        formatVersionLine(packageVersion) +
+        `  Attempted to ${operation}: "${envVar}"\n` +
+        `  Location: ${fileName}:${lineNumber}\n` +
+        `  Function: ${functionName}\n` +
+        `\n` +
+        `The grants for "${principal}" are suspended: ${reason}.\n` +
+        `Review the installed code, then re-approve it with:\n` +
+        `  npx dotnope lock\n`
+    );
+
+    error.code = 'ERR_DOTNOPE_INTEGRITY';
+    error.reason = reason;
+    error.packageName = packageName;
+    error.packageVersion = packageVersion;
+    error.envVar = envVar;
+    error.operation = operation;
+    error.fileName = fileName;
+    error.lineNumber = lineNumber;
+    error.functionName = functionName;
+    return error;
+}
+
+/**
+ * Work out which whitelist entry governs a caller, and which of its
+ * file-level grants apply to the calling file.
+ * The installed version is only looked up when some key for the package
+ * carries a version range, so unversioned configs pay nothing for it.
+ * @param {string} packageName
+ * @param {string} fileName - File the access came from
+ * @param {Object} config - Whitelist configuration
+ * @returns {{principal: string, packageVersion: string|null, fileGrants: Object[]}}
+ */
+function resolvePrincipal(packageName, fileName, config) {
+    let principal = packageName;
+    let packageVersion = null;
+
+    if (hasVersionedKeys(packageName, config)) {
+        packageVersion = getPackageVersion(fileName, packageName);
+        principal = resolveConfigKey(packageName, packageVersion, config);
+    }
+
+    const packageConfig = config[principal];
+    const fileGrants = packageConfig && Object.keys(packageConfig.files || {}).length > 0
+        ? getFileGrants(principal, getPackageSubpath(fileName, packageName), config)
+        : [];
+
+    return { principal, packageVersion, fileGrants };
+}
+
+/**
+ * Format the "Version:" line of an error message
+ * @param {string|null} packageVersion
+ * @returns {string}
+ */
+function formatVersionLine(packageVersion) {
+    return packageVersion ? `  Version: ${packageVersion}\n` : '';
+}
+
+/**
+ * Build the "To allow this access" part of an error message,
+ * pointing at the file the package's rules live in
+ * @param {string|null} rulePath - Config file path, or "<programmatic>"
+ * @param {string} packageName
+ * @param {string} configKey - 'allowed', 'canWrite' or 'canDelete'
+ * @param {string} envVar
+ * @returns {string}
+ */
+function formatAllowHint(rulePath, packageName, configKey, envVar) {
+    if (rulePath === '<programmatic>') {
+        return (
+            `To allow this access, add to the config passed to enableStrictEnv():\n` +
+            `\n` +
+            `  "${packageName}": {\n` +
+            `    "${configKey}": ["${envVar}"]\n` +
+            `  }\n`
+        );
+    }
+
+    if (!rulePath || path.basename(rulePath) === 'package.json') {
+        return (
+            `To allow this access, add to your package.json${rulePath ? ` (${rulePath})` : ''}:\n` +
+            `\n` +
+            `  "environmentWhitelist": {\n` +
+            `    "${packageName}": {\n` +
+            `      "${configKey}": ["${envVar}"]\n` +
+            `    }\n` +
+            `  }\n`
+        );
+    }
+
+    return (
+        `To allow this access, add to ${rulePath}:\n` +
+        `\n` +
+        `  "${packageName}": {\n` +
+        `    "${configKey}": ["${envVar}"]\n` +
+        `  }\n`
+    );
 }
 
 /**
@@ -176,8 +706,7 @@ function isPackageAllowedForOperation(packageName, envVar, config, operationKey)
         return false;
     }
 
-    const allowedVars = packageConfig[operationKey] || [];
-    return allowedVars.includes(envVar) || allowedVars.includes('*');
+    return matchesAny(envVar, packageConfig[operationKey]);
 }
 
 /**
@@ -186,17 +715,22 @@ function isPackageAllowedForOperation(packageName, envVar, config, operationKey)
  * @returns {Array|null} Filtered keys or null to skip filtering
  */
 function filterKeys(allKeys) {
+    // Learning mode shows everything, so reads of every key get recorded
+    if (learnOptions) {
+        return null;
+    }
+
     const callerInfo = getCallingPackage(0);
+    const options = getOptions();
 
     // Can't determine caller - return null to skip filtering
     if (!callerInfo) {
-        const options = getOptions();
         // If fail-closed, return empty array (no keys visible)
-        // If fail-open, return all keys
-        return options.failClosed ? [] : null;
+        // If fail-open, or not enforcing, return all keys
+        return options.failClosed && options.mode === 'enforce' ? [] : null;
     }
 
-    const { packageName } = callerInfo;
+    const { packageName, fileName } = callerInfo;
 
     // Main application sees everything
     if (packageName === '__main__') {
@@ -204,15 +738,37 @@ function filterKeys(allKeys) {
     }
 
     const config = getConfig();
-    const packageConfig = config[packageName];
+    const { principal, packageVersion, fileGrants: entryFileGrants } = resolvePrincipal(packageName, fileName, config);
 
-    // Package not in whitelist - sees nothing
-    if (!packageConfig) {
+    // Audit and off modes change nothing the package can see
+    if (getMode(principal, config, options) !== 'enforce') {
+        return null;
+    }
+
+    // A package with suspended grants sees nothing
+    if (lockfile.isActive() && options.lockMismatch !== 'audit' &&
+        lockfile.getPinMismatch(principal, packageVersion || getPackageVersion(fileName, packageName),
+            getPackageDir(fileName, packageName))) {
+        return [];
+    }
+
+    // An expired grant shows nothing, as if the entry were gone
+    const expired = Boolean(config[principal] && getExpiryReason(config[principal]));
+    const packageConfig = expired ? null : config[principal];
+    const fileGrants = expired ? [] : entryFileGrants;
+    const hasRuntimeRules = runtimeGrants.hasRuntimeRules(packageName, principal);
+
+    // Package not in whitelist and never granted at runtime - sees nothing
+    if (!packageConfig && !hasRuntimeRules) {
         return [];
     }
 
-    // Package has wildcard access - sees everything
-    if (packageConfig.allowed.includes('*')) {
+    // Package has unrestricted wildcard access and nothing denied - sees everything
+    if (packageConfig && !hasRuntimeRules &&
+        isUnrestricted(packageConfig.allowed) &&
+        packageConfig.denied.length === 0 &&
+        options.denied.length === 0 &&
+        fileGrants.every(grant => grant.denied.length === 0)) {
         return null; // Skip filtering
     }
 
@@ -221,10 +777,146 @@ function filterKeys(allKeys) {
         if (typeof key !== 'string') {
             return true; // Keep symbols
         }
-        return packageConfig.allowed.includes(key);
+        const runtimeDecision = hasRuntimeRules
+            ? runtimeGrants.checkRuntimeRules(packageName, principal, key, 'allowed')
+            : null;
+        const readable = runtimeDecision !== null
+            ? runtimeDecision
+            : (packageConfig && matchesAny(key, packageConfig.allowed)) ||
+                fileGrants.some(grant => matchesAny(key, grant.allowed));
+        return readable &&
+            !isEnvVarDenied(principal, key, config, options.denied) &&
+            !fileGrants.some(grant => matchesAny(key, grant.denied));
     });
 }
 
+/**
+ * Work out the environment a child process or worker started by the caller
+ * gets. Called by the child_process and Worker wrappers.
+ * @param {Object|symbol} env - process.env, the env the caller passed, or SHARE_ENV
+ * @param {string} kind - 'process' or 'worker'
+ * @returns {Object|null} Environment to pass instead, or null to pass env unchanged
+ * @throws {Error} ERR_DOTNOPE_SHARE_ENV if a caller with a filtered view shares the environment
+ */
+function getChildEnv(env, kind) {
+    const options = getOptions();
+    const rawEnv = getOriginalEnv();
+
+    // Anything else is left for Node.js to handle or reject
+    if (rawEnv === null || (typeof env !== 'symbol' && (typeof env !== 'object' || env === null))) {
+        return null;
+    }
+
+    // A worker sharing the environment is fine once it enforces the policy itself
+    if (typeof env === 'symbol' && kind === 'worker' && options.protectWorkers) {
+        return null;
+    }
+
+    let childEnv = options.protectChildren ? filterChildEnv(env, rawEnv, options) : null;
+
+    // Node.js children load dotnope with this policy before their own code
+    if (options.protectNodeChildren && kind === 'process') {
+        const base = childEnv || { ...(env === process.env ? rawEnv : env) };
+        childEnv = childPolicy.addPolicyToEnv(base, childPolicy.writePolicyFile(getInheritablePolicy()));
+    }
+
+    // Learning children leave their findings for this process to merge
+    if (learnOptions && kind === 'process') {
+        childEnv = learner.addLearnDirToEnv(childEnv || { ...(env === process.env ? rawEnv : env) });
+    }
+    return childEnv;
+}
+
+/**
+ * Preload dotnope in a new worker, with __options__.protectWorkers, and
+ * hand it the nonce its reports need, with __options__.aggregateStats.
+ * Called by the Worker wrapper after the env is filtered.
+ * @param {Object|undefined} workerOptions - Options the worker is created with,
+ *                                           already copied as plain data
+ * @returns {Object|undefined} Options to create it with instead
+ */
+function prepareWorker(workerOptions) {
+    // With aggregateStats, the worker reports to this thread
+    aggregator.prepareWorkerReports();
+
+    if (!getOptions().protectWorkers) {
+        return workerOptions;
+    }
+
+    // The worker's token is derived from ours, and cannot disable anything here
+    const token = crypto.createHmac('sha256', disableToken)
+        .update(crypto.randomBytes(16))
+        .digest('hex');
+    return workerPolicy.addPolicyToWorker(workerOptions, getInheritablePolicy(), token);
+}
+
+/**
+ * Limit a child's environment to the env vars the caller may read,
+ * __options__.inheritForChildren, and values the caller set itself
+ * @param {Object|symbol} env - process.env, the env the caller passed, or SHARE_ENV
+ * @param {Object} rawEnv - The real environment behind the proxy
+ * @param {Object} options - Normalized __options__
+ * @returns {Object|null} Filtered environment, or null if the caller may pass env on as is
+ * @throws {Error} ERR_DOTNOPE_SHARE_ENV if a caller with a filtered view shares the environment
+ */
+function filterChildEnv(env, rawEnv, options) {
+    // A worker sharing the environment would see all of it, and could change it
+    if (typeof env === 'symbol') {
+        if (filterKeys(Object.keys(rawEnv)) !== null) {
+            throw createShareEnvError(getCallingPackage(0));
+        }
+        return null;
+    }
+
+    const source = env === process.env ? rawEnv : env;
+    const keys = Object.keys(source);
+    const visible = filterKeys(keys);
+
+    if (visible === null) {
+        return null;
+    }
+
+    const readable = new Set(visible);
+    const childEnv = {};
+    for (const key of keys) {
+        const value = source[key];
+        // A value the caller set itself, rather than copied from the environment, is its own to pass on
+        const ownValue = source !== rawEnv && value !== rawEnv[key];
+        const inherited = matchesAny(key, options.inheritForChildren) && !matchesAny(key, options.denied);
+
+        if (readable.has(key) || inherited || ownValue) {
+            childEnv[key] = value;
+        }
+    }
+    return childEnv;
+}
+
+/**
+ * Build the error for a package starting a worker that shares the environment
+ * @param {Object|null} callerInfo - From getCallingPackage(), null if unknown
+ * @returns {Error}
+ */
+function createShareEnvError(callerInfo) {
+    const { packageName = null, fileName = null, lineNumber = null } = callerInfo || {};
+    const caller = packageName ? `"${packageName}"` : 'the caller';
+    const error = new Error(
+        `dotnope: Worker cannot share the environment!\n` +
+        `\n` +
+        (packageName ? `  Package: "${packageName}"\n` : '') +
+        (fileName ? `  Location: ${fileName}:${lineNumber}\n` : '') +
+        `\n` +
+        `A worker started with env: SHARE_ENV sees and changes the real environment,\n` +
+        `so ${caller} would reach env vars it was never granted. Pass an env object,\n` +
+        `or leave env out to give the worker the env vars ${caller} may read.\n`
+    );
+
+    error.code = 'ERR_DOTNOPE_SHARE_ENV';
+    error.packageName = packageName;
+    error.fileName = fileName;
+    error.lineNumber = lineNumber;
+    return error;
+}
+
 /**
  * Check if LD_PRELOAD is active with our library
  * @returns {boolean}
@@ -317,11 +1009,25 @@ function emitSecurityWarnings(options = {}) {
 /**
  * Enable strict environment variable access control
  * @param {Object} options - Configuration options
- * @param {string} [options.configPath] - Custom path to package.json
+ * @param {string} [options.configPath] - Custom path to package.json or a dotnope config file
+ * @param {Object} [options.config] - Whitelist that overrides package.json and config files
+ * @param {string} [options.profile] - Profile to overlay (defaults to DOTNOPE_PROFILE, then NODE_ENV)
  * @param {boolean} [options.suppressWarnings] - Suppress security warnings
  * @param {boolean} [options.verbose] - Show all warnings including info level
  * @param {boolean} [options.allowInWorker] - Allow enabling in worker threads
  * @param {Object} [options.workerConfig] - Config passed from main thread
+ * @param {string} [options.workerToken] - Token for a worker's handle, set by the
+ *        protectWorkers preload; ignored in the main thread
+ * @param {string} [options.policyFile] - Policy file handed down by a parent process
+ *        with protectNodeChildren; used instead of package.json and config files
+ * @param {boolean|Object} [options.watch] - Reload when a config file changes;
+ *        pass { interval } to set the poll interval in ms (default 1000)
+ * @param {Function} [options.onReload] - Called as onReload(err, changes) after
+ *        each watched reload; without it, changes and errors are logged
+ * @param {boolean|Object} [options.learn] - Allow everything and record it; at exit write
+ *        a proposed whitelist. Pass { output, format: 'whitelist'|'package.json' } to choose the file
+ * @param {Function} [options.onViolation] - Called with each new violation in
+ *        audit mode; without it, violations are logged
  * @returns {Object} Handle with token-protected disable() and getAccessStats() methods
  */
 function enableStrictEnv(options = {}) {
@@ -379,15 +1085,30 @@ function enableStrictEnv(options = {}) {
     }
 
     // Generate a cryptographically secure token for disable protection
-    disableToken = crypto.randomBytes(32).toString('hex');
+    disableToken = !isMainThread && typeof options.workerToken === 'string'
+        ? options.workerToken
+        : crypto.randomBytes(32).toString('hex');
+    enabledAt = Date.now();
+    onViolation = typeof options.onViolation === 'function' ? options.onViolation : null;
 
     // Load configuration from package.json or use worker config
-    if (!isMainThread && options.workerConfig) {
+    if (options.policyFile) {
+        // Child process started by a parent with protectNodeChildren
+        loadInheritedPolicy(childPolicy.readPolicyFile(options.policyFile));
+    } else if (!isMainThread && options.workerConfig) {
         // Worker thread with passed config - load directly
         loadConfig(options.configPath, options.workerConfig);
     } else {
-        // Main thread - load from package.json
-        loadConfig(options.configPath);
+        // Main thread - load from package.json, config file, options.config and the profile
+        loadConfig(options.configPath, null, options.config, options.profile);
+    }
+
+    if (isMainThread) {
+        verifyLockfile();
+    }
+
+    if (options.learn) {
+        startLearning(options.learn);
     }
 
     // Create and activate the proxy with options
@@ -399,6 +1120,14 @@ function enableStrictEnv(options = {}) {
         setFilterKeysFn(filterKeys);
     }
 
+    // Child processes and workers get the env their spawner may see
+    installChildGuards(getChildEnv, prepareWorker, aggregator.watchWorker);
+
+    // Workers report to the main thread, cluster workers to the primary
+    if (configOptions.aggregateStats) {
+        aggregator.startAggregation(() => ({ stats: getAccessStats(), violations: getViolations() }), getOriginalEnv());
+    }
+
     // Enable promise hooks for async context tracking (if native available)
     if (nativeBridge.isNativeAvailable()) {
         nativeBridge.enablePromiseHooks();
@@ -413,9 +1142,223 @@ function enableStrictEnv(options = {}) {
 
     // Create and store the global handle
     globalHandle = createHandle();
+
+    if (options.watch && getConfigPath() !== '<worker:direct>' && !isInheritedPolicy()) {
+        startConfigWatcher(options);
+    }
+
     return globalHandle;
 }
 
+/**
+ * Get the files the current whitelist was built from
+ * @returns {string[]} Absolute paths
+ */
+function getConfigFiles() {
+    const files = [getConfigPath(), ...Object.values(getConfigSources())];
+    return [...new Set(files.filter(file => typeof file === 'string' && path.isAbsolute(file)))];
+}
+
+/**
+ * Push the whitelist now in force to the proxy and drop every cache
+ * derived from the previous one
+ */
+function applyActivePolicy() {
+    const options = getOptions();
+    setProxyOptions(options);
+    setFilterKeysFn(options.protectEnumeration ? filterKeys : null);
+    clearDepCache();
+    clearStackCache();
+}
+
+/**
+ * End the startup phase: switch to the steady-state whitelist and,
+ * optionally, make process.env read-only for everyone
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly=false] - Reject every write and delete, the main application's included
+ * @returns {Object} Changes, as returned by diffConfigs()
+ */
+function lockPolicy(options = {}) {
+    const beforeConfig = getConfig();
+    const beforeOptions = getOptions();
+
+    // Lock even without a startup section, so a reload cannot add one later
+    const wasStartup = isStartupPhase();
+    lockStartup();
+    if (wasStartup) {
+        applyActivePolicy();
+    }
+    if (options.readOnly) {
+        setReadOnly(true);
+    }
+
+    return diffConfigs(beforeConfig, getConfig(), beforeOptions, getOptions());
+}
+
+/**
+ * Re-read, validate and swap in the whitelist, then drop every cache
+ * derived from the old one. On error the old whitelist stays in force.
+ * @returns {Object} Changes, as returned by diffConfigs()
+ * @throws {Error} ERR_DOTNOPE_INVALID_CONFIG (or a load error) if the new whitelist is rejected
+ */
+function reloadPolicy() {
+    if (getConfigPath() === '<worker:direct>' || (!isMainThread && isInheritedPolicy())) {
+        const error = new Error(
+            'dotnope: Cannot reload a whitelist passed in from the main thread.\n' +
+            'Reload in the main thread and send the new config to the worker.'
+        );
+        error.code = 'ERR_DOTNOPE_RELOAD_UNAVAILABLE';
+        throw error;
+    }
+    if (isInheritedPolicy()) {
+        const error = new Error(
+            'dotnope: Cannot reload a whitelist handed down by the parent process.\n' +
+            'Reload in the parent; Node.js processes it starts afterwards get the new whitelist.'
+        );
+        error.code = 'ERR_DOTNOPE_RELOAD_UNAVAILABLE';
+        throw error;
+    }
+
+    const beforeConfig = getConfig();
+    const beforeOptions = getOptions();
+
+    // dotnope's own inputs are read unchecked up front. Checks stay on while
+    // JS configs and extended presets run, so a preset package reads only
+    // what its own grants allow
+    const rawEnv = getOriginalEnv();
+    reloadConfig({
+        DOTNOPE_CONFIG: rawEnv.DOTNOPE_CONFIG,
+        DOTNOPE_PROFILE: rawEnv.DOTNOPE_PROFILE,
+        NODE_ENV: rawEnv.NODE_ENV
+    });
+    verifyLockfile();
+
+    const afterConfig = getConfig();
+    const afterOptions = getOptions();
+
+    applyActivePolicy();
+
+    if (configWatcher) {
+        configWatcher.setFiles(getConfigFiles());
+    }
+
+    return diffConfigs(beforeConfig, afterConfig, beforeOptions, afterOptions);
+}
+
+/**
+ * Check the whitelisted packages against dotnope-lock.json, which lives
+ * next to the file the whitelist was loaded from, and warn about each
+ * package that lost its grants
+ */
+function verifyLockfile() {
+    const configPath = getConfigPath();
+    const projectDir = configPath && path.isAbsolute(configPath) ? path.dirname(configPath) : process.cwd();
+    const found = lockfile.loadLockfile(getConfig(), { projectDir, workspaces: getWorkspaces() });
+
+    if (!found || found.size === 0) {
+        return;
+    }
+
+    const auditOnly = getOptions().lockMismatch === 'audit';
+    for (const [key, reason] of found) {
+        console.warn(`[dotnope] "${key}" does not match ${lockfile.LOCKFILE_NAME}: ${reason}.`);
+    }
+    console.warn(auditOnly
+        ? '[dotnope] Their accesses are recorded as violations (lockMismatch: "audit").'
+        : '[dotnope] Their grants are suspended. Review the installed code, then re-approve it with: npx dotnope lock');
+}
+
+/**
+ * Start reloading the whitelist when one of its files changes
+ * @param {Object} options - Options passed to enableStrictEnv()
+ */
+function startConfigWatcher(options) {
+    const onReload = typeof options.onReload === 'function'
+        ? options.onReload
+        : (err, changes) => {
+            if (err) {
+                console.warn(`[dotnope] Reload failed, keeping the current whitelist:\n${err.message}`);
+            } else if (changes.hasChanges) {
+                console.warn(`[dotnope] Whitelist reloaded:\n  ${formatConfigDiff(changes).join('\n  ')}`);
+            }
+        };
+
+    configWatcher = watchConfigFiles(getConfigFiles(), () => {
+        let changes;
+        try {
+            changes = reloadPolicy();
+        } catch (err) {
+            onReload(err, null);
+            return;
+        }
+        onReload(null, changes);
+    }, { interval: typeof options.watch === 'object' ? options.watch.interval : undefined });
+}
+
+/**
+ * Get the package.json of the loaded project
+ * @returns {string|null}
+ */
+function getProjectPackageJson() {
+    const configPath = getConfigPath();
+    return configPath && path.isAbsolute(configPath)
+        ? findPackageJson(path.dirname(configPath))
+        : findPackageJson();
+}
+
+/**
+ * Start learning: allow every access, record it, and write the proposed
+ * whitelist when the process exits or protection is disabled
+ * @param {boolean|Object} learn - true or { output, format }
+ */
+function startLearning(learn) {
+    learnOptions = learner.normalizeLearnOptions(learn);
+    // The proxy is not in place yet
+    learner.startSession(process.env[learner.LEARN_DIR_ENV]);
+
+    const onExit = () => finishLearning();
+    const onSignal = (signal) => {
+        finishLearning();
+        // Keep the default behavior unless the app handles the signal itself
+        if (process.listenerCount(signal) === 0) {
+            process.kill(process.pid, signal);
+        }
+    };
+
+    learnExitHooks = { onExit, onSignal };
+    process.on('exit', onExit);
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+}
+
+/**
+ * Stop learning and write the proposed whitelist
+ */
+function finishLearning() {
+    if (!learnOptions) {
+        return;
+    }
+
+    const { onExit, onSignal } = learnExitHooks;
+    process.removeListener('exit', onExit);
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+
+    // Still learning while logging: console reads FORCE_COLOR and friends
+    // with no attributable caller, which would otherwise fail closed at exit
+    try {
+        const written = learner.writeLearned({ ...learnOptions, pkgPath: getProjectPackageJson() });
+        if (written) {
+            console.warn(`[dotnope] Learned whitelist written to ${written} - review it before use`);
+        }
+    } catch (err) {
+        console.warn(`[dotnope] Could not write the learned whitelist: ${err.message}`);
+    }
+
+    learnOptions = null;
+    learnExitHooks = null;
+}
+
 /**
  * Check if we're running in the main thread
  * @returns {boolean}
@@ -432,6 +1375,20 @@ function isWorkerAllowed() {
     return workerAllowed;
 }
 
+/**
+ * Build the error thrown when a handle method gets the wrong token
+ * @param {string} method - Handle method name
+ * @returns {Error}
+ */
+function createTokenError(method) {
+    return new Error(
+        `dotnope: Invalid ${method} token!\n` +
+        `\n` +
+        `You must use the token returned from enableStrictEnv() to call handle.${method}().\n` +
+        `This prevents malicious packages from changing the policy.\n`
+    );
+}
+
 /**
  * Create a secure handle with token-protected disable
  * @returns {Object} Handle with disable() and getAccessStats() methods
@@ -440,6 +1397,54 @@ function createHandle() {
     const token = disableToken;
 
     return {
+        /**
+         * Re-read the whitelist from disk and swap it in
+         * @param {string} providedToken - The token returned from enableStrictEnv
+         * @returns {Object} { added, removed, changed, options, hasChanges }
+         */
+        reload: (providedToken) => {
+            if (providedToken !== token) {
+                throw createTokenError('reload');
+            }
+            return reloadPolicy();
+        },
+        /**
+         * End the startup phase and switch to the steady-state whitelist.
+         * There is no unlock short of disabling protection.
+         * @param {string} providedToken - The token returned from enableStrictEnv
+         * @param {Object} [options] - { readOnly }
+         * @returns {Object} { added, removed, changed, options, hasChanges }
+         */
+        lock: (providedToken, options) => {
+            if (providedToken !== token) {
+                throw createTokenError('lock');
+            }
+            return lockPolicy(options);
+        },
+        /**
+         * Grant a package access at runtime, on top of the whitelist
+         * @param {string} providedToken - The token returned from enableStrictEnv
+         * @param {string} packageName - Package name or whitelist key
+         * @param {Object} permissions - { allowed, canWrite, canDelete, ttlMs }
+         */
+        grant: (providedToken, packageName, permissions) => {
+            if (providedToken !== token) {
+                throw createTokenError('grant');
+            }
+            runtimeGrants.grant(packageName, permissions);
+        },
+        /**
+         * Revoke a package's access at runtime, including whitelist grants
+         * @param {string} providedToken - The token returned from enableStrictEnv
+         * @param {string} packageName - Package name or whitelist key
+         * @param {Object} [permissions] - { allowed, canWrite, canDelete, ttlMs }; all access if omitted
+         */
+        revoke: (providedToken, packageName, permissions) => {
+            if (providedToken !== token) {
+                throw createTokenError('revoke');
+            }
+            runtimeGrants.revoke(packageName, permissions);
+        },
         /**
          * Disable strict environment variable access control
          * @param {string} providedToken - The token returned from enableStrictEnv
@@ -462,9 +1467,31 @@ function createHandle() {
         },
         /**
          * Get access statistics
+         * @param {Object} [options] - { aggregate } to add the workers' counts
          * @returns {Object} Access counts by "packageName:envVar:operation"
          */
         getAccessStats: getAccessStats,
+        /**
+         * Get the accesses audit mode allowed but would otherwise have blocked
+         * @param {Object} [options] - { aggregate } to add the workers' violations
+         * @returns {Object[]} One entry per code, package, env var and operation
+         */
+        getViolations: getViolations,
+        /**
+         * Get the latest stats and violations of each worker, with aggregateStats
+         * @returns {Object[]} One report per worker thread and cluster worker
+         */
+        getWorkerStats: getWorkerStats,
+        /**
+         * Get what Node.js child processes refused, with protectNodeChildren
+         * @returns {Object[]} Violations with the child's pid and whether it was blocked
+         */
+        getChildViolations: getChildViolations,
+        /**
+         * Get the whitelist learning mode would propose so far
+         * @returns {Object} environmentWhitelist granting every observed access
+         */
+        getLearnedWhitelist: learner.buildWhitelist,
         /**
          * Get the disable token (store securely!)
          * @returns {string} The token required to disable protection
@@ -483,8 +1510,21 @@ function disableStrictEnvInternal() {
         nativeBridge.disablePromiseHooks();
     }
 
+    if (configWatcher) {
+        configWatcher.close();
+        configWatcher = null;
+    }
+
+    if (learnOptions) {
+        finishLearning();
+    }
+
+    // A worker's last report, before its counts are cleared
+    aggregator.stopAggregation();
+
     disable();
     restore();
+    removeChildGuards();
     isInitialized = false;
     disableToken = null;
     globalHandle = null;
@@ -492,7 +1532,18 @@ function disableStrictEnvInternal() {
     // Clear caches
     clearConfigCache();
     clearDepCache();
+    runtimeGrants.clearCache();
     accessCounts.clear();
+    limitedReadCounts.clear();
+    pendingDescriptorRead = null;
+    violations.clear();
+    onViolation = null;
+    learner.clearCache();
+    lockfile.clearCache();
+    writeConstraints.clearCache();
+    childPolicy.clearCache();
+    workerPolicy.clearCache();
+    enabledAt = null;
 }
 
 /**
@@ -518,14 +1569,49 @@ function disableStrictEnv() {
 
 /**
  * Get access statistics
- * @returns {Object} Access counts by "packageName:envVar"
+ * @param {Object} [options]
+ * @param {boolean} [options.aggregate] - Add the counts reported by workers
+ *        and cluster workers, with __options__.aggregateStats
+ * @returns {Object} Access counts by "packageName:envVar:operation"
  */
-function getAccessStats() {
+function getAccessStats(options = {}) {
     const result = {};
     for (const [key, count] of accessCounts) {
         result[key] = count;
     }
-    return result;
+    return options.aggregate ? aggregator.mergeStats(result) : result;
+}
+
+/**
+ * Get the accesses audit mode allowed but would otherwise have blocked
+ * @param {Object} [options]
+ * @param {boolean} [options.aggregate] - Add the violations reported by workers
+ *        and cluster workers, with __options__.aggregateStats
+ * @returns {Object[]} Violations, oldest first:
+ *   { code, packageName, packageVersion, envVar, operation, fileName, lineNumber, count, firstSeen, lastSeen }
+ */
+function getViolations(options = {}) {
+    const result = [...violations.values()].map(violation => ({ ...violation }));
+    return options.aggregate ? aggregator.mergeViolations(result) : result;
+}
+
+/**
+ * Get the latest stats and violations of each worker thread and cluster
+ * worker, with __options__.aggregateStats
+ * @returns {Object[]} { id, kind, pid, threadId, stats, violations, updatedAt },
+ *   where id is "thread:<threadId>" or "cluster:<worker.id>"
+ */
+function getWorkerStats() {
+    return aggregator.getWorkerReports();
+}
+
+/**
+ * Get what Node.js child processes refused, with __options__.protectNodeChildren
+ * @returns {Object[]} Violations as from getViolations(), each with the child's
+ *   pid and blocked: true if it was blocked, false if audit mode only recorded it
+ */
+function getChildViolations() {
+    return childPolicy.readChildReports();
 }
 
 /**
@@ -540,10 +1626,14 @@ module.exports = {
     enableStrictEnv,
     disableStrictEnv,
     getAccessStats,
+    getViolations,
+    getChildViolations,
+    getWorkerStats,
     isEnabled,
     isPreloadActive,
     emitSecurityWarnings,
     isRunningInMainThread,
     isWorkerAllowed,
-    getSerializableConfig
+    getSerializableConfig,
+    validateConfig
 };
@@ -0,0 +1,246 @@
+/**
+ * learner.js - Propose a whitelist from observed behavior
+ *
+ * In learning mode every access is allowed and recorded here by the
+ * whitelist key governing the caller. At the end of the run the records
+ * become an environmentWhitelist that grants exactly what was used,
+ * written for review rather than put in force.
+ *
+ * Node.js processes started while learning inherit DOTNOPE_LEARN and
+ * NODE_OPTIONS, so they learn too. The first learning process passes them
+ * a directory in DOTNOPE_LEARN_DIR; each writes what it saw there at exit,
+ * and the first merges it all into the one file it writes.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { threadId } = require('worker_threads');
+const { unionPackageEntry } = require('./config-loader');
+
+// Output formats for a learned whitelist
+const FORMATS = ['whitelist', 'package.json'];
+
+// Default output file per format, in the project directory
+const DEFAULT_OUTPUTS = {
+    'whitelist': 'dotnope.learned.json',
+    'package.json': 'package.learned.json'
+};
+
+// Operation -> whitelist list it needs
+const LIST_KEYS = {
+    read: 'allowed',
+    write: 'canWrite',
+    delete: 'canDelete'
+};
+
+const LEARN_DIR_ENV = 'DOTNOPE_LEARN_DIR';
+const PART_PREFIX = 'learned-';
+
+// Observed accesses: whitelist key -> { allowed, canWrite, canDelete } of Sets
+let observed = new Map();
+
+// Directory descendants write what they saw to, and whether this process created it
+let learnDir = null;
+let ownsLearnDir = false;
+
+/**
+ * Record an access
+ * @param {string} principal - Whitelist key governing the caller
+ * @param {string} envVar
+ * @param {string} operation - 'read', 'write' or 'delete'
+ */
+function record(principal, envVar, operation) {
+    let entry = observed.get(principal);
+    if (!entry) {
+        entry = { allowed: new Set(), canWrite: new Set(), canDelete: new Set() };
+        observed.set(principal, entry);
+    }
+    entry[LIST_KEYS[operation] || 'allowed'].add(envVar);
+}
+
+/**
+ * Build a whitelist granting exactly what was observed.
+ * Read-only packages use the array shorthand.
+ * @returns {Object} environmentWhitelist, keys sorted
+ */
+function buildWhitelist() {
+    const whitelist = {};
+
+    for (const principal of [...observed.keys()].sort()) {
+        const entry = observed.get(principal);
+        const allowed = [...entry.allowed].sort();
+
+        if (entry.canWrite.size === 0 && entry.canDelete.size === 0) {
+            whitelist[principal] = allowed;
+            continue;
+        }
+        whitelist[principal] = { allowed };
+        if (entry.canWrite.size > 0) {
+            whitelist[principal].canWrite = [...entry.canWrite].sort();
+        }
+        if (entry.canDelete.size > 0) {
+            whitelist[principal].canDelete = [...entry.canDelete].sort();
+        }
+    }
+
+    return whitelist;
+}
+
+/**
+ * Check the learn option
+ * @param {boolean|Object} learn - true or { output, format }
+ * @returns {{output: string|null, format: string}}
+ * @throws {Error} ERR_DOTNOPE_INVALID_CONFIG for an unknown format
+ */
+function normalizeLearnOptions(learn) {
+    const options = typeof learn === 'object' && learn !== null ? learn : {};
+    const format = options.format || 'whitelist';
+
+    if (!FORMATS.includes(format)) {
+        const error = new Error(
+            `dotnope: Invalid learn format "${format}"!\n` +
+            `\n` +
+            `Use one of: ${FORMATS.map(name => `"${name}"`).join(', ')}\n` +
+            `\n` +
+            `Example:\n` +
+            `  enableStrictEnv({ learn: { format: 'package.json' } });\n`
+        );
+        error.code = 'ERR_DOTNOPE_INVALID_CONFIG';
+        throw error;
+    }
+
+    return { output: typeof options.output === 'string' ? options.output : null, format };
+}
+
+/**
+ * Start a learning session. A process started by a learning one writes
+ * its findings to the directory it was handed; any other creates one.
+ * @param {string|undefined} inheritedDir - Value of DOTNOPE_LEARN_DIR
+ */
+function startSession(inheritedDir) {
+    if (typeof inheritedDir === 'string' && inheritedDir.length > 0 && fs.existsSync(inheritedDir)) {
+        learnDir = inheritedDir;
+        ownsLearnDir = false;
+        return;
+    }
+    // mkdtemp creates the directory readable by this user only
+    learnDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dotnope-learn-'));
+    ownsLearnDir = true;
+}
+
+/**
+ * Hand the learning directory to a child process
+ * @param {Object} env - Environment the child gets
+ * @returns {Object} A copy with DOTNOPE_LEARN_DIR set
+ */
+function addLearnDirToEnv(env) {
+    return learnDir ? { ...env, [LEARN_DIR_ENV]: learnDir } : env;
+}
+
+/**
+ * Record the accesses in a whitelist another process learned
+ * @param {Object} whitelist - From buildWhitelist()
+ */
+function recordWhitelist(whitelist) {
+    for (const [principal, entry] of Object.entries(whitelist)) {
+        const lists = Array.isArray(entry) ? { allowed: entry } : entry;
+        for (const [operation, listKey] of Object.entries(LIST_KEYS)) {
+            for (const envVar of lists[listKey] || []) {
+                record(principal, envVar, operation);
+            }
+        }
+    }
+}
+
+/**
+ * Merge the findings descendants wrote, then remove the directory
+ */
+function collectParts() {
+    let names;
+    try {
+        names = fs.readdirSync(learnDir);
+    } catch (err) {
+        return;
+    }
+
+    for (const name of names.filter(file => file.startsWith(PART_PREFIX))) {
+        try {
+            recordWhitelist(JSON.parse(fs.readFileSync(path.join(learnDir, name), 'utf8')));
+        } catch (err) {
+            // A descendant still writing, or killed mid-write
+        }
+    }
+    fs.rmSync(learnDir, { recursive: true, force: true });
+}
+
+/**
+ * Write the learned whitelist for review.
+ * A process started by a learning one writes its findings to the shared
+ * directory instead, for the first learning process to merge.
+ * @param {Object} options
+ * @param {string} options.format - 'whitelist' writes { environmentWhitelist }, 'package.json'
+ *        writes the project's package.json with the learned grants added to its whitelist
+ * @param {string|null} [options.output] - File to write, relative to the project directory
+ * @param {string|null} options.pkgPath - The project's package.json
+ * @returns {string|null} Path written, or null if the findings went to the shared directory
+ */
+function writeLearned({ format, output = null, pkgPath }) {
+    if (learnDir && !ownsLearnDir) {
+        const partPath = path.join(learnDir, `${PART_PREFIX}${process.pid}-${threadId}.json`);
+        try {
+            fs.writeFileSync(partPath, JSON.stringify(buildWhitelist()), { mode: 0o600 });
+        } catch (err) {
+            // The first learning process is gone and took the directory with it
+        }
+        return null;
+    }
+    if (learnDir) {
+        collectParts();
+    }
+
+    const projectDir = pkgPath ? path.dirname(pkgPath) : process.cwd();
+    const outputPath = path.resolve(projectDir, output || DEFAULT_OUTPUTS[format]);
+    const learned = buildWhitelist();
+    let content;
+
+    if (format === 'package.json') {
+        const pkg = pkgPath ? JSON.parse(fs.readFileSync(pkgPath, 'utf8')) : {};
+        const whitelist = { ...pkg.environmentWhitelist };
+        for (const [key, entry] of Object.entries(learned)) {
+            whitelist[key] = key in whitelist ? unionPackageEntry(whitelist[key], entry) : entry;
+        }
+        content = { ...pkg, environmentWhitelist: whitelist };
+    } else {
+        content = { environmentWhitelist: learned };
+    }
+
+    fs.writeFileSync(outputPath, JSON.stringify(content, null, 2) + '\n');
+    return outputPath;
+}
+
+/**
+ * Forget everything observed
+ */
+function clearCache() {
+    if (learnDir && ownsLearnDir) {
+        fs.rmSync(learnDir, { recursive: true, force: true });
+    }
+    observed = new Map();
+    learnDir = null;
+    ownsLearnDir = false;
+}
+
+module.exports = {
+    record,
+    buildWhitelist,
+    normalizeLearnOptions,
+    startSession,
+    addLearnDirToEnv,
+    writeLearned,
+    clearCache,
+    FORMATS,
+    LEARN_DIR_ENV
+};
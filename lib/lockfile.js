@@ -0,0 +1,377 @@
+/**
+ * lockfile.js - Pin whitelisted packages to the code that was approved
+ *
+ * dotnope-lock.json records, for every whitelisted package and every
+ * dependency its allowPeerDependencies grants reach, the installed version
+ * and a hash of its files next to the grants it was approved with.
+ * A trusted name that publishes a malicious patch release no longer
+ * matches its pin, so it loses its grants until the lock is regenerated.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolvePackagePath, getDependenciesWithLimit } = require('./dependency-resolver');
+const { parsePackageKey, satisfies } = require('./version-matcher');
+
+const LOCKFILE_NAME = 'dotnope-lock.json';
+const LOCKFILE_VERSION = 1;
+
+// Grants recorded next to each pin, for review
+const GRANT_KEYS = ['allowed', 'canWrite', 'canDelete'];
+
+// Pins of the loaded lock: whitelist key -> { version, integrity, ... }, or null without a lock
+let pins = null;
+
+// Whitelist key -> why its installed copy does not match its pin
+let mismatches = new Map();
+
+// Package directory -> why that copy does not match its pin, or null; for callers
+// installed somewhere other than where the key resolves
+let copyMismatches = new Map();
+
+// Package directory -> { fingerprint, integrity }. Kept across loads: the
+// fingerprint of file sizes and mtimes tells when a copy must be hashed again
+const hashCache = new Map();
+
+/**
+ * List the files of an installed package, without nested node_modules
+ * @param {string} pkgDir
+ * @param {string} [subdir] - Forward-slash path below pkgDir
+ * @returns {Array<{file: string, link: boolean, stats: fs.Stats}>} Sorted by path
+ */
+function listPackageFiles(pkgDir, subdir = '') {
+    const files = [];
+    const entries = fs.readdirSync(path.join(pkgDir, subdir), { withFileTypes: true })
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+        const file = subdir ? `${subdir}/${entry.name}` : entry.name;
+        if (entry.isSymbolicLink() || entry.isFile()) {
+            const stats = fs.lstatSync(path.join(pkgDir, file));
+            files.push({ file, link: entry.isSymbolicLink(), stats });
+        } else if (entry.isDirectory() && entry.name !== 'node_modules') {
+            files.push(...listPackageFiles(pkgDir, file));
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Hash the files of an installed package. Paths are hashed with contents,
+ * so renaming or adding a file changes the hash too. A copy whose files
+ * have the same sizes and mtimes as when it was last hashed is not read again.
+ * @param {string} pkgDir
+ * @returns {string} "sha256-<base64>"
+ */
+function hashPackage(pkgDir) {
+    const files = listPackageFiles(pkgDir);
+    const fingerprint = crypto.createHash('sha256');
+    for (const { file, stats } of files) {
+        fingerprint.update(`${file}\0${stats.size}\0${stats.mtimeMs}\0`);
+    }
+    const key = fingerprint.digest('base64');
+
+    const cached = hashCache.get(pkgDir);
+    if (cached && cached.fingerprint === key) {
+        return cached.integrity;
+    }
+
+    const hash = crypto.createHash('sha256');
+    for (const { file, link } of files) {
+        const target = path.join(pkgDir, file);
+        hash.update(`${file}\0`);
+        hash.update(link ? `-> ${fs.readlinkSync(target)}` : fs.readFileSync(target));
+        hash.update('\0');
+    }
+
+    const integrity = `sha256-${hash.digest('base64')}`;
+    hashCache.set(pkgDir, { fingerprint: key, integrity });
+    return integrity;
+}
+
+/**
+ * Find the installed copy a whitelist key pins.
+ * Keys without an installed copy, or whose version range the installed
+ * copy does not satisfy, have nothing to pin.
+ * @param {string} key - Whitelist key ("axios" or "axios@^1.6.0")
+ * @param {string} projectDir
+ * @returns {{dir: string, version: string}|null}
+ */
+function findInstalledPackage(key, projectDir) {
+    const { name, range } = parsePackageKey(key);
+    const dir = resolvePackagePath(name, projectDir);
+    if (!dir) {
+        return null;
+    }
+
+    let version;
+    try {
+        version = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).version;
+    } catch (err) {
+        return null;
+    }
+    if (typeof version !== 'string' || (range !== null && !satisfies(version, range))) {
+        return null;
+    }
+
+    return { dir, version };
+}
+
+/**
+ * Get the dependencies that read env vars through another package's
+ * allowPeerDependencies, as the resolver expands it
+ * @param {Object} config - Normalized whitelist
+ * @returns {Map<string, string[]>} Package name -> whitelist keys whose grants reach it
+ */
+function getPeerReaders(config) {
+    const peers = new Map();
+
+    for (const [key, entry] of Object.entries(config)) {
+        if (!entry.allowPeerDependencies || (entry.allowed || []).length === 0) {
+            continue;
+        }
+        const depthLimit = typeof entry.peerDepthLimit === 'number' ? entry.peerDepthLimit : 1;
+        const excluded = new Set(entry.excludePeerDependencies || []);
+        for (const dep of getDependenciesWithLimit(parsePackageKey(key).name, depthLimit, excluded)) {
+            peers.set(dep, [...(peers.get(dep) || []), key]);
+        }
+    }
+
+    return peers;
+}
+
+/**
+ * Get the whitelist keys that name installable packages, and the
+ * dependencies their allowPeerDependencies grants reach
+ * @param {Object} config - Normalized whitelist
+ * @param {Array<{name: string}>} [workspaces] - The project's own packages, never pinned
+ * @returns {string[]} Sorted keys and package names
+ */
+function getPinnableKeys(config, workspaces = []) {
+    const workspaceNames = new Set(workspaces.map(workspace => workspace.name));
+    const keys = new Set(Object.keys(config));
+    for (const peer of getPeerReaders(config).keys()) {
+        keys.add(peer);
+    }
+    return [...keys]
+        .filter(key => key !== '__main__' && !workspaceNames.has(parsePackageKey(key).name))
+        .sort();
+}
+
+/**
+ * Build a lock pinning every installed whitelisted package
+ * @param {Object} config - Normalized whitelist
+ * @param {Object} context
+ * @param {string} context.projectDir - Directory node_modules is resolved from
+ * @param {Array<{name: string}>} [context.workspaces]
+ * @returns {Object} { lockfileVersion, packages: key -> { version, integrity, allowed, canWrite, canDelete } },
+ *          with { version, integrity, peerOf } for dependencies reached through allowPeerDependencies
+ */
+function createLockfile(config, { projectDir, workspaces = [] }) {
+    const packages = {};
+    const peers = getPeerReaders(config);
+
+    for (const key of getPinnableKeys(config, workspaces)) {
+        const installed = findInstalledPackage(key, projectDir);
+        if (!installed) {
+            continue;
+        }
+        packages[key] = { version: installed.version, integrity: hashPackage(installed.dir) };
+        if (!(key in config)) {
+            packages[key].peerOf = peers.get(key);
+            continue;
+        }
+        for (const grantKey of GRANT_KEYS) {
+            packages[key][grantKey] = [...config[key][grantKey]];
+        }
+    }
+
+    return { lockfileVersion: LOCKFILE_VERSION, packages };
+}
+
+/**
+ * Read a lock file
+ * @param {string} filePath
+ * @returns {Object|null} The lock, or null if there is none
+ * @throws {Error} ERR_DOTNOPE_INVALID_LOCKFILE if it cannot be used
+ */
+function readLockfile(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+        throw err;
+    }
+
+    let lock;
+    try {
+        lock = JSON.parse(text);
+    } catch (err) {
+        lock = null;
+    }
+
+    if (!lock || lock.lockfileVersion !== LOCKFILE_VERSION || typeof lock.packages !== 'object' || lock.packages === null) {
+        const error = new Error(
+            `dotnope: ${filePath} is not a valid lock file!\n` +
+            `\n` +
+            `Regenerate it with:\n` +
+            `  npx dotnope lock\n`
+        );
+        error.code = 'ERR_DOTNOPE_INVALID_LOCKFILE';
+        error.lockPath = filePath;
+        throw error;
+    }
+
+    return lock;
+}
+
+/**
+ * Compare the installed whitelisted packages with their pins
+ * @param {Object} config - Normalized whitelist
+ * @param {Object} lock - Result of readLockfile()
+ * @param {Object} context
+ * @param {string} context.projectDir
+ * @param {Array<{name: string}>} [context.workspaces]
+ * @returns {Map<string, string>} Whitelist key -> reason it does not match
+ */
+function findMismatches(config, lock, { projectDir, workspaces = [] }) {
+    const found = new Map();
+
+    for (const key of getPinnableKeys(config, workspaces)) {
+        const installed = findInstalledPackage(key, projectDir);
+        const pin = lock.packages[key];
+
+        if (!installed) {
+            continue;
+        }
+        if (!pin) {
+            found.set(key, `version ${installed.version} was never approved in ${LOCKFILE_NAME}`);
+        } else if (installed.version !== pin.version) {
+            found.set(key, `version ${installed.version} is installed, ${pin.version} was approved`);
+        } else if (hashPackage(installed.dir) !== pin.integrity) {
+            found.set(key, `its files differ from the approved ${pin.version}`);
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Find whitelisted packages whose grants changed since the lock was written
+ * @param {Object} config - Normalized whitelist
+ * @param {Object} lock - Result of readLockfile()
+ * @returns {string[]} Whitelist keys
+ */
+function findChangedGrants(config, lock) {
+    const sameList = (a = [], b = []) => a.length === b.length && a.every(item => b.includes(item));
+
+    return Object.keys(lock.packages)
+        .filter(key => key in config)
+        .filter(key => !GRANT_KEYS.every(grantKey => sameList(lock.packages[key][grantKey], config[key][grantKey])))
+        .sort();
+}
+
+/**
+ * Load the lock for the active whitelist and check every pin.
+ * Without a lock file nothing is pinned and nothing changes.
+ * @param {Object} config - Normalized whitelist
+ * @param {Object} context
+ * @param {string} context.projectDir - Directory holding dotnope-lock.json
+ * @param {Array<{name: string}>} [context.workspaces]
+ * @returns {Map<string, string>|null} Mismatched keys and why, or null without a lock
+ */
+function loadLockfile(config, { projectDir, workspaces = [] }) {
+    const lock = readLockfile(path.join(projectDir, LOCKFILE_NAME));
+
+    if (!lock) {
+        pins = null;
+        mismatches = new Map();
+        copyMismatches = new Map();
+        return null;
+    }
+
+    pins = new Map(Object.entries(lock.packages));
+    mismatches = findMismatches(config, lock, { projectDir, workspaces });
+    copyMismatches = new Map();
+    return mismatches;
+}
+
+/**
+ * Check if a lock is loaded
+ * @returns {boolean}
+ */
+function isActive() {
+    return pins !== null;
+}
+
+/**
+ * Check a caller against its pin
+ * @param {string} key - Whitelist key (or peer package name) governing the caller
+ * @param {string|null} version - Installed version of the calling copy
+ * @param {string|null} [packageDir] - Directory of the calling copy
+ * @returns {string|null} Why the caller does not match, or null if it does
+ *          (or is not pinned at all)
+ */
+function getPinMismatch(key, version, packageDir = null) {
+    if (pins === null) {
+        return null;
+    }
+    if (mismatches.has(key)) {
+        return mismatches.get(key);
+    }
+
+    // A nested copy at another version is not what was approved either
+    const pin = pins.get(key);
+    if (!pin) {
+        return null;
+    }
+    if (version && version !== pin.version) {
+        return `version ${version} is installed, ${pin.version} was approved`;
+    }
+
+    // Nor is one at the approved version with other files; each copy is hashed once per load
+    if (packageDir) {
+        if (!copyMismatches.has(packageDir)) {
+            let integrity = null;
+            try {
+                integrity = hashPackage(packageDir);
+            } catch (err) {
+                // Unreadable: it cannot be shown to match
+            }
+            copyMismatches.set(packageDir, integrity === pin.integrity
+                ? null
+                : `its files at ${packageDir} differ from the approved ${pin.version}`);
+        }
+        return copyMismatches.get(packageDir);
+    }
+    return null;
+}
+
+/**
+ * Forget the loaded lock
+ */
+function clearCache() {
+    pins = null;
+    mismatches = new Map();
+    copyMismatches = new Map();
+}
+
+module.exports = {
+    hashPackage,
+    createLockfile,
+    readLockfile,
+    findMismatches,
+    findChangedGrants,
+    loadLockfile,
+    isActive,
+    getPinMismatch,
+    clearCache,
+    LOCKFILE_NAME
+};
@@ -0,0 +1,172 @@
+/**
+ * pattern-matcher.js - Glob matching for environment variable names
+ *
+ * Whitelist lists (allowed, canWrite, canDelete) accept exact names,
+ * the all-or-nothing "*", glob patterns such as "AWS_*" or "npm_config_*",
+ * and negated patterns such as "!AWS_SECRET_*" that carve exceptions out
+ * of the positive entries in the same list.
+ *
+ * Supported glob syntax: "*" matches any run of characters, "?" matches
+ * exactly one character. Everything else is matched literally.
+ */
+
+'use strict';
+
+// Cache: pattern -> compiled RegExp
+const regexCache = new Map();
+
+/**
+ * Check if a list entry is a negation ("!PATTERN")
+ * @param {string} entry
+ * @returns {boolean}
+ */
+function isNegation(entry) {
+    return typeof entry === 'string' && entry.length > 1 && entry[0] === '!';
+}
+
+/**
+ * Check if a string contains glob metacharacters
+ * @param {string} entry
+ * @returns {boolean}
+ */
+function isPattern(entry) {
+    return typeof entry === 'string' && /[*?]/.test(entry);
+}
+
+/**
+ * Compile a glob pattern to an anchored RegExp
+ * @param {string} pattern - Glob pattern without leading "!"
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+    let regex = regexCache.get(pattern);
+    if (regex) {
+        return regex;
+    }
+
+    let source = '';
+    for (const ch of pattern) {
+        if (ch === '*') {
+            source += '.*';
+        } else if (ch === '?') {
+            source += '.';
+        } else {
+            source += ch.replace(/[.+^${}()|[\]\\/-]/g, '\\$&');
+        }
+    }
+
+    regex = new RegExp(`^${source}$`, 's');
+    regexCache.set(pattern, regex);
+    return regex;
+}
+
+/**
+ * Check if an env var name matches a single glob pattern
+ * @param {string} envVar - Environment variable name
+ * @param {string} pattern - Exact name or glob pattern (no leading "!")
+ * @returns {boolean}
+ */
+function matchesPattern(envVar, pattern) {
+    if (pattern === '*') {
+        return true;
+    }
+    if (!isPattern(pattern)) {
+        return envVar === pattern;
+    }
+    return compilePattern(pattern).test(envVar);
+}
+
+/**
+ * Check if an env var name is granted by a list of patterns.
+ * The name must match at least one positive entry and no negated entry.
+ * @param {string} envVar - Environment variable name
+ * @param {string[]} patterns - List of names, globs and "!" negations
+ * @returns {boolean}
+ */
+function matchesAny(envVar, patterns) {
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+        return false;
+    }
+
+    let matched = false;
+    for (const entry of patterns) {
+        if (typeof entry !== 'string') {
+            continue;
+        }
+        if (isNegation(entry)) {
+            if (matchesPattern(envVar, entry.slice(1))) {
+                return false;
+            }
+        } else if (!matched && matchesPattern(envVar, entry)) {
+            matched = true;
+        }
+    }
+
+    return matched;
+}
+
+/**
+ * Check if a list grants every env var name without exception
+ * (contains "*" and no negations)
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function isUnrestricted(patterns) {
+    if (!Array.isArray(patterns) || !patterns.includes('*')) {
+        return false;
+    }
+    return !patterns.some(isNegation);
+}
+
+/**
+ * Check if two glob patterns can match at least one common string
+ * @param {string} a - Glob pattern (no leading "!")
+ * @param {string} b - Glob pattern (no leading "!")
+ * @returns {boolean}
+ */
+function patternsIntersect(a, b) {
+    const memo = new Map();
+
+    function walk(i, j) {
+        const key = `${i},${j}`;
+        if (memo.has(key)) {
+            return memo.get(key);
+        }
+
+        let result;
+        if (i === a.length && j === b.length) {
+            result = true;
+        } else if (i < a.length && a[i] === '*') {
+            // Star in a: match nothing, or consume one char of b
+            result = walk(i + 1, j) || (j < b.length && walk(i, j + 1));
+        } else if (j < b.length && b[j] === '*') {
+            result = walk(i, j + 1) || (i < a.length && walk(i + 1, j));
+        } else if (i < a.length && j < b.length) {
+            result = (a[i] === b[j] || a[i] === '?' || b[j] === '?') && walk(i + 1, j + 1);
+        } else {
+            result = false;
+        }
+
+        memo.set(key, result);
+        return result;
+    }
+
+    return walk(0, 0);
+}
+
+/**
+ * Clear the compiled pattern cache
+ */
+function clearCache() {
+    regexCache.clear();
+}
+
+module.exports = {
+    isNegation,
+    isPattern,
+    matchesPattern,
+    matchesAny,
+    isUnrestricted,
+    patternsIntersect,
+    clearCache
+};
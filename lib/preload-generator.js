@@ -9,75 +9,91 @@
 
 const fs = require('fs');
 const path = require('path');
+const { isNegation, patternsIntersect } = require('./pattern-matcher');
+const { resolveWhitelist, finalizeWhitelist, normalizeConfig } = require('./config-loader');
 
 /**
  * Generate DOTNOPE_POLICY from whitelist configuration
+ *
+ * The preload library enforces a single process-wide list, so the policy is
+ * the union of every package's readable and writable patterns. Negated
+ * patterns ("!AWS_SECRET_*") and per-package "denied" entries are only carried
+ * over when no other list grants a name they could match - otherwise they
+ * would take access away from a package that was explicitly allowed it.
+ * Global "denied" entries from __options__ are always carried over.
+ * The preload library reads a policy of negations alone as "nothing but
+ * its built-in list", so without any grant the policy starts with "*".
+ *
  * @param {Object} config - Whitelist configuration object
- * @returns {string} Comma-separated list of allowed env vars
+ * @param {Object} [options] - Global options ({ denied })
+ * @returns {string} Comma-separated list of allowed env var patterns
  */
-function generatePolicy(config) {
+function generatePolicy(config, options = {}) {
     const allowedVars = new Set();
+    const lists = [];
 
-    // Collect all allowed variables from all packages
+    // Collect all allowed and writable (also readable) lists from all packages
     for (const [packageName, packageConfig] of Object.entries(config)) {
         // Skip options
         if (packageName === '__options__') {
             continue;
         }
 
-        // Add allowed vars
-        if (packageConfig.allowed) {
-            for (const envVar of packageConfig.allowed) {
-                // Skip wildcard - preload library handles wildcards separately
-                if (envVar === '*') {
-                    // Return wildcard to allow all
-                    return '*';
-                }
+        const packageDenied = Array.isArray(packageConfig.denied)
+            ? packageConfig.denied.filter(entry => !isNegation(entry))
+            : [];
+
+        for (const key of ['allowed', 'canWrite']) {
+            if (!Array.isArray(packageConfig[key])) {
+                continue;
+            }
+
+            const positives = packageConfig[key].filter(entry => !isNegation(entry));
+            const negations = packageConfig[key].filter(isNegation).map(entry => entry.slice(1));
+            lists.push({ positives, negations: [...negations, ...packageDenied] });
+
+            for (const envVar of positives) {
                 allowedVars.add(envVar);
             }
         }
+    }
 
-        // Add writable vars (they're also readable)
-        if (packageConfig.canWrite) {
-            for (const envVar of packageConfig.canWrite) {
-                if (envVar === '*') {
-                    return '*';
-                }
-                allowedVars.add(envVar);
+    const deniedVars = new Set();
+    for (const envVar of options.denied || []) {
+        if (!isNegation(envVar)) {
+            deniedVars.add(`!${envVar}`);
+        }
+    }
+    for (const list of lists) {
+        for (const negation of list.negations) {
+            const grantedElsewhere = lists.some(other => other !== list &&
+                other.positives.some(positive => patternsIntersect(positive, negation)));
+            if (!grantedElsewhere) {
+                deniedVars.add(`!${negation}`);
             }
         }
     }
 
-    // Sort for deterministic output
-    return [...allowedVars].sort().join(',');
+    // Sort for deterministic output; a wildcard makes other positives redundant
+    const positives = allowedVars.has('*') || (allowedVars.size === 0 && deniedVars.size > 0)
+        ? ['*']
+        : [...allowedVars].sort();
+    return [...positives, ...[...deniedVars].sort()].join(',');
 }
 
 /**
- * Generate policy from a package.json file
+ * Generate policy from a package.json file, merged with any dotnope
+ * config file next to it (or named by DOTNOPE_CONFIG), the selected profile
+ * and built-in presets. The preload library has no startup phase to lock,
+ * so the "startup" grants stay in the policy for the whole run.
  * @param {string} pkgPath - Path to package.json
  * @returns {string} Policy string
  */
 function generatePolicyFromPackageJson(pkgPath) {
-    const pkgContent = fs.readFileSync(pkgPath, 'utf8');
-    const pkg = JSON.parse(pkgContent);
-    const whitelist = pkg.environmentWhitelist || {};
-
-    // Normalize config (simplified version of config-loader)
-    const config = {};
-    for (const [packageName, rawConfig] of Object.entries(whitelist)) {
-        if (packageName === '__options__') continue;
-
-        if (typeof rawConfig === 'object' && rawConfig !== null && !Array.isArray(rawConfig)) {
-            config[packageName] = {
-                allowed: rawConfig.allowed || [],
-                canWrite: rawConfig.canWrite || []
-            };
-        } else if (Array.isArray(rawConfig)) {
-            config[packageName] = { allowed: rawConfig, canWrite: [] };
-        }
-    }
-
-    return generatePolicy(config);
+    const { whitelist, startup } = finalizeWhitelist(resolveWhitelist(pkgPath));
+    // The startup whitelist is the steady-state one with the startup grants unioned in
+    const { config, options } = normalizeConfig(startup ? startup.whitelist : whitelist);
+    return generatePolicy(config, options);
 }
 
 /**
@@ -0,0 +1,172 @@
+/**
+ * presets.js - Built-in permission presets for popular packages
+ *
+ * Each preset lists the env vars a package family legitimately reads
+ * (and, for dotenv, writes). Use one for a single entry with
+ *   "pg": { "preset": "pg" }
+ * or grant every package a preset covers with
+ *   "__presets__": ["pg", "common"]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { isPattern, matchesPattern } = require('./pattern-matcher');
+
+/**
+ * Preset catalogue: name -> { description, packages, allowed, canWrite }
+ * `packages` may contain "@scope/*" patterns, expanded against node_modules.
+ */
+const PRESETS = {
+    'aws-sdk': {
+        description: 'AWS SDK v2 and v3 credential, region and endpoint settings',
+        packages: ['aws-sdk', '@aws-sdk/*', '@smithy/*'],
+        allowed: ['AWS_*', 'HOME', 'USERPROFILE', 'HOMEPATH', 'HOMEDRIVE']
+    },
+    'pg': {
+        description: 'node-postgres libpq-compatible connection settings',
+        packages: ['pg', 'pg-pool', 'pg-native', 'pg-connection-string', 'pgpass'],
+        allowed: [
+            'PGHOST', 'PGHOSTADDR', 'PGPORT', 'PGDATABASE', 'PGUSER', 'PGPASSWORD',
+            'PGPASSFILE', 'PGAPPNAME', 'PGCONNECT_TIMEOUT', 'PGCLIENTENCODING',
+            'PGOPTIONS', 'PGTZ', 'PGTARGETSESSIONATTRS',
+            'PGSSLMODE', 'PGSSLCERT', 'PGSSLKEY', 'PGSSLROOTCERT',
+            'NODE_PG_FORCE_NATIVE', 'USER', 'USERNAME', 'HOME', 'APPDATA'
+        ]
+    },
+    'mysql2': {
+        // Not lru-cache: many unrelated packages depend on it
+        description: 'mysql2, which reads no env vars itself',
+        packages: ['mysql2'],
+        allowed: []
+    },
+    'debug': {
+        description: 'debug namespaces and formatting options',
+        packages: ['debug'],
+        allowed: ['DEBUG', 'DEBUG_*', 'debug_*']
+    },
+    'supports-color': {
+        description: 'Terminal color detection',
+        packages: ['supports-color', 'chalk', 'has-flag'],
+        allowed: [
+            'FORCE_COLOR', 'NO_COLOR', 'TERM', 'COLORTERM', 'TERM_PROGRAM', 'TERM_PROGRAM_VERSION',
+            'CI', 'CI_NAME', 'TEAMCITY_VERSION', 'TF_BUILD', 'AGENT_NAME',
+            'TRAVIS', 'CIRCLECI', 'APPVEYOR', 'GITLAB_CI', 'GITHUB_ACTIONS', 'GITEA_ACTIONS',
+            'BUILDKITE', 'DRONE'
+        ]
+    },
+    'dotenv': {
+        description: 'dotenv options; writes every variable from .env files',
+        packages: ['dotenv'],
+        allowed: ['DOTENV_*'],
+        canWrite: ['*']
+    },
+    'proxy-from-env': {
+        description: 'Proxy settings in upper, lower and npm_config_ case',
+        packages: ['proxy-from-env'],
+        allowed: ['*_PROXY', '*_proxy']
+    }
+};
+
+/**
+ * Preset groups: name -> preset names
+ */
+const PRESET_GROUPS = {
+    'common': ['debug', 'supports-color', 'proxy-from-env']
+};
+
+/**
+ * Get every preset and group name
+ * @returns {string[]}
+ */
+function getPresetNames() {
+    return [...Object.keys(PRESETS), ...Object.keys(PRESET_GROUPS)];
+}
+
+/**
+ * Look up a single preset (not a group)
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getPreset(name) {
+    return Object.prototype.hasOwnProperty.call(PRESETS, name) ? PRESETS[name] : null;
+}
+
+/**
+ * Expand preset and group names into preset names, in order, without duplicates
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+function expandPresetNames(names) {
+    const expanded = [];
+    for (const name of names) {
+        const members = Object.prototype.hasOwnProperty.call(PRESET_GROUPS, name) ? PRESET_GROUPS[name] : [name];
+        for (const member of members) {
+            if (getPreset(member) && !expanded.includes(member)) {
+                expanded.push(member);
+            }
+        }
+    }
+    return expanded;
+}
+
+/**
+ * List installed packages matching a "@scope/*" pattern
+ * @param {string} pattern - Package name pattern
+ * @param {string} projectDir - Directory to search node_modules from
+ * @returns {string[]} Installed package names
+ */
+function findInstalledPackages(pattern, projectDir) {
+    const [scope] = pattern.split('/');
+    const found = new Set();
+    let dir = path.resolve(projectDir);
+
+    while (true) {
+        const scopeDir = path.join(dir, 'node_modules', scope);
+        try {
+            for (const name of fs.readdirSync(scopeDir)) {
+                const packageName = `${scope}/${name}`;
+                if (matchesPattern(packageName, pattern)) {
+                    found.add(packageName);
+                }
+            }
+        } catch (err) {
+            // No such scope here
+        }
+
+        if (dir === path.dirname(dir)) {
+            break;
+        }
+        dir = path.dirname(dir);
+    }
+
+    return [...found].sort();
+}
+
+/**
+ * Get the package names a preset grants, with "@scope/*" patterns expanded
+ * @param {Object} preset
+ * @param {string} projectDir
+ * @returns {string[]}
+ */
+function getPresetPackages(preset, projectDir) {
+    const packages = [];
+    for (const name of preset.packages) {
+        if (isPattern(name)) {
+            packages.push(...findInstalledPackages(name, projectDir));
+        } else {
+            packages.push(name);
+        }
+    }
+    return packages;
+}
+
+module.exports = {
+    PRESETS,
+    PRESET_GROUPS,
+    getPresetNames,
+    getPreset,
+    expandPresetNames,
+    getPresetPackages
+};
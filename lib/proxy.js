@@ -1,5 +1,7 @@
 'use strict';
 
+const { matchesAny } = require('./pattern-matcher');
+
 let originalEnv = null;
 let proxyEnv = null;
 let isEnabled = false;
@@ -7,6 +9,9 @@ let checkAccessFn = null;
 let filterKeysFn = null;
 let proxyOptions = null;
 
+// Set by handle.lock({ readOnly: true }): no writes or deletes, from anyone
+let readOnly = false;
+
 // Track when proxy was installed for debugging
 let proxyInstalledAt = null;
 
@@ -16,12 +21,16 @@ let earlyReferenceWarned = false;
 /**
  * Creates a Proxy wrapper around process.env to intercept all access
  * @param {Function} checkFn - Function called on every env var access
- *                             Signature: checkFn(envVar, operation)
+ *                             Signature: checkFn(envVar, operation, value, readKind)
  *                             operation: 'read' | 'write' | 'delete'
+ *                             value: the value being written, for writes
+ *                             readKind: 'get', 'has' ('in') or 'descriptor', for reads
  * @param {Object} options - Protection options
  * @param {boolean} options.protectWrites - Control write operations
  * @param {boolean} options.protectDeletes - Control delete operations
  * @param {boolean} options.protectEnumeration - Filter ownKeys results
+ * @param {string[]} options.immutable - Env vars always checked on write and delete,
+ *                                       even with protectWrites or protectDeletes off
  */
 function createEnvProxy(checkFn, options = {}) {
     if (proxyEnv) {
@@ -32,7 +41,8 @@ function createEnvProxy(checkFn, options = {}) {
     proxyOptions = {
         protectWrites: options.protectWrites !== false,
         protectDeletes: options.protectDeletes !== false,
-        protectEnumeration: options.protectEnumeration !== false
+        protectEnumeration: options.protectEnumeration !== false,
+        immutable: Array.isArray(options.immutable) ? options.immutable : []
     };
     originalEnv = process.env;
 
@@ -50,34 +60,49 @@ function createEnvProxy(checkFn, options = {}) {
 
             // Check access if enabled
             if (isEnabled && checkAccessFn) {
-                checkAccessFn(String(prop), 'read');
+                checkAccessFn(String(prop), 'read', undefined, 'get');
             }
 
             return target[prop];
         },
 
         set(target, prop, value) {
+            if (typeof prop !== 'string') {
+                target[prop] = value;
+                return true;
+            }
+
+            if (isEnabled && readOnly) {
+                throw createReadOnlyError(prop, 'write');
+            }
+
+            // process.env stores strings: convert once, so the value checked
+            // is the value stored (an object's toString could differ each call)
+            const text = toEnvString(value);
+
             // Check write access if enabled and protectWrites is true
-            if (isEnabled && checkAccessFn && proxyOptions.protectWrites) {
-                if (typeof prop === 'string') {
-                    checkAccessFn(prop, 'write');
-                }
+            if (isEnabled && checkAccessFn && (proxyOptions.protectWrites || isImmutable(prop))) {
+                checkAccessFn(prop, 'write', text);
             }
-            target[prop] = value;
+            target[prop] = text;
             return true;
         },
 
         has(target, prop) {
             // Intercept 'in' operator usage
             if (isEnabled && checkAccessFn && typeof prop === 'string') {
-                checkAccessFn(prop, 'read');
+                checkAccessFn(prop, 'read', undefined, 'has');
             }
             return prop in target;
         },
 
         deleteProperty(target, prop) {
+            if (isEnabled && readOnly && typeof prop === 'string') {
+                throw createReadOnlyError(prop, 'delete');
+            }
+
             // Check delete access if enabled and protectDeletes is true
-            if (isEnabled && checkAccessFn && proxyOptions.protectDeletes) {
+            if (isEnabled && checkAccessFn && (proxyOptions.protectDeletes || isImmutable(prop))) {
                 if (typeof prop === 'string') {
                     checkAccessFn(prop, 'delete');
                 }
@@ -102,19 +127,28 @@ function createEnvProxy(checkFn, options = {}) {
         getOwnPropertyDescriptor(target, prop) {
             // Intercept property descriptor access
             if (isEnabled && checkAccessFn && typeof prop === 'string') {
-                checkAccessFn(prop, 'read');
+                checkAccessFn(prop, 'read', undefined, 'descriptor');
             }
             return Object.getOwnPropertyDescriptor(target, prop);
         },
 
         defineProperty(target, prop, descriptor) {
+            if (isEnabled && readOnly && typeof prop === 'string') {
+                throw createReadOnlyError(prop, 'write');
+            }
+
+            // As in set(), check and store the same string
+            const stored = typeof prop === 'string' && 'value' in descriptor
+                ? { ...descriptor, value: toEnvString(descriptor.value) }
+                : descriptor;
+
             // Check write access for defineProperty (it's effectively a write)
-            if (isEnabled && checkAccessFn && proxyOptions.protectWrites) {
+            if (isEnabled && checkAccessFn && (proxyOptions.protectWrites || isImmutable(prop))) {
                 if (typeof prop === 'string') {
-                    checkAccessFn(prop, 'write');
+                    checkAccessFn(prop, 'write', stored.value);
                 }
             }
-            return Object.defineProperty(target, prop, descriptor);
+            return Object.defineProperty(target, prop, stored);
         }
     });
 
@@ -133,6 +167,70 @@ function createEnvProxy(checkFn, options = {}) {
     // direct access to the original object.
 }
 
+/**
+ * Convert a value to the string process.env would store.
+ * Throws for symbols, as process.env does.
+ * @param {*} value
+ * @returns {string}
+ */
+function toEnvString(value) {
+    return `${value}`;
+}
+
+/**
+ * Check if an env var is on the immutable list
+ * @param {string|symbol} prop
+ * @returns {boolean}
+ */
+function isImmutable(prop) {
+    return typeof prop === 'string' && matchesAny(prop, proxyOptions.immutable);
+}
+
+/**
+ * Build the error thrown for a write or delete while process.env is read-only
+ * @param {string} envVar
+ * @param {string} operation - 'write' or 'delete'
+ * @returns {Error} Error with code ERR_DOTNOPE_READ_ONLY
+ */
+function createReadOnlyError(envVar, operation) {
+    const error = new Error(
+        `dotnope: process.env is read-only!\n` +
+        `\n` +
+        `  Attempted to ${operation === 'write' ? 'write to' : 'delete'}: "${envVar}"\n` +
+        `\n` +
+        `handle.lock() was called with readOnly: true, so no code may change\n` +
+        `process.env any more, the main application included.\n`
+    );
+    error.code = 'ERR_DOTNOPE_READ_ONLY';
+    error.envVar = envVar;
+    error.operation = operation;
+    return error;
+}
+
+/**
+ * Make process.env read-only for every caller, or writable again
+ * @param {boolean} value
+ */
+function setReadOnly(value) {
+    readOnly = Boolean(value);
+}
+
+/**
+ * Check if process.env is read-only
+ * @returns {boolean}
+ */
+function isReadOnly() {
+    return readOnly;
+}
+
+/**
+ * Get the real environment behind the proxy
+ * @returns {Object|null} Null if the proxy is not installed
+ */
+function getOriginalEnv() {
+    return proxyEnv ? originalEnv : null;
+}
+
 /**
  * Enable strict environment checking
  */
@@ -158,6 +256,22 @@ function restore() {
         checkAccessFn = null;
         filterKeysFn = null;
         proxyOptions = null;
+        readOnly = false;
+    }
+}
+
+/**
+ * Replace the protection options of the installed proxy (used on reload)
+ * @param {Object} options - Protection options, as for createEnvProxy()
+ */
+function setProxyOptions(options = {}) {
+    if (proxyOptions) {
+        proxyOptions = {
+            protectWrites: options.protectWrites !== false,
+            protectDeletes: options.protectDeletes !== false,
+            protectEnumeration: options.protectEnumeration !== false,
+            immutable: Array.isArray(options.immutable) ? options.immutable : []
+        };
     }
 }
 
@@ -203,6 +317,10 @@ module.exports = {
     disable,
     restore,
     setFilterKeysFn,
+    setProxyOptions,
+    setReadOnly,
+    isReadOnly,
+    getOriginalEnv,
     isStrictModeEnabled,
     getProxyInstalledAt,
     getProxyStatus
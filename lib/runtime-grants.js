@@ -0,0 +1,195 @@
+/**
+ * runtime-grants.js - Grants and revocations made by the app at runtime
+ *
+ * handle.grant() and handle.revoke() record rules here instead of editing
+ * the loaded whitelist, so they survive a reload. Rules are checked before
+ * the whitelist: for a given package and env var the most recent matching
+ * rule wins, and only when no rule matches does the whitelist decide.
+ * "denied" entries still override every grant. Because rules never enter
+ * the whitelist, the dependency resolver's caches cannot hold a stale
+ * runtime decision, and expired rules stop applying on the next access.
+ */
+
+'use strict';
+
+const { matchesAny } = require('./pattern-matcher');
+const { suggestKey } = require('./config-validator');
+
+// Lists a rule may carry, by the config key they mirror
+const RULE_LISTS = ['allowed', 'canWrite', 'canDelete'];
+
+const RULE_KEYS = [...RULE_LISTS, 'ttlMs'];
+
+// Rules in the order they were made: { type, packageName, allowed, canWrite, canDelete, expiresAt }
+let rules = [];
+
+/**
+ * Build the error thrown for a malformed grant or revoke call
+ * @param {string} method - 'grant' or 'revoke'
+ * @param {string} problem - What is wrong
+ * @returns {Error} Error with code ERR_DOTNOPE_INVALID_GRANT
+ */
+function createGrantError(method, problem) {
+    const error = new Error(
+        `dotnope: Invalid handle.${method}() call!\n` +
+        `\n` +
+        `  ${problem}\n` +
+        `\n` +
+        `Example:\n` +
+        `  handle.${method}(token, 'my-plugin', { allowed: ['PLUGIN_API_KEY'], ttlMs: 60000 });\n`
+    );
+    error.code = 'ERR_DOTNOPE_INVALID_GRANT';
+    return error;
+}
+
+/**
+ * Check the arguments of a grant or revoke call
+ * @param {string} method - 'grant' or 'revoke'
+ * @param {string} packageName
+ * @param {Object} spec
+ * @throws {Error} ERR_DOTNOPE_INVALID_GRANT
+ */
+function validateRule(method, packageName, spec) {
+    if (typeof packageName !== 'string' || packageName.length === 0) {
+        throw createGrantError(method, 'packageName must be a non-empty string');
+    }
+    if (packageName === '__main__' || packageName === '__options__') {
+        throw createGrantError(method, `"${packageName}" cannot be granted or revoked`);
+    }
+    if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+        throw createGrantError(method, 'permissions must be an object like { allowed: [...] }');
+    }
+
+    for (const key of Object.keys(spec)) {
+        if (!RULE_KEYS.includes(key)) {
+            const suggestion = suggestKey(key, RULE_KEYS);
+            throw createGrantError(method, `unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+        }
+    }
+    for (const key of RULE_LISTS) {
+        const list = spec[key];
+        if (list !== undefined &&
+            (!Array.isArray(list) || !list.every(item => typeof item === 'string' && item.length > 0))) {
+            throw createGrantError(method, `"${key}" must be an array of env var names or patterns`);
+        }
+    }
+    if (spec.ttlMs !== undefined && !(Number.isFinite(spec.ttlMs) && spec.ttlMs > 0)) {
+        throw createGrantError(method, '"ttlMs" must be a positive number of milliseconds');
+    }
+}
+
+/**
+ * Record a grant or revocation
+ * @param {string} type - 'grant' or 'revoke'
+ * @param {string} packageName - Package name or whitelist key (e.g. "axios@^1.6.0")
+ * @param {Object} spec - { allowed, canWrite, canDelete, ttlMs }
+ * @returns {Object} The recorded rule
+ * @throws {Error} ERR_DOTNOPE_INVALID_GRANT for malformed arguments
+ */
+function addRule(type, packageName, spec) {
+    validateRule(type, packageName, spec);
+
+    const rule = {
+        type,
+        packageName,
+        allowed: [...(spec.allowed || [])],
+        canWrite: [...(spec.canWrite || [])],
+        canDelete: [...(spec.canDelete || [])],
+        expiresAt: spec.ttlMs !== undefined ? Date.now() + spec.ttlMs : null
+    };
+
+    if (RULE_LISTS.every(key => rule[key].length === 0)) {
+        throw createGrantError(type, `nothing to ${type}: set "allowed", "canWrite" or "canDelete"`);
+    }
+
+    rules.push(rule);
+    return rule;
+}
+
+/**
+ * Grant a package access at runtime
+ * @param {string} packageName - Package name or whitelist key
+ * @param {Object} spec - { allowed, canWrite, canDelete, ttlMs }
+ * @returns {Object} The recorded rule
+ */
+function grant(packageName, spec = {}) {
+    return addRule('grant', packageName, spec);
+}
+
+/**
+ * Revoke a package's access at runtime, whether it came from the whitelist
+ * or an earlier grant. Without lists, every read, write and delete is revoked.
+ * @param {string} packageName - Package name or whitelist key
+ * @param {Object} [spec] - { allowed, canWrite, canDelete, ttlMs }
+ * @returns {Object} The recorded rule
+ */
+function revoke(packageName, spec) {
+    const hasLists = spec && RULE_LISTS.some(key => spec[key] !== undefined);
+    return addRule('revoke', packageName, hasLists
+        ? spec
+        : { ...spec, allowed: ['*'], canWrite: ['*'], canDelete: ['*'] });
+}
+
+/**
+ * Drop rules whose ttlMs has run out
+ * @param {number} [now]
+ */
+function pruneExpired(now = Date.now()) {
+    if (rules.some(rule => rule.expiresAt !== null && rule.expiresAt <= now)) {
+        rules = rules.filter(rule => rule.expiresAt === null || rule.expiresAt > now);
+    }
+}
+
+/**
+ * Get the live rules that apply to a caller, oldest first
+ * @param {string} packageName - Caller's package name
+ * @param {string} principal - Whitelist key governing the caller
+ * @returns {Object[]}
+ */
+function getRules(packageName, principal = packageName) {
+    pruneExpired();
+    return rules.filter(rule => rule.packageName === packageName || rule.packageName === principal);
+}
+
+/**
+ * Decide an access from runtime rules alone
+ * @param {string} packageName - Caller's package name
+ * @param {string} principal - Whitelist key governing the caller
+ * @param {string} envVar
+ * @param {string} listKey - 'allowed', 'canWrite' or 'canDelete'
+ * @returns {boolean|null} True if granted, false if revoked, null if no rule matches
+ */
+function checkRuntimeRules(packageName, principal, envVar, listKey) {
+    const applicable = getRules(packageName, principal);
+    for (let i = applicable.length - 1; i >= 0; i--) {
+        if (matchesAny(envVar, applicable[i][listKey])) {
+            return applicable[i].type === 'grant';
+        }
+    }
+    return null;
+}
+
+/**
+ * Check if any live runtime rule applies to a caller
+ * @param {string} packageName
+ * @param {string} principal
+ * @returns {boolean}
+ */
+function hasRuntimeRules(packageName, principal = packageName) {
+    return getRules(packageName, principal).length > 0;
+}
+
+/**
+ * Forget every runtime rule
+ */
+function clearCache() {
+    rules = [];
+}
+
+module.exports = {
+    grant,
+    revoke,
+    checkRuntimeRules,
+    hasRuntimeRules,
+    clearCache
+};
@@ -0,0 +1,632 @@
+/**
+ * scanner.js - Find environment variable access in package source
+ *
+ * A static, best-effort pass over node_modules that needs no parser:
+ * comments are blanked, string contents are masked, and process.env
+ * references are classified by what surrounds them. Literal reads,
+ * writes and deletes become a suggested whitelist; computed keys,
+ * enumeration and obfuscated access cannot be listed and are flagged
+ * as high risk for review instead.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Source files worth scanning
+const SOURCE_EXTENSIONS = ['.js', '.cjs', '.mjs'];
+
+// Test code and fixtures, which are published but never loaded by dependents;
+// their env access would only widen the suggested whitelist
+const TEST_DIRS = ['test', 'tests', '__tests__', 'fixtures'];
+const TEST_FILE_RE = /\.(?:test|spec)\.[cm]?js$/;
+
+// Larger files are minified bundles or data; they are reported as skipped
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Finding kinds that mean the package could touch variables not listed
+const HIGH_RISK_KINDS = ['dynamic', 'enumeration', 'obfuscated'];
+
+// process.env, process?.env and process['env']
+const ENV_RE = /\bprocess\s*(?:\?\.|\.)\s*env\b|\bprocess\s*\[\s*(['"`])env\1\s*\]/g;
+
+// Functions that read every key of the object they are given
+const ENUMERATING_CALL_RE = /\b(?:Object\s*\.\s*(?:keys|values|entries|assign|getOwnPropertyNames|getOwnPropertyDescriptors)|Reflect\s*\.\s*ownKeys|JSON\s*\.\s*stringify|structuredClone)\s*\([^()]*$/;
+
+// Calls that take a property name at runtime
+const REFLECTING_CALL_RE = /\b(?:Reflect\s*\.\s*(?:get|has|set|deleteProperty|getOwnPropertyDescriptor|defineProperty)|Object\s*\.\s*(?:getOwnPropertyDescriptor|defineProperty|hasOwn))\s*\(\s*$/;
+
+// Ways to reach process or env that dodge a plain text search
+const OBFUSCATION_PATTERNS = [
+    { re: /\b(?:globalThis|global|window|self)\s*\[\s*(?:(['"`])process\1|[^\]]*['"`]\s*\+)[^\]]*\]/g, what: 'process looked up on the global object by string' },
+    { re: /\bprocess\s*\[\s*(?!(['"`])env\1\s*\])[^\]]*\]/g, what: 'computed property of process' },
+    { re: /(['"`])(?:p|pr|pro|proc|proce|proces)\1\s*\+|(['"`])(?:e|en)\2\s*\+\s*(['"`])(?:nv|v)\3/g, what: '"process" or "env" assembled from pieces', inStrings: true },
+    { re: /\\x70\\x72\\x6f|\\x65\\x6e\\x76|\\u0070\\u0072\\u006f|\\u0065\\u006e\\u0076/gi, what: '"process" or "env" written with escapes', inStrings: true },
+    { re: /cHJvY2Vzcw|ZW52Lm|LmVudg/g, what: 'base64-encoded "process" or ".env"', inStrings: true }
+];
+
+/**
+ * Blank out comments and mark which characters are inside string or
+ * template literals. Line breaks are kept so offsets map to lines.
+ * @param {string} source
+ * @returns {{code: string, inString: Uint8Array}}
+ */
+function lex(source) {
+    const out = source.split('');
+    const inString = new Uint8Array(source.length);
+    const templateDepth = [];
+    let i = 0;
+    let lastSignificant = '';
+
+    const blank = (from, to) => {
+        for (let j = from; j < to; j++) {
+            if (out[j] !== '\n') {
+                out[j] = ' ';
+            }
+        }
+    };
+
+    // A slash starts a regex literal after an operator, bracket or keyword
+    const regexAllowed = () => lastSignificant === '' || /[(,=:[!&|?{};+\-*%<>~^]$/.test(lastSignificant) ||
+        /\b(?:return|typeof|case|do|else|in|of|new|delete|void|throw|yield|await)$/.test(lastSignificant);
+
+    const skipQuoted = (quote, start) => {
+        let j = start + 1;
+        while (j < source.length && source[j] !== quote && source[j] !== '\n') {
+            j += source[j] === '\\' ? 2 : 1;
+        }
+        return Math.min(j + 1, source.length);
+    };
+
+    while (i < source.length) {
+        const ch = source[i];
+        const next = source[i + 1];
+
+        if (ch === '/' && next === '/') {
+            const end = source.indexOf('\n', i);
+            const stop = end === -1 ? source.length : end;
+            blank(i, stop);
+            i = stop;
+        } else if (ch === '/' && next === '*') {
+            const end = source.indexOf('*/', i + 2);
+            const stop = end === -1 ? source.length : end + 2;
+            blank(i, stop);
+            i = stop;
+        } else if (ch === '\'' || ch === '"') {
+            const end = skipQuoted(ch, i);
+            inString.fill(1, i + 1, end - 1);
+            lastSignificant = ch;
+            i = end;
+        } else if (ch === '`' || (ch === '}' && templateDepth.length > 0 && templateDepth[templateDepth.length - 1] === 0)) {
+            // Template text runs until the closing backtick or the next ${
+            if (ch === '}') {
+                templateDepth.pop();
+            }
+            let j = i + 1;
+            while (j < source.length && source[j] !== '`' && !(source[j] === '$' && source[j + 1] === '{')) {
+                j += source[j] === '\\' ? 2 : 1;
+            }
+            inString.fill(1, i + 1, Math.min(j, source.length));
+            if (source[j] === '$') {
+                templateDepth.push(0);
+                i = j + 2;
+                lastSignificant = '{';
+            } else {
+                i = j + 1;
+                lastSignificant = '`';
+            }
+        } else if (ch === '/' && regexAllowed()) {
+            let j = i + 1;
+            let inClass = false;
+            while (j < source.length && source[j] !== '\n' && (inClass || source[j] !== '/')) {
+                if (source[j] === '\\') {
+                    j++;
+                } else if (source[j] === '[') {
+                    inClass = true;
+                } else if (source[j] === ']') {
+                    inClass = false;
+                }
+                j++;
+            }
+            inString.fill(1, i + 1, j);
+            lastSignificant = '/';
+            i = j + 1;
+        } else {
+            if (templateDepth.length > 0) {
+                if (ch === '{') {
+                    templateDepth[templateDepth.length - 1]++;
+                } else if (ch === '}') {
+                    templateDepth[templateDepth.length - 1]--;
+                }
+            }
+            if (!/\s/.test(ch)) {
+                lastSignificant = /[\w$]/.test(ch) ? (/[\w$]$/.test(lastSignificant) ? lastSignificant + ch : ch) : ch;
+            }
+            i++;
+        }
+    }
+
+    return { code: out.join(''), inString };
+}
+
+/**
+ * Read a property name written as a string literal
+ * @param {string} text - Text inside brackets or call parentheses, or a destructuring key
+ * @param {boolean} [allowIdentifier=false] - Accept a bare identifier (destructuring keys)
+ * @returns {string|null} The name, or null if it is computed
+ */
+function literalName(text, allowIdentifier = false) {
+    const trimmed = text.trim();
+    const quoted = trimmed.match(/^(['"`])([^'"`\\]*)\1$/);
+    if (quoted && !(quoted[1] === '`' && quoted[2].includes('${'))) {
+        return quoted[2];
+    }
+    return allowIdentifier && /^[A-Za-z_$][\w$]*$/.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Find the index of the bracket closing the one at `start`
+ * @param {string} code
+ * @param {number} start - Index of the opening bracket
+ * @returns {number} Index of the closing bracket, or -1
+ */
+function findClosing(code, start) {
+    const open = code[start];
+    const close = { '[': ']', '(': ')', '{': '}' }[open];
+    let depth = 0;
+    for (let i = start; i < code.length; i++) {
+        if (code[i] === open) {
+            depth++;
+        } else if (code[i] === close && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Classify what a property access does
+ * @param {string} code
+ * @param {number} start - Index where the access begins
+ * @param {number} end - Index just past the access
+ * @returns {string} 'read', 'write' or 'delete'
+ */
+function accessOperation(code, start, end) {
+    if (/\bdelete\s*$/.test(code.slice(Math.max(0, start - 20), start))) {
+        return 'delete';
+    }
+    const after = code.slice(end, end + 4);
+    if (/^\s*(?:=(?!=)|\+=|-=|\|\|=|&&=|\?\?=)/.test(after)) {
+        return 'write';
+    }
+    return 'read';
+}
+
+/**
+ * Parse the names bound by an object destructuring pattern
+ * @param {string} pattern - Text between the braces
+ * @returns {{names: string[], rest: boolean, computed: boolean}}
+ */
+function destructuredNames(pattern) {
+    const names = [];
+    let rest = false;
+    let computed = false;
+
+    for (const part of pattern.split(',')) {
+        const trimmed = part.trim();
+        if (trimmed === '') {
+            continue;
+        }
+        if (trimmed.startsWith('...')) {
+            rest = true;
+            continue;
+        }
+        if (trimmed.startsWith('[')) {
+            computed = true;
+            continue;
+        }
+        const key = literalName(trimmed.split(/[:=]/)[0], true);
+        if (key) {
+            names.push(key);
+        } else {
+            computed = true;
+        }
+    }
+
+    return { names, rest, computed };
+}
+
+/**
+ * Scan one source file
+ * @param {string} source - File contents
+ * @returns {Object} { reads, writes, deletes, findings } where findings are
+ *          { kind, line, snippet, detail } and kind is 'dynamic', 'enumeration',
+ *          'obfuscated' or 'passed' (process.env handed to other code)
+ */
+function scanSource(source) {
+    const { code, inString } = lex(source);
+    const result = { reads: new Set(), writes: new Set(), deletes: new Set(), findings: [] };
+    const lineOf = (index) => source.slice(0, index).split('\n').length;
+    const snippetAt = (index) => {
+        const lineStart = source.lastIndexOf('\n', index) + 1;
+        const lineEnd = source.indexOf('\n', index);
+        return source.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim().slice(0, 120);
+    };
+    const flag = (kind, index, detail) => {
+        result.findings.push({ kind, line: lineOf(index), snippet: snippetAt(index), detail });
+    };
+    const add = (operation, name) => {
+        result[operation === 'write' ? 'writes' : operation === 'delete' ? 'deletes' : 'reads'].add(name);
+    };
+    const aliases = new Set();
+
+    /**
+     * Classify a reference to the env object at [start, end)
+     * @param {number} start
+     * @param {number} end
+     */
+    const classify = (start, end) => {
+        const after = code.slice(end);
+        const before = code.slice(Math.max(0, start - 200), start);
+
+        const dotted = after.match(/^\s*(?:\?\.|\.)\s*([A-Za-z_$][\w$]*)/);
+        if (dotted && dotted[1] === 'hasOwnProperty') {
+            const call = after.slice(dotted[0].length).match(/^\s*\(([^()]*)\)/);
+            const name = call ? literalName(call[1]) : null;
+            if (name !== null) {
+                add('read', name);
+            } else {
+                flag('dynamic', start, 'key chosen at runtime');
+            }
+            return;
+        }
+        if (dotted) {
+            const accessEnd = end + dotted[0].length;
+            add(accessOperation(code, start, accessEnd), dotted[1]);
+            return;
+        }
+
+        const bracket = after.match(/^\s*(?:\?\.)?\s*\[/);
+        if (bracket) {
+            const open = end + bracket[0].length - 1;
+            const close = findClosing(code, open);
+            const name = close === -1 ? null : literalName(source.slice(open + 1, close));
+            if (name !== null) {
+                add(accessOperation(code, start, close + 1), name);
+            } else {
+                flag('dynamic', start, 'computed key');
+            }
+            return;
+        }
+
+        const inCheck = before.match(/(['"`])([^'"`\\]+)\1\s*in\s*$/);
+        if (inCheck) {
+            add('read', inCheck[2]);
+            return;
+        }
+        if (/\bfor\s*\(\s*(?:const|let|var)?\s*[\w$]+\s+in\s*$/.test(before) ||
+            /\.\.\.\s*$/.test(before) ||
+            ENUMERATING_CALL_RE.test(before)) {
+            flag('enumeration', start, 'reads every variable');
+            return;
+        }
+        const reflecting = before.match(REFLECTING_CALL_RE);
+        if (reflecting) {
+            // Reflect.get(process.env, 'KEY') names its key; anything else is dynamic
+            const key = after.match(/^\s*,\s*((['"`])[^'"`\\]*\2)\s*[,)]/);
+            const name = key ? literalName(key[1]) : null;
+            if (name === null) {
+                flag('dynamic', start, 'key chosen at runtime');
+            } else if (/(?:set|defineProperty)\s*\(\s*$/.test(reflecting[0])) {
+                add('write', name);
+            } else if (/deleteProperty\s*\(\s*$/.test(reflecting[0])) {
+                add('delete', name);
+            } else {
+                add('read', name);
+            }
+            return;
+        }
+
+        const destructure = before.match(/\{([^{}]*)\}\s*=\s*$/);
+        if (destructure) {
+            const { names, rest, computed } = destructuredNames(destructure[1]);
+            names.forEach(name => add('read', name));
+            if (rest) {
+                flag('enumeration', start, 'rest element collects every variable');
+            }
+            if (computed) {
+                flag('dynamic', start, 'computed key in destructuring');
+            }
+            return;
+        }
+
+        // const env = process.env: later env.X is an access too
+        const alias = before.match(/(?:^|[^=!<>.\w$])([A-Za-z_$][\w$]*)\s*=\s*$/);
+        if (alias) {
+            aliases.add(alias[1]);
+            return;
+        }
+
+        flag('passed', start, 'process.env passed as a value');
+    };
+
+    ENV_RE.lastIndex = 0;
+    let match;
+    while ((match = ENV_RE.exec(code)) !== null) {
+        if (inString[match.index]) {
+            continue;
+        }
+        if (match[1]) {
+            flag('obfuscated', match.index, 'process["env"]');
+        }
+        classify(match.index, match.index + match[0].length);
+    }
+
+    // const { env } = process, const { env: e } = process
+    const fromProcess = /\{([^{}]*)\}\s*=\s*(?:global(?:This)?\s*\.\s*)?process\b(?!\s*[.[?])/g;
+    while ((match = fromProcess.exec(code)) !== null) {
+        if (inString[match.index]) {
+            continue;
+        }
+        const envBinding = match[1].split(',').map(part => part.trim()).find(part => /^env\b/.test(part));
+        if (envBinding) {
+            const renamed = envBinding.match(/^env\s*:\s*([A-Za-z_$][\w$]*)/);
+            aliases.add(renamed ? renamed[1] : 'env');
+        }
+    }
+
+    // Accesses through an alias are classified like process.env itself
+    for (const alias of aliases) {
+        const aliasRe = new RegExp(`(?<![\\w$.])${alias.replace(/\$/g, '\\$')}\\b(?=\\s*(?:\\?\\.|\\.|\\[|\\)|,|;|$))`, 'g');
+        while ((match = aliasRe.exec(code)) !== null) {
+            if (inString[match.index] || /(?:\b(?:const|let|var)\s+|[{,]\s*env\s*:\s*)$/.test(code.slice(Math.max(0, match.index - 20), match.index))) {
+                continue;
+            }
+            classify(match.index, match.index + match[0].length);
+        }
+    }
+
+    for (const { re, what, inStrings } of OBFUSCATION_PATTERNS) {
+        re.lastIndex = 0;
+        while ((match = re.exec(inStrings ? source : code)) !== null) {
+            if (!inStrings && inString[match.index]) {
+                continue;
+            }
+            flag('obfuscated', match.index, what);
+        }
+    }
+
+    // eval and new Function hide whatever they run; only worth flagging near env access
+    if (/\benv\b/.test(source)) {
+        const evalRe = /\beval\s*\(|\bnew\s+Function\s*\(|\bFunction\s*\(\s*['"`]/g;
+        while ((match = evalRe.exec(code)) !== null) {
+            if (!inString[match.index]) {
+                flag('obfuscated', match.index, 'eval or Function in a file that mentions env');
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * List the source files of a package, without nested node_modules
+ * @param {string} dir - Package directory
+ * @param {boolean} [includeTests] - Also list test directories and *.test.js / *.spec.js files
+ * @returns {string[]} Absolute file paths
+ */
+function listSourceFiles(dir, includeTests = false) {
+    const files = [];
+    const stack = [dir];
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        let entries;
+        try {
+            entries = fs.readdirSync(current, { withFileTypes: true });
+        } catch (err) {
+            continue;
+        }
+        for (const entry of entries) {
+            if (entry.name === 'node_modules') {
+                continue;
+            }
+            const full = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                if (includeTests || !TEST_DIRS.includes(entry.name)) {
+                    stack.push(full);
+                }
+            } else if (entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name)) &&
+                (includeTests || !TEST_FILE_RE.test(entry.name))) {
+                files.push(full);
+            }
+        }
+    }
+
+    return files.sort();
+}
+
+/**
+ * Find every package directory under a node_modules folder, nested ones included
+ * @param {string} nodeModulesDir
+ * @returns {string[]} Package directories, each listed once by real path
+ */
+function findPackageDirs(nodeModulesDir) {
+    const found = [];
+    const seen = new Set();
+    const queue = [nodeModulesDir];
+
+    while (queue.length > 0) {
+        const modulesDir = queue.shift();
+        let entries;
+        try {
+            entries = fs.readdirSync(modulesDir);
+        } catch (err) {
+            continue;
+        }
+
+        const candidates = [];
+        for (const name of entries) {
+            if (name.startsWith('.')) {
+                continue;
+            }
+            if (name.startsWith('@')) {
+                try {
+                    for (const scoped of fs.readdirSync(path.join(modulesDir, name))) {
+                        candidates.push(path.join(modulesDir, name, scoped));
+                    }
+                } catch (err) {
+                    // Not a directory
+                }
+            } else {
+                candidates.push(path.join(modulesDir, name));
+            }
+        }
+
+        for (const dir of candidates) {
+            let realDir;
+            try {
+                realDir = fs.realpathSync(dir);
+            } catch (err) {
+                continue;
+            }
+            if (seen.has(realDir) || !fs.existsSync(path.join(realDir, 'package.json'))) {
+                continue;
+            }
+            seen.add(realDir);
+            found.push(realDir);
+            queue.push(path.join(realDir, 'node_modules'));
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Scan every package installed in a project
+ * @param {string} projectDir - Directory holding node_modules
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTests] - Also scan test, tests, __tests__ and
+ *        fixtures directories and *.test.js / *.spec.js files (skipped by default)
+ * @returns {Object} { packages, fileCount, skipped } where packages maps a
+ *          package name to { name, versions, reads, writes, deletes, findings, risk }
+ */
+function scanProject(projectDir, { includeTests = false } = {}) {
+    const packages = {};
+    const skipped = [];
+    let fileCount = 0;
+
+    for (const dir of findPackageDirs(path.join(projectDir, 'node_modules'))) {
+        let pkg;
+        try {
+            pkg = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+        } catch (err) {
+            continue;
+        }
+        if (typeof pkg.name !== 'string' || pkg.name.length === 0) {
+            continue;
+        }
+
+        const entry = packages[pkg.name] || (packages[pkg.name] = {
+            name: pkg.name,
+            versions: [],
+            reads: new Set(),
+            writes: new Set(),
+            deletes: new Set(),
+            findings: []
+        });
+        if (pkg.version && !entry.versions.includes(pkg.version)) {
+            entry.versions.push(pkg.version);
+        }
+
+        for (const file of listSourceFiles(dir, includeTests)) {
+            let source;
+            try {
+                if (fs.statSync(file).size > MAX_FILE_SIZE) {
+                    skipped.push(file);
+                    continue;
+                }
+                source = fs.readFileSync(file, 'utf8');
+            } catch (err) {
+                continue;
+            }
+            fileCount++;
+
+            const result = scanSource(source);
+            result.reads.forEach(name => entry.reads.add(name));
+            result.writes.forEach(name => entry.writes.add(name));
+            result.deletes.forEach(name => entry.deletes.add(name));
+            const relative = path.relative(dir, file).split(path.sep).join('/');
+            for (const finding of result.findings) {
+                entry.findings.push({ ...finding, file: relative, version: pkg.version || null });
+            }
+        }
+    }
+
+    const result = {};
+    for (const name of Object.keys(packages).sort()) {
+        const entry = packages[name];
+        result[name] = {
+            name,
+            versions: entry.versions,
+            reads: [...entry.reads].sort(),
+            writes: [...entry.writes].sort(),
+            deletes: [...entry.deletes].sort(),
+            findings: entry.findings,
+            risk: getRisk(entry.findings)
+        };
+    }
+
+    return { packages: result, fileCount, skipped };
+}
+
+/**
+ * Rate the findings of a package
+ * @param {Object[]} findings
+ * @returns {string} 'high' if it may touch variables that cannot be listed,
+ *          'medium' if it hands process.env to other code, 'low' otherwise
+ */
+function getRisk(findings) {
+    if (findings.some(finding => HIGH_RISK_KINDS.includes(finding.kind))) {
+        return 'high';
+    }
+    return findings.length > 0 ? 'medium' : 'low';
+}
+
+/**
+ * Build the whitelist a scan suggests. Only literal accesses can be
+ * granted; dynamic ones are left for review.
+ * @param {Object} packages - scanProject().packages
+ * @returns {Object} environmentWhitelist
+ */
+function suggestWhitelist(packages) {
+    const whitelist = {};
+
+    for (const [name, entry] of Object.entries(packages)) {
+        if (entry.reads.length === 0 && entry.writes.length === 0 && entry.deletes.length === 0) {
+            continue;
+        }
+        if (entry.writes.length === 0 && entry.deletes.length === 0) {
+            whitelist[name] = entry.reads;
+            continue;
+        }
+        whitelist[name] = { allowed: entry.reads };
+        if (entry.writes.length > 0) {
+            whitelist[name].canWrite = entry.writes;
+        }
+        if (entry.deletes.length > 0) {
+            whitelist[name].canDelete = entry.deletes;
+        }
+    }
+
+    return whitelist;
+}
+
+module.exports = {
+    scanSource,
+    scanProject,
+    suggestWhitelist,
+    findPackageDirs,
+    HIGH_RISK_KINDS
+};
@@ -2,6 +2,7 @@
 
 const path = require('path');
 const fs = require('fs');
+const { findWorkspaceForPath } = require('./workspaces');
 
 // Lazy-load native bridge to avoid circular dependencies
 let nativeBridge = null;
@@ -65,6 +66,9 @@ try {
 // Cache for file path -> package name mapping
 const packageCache = new Map();
 
+// Cache for file path -> { dir, version } of the installed package it belongs to
+const versionCache = new Map();
+
 // Cache for symlink validation: "filePath:packageName" -> { valid: boolean, ts: number }
 const validationCache = new Map();
 const VALIDATION_CACHE_TTL = 60000; // 60 seconds
@@ -79,7 +83,8 @@ const INTERNAL_PATHS = [
     'lib/stack-parser.js',
     'lib/dotnope.js',
     'lib/config-loader.js',
-    'lib/dependency-resolver.js'
+    'lib/dependency-resolver.js',
+    'lib/child-env.js'
 ];
 
 /**
@@ -94,8 +99,12 @@ function getCallingPackage(skipFrames = 0) {
     if (bridge.isNativeAvailable()) {
         const nativeResult = bridge.getCallerInfo(skipFrames + 1);
         if (nativeResult) {
+            // The addon only knows node_modules paths; map workspace code here
+            const workspace = nativeResult.packageName === '__main__' && nativeResult.fileName
+                ? findWorkspaceForPath(nativeResult.fileName)
+                : null;
             return {
-                packageName: nativeResult.packageName,
+                packageName: workspace ? workspace.name : nativeResult.packageName,
                 fileName: nativeResult.fileName,
                 lineNumber: nativeResult.lineNumber,
                 columnNumber: nativeResult.columnNumber,
@@ -314,7 +323,7 @@ function isInternalFile(filePath) {
 /**
  * Extract package name from a file path
  * @param {string} filePath - Full path to a file
- * @returns {string} Package name or '__main__' for app code
+ * @returns {string} Package name, workspace package name, or '__main__' for app code
  */
 function extractPackageName(filePath) {
     // Check cache first
@@ -331,8 +340,10 @@ function extractPackageName(filePath) {
     let packageName;
 
     if (nodeModulesIndex === -1) {
-        // Not in node_modules - this is the main application
-        packageName = '__main__';
+        // Not in node_modules - a workspace package or the main application.
+        // Not cached: the workspace list changes when the config is reloaded.
+        const workspace = findWorkspaceForPath(normalized);
+        return workspace ? workspace.name : '__main__';
     } else {
         // Extract package name from node_modules path
         const afterNodeModules = normalized.slice(
@@ -375,6 +386,97 @@ function findPackageJsonForFile(filePath) {
     return null;
 }
 
+/**
+ * Get a file's path relative to the root of the package it belongs to
+ * @param {string} filePath - Path to a file inside a package
+ * @param {string} packageName - Package name extracted from the path
+ * @returns {string|null} Forward-slash subpath (e.g. "lib/config.js") or null for app code
+ */
+function getPackageSubpath(filePath, packageName) {
+    if (packageName === '__main__') {
+        return null;
+    }
+
+    const normalized = path.normalize(filePath);
+    const marker = `${path.sep}node_modules${path.sep}`;
+    const nodeModulesIndex = normalized.lastIndexOf(marker);
+
+    if (nodeModulesIndex === -1) {
+        const workspace = findWorkspaceForPath(normalized);
+        return workspace && workspace.name === packageName ? workspace.subpath : null;
+    }
+
+    const parts = normalized.slice(nodeModulesIndex + marker.length).split(path.sep);
+    const nameDepth = packageName.startsWith('@') ? 2 : 1;
+    return parts.slice(nameDepth).join('/');
+}
+
+/**
+ * Find the installed copy of the package a file belongs to.
+ * Walks up from the file to the package.json whose name matches, so nested
+ * copies of a package are told apart.
+ * @param {string} filePath - Path to a file inside a package
+ * @param {string} packageName - Package name extracted from the path
+ * @returns {{dir: string|null, version: string|null}}
+ */
+function findPackageInstall(filePath, packageName) {
+    if (packageName === '__main__' || !path.isAbsolute(filePath)) {
+        return { dir: null, version: null };
+    }
+
+    if (versionCache.has(filePath)) {
+        return versionCache.get(filePath);
+    }
+
+    let dir = null;
+    let version = null;
+    try {
+        let searchDir = path.dirname(fs.realpathSync(filePath));
+
+        // Stop at the node_modules folder the package is installed in
+        while (path.basename(searchDir) !== 'node_modules' && searchDir !== path.dirname(searchDir)) {
+            const pkgPath = path.join(searchDir, 'package.json');
+            if (fs.existsSync(pkgPath)) {
+                const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+                if (pkg.name === packageName) {
+                    dir = searchDir;
+                    version = typeof pkg.version === 'string' ? pkg.version : null;
+                    break;
+                }
+            }
+            searchDir = path.dirname(searchDir);
+        }
+    } catch (err) {
+        // Unreadable or invalid package.json - treat the copy as unknown
+        dir = null;
+        version = null;
+    }
+
+    const install = { dir, version };
+    versionCache.set(filePath, install);
+    return install;
+}
+
+/**
+ * Find the installed version of the package a file belongs to
+ * @param {string} filePath - Path to a file inside a package
+ * @param {string} packageName - Package name extracted from the path
+ * @returns {string|null} Version string or null if it cannot be determined
+ */
+function getPackageVersion(filePath, packageName) {
+    return findPackageInstall(filePath, packageName).version;
+}
+
+/**
+ * Find the directory of the installed copy of the package a file belongs to
+ * @param {string} filePath - Path to a file inside a package
+ * @param {string} packageName - Package name extracted from the path
+ * @returns {string|null} Package directory or null if it cannot be determined
+ */
+function getPackageDir(filePath, packageName) {
+    return findPackageInstall(filePath, packageName).dir;
+}
+
 /**
  * Validate that a file actually belongs to the package it claims to be from
  * Protects against symlink spoofing attacks where an attacker creates symlinks
@@ -469,7 +571,8 @@ function extractPackageNameFromPath(filePath) {
     const nodeModulesIndex = normalized.lastIndexOf(`${path.sep}node_modules${path.sep}`);
 
     if (nodeModulesIndex === -1) {
-        return '__main__';
+        const workspace = findWorkspaceForPath(normalized);
+        return workspace ? workspace.name : '__main__';
     }
 
     const afterNodeModules = normalized.slice(
@@ -488,6 +591,7 @@ function extractPackageNameFromPath(filePath) {
  */
 function clearCache() {
     packageCache.clear();
+    versionCache.clear();
     validationCache.clear();
 }
 
@@ -542,5 +646,8 @@ module.exports = {
     isInternalFile,
     wasTamperingDetected,
     validatePackageIdentity,
-    findPackageJsonForFile
+    findPackageJsonForFile,
+    getPackageVersion,
+    getPackageDir,
+    getPackageSubpath
 };
@@ -0,0 +1,347 @@
+/**
+ * version-matcher.js - Version-range scoped whitelist keys
+ *
+ * A whitelist key may pin a package to a semver range, e.g. "axios@^1.6.0"
+ * or "@aws-sdk/client-s3@>=3.400.0 <4". Only copies of the package whose
+ * package.json version satisfies the range receive that entry's grants,
+ * so a hijacked major release does not inherit what the old one was given.
+ *
+ * Supports the range syntax npm uses: exact versions, comparators
+ * (<, <=, >, >=, =), x-ranges (1.x, 1.2.*), tilde, caret, hyphen ranges,
+ * space-separated intersections and "||" unions.
+ */
+
+'use strict';
+
+const VERSION_RE = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_RE = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR_RE = /^(<=|>=|<|>|=|\^|~>?)?\s*(.+)$/;
+
+// Cache: range string -> parsed comparator sets (or null if invalid)
+const rangeCache = new Map();
+
+/**
+ * Split a whitelist key into package name and version range
+ * @param {string} key - e.g. "axios", "axios@^1.6.0", "@scope/pkg@~2.0.0"
+ * @returns {{name: string, range: string|null}}
+ */
+function parsePackageKey(key) {
+    const at = key.indexOf('@', 1);
+    if (at === -1) {
+        return { name: key, range: null };
+    }
+    return { name: key.slice(0, at), range: key.slice(at + 1).trim() };
+}
+
+/**
+ * Parse a full version string
+ * @param {string} version
+ * @returns {{major: number, minor: number, patch: number, prerelease: Array}|null}
+ */
+function parseVersion(version) {
+    const match = typeof version === 'string' ? VERSION_RE.exec(version.trim()) : null;
+    if (!match) {
+        return null;
+    }
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: parsePrerelease(match[4])
+    };
+}
+
+/**
+ * Split a prerelease tag into identifiers, numeric ones as numbers
+ * @param {string|undefined} tag
+ * @returns {Array<string|number>}
+ */
+function parsePrerelease(tag) {
+    if (!tag) {
+        return [];
+    }
+    return tag.split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id));
+}
+
+/**
+ * Compare two parsed versions following semver precedence
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number} -1, 0 or 1
+ */
+function compareVersions(a, b) {
+    for (const part of ['major', 'minor', 'patch']) {
+        if (a[part] !== b[part]) {
+            return a[part] < b[part] ? -1 : 1;
+        }
+    }
+
+    // A version without prerelease ranks above one with
+    if (a.prerelease.length === 0 && b.prerelease.length === 0) return 0;
+    if (a.prerelease.length === 0) return 1;
+    if (b.prerelease.length === 0) return -1;
+
+    const length = Math.max(a.prerelease.length, b.prerelease.length);
+    for (let i = 0; i < length; i++) {
+        const x = a.prerelease[i];
+        const y = b.prerelease[i];
+        if (x === undefined) return -1;
+        if (y === undefined) return 1;
+        if (x === y) continue;
+        // Numeric identifiers rank below alphanumeric ones
+        if (typeof x !== typeof y) {
+            return typeof x === 'number' ? -1 : 1;
+        }
+        return x < y ? -1 : 1;
+    }
+
+    return 0;
+}
+
+/**
+ * Build a comparator
+ * @param {string} op - One of <, <=, >, >=, =
+ * @param {number} major
+ * @param {number} minor
+ * @param {number} patch
+ * @param {Array} [prerelease]
+ * @param {boolean} [synthetic] - Upper bound generated from a partial version
+ * @returns {Object}
+ */
+function comparator(op, major, minor, patch, prerelease = [], synthetic = false) {
+    return { op, version: { major, minor, patch, prerelease }, synthetic };
+}
+
+/**
+ * Upper bound that excludes every prerelease of the given version
+ * @param {number} major
+ * @param {number} minor
+ * @param {number} patch
+ * @returns {Object}
+ */
+function below(major, minor, patch) {
+    return comparator('<', major, minor, patch, [0], true);
+}
+
+/**
+ * Expand one comparator token (e.g. "^1.2", ">=2", "1.x") into plain comparators
+ * @param {string} token
+ * @returns {Object[]|null} Comparators, or null if the token is invalid
+ */
+function expandComparator(token) {
+    const opMatch = COMPARATOR_RE.exec(token);
+    if (!opMatch) {
+        return null;
+    }
+
+    const op = opMatch[1] === '~>' ? '~' : (opMatch[1] || '');
+    const partial = PARTIAL_RE.exec(opMatch[2]);
+    if (!partial) {
+        return null;
+    }
+
+    const isWild = (part) => part === undefined || /^[xX*]$/.test(part);
+    const prerelease = parsePrerelease(partial[4]);
+
+    if (isWild(partial[1])) {
+        // "*", "x", ">=*": anything; "<*", ">*": nothing
+        return op === '<' || op === '>' ? [comparator('<', 0, 0, 0, [0], true)] : [];
+    }
+
+    const major = Number(partial[1]);
+    if (isWild(partial[2])) {
+        return expandPartial(op, major, null, null, []);
+    }
+
+    const minor = Number(partial[2]);
+    if (isWild(partial[3])) {
+        return expandPartial(op, major, minor, null, []);
+    }
+
+    return expandPartial(op, major, minor, Number(partial[3]), prerelease);
+}
+
+/**
+ * Expand an operator applied to a possibly partial version
+ * @param {string} op - '', '=', '<', '<=', '>', '>=', '^' or '~'
+ * @param {number} major
+ * @param {number|null} minor - null when omitted or wildcard
+ * @param {number|null} patch - null when omitted or wildcard
+ * @param {Array} prerelease
+ * @returns {Object[]}
+ */
+function expandPartial(op, major, minor, patch, prerelease) {
+    const m = minor === null ? 0 : minor;
+    const p = patch === null ? 0 : patch;
+    const lower = comparator('>=', major, m, p, prerelease);
+
+    switch (op) {
+        case '^':
+            if (major > 0 || minor === null) {
+                return [lower, below(major + 1, 0, 0)];
+            }
+            if (minor > 0 || patch === null) {
+                return [lower, below(0, minor + 1, 0)];
+            }
+            return [lower, below(0, 0, patch + 1)];
+        case '~':
+            return minor === null
+                ? [lower, below(major + 1, 0, 0)]
+                : [lower, below(major, minor + 1, 0)];
+        case '>':
+            if (minor === null) return [comparator('>=', major + 1, 0, 0)];
+            if (patch === null) return [comparator('>=', major, minor + 1, 0)];
+            return [comparator('>', major, minor, patch, prerelease)];
+        case '>=':
+            return [lower];
+        case '<':
+            return patch === null
+                ? [below(major, m, 0)]
+                : [comparator('<', major, minor, patch, prerelease)];
+        case '<=':
+            if (minor === null) return [below(major + 1, 0, 0)];
+            if (patch === null) return [below(major, minor + 1, 0)];
+            return [comparator('<=', major, minor, patch, prerelease)];
+        default:
+            // Bare or "=" version: exact when complete, an x-range otherwise
+            if (minor === null) return [lower, below(major + 1, 0, 0)];
+            if (patch === null) return [lower, below(major, minor + 1, 0)];
+            return [comparator('=', major, minor, patch, prerelease)];
+    }
+}
+
+/**
+ * Parse a range into a list of comparator sets (any set may match)
+ * @param {string} range
+ * @returns {Object[][]|null} Comparator sets, or null if the range is invalid
+ */
+function parseRange(range) {
+    if (rangeCache.has(range)) {
+        return rangeCache.get(range);
+    }
+
+    let sets = [];
+    for (const alternative of range.split('||')) {
+        let text = alternative.trim();
+        const comparators = [];
+
+        // Hyphen range: "1.2.3 - 2.3.4"
+        const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(text);
+        if (hyphen) {
+            const from = expandComparator(`>=${hyphen[1]}`);
+            const to = expandComparator(`<=${hyphen[2]}`);
+            if (!from || !to) {
+                sets = null;
+                break;
+            }
+            sets.push([...from, ...to]);
+            continue;
+        }
+
+        // Allow a space between an operator and its version (">= 1.2.0")
+        text = text.replace(/(<=|>=|<|>|=|\^|~>?)\s+/g, '$1');
+        const tokens = text.length > 0 ? text.split(/\s+/) : ['*'];
+
+        let valid = true;
+        for (const token of tokens) {
+            const expanded = expandComparator(token);
+            if (!expanded) {
+                valid = false;
+                break;
+            }
+            comparators.push(...expanded);
+        }
+
+        if (!valid) {
+            sets = null;
+            break;
+        }
+        sets.push(comparators);
+    }
+
+    rangeCache.set(range, sets);
+    return sets;
+}
+
+/**
+ * Check if a version passes a single comparator
+ * @param {Object} version
+ * @param {Object} comp
+ * @returns {boolean}
+ */
+function testComparator(version, comp) {
+    const cmp = compareVersions(version, comp.version);
+    switch (comp.op) {
+        case '<': return cmp < 0;
+        case '<=': return cmp <= 0;
+        case '>': return cmp > 0;
+        case '>=': return cmp >= 0;
+        default: return cmp === 0;
+    }
+}
+
+/**
+ * Check if a version passes every comparator of a set.
+ * As with npm, a prerelease version only matches if some comparator in the
+ * set names a prerelease of the same major.minor.patch.
+ * @param {Object} version
+ * @param {Object[]} comparators
+ * @returns {boolean}
+ */
+function testSet(version, comparators) {
+    if (!comparators.every(comp => testComparator(version, comp))) {
+        return false;
+    }
+
+    if (version.prerelease.length === 0) {
+        return true;
+    }
+
+    return comparators.some(({ version: v, synthetic }) =>
+        !synthetic &&
+        v.prerelease.length > 0 &&
+        v.major === version.major &&
+        v.minor === version.minor &&
+        v.patch === version.patch
+    );
+}
+
+/**
+ * Check if a range string is valid
+ * @param {string} range
+ * @returns {boolean}
+ */
+function isValidRange(range) {
+    return typeof range === 'string' && parseRange(range) !== null;
+}
+
+/**
+ * Check if a version satisfies a range
+ * @param {string} version - e.g. "1.6.2"
+ * @param {string} range - e.g. "^1.6.0"
+ * @returns {boolean} False for unparseable versions or ranges
+ */
+function satisfies(version, range) {
+    const parsed = parseVersion(version);
+    const sets = typeof range === 'string' ? parseRange(range) : null;
+    if (!parsed || !sets) {
+        return false;
+    }
+    return sets.some(set => testSet(parsed, set));
+}
+
+/**
+ * Clear the parsed range cache
+ */
+function clearCache() {
+    rangeCache.clear();
+}
+
+module.exports = {
+    parsePackageKey,
+    parseVersion,
+    compareVersions,
+    isValidRange,
+    satisfies,
+    clearCache
+};
@@ -0,0 +1,69 @@
+/**
+ * worker-policy.js - Carry the policy into worker threads
+ *
+ * With __options__.protectWorkers, every new worker gets worker-register.js
+ * preloaded through its execArgv, and the parent's resolved policy plus a
+ * token derived from the parent's through worker_threads environment data.
+ * The worker enforces the same whitelist before its own code runs, and so
+ * do the workers it starts in turn.
+ */
+
+'use strict';
+
+const path = require('path');
+
+// Worker thread support
+let workerThreads = null;
+try {
+    workerThreads = require('worker_threads');
+} catch (e) {
+    // worker_threads not available (older Node.js or browser)
+}
+
+const WORKER_POLICY_KEY = 'dotnope:worker-policy';
+const PRELOAD_PATH = path.join(__dirname, 'worker-register.js');
+
+/**
+ * Hand the policy to the next worker and preload dotnope in it
+ * @param {Object|undefined} options - Worker options
+ * @param {Object} policy - From getInheritablePolicy()
+ * @param {string} token - Token for the worker's handle
+ * @returns {Object} Worker options with the preload added to execArgv
+ */
+function addPolicyToWorker(options, policy, token) {
+    // Environment data is copied into each worker as it is created
+    workerThreads.setEnvironmentData(WORKER_POLICY_KEY, { policy, token });
+
+    // Without execArgv of its own, a worker gets the parent's. The preload
+    // goes first, so the policy is in force before any other preload runs.
+    // It is added even if execArgv names it already: there it could be the
+    // value of another flag, and requiring it twice loads it once.
+    const execArgv = options && Array.isArray(options.execArgv) ? options.execArgv : process.execArgv;
+    return { ...options, execArgv: ['--require', PRELOAD_PATH, ...execArgv] };
+}
+
+/**
+ * Get the policy the parent handed to this worker
+ * @returns {Object|null} { policy, token }, or null outside such a worker
+ */
+function readWorkerPolicy() {
+    if (!workerThreads || workerThreads.isMainThread) {
+        return null;
+    }
+    return workerThreads.getEnvironmentData(WORKER_POLICY_KEY) || null;
+}
+
+/**
+ * Stop handing the policy to new workers
+ */
+function clearCache() {
+    if (workerThreads) {
+        workerThreads.setEnvironmentData(WORKER_POLICY_KEY, undefined);
+    }
+}
+
+module.exports = {
+    addPolicyToWorker,
+    readWorkerPolicy,
+    clearCache
+};
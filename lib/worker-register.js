@@ -0,0 +1,33 @@
+/**
+ * Worker preload for __options__.protectWorkers.
+ *
+ * The parent adds this file to the execArgv of each new worker, so strict
+ * environment protection is enabled with the parent's policy before the
+ * worker's own code runs.
+ *
+ * The handle and token are stored on global.__dotnope, as with register.js.
+ * The token is derived from the parent's and only works in this worker.
+ */
+
+'use strict';
+
+const dotnope = require('../index.js');
+const { readWorkerPolicy } = require('./worker-policy');
+
+const payload = readWorkerPolicy();
+
+if (payload) {
+    const handle = dotnope.enableStrictEnv({
+        strictLoadOrder: false,
+        suppressWarnings: true,
+        allowInWorker: true,
+        workerConfig: payload.policy,
+        workerToken: payload.token
+    });
+
+    global.__dotnope = {
+        handle,
+        token: handle.getToken(),
+        emitWarnings: (options) => dotnope.emitSecurityWarnings(options)
+    };
+}
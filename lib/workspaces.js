@@ -0,0 +1,220 @@
+/**
+ * workspaces.js - Monorepo workspace discovery
+ *
+ * npm, yarn and pnpm link workspace packages into node_modules with
+ * symlinks, and Node resolves those to the real path by default. Without
+ * help, code in packages/api looks like the main application, and with
+ * --preserve-symlinks it looks like symlink spoofing. This module reads
+ * the root package.json "workspaces" field so each workspace package is
+ * identified by its own name, like any other package.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { isNegation, matchesPattern } = require('./pattern-matcher');
+
+// Workspaces of the loaded project, longest directory first
+let activeWorkspaces = [];
+
+/**
+ * Get the workspace patterns declared in a package.json
+ * Supports the npm/yarn array form and the yarn { packages: [...] } form.
+ * @param {Object} pkg - Parsed package.json
+ * @returns {string[]}
+ */
+function getWorkspacePatterns(pkg) {
+    if (Array.isArray(pkg.workspaces)) {
+        return pkg.workspaces;
+    }
+    if (pkg.workspaces && Array.isArray(pkg.workspaces.packages)) {
+        return pkg.workspaces.packages;
+    }
+    return [];
+}
+
+/**
+ * List the subdirectories of a directory, skipping node_modules and dot folders
+ * @param {string} dir
+ * @returns {string[]} Directory names
+ */
+function listDirectories(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+            .map(entry => entry.name);
+    } catch (err) {
+        return [];
+    }
+}
+
+/**
+ * Expand one workspace glob ("packages/*", "apps/**", "tools/cli") to directories
+ * @param {string} rootDir - Workspace root
+ * @param {string} pattern - Glob relative to the root
+ * @returns {string[]} Absolute directories
+ */
+function expandWorkspacePattern(rootDir, pattern) {
+    const segments = pattern.replace(/\\/g, '/').replace(/^\.\//, '').split('/').filter(Boolean);
+    let dirs = [rootDir];
+
+    for (const segment of segments) {
+        const next = [];
+        for (const dir of dirs) {
+            if (segment === '**') {
+                // Zero or more directory levels
+                const stack = [dir];
+                while (stack.length > 0) {
+                    const current = stack.pop();
+                    next.push(current);
+                    for (const name of listDirectories(current)) {
+                        stack.push(path.join(current, name));
+                    }
+                }
+            } else if (/[*?]/.test(segment)) {
+                for (const name of listDirectories(dir)) {
+                    if (matchesPattern(name, segment)) {
+                        next.push(path.join(dir, name));
+                    }
+                }
+            } else {
+                next.push(path.join(dir, segment));
+            }
+        }
+        dirs = next;
+    }
+
+    return dirs;
+}
+
+/**
+ * Find the workspace packages of a monorepo root
+ * @param {string} rootPkgPath - Path to the root package.json
+ * @returns {Array<{name: string, dir: string, realDir: string, pkgPath: string}>}
+ */
+function findWorkspaces(rootPkgPath) {
+    let rootPkg;
+    try {
+        rootPkg = JSON.parse(fs.readFileSync(rootPkgPath, 'utf8'));
+    } catch (err) {
+        return [];
+    }
+
+    const rootDir = path.dirname(path.resolve(rootPkgPath));
+    const patterns = getWorkspacePatterns(rootPkg);
+    const excluded = patterns.filter(isNegation).map(p => p.slice(1).replace(/^\.\//, '').replace(/\/$/, ''));
+    const found = new Map();
+
+    for (const pattern of patterns.filter(p => !isNegation(p))) {
+        for (const dir of expandWorkspacePattern(rootDir, pattern)) {
+            const relative = path.relative(rootDir, dir).split(path.sep).join('/');
+            if (excluded.some(p => matchesPattern(relative, p)) || found.has(dir)) {
+                continue;
+            }
+
+            const pkgPath = path.join(dir, 'package.json');
+            try {
+                const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+                if (typeof pkg.name === 'string' && pkg.name.length > 0) {
+                    found.set(dir, { name: pkg.name, dir, realDir: fs.realpathSync(dir), pkgPath });
+                }
+            } catch (err) {
+                // Not a package directory
+            }
+        }
+    }
+
+    return [...found.values()];
+}
+
+/**
+ * Find the monorepo root a package belongs to.
+ * Walks up to the first package.json with a "workspaces" field and checks
+ * that it lists the package (or is the package itself).
+ * @param {string} pkgPath - Path to a package.json
+ * @returns {string|null} Path to the root package.json, or null if not in a workspace
+ */
+function findWorkspaceRoot(pkgPath) {
+    const pkgDir = path.dirname(path.resolve(pkgPath));
+    let dir = pkgDir;
+
+    while (true) {
+        const candidate = path.join(dir, 'package.json');
+        try {
+            const pkg = JSON.parse(fs.readFileSync(candidate, 'utf8'));
+            if (getWorkspacePatterns(pkg).length > 0) {
+                if (dir === pkgDir || findWorkspaces(candidate).some(ws => ws.dir === pkgDir)) {
+                    return candidate;
+                }
+                return null;
+            }
+        } catch (err) {
+            // No package.json here, keep walking up
+        }
+
+        if (dir === path.dirname(dir)) {
+            return null;
+        }
+        dir = path.dirname(dir);
+    }
+}
+
+/**
+ * Set the workspaces used to identify callers
+ * @param {Array} workspaces - Result of findWorkspaces()
+ */
+function setWorkspaces(workspaces) {
+    activeWorkspaces = [...(workspaces || [])].sort((a, b) => b.dir.length - a.dir.length);
+}
+
+/**
+ * Get the active workspaces
+ * @returns {Array<{name: string, dir: string, realDir: string, pkgPath: string}>}
+ */
+function getWorkspaces() {
+    return activeWorkspaces;
+}
+
+/**
+ * Find the workspace a file outside node_modules belongs to
+ * @param {string} filePath
+ * @returns {{name: string, dir: string, subpath: string}|null}
+ */
+function findWorkspaceForPath(filePath) {
+    if (activeWorkspaces.length === 0) {
+        return null;
+    }
+
+    const normalized = path.normalize(filePath);
+    for (const workspace of activeWorkspaces) {
+        for (const dir of [workspace.dir, workspace.realDir]) {
+            if (normalized.startsWith(dir + path.sep)) {
+                return {
+                    name: workspace.name,
+                    dir,
+                    subpath: normalized.slice(dir.length + 1).split(path.sep).join('/')
+                };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Forget the active workspaces
+ */
+function clearCache() {
+    activeWorkspaces = [];
+}
+
+module.exports = {
+    getWorkspacePatterns,
+    findWorkspaces,
+    findWorkspaceRoot,
+    setWorkspaces,
+    getWorkspaces,
+    findWorkspaceForPath,
+    clearCache
+};
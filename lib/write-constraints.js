@@ -0,0 +1,127 @@
+/**
+ * write-constraints.js - Limit the values a package may write
+ *
+ * "canWrite" may map names to the values allowed for them instead of
+ * listing names:
+ *
+ *   "canWrite": {
+ *     "NODE_ENV": ["production", "development"],
+ *     "HTTP_PROXY": { "pattern": "^http://localhost(:\\d+)?$" },
+ *     "DEBUG": true
+ *   }
+ *
+ * A write to a granted name must then also pass its constraint, so a
+ * package that may set NODE_ENV cannot point HTTP_PROXY at another host
+ * or flip NODE_TLS_REJECT_UNAUTHORIZED.
+ */
+
+'use strict';
+
+const { matchesAny, matchesPattern, isNegation } = require('./pattern-matcher');
+
+// Cache: constraint pattern -> compiled RegExp, or null if it does not compile
+const regexCache = new Map();
+
+/**
+ * Compile a constraint pattern
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp|null} Null if the pattern is invalid
+ */
+function compileValuePattern(pattern) {
+    if (!regexCache.has(pattern)) {
+        let regex = null;
+        try {
+            regex = new RegExp(pattern);
+        } catch (err) {
+            // Invalid patterns accept nothing
+        }
+        regexCache.set(pattern, regex);
+    }
+    return regexCache.get(pattern);
+}
+
+/**
+ * Find the constraint on writes of an env var in a grant.
+ * An entry naming the variable exactly wins over patterns.
+ * @param {Object} grant - Normalized entry or file grant
+ * @param {string} envVar
+ * @returns {Object|null} { values } or { pattern }, or null if any value may be written
+ */
+function getWriteConstraint(grant, envVar) {
+    const constraints = grant.writeConstraints;
+    if (!constraints) {
+        return null;
+    }
+    if (Object.prototype.hasOwnProperty.call(constraints, envVar)) {
+        return constraints[envVar];
+    }
+    for (const [name, constraint] of Object.entries(constraints)) {
+        if (!isNegation(name) && matchesPattern(envVar, name)) {
+            return constraint;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check a value against a constraint. Values are compared as the strings
+ * process.env stores.
+ * @param {Object} constraint - { values } or { pattern }
+ * @param {*} value
+ * @returns {boolean}
+ */
+function acceptsValue(constraint, value) {
+    const text = String(value);
+    if (constraint.values) {
+        return constraint.values.includes(text);
+    }
+    const regex = compileValuePattern(constraint.pattern);
+    return regex !== null && regex.test(text);
+}
+
+/**
+ * Find the constraint that rejects a write. Grants add up, so a write is
+ * accepted if any grant covering the name accepts the value.
+ * @param {Object[]} grants - The caller's entry and file grants (may include null)
+ * @param {string} envVar
+ * @param {*} value
+ * @returns {Object|null} The rejecting constraint, or null if the value is accepted
+ *          (or no grant covers the name)
+ */
+function findRejectingConstraint(grants, envVar, value) {
+    const constraints = grants
+        .filter(grant => grant && matchesAny(envVar, grant.canWrite))
+        .map(grant => getWriteConstraint(grant, envVar));
+
+    if (constraints.length === 0 || constraints.some(constraint => constraint === null || acceptsValue(constraint, value))) {
+        return null;
+    }
+    return constraints[0];
+}
+
+/**
+ * Describe a constraint for error messages
+ * @param {Object} constraint - { values } or { pattern }
+ * @returns {string} e.g. 'one of "production", "development"'
+ */
+function describeConstraint(constraint) {
+    if (constraint.values) {
+        return `one of ${constraint.values.map(value => JSON.stringify(value)).join(', ')}`;
+    }
+    return `a value matching /${constraint.pattern}/`;
+}
+
+/**
+ * Clear the pattern cache
+ */
+function clearCache() {
+    regexCache.clear();
+}
+
+module.exports = {
+    getWriteConstraint,
+    acceptsValue,
+    findRejectingConstraint,
+    describeConstraint,
+    clearCache
+};
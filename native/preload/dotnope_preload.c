@@ -30,7 +30,7 @@ static char* (*real_getenv)(const char*) = NULL;
 static int (*real_setenv)(const char*, const char*, int) = NULL;
 static int (*real_unsetenv)(const char*) = NULL;
 
-/* File access functions for /proc/*/environ protection */
+/* File access functions for /proc/<pid>/environ protection */
 static int (*real_open)(const char*, int, ...) = NULL;
 static int (*real_openat)(int, const char*, int, ...) = NULL;
 static FILE* (*real_fopen)(const char*, const char*) = NULL;
@@ -64,7 +64,8 @@ static void log_access(const char* op, const char* name, int allowed) {
 
 /**
  * Load policy from environment variable or file
- * Format: comma-separated list of allowed variables, or "*" for all
+ * Format: comma-separated list of allowed variables, or "*" for all.
+ * Entries may be glob patterns ("AWS_*") and negations ("!AWS_SECRET_*").
  */
 static void load_policy(void) {
     if (policy_loaded) return;
@@ -127,6 +128,43 @@ static void load_policy(void) {
     pthread_mutex_unlock(&policy_mutex);
 }
 
+/**
+ * Match a name against a glob pattern, as lib/pattern-matcher.js does:
+ * "*" matches any run of characters, "?" exactly one, and everything
+ * else (brackets and backslashes included) only itself. fnmatch() would
+ * read "[...]" as a character class and a backslash as an escape.
+ */
+static int glob_match(const char* pattern, const char* name) {
+    const char* star = NULL;
+    const char* resume = NULL;
+
+    while (*name) {
+        if (*pattern == '*') {
+            star = pattern++;
+            resume = name;
+        } else if (*pattern == '?' || *pattern == *name) {
+            pattern++;
+            name++;
+        } else if (star) {
+            /* Let the last star take one more character */
+            pattern = star + 1;
+            name = ++resume;
+        } else {
+            return 0;
+        }
+    }
+
+    while (*pattern == '*') pattern++;
+    return *pattern == '\0';
+}
+
+/**
+ * Check if a policy entry is a negation ("!PATTERN"); a lone "!" is a name
+ */
+static int is_negation(const char* entry) {
+    return entry[0] == '!' && entry[1] != '\0';
+}
+
 /**
  * Check if a variable is allowed
  */
@@ -149,12 +187,20 @@ static int is_allowed(const char* name) {
 
     pthread_mutex_lock(&policy_mutex);
 
+    /* Negations win over any positive entry */
     for (int i = 0; i < allowed_count; i++) {
-        if (strcmp(allowed_vars[i], "*") == 0) {
+        if (is_negation(allowed_vars[i]) &&
+            glob_match(allowed_vars[i] + 1, name)) {
             pthread_mutex_unlock(&policy_mutex);
-            return 1;
+            return 0;
+        }
+    }
+
+    for (int i = 0; i < allowed_count; i++) {
+        if (is_negation(allowed_vars[i])) {
+            continue;
         }
-        if (strcmp(allowed_vars[i], name) == 0) {
+        if (glob_match(allowed_vars[i], name)) {
             pthread_mutex_unlock(&policy_mutex);
             return 1;
         }
@@ -165,7 +211,7 @@ static int is_allowed(const char* name) {
 }
 
 /**
- * Check if a path is protected (e.g., /proc/*/environ)
+ * Check if a path is protected (e.g., /proc/<pid>/environ)
  * This prevents native code from reading environment variables directly from /proc
  */
 static int is_protected_path(const char* path) {
@@ -281,7 +327,7 @@ int unsetenv(const char* name) {
 }
 
 /**
- * Hooked open - block /proc/*/environ access
+ * Hooked open - block /proc/<pid>/environ access
  */
 int open(const char* pathname, int flags, ...) {
     pthread_once(&init_once, init_real_functions);
@@ -362,7 +408,7 @@ int __open_2(const char* pathname, int flags) {
 }
 
 /**
- * Hooked openat - block /proc/*/environ via dirfd-relative paths
+ * Hooked openat - block /proc/<pid>/environ via dirfd-relative paths
  */
 int openat(int dirfd, const char* pathname, int flags, ...) {
     pthread_once(&init_once, init_real_functions);
@@ -390,7 +436,7 @@ int openat(int dirfd, const char* pathname, int flags, ...) {
 }
 
 /**
- * Hooked fopen - block /proc/*/environ via stdio
+ * Hooked fopen - block /proc/<pid>/environ via stdio
  */
 FILE* fopen(const char* pathname, const char* mode) {
     pthread_once(&init_once, init_real_functions);
@@ -430,7 +476,7 @@ FILE* fopen64(const char* pathname, const char* mode) {
 }
 
 /**
- * Hooked access - block checking if /proc/*/environ exists
+ * Hooked access - block checking if /proc/<pid>/environ exists
  */
 int access(const char* pathname, int mode) {
     pthread_once(&init_once, init_real_functions);
@@ -22,6 +22,7 @@ static const char* INTERNAL_FILES[] = {
     "/lib/dependency-resolver.js",
     "/lib/native-bridge.js",
     "/lib/preload-generator.js",
+    "/lib/child-env.js",
     "/index.js",
     "/index.mjs"
 };
@@ -8,6 +8,13 @@
  * before your application code runs, ensuring no modules can capture
  * a reference to process.env before protection is active.
  *
+ * Set DOTNOPE_LEARN=1 to run in learning mode: every access is allowed
+ * and a proposed whitelist is written to dotnope.learned.json at exit.
+ *
+ * A parent process with __options__.protectNodeChildren preloads this file
+ * in its Node.js children through NODE_OPTIONS, and hands down its policy
+ * in DOTNOPE_POLICY_FILE; the child then enforces that policy.
+ *
  * The handle and token are stored on global.__dotnope for access:
  *   const { handle, token } = global.__dotnope;
  *   handle.disable(token);  // If you need to disable later
@@ -17,19 +24,25 @@
 
 const dotnope = require('./index.js');
 
-// Enable strict env protection immediately
-const handle = dotnope.enableStrictEnv({
-    // Disable strict load order check since we're being loaded via -r
-    // which means we're intentionally loaded before other modules
-    strictLoadOrder: false,
-    // Suppress warnings during auto-register (user can call emitSecurityWarnings later)
-    suppressWarnings: true
-});
+// A worker started with protectWorkers already runs with the parent's policy
+if (!dotnope.isEnabled()) {
+    // Enable strict env protection immediately
+    const handle = dotnope.enableStrictEnv({
+        // Disable strict load order check since we're being loaded via -r
+        // which means we're intentionally loaded before other modules
+        strictLoadOrder: false,
+        // Suppress warnings during auto-register (user can call emitSecurityWarnings later)
+        suppressWarnings: true,
+        learn: process.env.DOTNOPE_LEARN === '1' || process.env.DOTNOPE_LEARN === 'true',
+        // Policy handed down by a parent process with protectNodeChildren
+        policyFile: process.env.DOTNOPE_POLICY_FILE || null
+    });
 
-// Store handle and token on global for later access if needed
-global.__dotnope = {
-    handle,
-    token: handle.getToken(),
-    // Convenience method to emit warnings after app loads
-    emitWarnings: (options) => dotnope.emitSecurityWarnings(options)
-};
+    // Store handle and token on global for later access if needed
+    global.__dotnope = {
+        handle,
+        token: handle.getToken(),
+        // Convenience method to emit warnings after app loads
+        emitWarnings: (options) => dotnope.emitSecurityWarnings(options)
+    };
+}
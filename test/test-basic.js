@@ -5,6 +5,7 @@ const assert = require('node:assert');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { execFileSync, spawnSync } = require('child_process');
 
 // Generate unique fixture directory per test
 function getUniqueFixturesDir() {
@@ -271,19 +272,33 @@ describe('config-loader', () => {
             assert.deepStrictEqual(config.axios, {
                 allowed: ['HTTP_PROXY'],
                 canWrite: [],
+                writeConstraints: null,
                 canDelete: [],
+                denied: [],
                 allowPeerDependencies: true,
                 peerDepthLimit: 1,
-                excludePeerDependencies: []
+                excludePeerDependencies: [],
+                files: {},
+                expires: null,
+                untilMs: null,
+                maxReads: null,
+                mode: null
             });
 
             assert.deepStrictEqual(config.dotenv, {
                 allowed: ['VAR1', 'VAR2'],
                 canWrite: [],
+                writeConstraints: null,
                 canDelete: [],
+                denied: [],
                 allowPeerDependencies: false,
                 peerDepthLimit: 1,
-                excludePeerDependencies: []
+                excludePeerDependencies: [],
+                files: {},
+                expires: null,
+                untilMs: null,
+                maxReads: null,
+                mode: null
             });
         } finally {
             cleanup(fixturesDir);
@@ -291,6 +306,847 @@ describe('config-loader', () => {
     });
 });
 
+describe('config file discovery', () => {
+    let originalDotnopeConfig;
+
+    beforeEach(() => {
+        clearDotnopeCache();
+        originalDotnopeConfig = process.env.DOTNOPE_CONFIG;
+        delete process.env.DOTNOPE_CONFIG;
+    });
+
+    afterEach(() => {
+        if (originalDotnopeConfig === undefined) {
+            delete process.env.DOTNOPE_CONFIG;
+        } else {
+            process.env.DOTNOPE_CONFIG = originalDotnopeConfig;
+        }
+        clearDotnopeCache();
+    });
+
+    test('should parse JSON with comments and trailing commas', () => {
+        const configLoader = require('../lib/config-loader');
+        const parsed = configLoader.parseJsonWithComments(`{
+            // line comment
+            "a": ["http://x", "/* not a comment */",],
+            /* block comment */
+            "b": { "c": 1, },
+        }`);
+        assert.deepStrictEqual(parsed, { a: ['http://x', '/* not a comment */'], b: { c: 1 } });
+    });
+
+    test('should merge .dotnoperc.json over package.json and record sources', () => {
+        const fixturesDir = getUniqueFixturesDir();
+        try {
+            const pkgPath = createTestPackageJson(fixturesDir, {
+                name: 'test',
+                environmentWhitelist: {
+                    '__options__': { failClosed: false },
+                    'axios': ['HTTP_PROXY'],
+                    'pg': ['PGHOST']
+                }
+            });
+            const rcPath = path.join(fixturesDir, '.dotnoperc.json');
+            fs.writeFileSync(rcPath, `{
+    // Overrides package.json
+    "__options__": { "protectWrites": false },
+    "pg": ["PGHOST", "PGPORT"],
+}`);
+
+            const configLoader = require('../lib/config-loader');
+            const config = configLoader.loadConfig(pkgPath);
+
+            assert.deepStrictEqual(config.axios.allowed, ['HTTP_PROXY']);
+            assert.deepStrictEqual(config.pg.allowed, ['PGHOST', 'PGPORT']);
+            assert.strictEqual(configLoader.getOptions().failClosed, false);
+            assert.strictEqual(configLoader.getOptions().protectWrites, false);
+            assert.strictEqual(configLoader.getConfigPath(), rcPath);
+            assert.strictEqual(configLoader.getRuleSource('axios'), pkgPath);
+            assert.strictEqual(configLoader.getRuleSource('pg'), rcPath);
+            assert.strictEqual(configLoader.getRuleSource('__options__.failClosed'), pkgPath);
+        } finally {
+            cleanup(fixturesDir);
+        }
+    });
+
+    test('should load dotnope.config.js modules', () => {
+        const fixturesDir = getUniqueFixturesDir();
+        try {
+            const pkgPath = createTestPackageJson(fixturesDir, { name: 'test' });
+            fs.writeFileSync(
+                path.join(fixturesDir, 'dotnope.config.js'),
+                `module.exports = { environmentWhitelist: { 'debug': ['DEBUG'] } };`
+            );
+
+            const configLoader = require('../lib/config-loader');
+            const config = configLoader.loadConfig(pkgPath);
+
+            assert.deepStrictEqual(config.debug.allowed, ['DEBUG']);
+        } finally {
+            cleanup(fixturesDir);
+        }
+    });
+
+    test('DOTNOPE_CONFIG should replace discovery and programmatic config should win', () => {
+        const fixturesDir = getUniqueFixturesDir();
+        try {
+            const pkgPath = createTestPackageJson(fixturesDir, { name: 'test' });
+            fs.writeFileSync(path.join(fixturesDir, '.dotnoperc.json'), '{ "discovered": ["A"] }');
+            const explicitPath = path.join(fixturesDir, 'policies.json');
+            fs.writeFileSync(explicitPath, '{ "explicit": ["B"], "shared": ["C"] }');
+            process.env.DOTNOPE_CONFIG = explicitPath;
+
+            const configLoader = require('../lib/config-loader');
+            const config = configLoader.loadConfig(pkgPath, null, { shared: ['D'] });
+
+            assert.strictEqual(config.discovered, undefined);
+            assert.deepStrictEqual(config.explicit.allowed, ['B']);
+            assert.deepStrictEqual(config.shared.allowed, ['D']);
+            assert.strictEqual(configLoader.getRuleSource('shared'), '<programmatic>');
+        } finally {
+            cleanup(fixturesDir);
+        }
+    });
+
+    test('should throw when an explicit config file is missing', () => {
+        const configLoader = require('../lib/config-loader');
+        assert.throws(() => {
+            configLoader.loadConfig('/nonexistent/path/.dotnoperc.json');
+        }, /Config file not found/);
+    });
+});
+
+describe('extends presets', () => {
+    let fixturesDir;
+
+    beforeEach(() => {
+        clearDotnopeCache();
+        fixturesDir = getUniqueFixturesDir();
+    });
+
+    afterEach(() => {
+        cleanup(fixturesDir);
+    });
+
+    function writeFile(relativePath, content) {
+        const filePath = path.join(fixturesDir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+        return filePath;
+    }
+
+    test('should deep-merge module and relative presets under local entries', () => {
+        const modulePreset = writeFile('node_modules/@acme/dotnope-policy/index.js',
+            `module.exports = ${JSON.stringify({
+                '__options__': { failClosed: true, denied: ['NPM_TOKEN'] },
+                'pg': { allowed: ['PGHOST', 'PGUSER'], allowPeerDependencies: true },
+                'debug': ['DEBUG']
+            })};`);
+        writeFile('node_modules/@acme/dotnope-policy/package.json', { name: '@acme/dotnope-policy', main: 'index.js' });
+        const basePreset = writeFile('policies/base.json', {
+            'debug': ['DEBUG', 'DEBUG_COLORS'],
+            'pino': ['LOG_LEVEL']
+        });
+        const pkgPath = createTestPackageJson(fixturesDir, {
+            name: 'test',
+            environmentWhitelist: {
+                'extends': ['@acme/dotnope-policy', './policies/base.json'],
+                '__options__': { protectEnumeration: false },
+                'pg': { denied: ['PGPASSWORD'] }
+            }
+        });
+
+        const configLoader = require('../lib/config-loader');
+        const config = configLoader.loadConfig(pkgPath);
+
+        assert.deepStrictEqual(config.pg.allowed, ['PGHOST', 'PGUSER']);
+        assert.deepStrictEqual(config.pg.denied, ['PGPASSWORD']);
+        assert.strictEqual(config.pg.allowPeerDependencies, true);
+        assert.deepStrictEqual(config.debug.allowed, ['DEBUG', 'DEBUG_COLORS']);
+        assert.deepStrictEqual(config.pino.allowed, ['LOG_LEVEL']);
+        assert.strictEqual(config.extends, undefined);
+
+        const options = configLoader.getOptions();
+        assert.deepStrictEqual(options.denied, ['NPM_TOKEN']);
+        assert.strictEqual(options.protectEnumeration, false);
+
+        assert.strictEqual(configLoader.getRuleSource('pg'), pkgPath);
+        assert.strictEqual(configLoader.getRuleSource('debug'), basePreset);
+        assert.strictEqual(configLoader.getRuleSource('__options__.denied'), fs.realpathSync(modulePreset));
+    });
+
+    test('should follow presets that extend other presets', () => {
+        writeFile('policies/db.json', { 'pg': ['PGHOST'] });
+        writeFile('policies/base.json', { 'extends': './db.json', 'debug': ['DEBUG'] });
+        writeFile('node_modules/shared-policy/package.json', {
+            name: 'shared-policy',
+            environmentWhitelist: { 'dotenv': { allowed: ['*'] } }
+        });
+        const pkgPath = createTestPackageJson(fixturesDir, {
+            name: 'test',
+            environmentWhitelist: { 'extends': ['./policies/base.json', 'shared-policy'] }
+        });
+
+        const configLoader = require('../lib/config-loader');
+        const config = configLoader.loadConfig(pkgPath);
+
+        assert.deepStrictEqual(Object.keys(config).sort(), ['debug', 'dotenv', 'pg']);
+    });
+
+    test('should reject presets that cannot be resolved', () => {
+        const pkgPath = createTestPackageJson(fixturesDir, {
+            name: 'test',
+            environmentWhitelist: { 'extends': ['@acme/missing-policy'] }
+        });
+
+        const configLoader = require('../lib/config-loader');
+        assert.throws(() => {
+            configLoader.loadConfig(pkgPath);
+        }, (err) => {
+            assert.strictEqual(err.code, 'ERR_DOTNOPE_INVALID_CONFIG');
+            assert.ok(err.message.includes('cannot resolve preset "@acme/missing-policy"'));
+            assert.ok(err.message.includes('npm install @acme/missing-policy'));
+            assert.strictEqual(err.errors[0].source, pkgPath);
+            return true;
+        });
+    });
+
+    test('should reject circular presets', () => {
+        writeFile('policies/a.json', { 'extends': './b.json' });
+        writeFile('policies/b.json', { 'extends': './a.json' });
+        const pkgPath = createTestPackageJson(fixturesDir, {
+            name: 'test',
+            environmentWhitelist: { 'extends': './policies/a.json' }
+        });
+
+        const configLoader = require('../lib/config-loader');
+        assert.throws(() => {
+            configLoader.loadConfig(pkgPath);
+        }, /circular extends/);
+    });
+});
+
+describe('built-in presets', () => {
+    let fixturesDir;
+
+    beforeEach(() => {
+        clearDotnopeCache();
+        fixturesDir = getUniqueFixturesDir();
+    });
+
+    afterEach(() => {
+        cleanup(fixturesDir);
+    });
+
+    test('an entry preset should add to the entry\'s own grants', () => {
+        const pkgPath = createTestPackageJson(fixturesDir, {
+            name: 'test',
+            environmentWhitelist: {
+                'pg': { preset: 'pg', allowed: ['DATABASE_URL'], denied: ['PGPASSWORD'] }
+            }
+        });
+
+        const configLoader = require('../lib/config-loader');
+        const config = configLoader.loadConfig(pkgPath);
+
+        assert.ok(config.pg.allowed.includes('PGHOST'));
+        assert.ok(config.pg.allowed.includes('DATABASE_URL'));
+        assert.deepStrictEqual(config.pg.denied, ['PGPASSWORD']);
+        assert.strictEqual(config.pg.preset, undefined);
+    });
+
+    test('__presets__ should grant every covered package without overriding explicit entries', () => {
+        const pkgPath = createTestPackageJson(fixturesDir, {
+            name: 'test',
+            environmentWhitelist: {
+                '__presets__': ['common', 'dotenv'],
+                'debug': ['DEBUG']
+            }
+        });
+
+        const configLoader = require('../lib/config-loader');
+        const config = configLoader.loadConfig(pkgPath);
+
+        assert.deepStrictEqual(config.debug.allowed, ['DEBUG']);
+        assert.ok(config['supports-color'].allowed.includes('FORCE_COLOR'));
+        assert.deepStrictEqual(config['proxy-from-env'].allowed, ['*_PROXY', '*_proxy']);
+        assert.deepStrictEqual(config.dotenv.canWrite, ['*']);
+        assert.strictEqual(configLoader.getRuleSource('dotenv'), pkgPath);
+    });
+
+    test('scoped package patterns should expand to installed packages', () => {
+        for (const name of ['client-s3', 'credential-provider-env']) {
+            const dir = path.join(fixturesDir, 'node_modules/@aws-sdk', name);
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: `@aws-sdk/${name}` }));
+        }
+        const pkgPath = createTestPackageJson(fixturesDir, {
+            name: 'test',
+            environmentWhitelist: { '__presets__': ['aws-sdk'] }
+        });
+
+        const configLoader = require('../lib/config-loader');
+        const config = configLoader.loadConfig(pkgPath);
+
+        assert.ok(config['@aws-sdk/client-s3'].allowed.includes('AWS_*'));
+        assert.ok(config['@aws-sdk/credential-provider-env']);
+        assert.ok(config['aws-sdk']);
+        assert.strictEqual(config['@aws-sdk/*'], undefined);
+    });
+
+    test('unknown preset names should fail validation with a suggestion', () => {
+        const { validateConfig } = require('../index');
+        const result = validateConfig({
+            '__presets__': ['comon'],
+            'pg': { preset: 'postgres' }
+        });
+
+        assert.strictEqual(result.valid, false);
+        const byPath = Object.fromEntries(result.errors.map(e => [e.path, e]));
+        assert.match(byPath['environmentWhitelist.__presets__[0]'].suggestion, /"common"/);
+        assert.match(byPath['environmentWhitelist.pg.preset'].suggestion, /available presets: .*pg/);
+    });
+});
+
+describe('profiles', () => {
+    let fixturesDir;
+    let savedNodeEnv;
+    let savedProfile;
+
+    beforeEach(() => {
+        clearDotnopeCache();
+        fixturesDir = getUniqueFixturesDir();
+        savedNodeEnv = process.env.NODE_ENV;
+        savedProfile = process.env.DOTNOPE_PROFILE;
+        delete process.env.NODE_ENV;
+        delete process.env.DOTNOPE_PROFILE;
+    });
+
+    afterEach(() => {
+        cleanup(fixturesDir);
+        for (const [name, value] of [['NODE_ENV', savedNodeEnv], ['DOTNOPE_PROFILE', savedProfile]]) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    });
+
+    function writeProfiledPackage() {
+        return createTestPackageJson(fixturesDir, {
+            name: 'test',
+            environmentWhitelist: {
+                '__options__': { failClosed: true },
+                'pg': ['PGHOST'],
+                'debug': ['DEBUG'],
+                'profiles': {
+                    'test': {
+                        '__options__': { protectWrites: false },
+                        'jest': { allowed: ['*'] },
+                        'pg': ['PGHOST', 'PGDATABASE']
+                    },
+                    'migrate': {
+                        'knex': ['DATABASE_URL']
+                    }
+                }
+            }
+        });
+    }
+
+    test('should use the base whitelist when no profile is selected', () => {
+        const configLoader = require('../lib/config-loader');
+        const config = configLoader.loadConfig(writeProfiledPackage());
+
+        assert.deepStrictEqual(Object.keys(config).sort(), ['debug', 'pg']);
+        assert.strictEqual(configLoader.getActiveProfile(), null);
+    });
+
+    test('should overlay the profile named by NODE_ENV', () => {
+        process.env.NODE_ENV = 'test';
+        const configLoader = require('../lib/config-loader');
+        const pkgPath = writeProfiledPackage();
+        const config = configLoader.loadConfig(pkgPath);
+
+        assert.deepStrictEqual(config.pg.allowed, ['PGHOST', 'PGDATABASE']);
+        assert.deepStrictEqual(config.jest.allowed, ['*']);
+        assert.deepStrictEqual(config.debug.allowed, ['DEBUG']);
+        assert.strictEqual(configLoader.getOptions().protectWrites, false);
+        assert.strictEqual(configLoader.getOptions().failClosed, true);
+        assert.strictEqual(configLoader.getActiveProfile(), 'test');
+        assert.strictEqual(configLoader.getRuleSource('jest'), pkgPath);
+    });
+
+    test('should ignore a NODE_ENV without a profile', () => {
+        process.env.NODE_ENV = 'production';
+        const configLoader = require('../lib/config-loader');
+        const config = configLoader.loadConfig(writeProfiledPackage());
+
+        assert.strictEqual(config.jest, undefined);
+        assert.strictEqual(configLoader.getActiveProfile(), null);
+    });
+
+    test('should keep the profile picked at load when NODE_ENV changes before a reload', () => {
+        process.env.NODE_ENV = 'production';
+        const configLoader = require('../lib/config-loader');
+        configLoader.loadConfig(writeProfiledPackage());
+
+        // A package allowed to write NODE_ENV must not pick the next profile
+        process.env.NODE_ENV = 'test';
+        process.env.DOTNOPE_CONFIG = path.join(fixturesDir, 'elsewhere.json');
+        try {
+            const config = configLoader.reloadConfig();
+
+            assert.strictEqual(config.jest, undefined);
+            assert.deepStrictEqual(config.pg.allowed, ['PGHOST']);
+            assert.strictEqual(configLoader.getActiveProfile(), null);
+        } finally {
+            delete process.env.DOTNOPE_CONFIG;
+        }
+    });
+
+    test('the profile option should win over DOTNOPE_PROFILE and NODE_ENV', () => {
+        process.env.NODE_ENV = 'test';
+        process.env.DOTNOPE_PROFILE = 'test';
+        const configLoader = require('../lib/config-loader');
+        const config = configLoader.loadConfig(writeProfiledPackage(), null, null, 'migrate');
+
+        assert.deepStrictEqual(config.knex.allowed, ['DATABASE_URL']);
+        assert.strictEqual(config.jest, undefined);
+        assert.strictEqual(configLoader.getActiveProfile(), 'migrate');
+    });
+
+    test('should throw for an explicitly requested unknown profile', () => {
+        process.env.DOTNOPE_PROFILE = 'migrat';
+        const configLoader = require('../lib/config-loader');
+
+        assert.throws(() => {
+            configLoader.loadConfig(writeProfiledPackage());
+        }, (err) => {
+            assert.strictEqual(err.code, 'ERR_DOTNOPE_INVALID_CONFIG');
+            assert.ok(err.message.includes('profile "migrat" is not defined'));
+            assert.ok(err.message.includes('did you mean "migrate"?'));
+            return true;
+        });
+    });
+
+    test('should validate profiles that are not selected', () => {
+        const { validateConfig } = require('../index');
+        const result = validateConfig({
+            'profiles': {
+                'test': { 'jest': { alowed: ['*'] } },
+                'ci': { 'profiles': {} }
+            }
+        });
+
+        assert.strictEqual(result.valid, false);
+        assert.deepStrictEqual(result.errors.map(e => e.path), [
+            'environmentWhitelist.profiles.test.jest.alowed',
+            'environmentWhitelist.profiles.ci.profiles'
+        ]);
+    });
+});
+
+describe('workspaces', () => {
+    let fixturesDir;
+
+    beforeEach(() => {
+        clearDotnopeCache();
+        fixturesDir = getUniqueFixturesDir();
+    });
+
+    afterEach(() => {
+        clearDotnopeCache();
+        cleanup(fixturesDir);
+    });
+
+    function writeMonorepo(rootWhitelist, apiWhitelist, webWhitelist) {
+        createTestPackageJson(fixturesDir, {
+            name: 'monorepo',
+            private: true,
+            workspaces: ['packages/*', '!packages/scratch'],
+            environmentWhitelist: rootWhitelist
+        });
+        createTestPackageJson(path.join(fixturesDir, 'packages', 'api'), {
+            name: '@acme/api',
+            environmentWhitelist: apiWhitelist
+        });
+        createTestPackageJson(path.join(fixturesDir, 'packages', 'web'), {
+            name: '@acme/web',
+            environmentWhitelist: webWhitelist
+        });
+        createTestPackageJson(path.join(fixturesDir, 'packages', 'scratch'), { name: 'scratch' });
+        return path.join(fixturesDir, 'package.json');
+    }
+
+    test('should find workspace packages from the root workspaces field', () => {
+        const workspaces = require('../lib/workspaces');
+        const rootPkg = writeMonorepo({}, {}, {});
+
+        const found = workspaces.findWorkspaces(rootPkg).map(ws => ws.name).sort();
+        assert.deepStrictEqual(found, ['@acme/api', '@acme/web']);
+        assert.strictEqual(
+            workspaces.findWorkspaceRoot(path.join(fixturesDir, 'packages', 'api', 'package.json')),
+            rootPkg
+        );
+        assert.strictEqual(
+            workspaces.findWorkspaceRoot(path.join(fixturesDir, 'packages', 'scratch', 'package.json')),
+            null
+        );
+    });
+
+    test('should support the { packages: [...] } form', () => {
+        const workspaces = require('../lib/workspaces');
+        assert.deepStrictEqual(
+            workspaces.getWorkspacePatterns({ workspaces: { packages: ['apps/*'] } }),
+            ['apps/*']
+        );
+        assert.deepStrictEqual(workspaces.getWorkspacePatterns({ name: 'app' }), []);
+    });
+
+    test('should merge root and workspace whitelists', () => {
+        const configLoader = require('../lib/config-loader');
+        writeMonorepo(
+            { 'pg': ['PGHOST'], '@acme/web': ['PUBLIC_URL'] },
+            { '__main__': ['API_PORT'], 'axios': ['HTTP_PROXY'] },
+            { '__main__': ['WEB_PORT'], 'axios': ['HTTPS_PROXY'] }
+        );
+
+        // Loading from inside a workspace still uses the whole monorepo
+        const config = configLoader.loadConfig(path.join(fixturesDir, 'packages', 'api', 'package.json'));
+
+        assert.deepStrictEqual(config['@acme/api'].allowed, ['API_PORT']);
+        assert.deepStrictEqual(config.axios.allowed, ['HTTP_PROXY', 'HTTPS_PROXY']);
+        assert.deepStrictEqual(config.pg.allowed, ['PGHOST']);
+        // The root replaces a workspace's own entry
+        assert.deepStrictEqual(config['@acme/web'].allowed, ['PUBLIC_URL']);
+        assert.strictEqual(configLoader.getConfigPath(), path.join(fixturesDir, 'package.json'));
+        assert.strictEqual(
+            configLoader.getRuleSource('axios'),
+            path.join(fixturesDir, 'packages', 'web', 'package.json')
+        );
+    });
+
+    test('should reject root-only keys in workspace sections', () => {
+        const configLoader = require('../lib/config-loader');
+        writeMonorepo({}, { '__options__': { failClosed: false } }, {});
+
+        assert.throws(
+            () => configLoader.loadConfig(path.join(fixturesDir, 'package.json')),
+            (err) => err.code === 'ERR_DOTNOPE_INVALID_CONFIG' &&
+                err.errors[0].path === 'environmentWhitelist.__options__' &&
+                err.errors[0].source === path.join(fixturesDir, 'packages', 'api', 'package.json')
+        );
+    });
+
+    test('should name callers in workspace packages after the workspace', () => {
+        const configLoader = require('../lib/config-loader');
+        const stackParser = require('../lib/stack-parser');
+        writeMonorepo({}, {}, {});
+        configLoader.loadConfig(path.join(fixturesDir, 'package.json'));
+
+        const apiFile = path.join(fixturesDir, 'packages', 'api', 'lib', 'server.js');
+        assert.strictEqual(stackParser.extractPackageName(apiFile), '@acme/api');
+        assert.strictEqual(stackParser.getPackageSubpath(apiFile, '@acme/api'), 'lib/server.js');
+        assert.strictEqual(stackParser.extractPackageName(path.join(fixturesDir, 'index.js')), '__main__');
+
+        configLoader.clearCache();
+        assert.strictEqual(stackParser.extractPackageName(apiFile), '__main__');
+    });
+});
+
+describe('config-diff', () => {
+    test('should report added, removed and changed grants', () => {
+        const { diffConfigs, formatConfigDiff } = require('../lib/config-diff');
+        const before = {
+            'pg': { allowed: ['PGHOST', 'PGPASSWORD'], canWrite: [], files: {} },
+            'debug': { allowed: ['DEBUG'], canWrite: [], files: {} }
+        };
+        const after = {
+            'pg': { allowed: ['PGHOST', 'PGPORT'], canWrite: [], files: { 'lib/': { allowed: ['PGUSER'] } } },
+            'axios': { allowed: ['HTTP_PROXY'], canWrite: [], files: {} }
+        };
+
+        const diff = diffConfigs(before, after, { failClosed: true }, { failClosed: false });
+
+        assert.strictEqual(diff.hasChanges, true);
+        assert.deepStrictEqual(diff.added, ['axios']);
+        assert.deepStrictEqual(diff.removed, ['debug']);
+        assert.deepStrictEqual(diff.changed.pg.allowed, { added: ['PGPORT'], removed: ['PGPASSWORD'] });
+        assert.deepStrictEqual(diff.options.failClosed, { from: true, to: false });
+        assert.deepStrictEqual(formatConfigDiff(diff), [
+            '+ axios',
+            '- debug',
+            '~ pg.allowed: +PGPORT -PGPASSWORD',
+            '~ pg.files["lib/"].allowed: +PGUSER',
+            '~ __options__.failClosed: true -> false'
+        ]);
+        assert.strictEqual(diffConfigs(before, before).hasChanges, false);
+    });
+
+    test('should report loosened grant limits', () => {
+        const { diffConfigs } = require('../lib/config-diff');
+        const before = { 'aws-sdk': { allowed: ['AWS_*'], maxReads: 1, untilMs: 30000, expires: 4102444800000, files: {} } };
+        const after = { 'aws-sdk': { allowed: ['AWS_*'], maxReads: null, untilMs: 60000, expires: null, files: {} } };
+
+        const diff = diffConfigs(before, after);
+
+        assert.strictEqual(diff.hasChanges, true);
+        assert.deepStrictEqual(diff.changed['aws-sdk'].maxReads, { from: 1, to: null });
+        assert.deepStrictEqual(diff.changed['aws-sdk'].untilMs, { from: 30000, to: 60000 });
+        assert.deepStrictEqual(diff.changed['aws-sdk'].expires, { from: 4102444800000, to: null });
+    });
+
+    test('should report gained rights and readers added through peer dependencies', () => {
+        const { diffRights, diffEffectiveReaders } = require('../lib/config-diff');
+        const configLoader = require('../lib/config-loader');
+        const fixturesDir = getUniqueFixturesDir();
+        const originalCwd = process.cwd();
+        const writeDependency = (name, dependencies) => {
+            const dir = path.join(fixturesDir, 'node_modules', name);
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name, version: '1.0.0', dependencies }));
+        };
+
+        try {
+            createTestPackageJson(fixturesDir, {
+                name: 'app',
+                environmentWhitelist: { orm: ['DATABASE_URL'], old: ['OLD_VAR'] }
+            });
+            writeDependency('orm', { 'pg': '1.0.0', 'pg-pool': '1.0.0' });
+            writeDependency('pg', {});
+            writeDependency('pg-pool', {});
+            createTestPackageJson(path.join(fixturesDir, 'next'), {
+                name: 'app',
+                environmentWhitelist: {
+                    orm: { allowed: ['DATABASE_URL'], canWrite: ['DATABASE_URL'], allowPeerDependencies: true },
+                    'pg-pool': { allowed: [], denied: ['DATABASE_URL'] }
+                }
+            });
+            process.chdir(fixturesDir);
+
+            const before = configLoader.readPolicy(path.join(fixturesDir, 'package.json'));
+            const after = configLoader.readPolicy(path.join(fixturesDir, 'next', 'package.json'));
+
+            assert.deepStrictEqual(diffRights(before.config, after.config), {
+                old: { read: { added: [], removed: ['OLD_VAR'] } },
+                orm: { write: { added: ['DATABASE_URL'], removed: [] } }
+            });
+            assert.deepStrictEqual(diffEffectiveReaders(before, after, ['HOME']), {
+                DATABASE_URL: { added: ['pg'], removed: [], viaPeers: 1 },
+                OLD_VAR: { added: [], removed: ['old'], viaPeers: 0 }
+            });
+            assert.strictEqual(configLoader.getConfigPath(), null);
+        } finally {
+            process.chdir(originalCwd);
+            cleanup(fixturesDir);
+        }
+    });
+});
+
+describe('dotnope diff', () => {
+    const CLI_PATH = path.join(__dirname, '..', 'bin', 'dotnope.js');
+    let fixturesDir;
+
+    function writeFile(relativePath, content) {
+        const filePath = path.join(fixturesDir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    }
+
+    function commitAll() {
+        const git = args => execFileSync('git', args, { cwd: fixturesDir, stdio: 'ignore' });
+        git(['init', '-q']);
+        git(['add', '-A']);
+        git(['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'policy']);
+    }
+
+    function runDiff(...args) {
+        return spawnSync(process.execPath, [CLI_PATH, 'diff', ...args], { cwd: fixturesDir, encoding: 'utf8' });
+    }
+
+    beforeEach(() => {
+        fixturesDir = getUniqueFixturesDir();
+        fs.mkdirSync(fixturesDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        cleanup(fixturesDir);
+    });
+
+    test('should read workspace sections at a git revision', () => {
+        writeFile('package.json', { name: 'monorepo', private: true, workspaces: ['packages/*'] });
+        writeFile('packages/api/package.json', {
+            name: '@acme/api',
+            environmentWhitelist: { 'pg': ['PGHOST'] }
+        });
+        commitAll();
+
+        const unchanged = runDiff('HEAD', '--json');
+        assert.strictEqual(unchanged.status, 0, unchanged.stderr);
+        assert.strictEqual(JSON.parse(unchanged.stdout).changes.hasChanges, false);
+
+        writeFile('packages/api/package.json', {
+            name: '@acme/api',
+            environmentWhitelist: { 'pg': ['PGHOST', 'PGPASSWORD'] }
+        });
+        const changed = JSON.parse(runDiff('HEAD', '--json').stdout);
+        assert.deepStrictEqual(changed.changes.added, []);
+        assert.deepStrictEqual(changed.rights, { pg: { read: { added: ['PGPASSWORD'], removed: [] } } });
+    });
+
+    test('should read relative presets at a git revision', () => {
+        writeFile('package.json', { name: 'app' });
+        writeFile('.dotnoperc.json', { 'extends': ['./policies/base.json'] });
+        writeFile('policies/base.json', { 'extends': './db.json', 'debug': ['DEBUG'] });
+        writeFile('policies/db.json', { 'pg': ['PGHOST'] });
+        commitAll();
+
+        writeFile('policies/db.json', { 'pg': ['PGHOST'], 'axios': ['HTTP_PROXY'] });
+        const result = runDiff('HEAD', '--json');
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.deepStrictEqual(JSON.parse(result.stdout).changes.added, ['axios']);
+
+        const single = runDiff('HEAD:policies/base.json', 'policies/base.json', '--json');
+        assert.strictEqual(single.status, 0, single.stderr);
+        assert.deepStrictEqual(JSON.parse(single.stdout).changes.added, ['axios']);
+    });
+
+    test('should refuse JavaScript presets at a git revision', () => {
+        writeFile('package.json', {
+            name: 'app',
+            environmentWhitelist: { 'extends': ['./policies/base.js'] }
+        });
+        writeFile('policies/base.js', 'module.exports = { debug: [\'DEBUG\'] };\n');
+        commitAll();
+
+        const result = runDiff('HEAD');
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /JavaScript configs are not run from git revisions/);
+    });
+});
+
+describe('config-validator', () => {
+    afterEach(() => {
+        clearDotnopeCache();
+    });
+
+    test('should accept a valid whitelist', () => {
+        const { validateConfig } = require('../index');
+        const result = validateConfig({
+            '__options__': { failClosed: true, denied: ['NPM_TOKEN'] },
+            'axios': { allowed: ['HTTP_PROXY'], allowPeerDependencies: true, peerDepthLimit: 2 },
+            'dotenv': ['*'],
+            'debug': 'DEBUG'
+        });
+        assert.deepStrictEqual(result, { valid: true, errors: [] });
+    });
+
+    test('should report every problem with its JSON path and a suggestion', () => {
+        const { validateConfig } = require('../index');
+        const result = validateConfig({
+            '__options__': { failClosed: 'false', protectWrite: true },
+            '__option__': {},
+            'axios': { alowed: ['HTTP_PROXY'], canWrite: 'HTTP_PROXY' },
+            '@aws-sdk/client-s3': { allowed: ['AWS_REGION', 42] },
+            'pg': 5
+        });
+
+        assert.strictEqual(result.valid, false);
+        const byPath = Object.fromEntries(result.errors.map(e => [e.path, e]));
+
+        assert.match(byPath['environmentWhitelist.__options__.failClosed'].message, /expected a boolean/);
+        assert.match(byPath['environmentWhitelist.__options__.protectWrite'].suggestion, /"protectWrites"/);
+        assert.match(byPath['environmentWhitelist.__option__'].suggestion, /"__options__"/);
+        assert.match(byPath['environmentWhitelist.axios.alowed'].suggestion, /"allowed"/);
+        assert.match(byPath['environmentWhitelist.axios.canWrite'].suggestion, /\["HTTP_PROXY"\]/);
+        assert.ok(byPath['environmentWhitelist["@aws-sdk/client-s3"].allowed[1]']);
+        assert.match(byPath['environmentWhitelist.pg'].message, /got number/);
+        assert.strictEqual(result.errors.length, 7);
+    });
+
+    test('should validate file-level grants', () => {
+        const { validateConfig } = require('../index');
+        const result = validateConfig({
+            'pg': {
+                allowed: ['PGHOST'],
+                files: {
+                    'lib/connection-parameters.js': ['PGPASSWORD'],
+                    'lib/': { alowed: ['PGUSER'] },
+                    '../app.js': ['SECRET']
+                }
+            }
+        });
+        assert.strictEqual(result.valid, false);
+        const paths = result.errors.map(e => e.path).sort();
+        assert.deepStrictEqual(paths, [
+            'environmentWhitelist.pg.files["../app.js"]',
+            'environmentWhitelist.pg.files["lib/"].alowed'
+        ]);
+    });
+
+    test('should reject unparseable version ranges in keys', () => {
+        const { validateConfig } = require('../index');
+        const result = validateConfig({
+            'axios@^1.6.0': ['HTTP_PROXY'],
+            'debug@latest': ['DEBUG']
+        });
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.errors.length, 1);
+        assert.strictEqual(result.errors[0].path, 'environmentWhitelist["debug@latest"]');
+        assert.match(result.errors[0].message, /invalid version range "latest"/);
+    });
+
+    test('loadConfig should throw ERR_DOTNOPE_INVALID_CONFIG naming the file', () => {
+        const fixturesDir = getUniqueFixturesDir();
+        try {
+            const pkgPath = createTestPackageJson(fixturesDir, {
+                name: 'test',
+                environmentWhitelist: {
+                    'axios': { alowed: ['HTTP_PROXY'] }
+                }
+            });
+
+            const configLoader = require('../lib/config-loader');
+            assert.throws(() => {
+                configLoader.loadConfig(pkgPath);
+            }, (err) => {
+                assert.strictEqual(err.code, 'ERR_DOTNOPE_INVALID_CONFIG');
+                assert.strictEqual(err.errors.length, 1);
+                assert.strictEqual(err.errors[0].source, pkgPath);
+                assert.ok(err.message.includes('environmentWhitelist.axios.alowed'));
+                assert.ok(err.message.includes('did you mean "allowed"?'));
+                return true;
+            });
+        } finally {
+            cleanup(fixturesDir);
+        }
+    });
+
+    test('should validate value constraints on writes', () => {
+        const { validateConfig } = require('../index');
+        assert.deepStrictEqual(validateConfig({
+            'proxy-agent': {
+                canWrite: { 'NODE_ENV': ['production', 'development'], 'HTTP_PROXY': { pattern: '^http://localhost(:\\d+)?$' }, 'DEBUG': true }
+            }
+        }), { valid: true, errors: [] });
+
+        const result = validateConfig({
+            'proxy-agent': {
+                canWrite: { 'NODE_TLS_REJECT_UNAUTHORIZED': [1], 'HTTP_PROXY': { pattern: '(' }, 'NODE_ENV': [], 'DEBUG': false }
+            }
+        });
+        const byPath = Object.fromEntries(result.errors.map(e => [e.path, e]));
+        const base = 'environmentWhitelist["proxy-agent"].canWrite';
+
+        assert.match(byPath[`${base}.NODE_TLS_REJECT_UNAUTHORIZED[0]`].suggestion, /use "1"/);
+        assert.match(byPath[`${base}.HTTP_PROXY.pattern`].message, /invalid regular expression/);
+        assert.match(byPath[`${base}.NODE_ENV`].suggestion, /use true to allow any value/);
+        assert.match(byPath[`${base}.DEBUG`].suggestion, /remove the entry/);
+        assert.strictEqual(result.errors.length, 4);
+    });
+});
+
 describe('stack-parser', () => {
     let stackParser;
 
@@ -383,4 +1239,309 @@ describe('dependency-resolver', () => {
         const result = depResolver.isPackageAllowed('my-package', 'ANY_VAR', config);
         assert.strictEqual(result, true);
     });
+
+    test('isPackageAllowed should support glob patterns', () => {
+        const config = {
+            '@aws-sdk/client-s3': {
+                allowed: ['AWS_*'],
+                allowPeerDependencies: false
+            }
+        };
+        assert.strictEqual(depResolver.isPackageAllowed('@aws-sdk/client-s3', 'AWS_REGION', config), true);
+        assert.strictEqual(depResolver.isPackageAllowed('@aws-sdk/client-s3', 'NPM_TOKEN', config), false);
+    });
+
+    test('isPackageAllowed should let denied override wildcard', () => {
+        const config = {
+            'dotenv': {
+                allowed: ['*'],
+                denied: ['NPM_TOKEN', 'AWS_SECRET_*'],
+                allowPeerDependencies: false
+            }
+        };
+        assert.strictEqual(depResolver.isPackageAllowed('dotenv', 'PORT', config), true);
+        assert.strictEqual(depResolver.isPackageAllowed('dotenv', 'NPM_TOKEN', config), false);
+        assert.strictEqual(depResolver.isPackageAllowed('dotenv', 'AWS_SECRET_ACCESS_KEY', config), false);
+    });
+
+    test('isEnvVarDenied should apply global denies but never to __main__', () => {
+        const config = { 'dotenv': { allowed: ['*'], denied: [] } };
+        assert.strictEqual(depResolver.isEnvVarDenied('dotenv', 'NPM_TOKEN', config, ['NPM_TOKEN']), true);
+        assert.strictEqual(depResolver.isEnvVarDenied('other', 'NPM_TOKEN', config, ['NPM_TOKEN']), true);
+        assert.strictEqual(depResolver.isEnvVarDenied('__main__', 'NPM_TOKEN', config, ['NPM_TOKEN']), false);
+        assert.strictEqual(depResolver.isEnvVarDenied('dotenv', 'PORT', config, ['NPM_TOKEN']), false);
+    });
+
+    test('isPackageAllowed should honor negated patterns', () => {
+        const config = {
+            'my-package': {
+                allowed: ['*', '!AWS_SECRET_*'],
+                allowPeerDependencies: false
+            }
+        };
+        assert.strictEqual(depResolver.isPackageAllowed('my-package', 'AWS_REGION', config), true);
+        assert.strictEqual(depResolver.isPackageAllowed('my-package', 'AWS_SECRET_ACCESS_KEY', config), false);
+    });
+
+    test('resolveConfigKey should pick the version-scoped entry', () => {
+        const config = {
+            'axios@^1.6.0': { allowed: ['HTTP_PROXY'], allowPeerDependencies: false },
+            'axios@>=2': { allowed: [], allowPeerDependencies: false },
+            'axios': { allowed: ['NO_PROXY'], allowPeerDependencies: false }
+        };
+        assert.strictEqual(depResolver.hasVersionedKeys('axios', config), true);
+        assert.strictEqual(depResolver.hasVersionedKeys('debug', config), false);
+        assert.strictEqual(depResolver.resolveConfigKey('axios', '1.7.2', config), 'axios@^1.6.0');
+        assert.strictEqual(depResolver.resolveConfigKey('axios', '2.0.0', config), 'axios@>=2');
+        assert.strictEqual(depResolver.resolveConfigKey('axios', '1.5.0', config), 'axios');
+        assert.strictEqual(depResolver.resolveConfigKey('axios', null, config), 'axios');
+        assert.strictEqual(depResolver.isPackageAllowed('axios@^1.6.0', 'HTTP_PROXY', config), true);
+        assert.strictEqual(depResolver.isPackageAllowed('axios@>=2', 'HTTP_PROXY', config), false);
+    });
+
+    test('getFileGrants should match files, directories and globs', () => {
+        const grant = (allowed) => ({ allowed, canWrite: [], canDelete: [], denied: [] });
+        const config = {
+            'pg': {
+                allowed: ['PGHOST'],
+                files: {
+                    'lib/connection-parameters.js': grant(['PGPASSWORD']),
+                    'lib/native/': grant(['PGSSLMODE']),
+                    'lib/*.cjs': grant(['PGUSER'])
+                }
+            }
+        };
+        const allowedOf = (subpath) => depResolver.getFileGrants('pg', subpath, config).map(g => g.allowed[0]);
+
+        assert.deepStrictEqual(allowedOf('lib/connection-parameters.js'), ['PGPASSWORD']);
+        assert.deepStrictEqual(allowedOf('lib/native/client.js'), ['PGSSLMODE']);
+        assert.deepStrictEqual(allowedOf('lib/index.cjs'), ['PGUSER']);
+        assert.deepStrictEqual(allowedOf('lib/client.js'), []);
+        assert.deepStrictEqual(allowedOf(null), []);
+        assert.deepStrictEqual(depResolver.getFileGrants('debug', 'index.js', config), []);
+    });
+});
+
+describe('pattern-matcher', () => {
+    let patternMatcher;
+
+    beforeEach(() => {
+        clearDotnopeCache();
+        patternMatcher = require('../lib/pattern-matcher');
+    });
+
+    test('should match exact names and the bare wildcard', () => {
+        assert.strictEqual(patternMatcher.matchesPattern('NODE_ENV', 'NODE_ENV'), true);
+        assert.strictEqual(patternMatcher.matchesPattern('NODE_ENV', 'NODE'), false);
+        assert.strictEqual(patternMatcher.matchesPattern('ANYTHING', '*'), true);
+    });
+
+    test('should match prefix and infix globs', () => {
+        assert.strictEqual(patternMatcher.matchesPattern('npm_config_cache', 'npm_config_*'), true);
+        assert.strictEqual(patternMatcher.matchesPattern('npm_lifecycle_event', 'npm_config_*'), false);
+        assert.strictEqual(patternMatcher.matchesPattern('AWS_PROFILE', 'AWS_?ROFILE'), true);
+        assert.strictEqual(patternMatcher.matchesPattern('A.B', 'A?B'), true);
+        assert.strictEqual(patternMatcher.matchesPattern('AXXB', 'A.B'), false);
+    });
+
+    test('matchesAny should let negations override positives', () => {
+        const patterns = ['AWS_*', '!AWS_SECRET_*'];
+        assert.strictEqual(patternMatcher.matchesAny('AWS_REGION', patterns), true);
+        assert.strictEqual(patternMatcher.matchesAny('AWS_SECRET_ACCESS_KEY', patterns), false);
+        assert.strictEqual(patternMatcher.matchesAny('HOME', patterns), false);
+        assert.strictEqual(patternMatcher.matchesAny('AWS_REGION', ['!AWS_SECRET_*']), false);
+        assert.strictEqual(patternMatcher.matchesAny('AWS_REGION', []), false);
+    });
+
+    test('isUnrestricted should require "*" without negations', () => {
+        assert.strictEqual(patternMatcher.isUnrestricted(['*']), true);
+        assert.strictEqual(patternMatcher.isUnrestricted(['*', '!NPM_TOKEN']), false);
+        assert.strictEqual(patternMatcher.isUnrestricted(['AWS_*']), false);
+    });
+
+    test('patternsIntersect should detect overlapping globs', () => {
+        assert.strictEqual(patternMatcher.patternsIntersect('AWS_*', 'AWS_SECRET_*'), true);
+        assert.strictEqual(patternMatcher.patternsIntersect('*_KEY', 'AWS_*'), true);
+        assert.strictEqual(patternMatcher.patternsIntersect('PG*', 'NPM_TOKEN'), false);
+        assert.strictEqual(patternMatcher.patternsIntersect('NPM_TOKEN', 'NPM_TOKEN'), true);
+    });
+});
+
+describe('version-matcher', () => {
+    let versionMatcher;
+
+    beforeEach(() => {
+        clearDotnopeCache();
+        versionMatcher = require('../lib/version-matcher');
+    });
+
+    test('should split names from version ranges', () => {
+        assert.deepStrictEqual(versionMatcher.parsePackageKey('axios'), { name: 'axios', range: null });
+        assert.deepStrictEqual(versionMatcher.parsePackageKey('axios@^1.6.0'), { name: 'axios', range: '^1.6.0' });
+        assert.deepStrictEqual(versionMatcher.parsePackageKey('@aws-sdk/client-s3'), { name: '@aws-sdk/client-s3', range: null });
+        assert.deepStrictEqual(versionMatcher.parsePackageKey('@aws-sdk/client-s3@>=3 <4'), { name: '@aws-sdk/client-s3', range: '>=3 <4' });
+    });
+
+    test('should evaluate caret, tilde and x-ranges', () => {
+        assert.strictEqual(versionMatcher.satisfies('1.6.2', '^1.6.0'), true);
+        assert.strictEqual(versionMatcher.satisfies('2.0.0', '^1.6.0'), false);
+        assert.strictEqual(versionMatcher.satisfies('0.2.9', '^0.2.3'), true);
+        assert.strictEqual(versionMatcher.satisfies('0.3.0', '^0.2.3'), false);
+        assert.strictEqual(versionMatcher.satisfies('1.2.9', '~1.2.3'), true);
+        assert.strictEqual(versionMatcher.satisfies('1.3.0', '~1.2.3'), false);
+        assert.strictEqual(versionMatcher.satisfies('1.9.0', '1.x'), true);
+        assert.strictEqual(versionMatcher.satisfies('1.2.3', '*'), true);
+    });
+
+    test('should evaluate comparators, hyphens and unions', () => {
+        assert.strictEqual(versionMatcher.satisfies('2.9.9', '>=1.2 <3'), true);
+        assert.strictEqual(versionMatcher.satisfies('3.0.0', '>=1.2 <3'), false);
+        assert.strictEqual(versionMatcher.satisfies('2.0.5', '1.0.0 - 2.0'), true);
+        assert.strictEqual(versionMatcher.satisfies('2.1.0', '1.0.0 - 2.0'), false);
+        assert.strictEqual(versionMatcher.satisfies('5.1.0', '^1.0.0 || ^5.0.0'), true);
+    });
+
+    test('should not match prereleases unless the range names one', () => {
+        assert.strictEqual(versionMatcher.satisfies('2.0.0-beta.1', '^1.6.0'), false);
+        assert.strictEqual(versionMatcher.satisfies('1.7.0-beta.1', '^1.6.0'), false);
+        assert.strictEqual(versionMatcher.satisfies('1.7.0-beta.2', '>=1.7.0-beta.1'), true);
+    });
+
+    test('should reject invalid ranges and versions', () => {
+        assert.strictEqual(versionMatcher.isValidRange('^1.6.0'), true);
+        assert.strictEqual(versionMatcher.isValidRange('latest'), false);
+        assert.strictEqual(versionMatcher.satisfies('not-a-version', '*'), false);
+    });
+});
+
+describe('scanner', () => {
+    let scanner;
+
+    beforeEach(() => {
+        clearDotnopeCache();
+        scanner = require('../lib/scanner');
+    });
+
+    test('should collect literal reads, writes and deletes', () => {
+        const result = scanner.scanSource([
+            'const a = process.env.API_KEY;',
+            "const b = process.env['DB_URL'];",
+            'const c = process.env?.PORT;',
+            "process.env.OUT = '1';",
+            'process.env.COUNT += 1;',
+            'delete process.env.TMP;',
+            'const { HOME, USER: user, ...rest } = process.env;'
+        ].join('\n'));
+
+        assert.deepStrictEqual([...result.reads].sort(), ['API_KEY', 'DB_URL', 'HOME', 'PORT', 'USER']);
+        assert.deepStrictEqual([...result.writes].sort(), ['COUNT', 'OUT']);
+        assert.deepStrictEqual([...result.deletes], ['TMP']);
+        assert.deepStrictEqual(result.findings.map(finding => finding.kind), ['enumeration']);
+    });
+
+    test('should follow aliases of process.env', () => {
+        const result = scanner.scanSource([
+            'const env = process.env;',
+            'const { env: e } = process;',
+            'if (env.DEBUG || e.NODE_DEBUG) {}'
+        ].join('\n'));
+
+        assert.deepStrictEqual([...result.reads].sort(), ['DEBUG', 'NODE_DEBUG']);
+    });
+
+    test('should ignore comments and strings', () => {
+        const result = scanner.scanSource([
+            '// process.env.IN_COMMENT',
+            '/* process.env.IN_BLOCK */',
+            "const s = 'process.env.IN_STRING';",
+            'const t = `process.env.IN_TEMPLATE`;'
+        ].join('\n'));
+
+        assert.strictEqual(result.reads.size, 0);
+        assert.deepStrictEqual(result.findings, []);
+    });
+
+    test('should flag dynamic, enumerating and obfuscated access', () => {
+        const result = scanner.scanSource([
+            'const k = process.env[name];',
+            'for (const key in process.env) {}',
+            'const all = JSON.stringify(process.env);',
+            "const p = global['pro' + 'cess'];"
+        ].join('\n'));
+        const kinds = result.findings.map(finding => `${finding.kind}:${finding.line}`);
+
+        assert.ok(kinds.includes('dynamic:1'));
+        assert.ok(kinds.includes('enumeration:2'));
+        assert.ok(kinds.includes('enumeration:3'));
+        assert.ok(kinds.includes('obfuscated:4'));
+    });
+
+    test('should scan node_modules and suggest a whitelist', () => {
+        const fixturesDir = getUniqueFixturesDir();
+        const writePackage = (name, files) => {
+            const dir = path.join(fixturesDir, 'node_modules', name);
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name, version: '1.0.0' }));
+            for (const [file, source] of Object.entries(files)) {
+                fs.writeFileSync(path.join(dir, file), source);
+            }
+        };
+
+        try {
+            createTestPackageJson(fixturesDir, { name: 'app' });
+            writePackage('reader', { 'index.js': 'module.exports = process.env.READER_URL;' });
+            writePackage('@scope/writer', { 'index.js': "process.env.WRITER_MODE = 'on';\nconst x = process.env.WRITER_MODE;" });
+            writePackage('dumper', { 'index.js': 'module.exports = { ...process.env };' });
+            writePackage('quiet', { 'index.js': 'module.exports = 1;' });
+
+            const report = scanner.scanProject(fixturesDir);
+
+            assert.deepStrictEqual(Object.keys(report.packages).sort(), ['@scope/writer', 'dumper', 'quiet', 'reader']);
+            assert.strictEqual(report.packages.dumper.risk, 'high');
+            assert.strictEqual(report.packages.reader.risk, 'low');
+            assert.strictEqual(report.packages.dumper.findings[0].file, 'index.js');
+
+            assert.deepStrictEqual(scanner.suggestWhitelist(report.packages), {
+                '@scope/writer': { allowed: ['WRITER_MODE'], canWrite: ['WRITER_MODE'] },
+                'reader': ['READER_URL']
+            });
+        } finally {
+            cleanup(fixturesDir);
+        }
+    });
+
+    test('should skip test code unless asked to include it', () => {
+        const fixturesDir = getUniqueFixturesDir();
+        const dir = path.join(fixturesDir, 'node_modules', 'tested');
+        const files = {
+            'index.js': 'module.exports = process.env.TESTED_URL;',
+            'test/setup.js': 'process.env.TEST_DB_URL;',
+            'lib/__tests__/run.js': 'process.env.JEST_WORKER_ID;',
+            'fixtures/env.js': 'module.exports = { ...process.env };',
+            'lib/client.spec.js': 'process.env.SPEC_TOKEN;',
+            'lib/client.test.mjs': 'process.env.TEST_TOKEN;'
+        };
+
+        try {
+            createTestPackageJson(fixturesDir, { name: 'app' });
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: 'tested', version: '1.0.0' }));
+            for (const [file, source] of Object.entries(files)) {
+                fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+                fs.writeFileSync(path.join(dir, file), source);
+            }
+
+            const report = scanner.scanProject(fixturesDir);
+            assert.deepStrictEqual(report.packages.tested.reads, ['TESTED_URL']);
+            assert.strictEqual(report.packages.tested.risk, 'low');
+            assert.strictEqual(report.fileCount, 1);
+
+            const full = scanner.scanProject(fixturesDir, { includeTests: true });
+            assert.deepStrictEqual(full.packages.tested.reads,
+                ['JEST_WORKER_ID', 'SPEC_TOKEN', 'TESTED_URL', 'TEST_DB_URL', 'TEST_TOKEN']);
+            assert.strictEqual(full.packages.tested.risk, 'high');
+        } finally {
+            cleanup(fixturesDir);
+        }
+    });
 });
@@ -288,4 +288,43 @@ describe('integration tests', { concurrency: false }, () => {
             cleanup(fixturesDir);
         }
     });
+
+    test('should point error messages at the config file holding the rules', () => {
+        const fixturesDir = getUniqueFixturesDir();
+        try {
+            const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {});
+            const rcPath = path.join(fixturesDir, '.dotnoperc.json');
+            fs.writeFileSync(rcPath, `{
+    // Rules kept outside package.json
+    "fake-package": {
+        "allowed": ["RC_VAR"],
+    },
+}`);
+
+            process.env.RC_VAR = 'from-rc';
+            process.env.OTHER_VAR = 'other';
+            process.chdir(fixturesDir);
+
+            const dotnope = require('../index');
+            const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+            delete require.cache[require.resolve(fakePackageDir)];
+            const fakePackage = require(fakePackageDir);
+
+            assert.strictEqual(fakePackage.getEnvVar('RC_VAR'), 'from-rc');
+            assert.throws(() => {
+                fakePackage.getEnvVar('OTHER_VAR');
+            }, (err) => {
+                assert.strictEqual(err.code, 'ERR_DOTNOPE_UNAUTHORIZED');
+                assert.strictEqual(err.configPath, rcPath);
+                assert.ok(err.message.includes(rcPath), 'Message should name the config file');
+                return true;
+            });
+
+            const token = handle.getToken();
+            handle.disable(token);
+        } finally {
+            cleanup(fixturesDir);
+        }
+    });
 });
@@ -386,6 +386,49 @@ describe('LD_PRELOAD Detection', () => {
     });
 });
 
+describe('Pattern Matching Parity', () => {
+    // [policy entries, name, granted]: both matchers must agree on every case
+    const CASES = [
+        [['AWS_*'], 'AWS_REGION', true],
+        [['AWS_*'], 'XAWS_REGION', false],
+        [['npm_config_?ache'], 'npm_config_cache', true],
+        [['*_URL'], 'DATABASE_URL', true],
+        [['A*B*C'], 'AXXBYYBC', true],
+        [['A*B*C'], 'AXXBYY', false],
+        [['A[B]C'], 'A[B]C', true],
+        [['A[B]C'], 'ABC', false],
+        [['A[!B]'], 'AC', false],
+        [['A[!B]'], 'A[!B]', true],
+        [['FOO\\*'], 'FOO\\BAR', true],
+        [['FOO\\*'], 'FOO*', false],
+        [['.*'], 'X.Y', false],
+        [['AWS_*', '!AWS_SECRET_*'], 'AWS_SECRET_KEY', false],
+        [['AWS_*', '!AWS_SECRET_*'], 'AWS_REGION', true],
+        [['*', '!NPM_[T]OKEN'], 'NPM_TOKEN', true]
+    ];
+
+    test('the JavaScript matcher should match the shared cases', () => {
+        const { matchesAny } = require('../lib/pattern-matcher');
+
+        for (const [patterns, name, granted] of CASES) {
+            assert.strictEqual(matchesAny(name, patterns), granted, `${patterns.join(',')} / ${name}`);
+        }
+    });
+
+    const libPath = require('../lib/preload-generator').findPreloadLibrary();
+    test('the LD_PRELOAD matcher should match the shared cases', { skip: !libPath && 'libdotnope_preload.so is not built' }, () => {
+        const { execFileSync } = require('child_process');
+
+        for (const [patterns, name, granted] of CASES) {
+            const output = execFileSync(process.execPath, ['-e', 'process.stdout.write(String(process.env[process.argv[1]] !== undefined))', name], {
+                env: { LD_PRELOAD: libPath, DOTNOPE_POLICY: patterns.join(','), [name]: 'set' },
+                encoding: 'utf8'
+            });
+            assert.strictEqual(output, String(granted), `${patterns.join(',')} / ${name}`);
+        }
+    });
+});
+
 describe('Preload Generator', () => {
     test('should generate policy from config', () => {
         const preloadGen = require('../lib/preload-generator');
@@ -419,6 +462,72 @@ describe('Preload Generator', () => {
         assert.ok(policy.includes('LOG_LEVEL'), 'Should include LOG_LEVEL');
     });
 
+    test('should carry glob patterns into policy', () => {
+        const preloadGen = require('../lib/preload-generator');
+
+        const config = {
+            '@aws-sdk/client-s3': { allowed: ['AWS_*', '!AWS_SECRET_*'], canWrite: [] },
+            'npm-helper': { allowed: ['npm_config_*'], canWrite: [] }
+        };
+
+        const policy = preloadGen.generatePolicy(config);
+
+        assert.strictEqual(policy, 'AWS_*,npm_config_*,!AWS_SECRET_*');
+    });
+
+    test('should drop negations that another package is granted', () => {
+        const preloadGen = require('../lib/preload-generator');
+
+        const config = {
+            'dotenv': { allowed: ['*', '!AWS_SECRET_*', '!NPM_TOKEN'], canWrite: [] },
+            'aws-sdk': { allowed: ['AWS_*'], canWrite: [] }
+        };
+
+        const policy = preloadGen.generatePolicy(config);
+
+        // aws-sdk may still read AWS_SECRET_ACCESS_KEY, so only NPM_TOKEN is denied process-wide
+        assert.strictEqual(policy, '*,!NPM_TOKEN');
+    });
+
+    test('should carry global and package denies into policy', () => {
+        const preloadGen = require('../lib/preload-generator');
+
+        const config = {
+            'dotenv': { allowed: ['*'], canWrite: [], denied: ['AWS_SECRET_ACCESS_KEY'] },
+            'aws-sdk': { allowed: ['AWS_*'], canWrite: [], denied: [] }
+        };
+
+        const policy = preloadGen.generatePolicy(config, { denied: ['NPM_TOKEN'] });
+
+        // aws-sdk is still granted AWS_SECRET_ACCESS_KEY, so only the global deny is emitted
+        assert.strictEqual(policy, '*,!NPM_TOKEN');
+    });
+
+    test('should allow everything else when the policy only denies', () => {
+        const preloadGen = require('../lib/preload-generator');
+
+        assert.strictEqual(preloadGen.generatePolicy({}, { denied: ['SECRET'] }), '*,!SECRET');
+        assert.strictEqual(preloadGen.generatePolicy({
+            'dotenv': { allowed: [], canWrite: [], denied: ['X'] }
+        }), '*,!X');
+        assert.strictEqual(preloadGen.generatePolicy({}), '');
+    });
+
+    test('should include startup grants in the policy from package.json', () => {
+        const fixturesDir = getUniqueFixturesDir();
+        try {
+            const { mainPkgPath } = setupMockProject(fixturesDir, {
+                'pg': ['PGHOST'],
+                'startup': { 'pg': ['PGPASSWORD'] }
+            });
+            const preloadGen = require('../lib/preload-generator');
+
+            assert.strictEqual(preloadGen.generatePolicyFromPackageJson(mainPkgPath), 'PGHOST,PGPASSWORD');
+        } finally {
+            cleanup(fixturesDir);
+        }
+    });
+
     test('should find preload library path', () => {
         const preloadGen = require('../lib/preload-generator');
 
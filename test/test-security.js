@@ -300,6 +300,416 @@ describe('Security Tests', { concurrency: false }, () => {
         });
     });
 
+    describe('Write Value Constraints', () => {
+        const canWrite = {
+            'NODE_ENV': ['production', 'development'],
+            '*_PROXY': { pattern: '^http://localhost(:\\d+)?$' },
+            'DEBUG': true
+        };
+
+        test('should normalize value constraints next to the writable names', () => {
+            const configLoader = require('../lib/config-loader');
+            const { config } = configLoader.normalizeConfig({ 'fake-package': { canWrite } });
+
+            assert.deepStrictEqual(config['fake-package'].canWrite, ['NODE_ENV', '*_PROXY', 'DEBUG']);
+            assert.deepStrictEqual(config['fake-package'].writeConstraints, {
+                'NODE_ENV': { values: ['production', 'development'] },
+                '*_PROXY': { pattern: '^http://localhost(:\\d+)?$' }
+            });
+        });
+
+        test('should only allow the listed values or values matching the pattern', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: ['*'], canWrite }
+                });
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+
+                fakePackage.setEnvVar('NODE_ENV', 'production');
+                fakePackage.setEnvVar('HTTP_PROXY', 'http://localhost:8080');
+                fakePackage.setEnvVar('DEBUG', 'anything');
+                assert.strictEqual(process.env.HTTP_PROXY, 'http://localhost:8080');
+
+                assert.throws(() => {
+                    fakePackage.setEnvVar('NODE_ENV', 'test');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_WRITE_VALUE');
+                    assert.strictEqual(err.envVar, 'NODE_ENV');
+                    assert.ok(err.message.includes('one of "production", "development"'));
+                    return true;
+                });
+                assert.throws(() => {
+                    fakePackage.setEnvVar('HTTPS_PROXY', 'http://attacker.example');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_WRITE_VALUE');
+                    assert.ok(!err.message.includes('attacker.example'));
+                    return true;
+                });
+                assert.throws(() => {
+                    fakePackage.setEnvVar('HTTP_PROXY', 'http://localhost.attacker.example:8080');
+                }, { code: 'ERR_DOTNOPE_WRITE_VALUE' });
+                assert.strictEqual(process.env.NODE_ENV, 'production');
+                assert.strictEqual(process.env.HTTPS_PROXY, undefined);
+
+                // The string checked is the string stored
+                let conversions = 0;
+                fakePackage.setEnvVar('NODE_ENV', { toString: () => (conversions++ ? 'evil' : 'development') });
+                assert.strictEqual(process.env.NODE_ENV, 'development');
+                assert.strictEqual(conversions, 1);
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                delete process.env.NODE_ENV;
+                delete process.env.HTTP_PROXY;
+                delete process.env.DEBUG;
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('should check values written through Object.defineProperty', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                // Builtin frames such as Object.defineProperty look like eval to the stack parser
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    '__options__': { failClosed: false },
+                    'fake-package': { allowed: ['*'], canWrite }
+                }, `'use strict';
+module.exports = {
+    defineEnvVar: function(name, value) {
+        Object.defineProperty(process.env, name, { value, writable: true, enumerable: true, configurable: true });
+    }
+};`);
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+
+                fakePackage.defineEnvVar('NODE_ENV', 'development');
+                assert.throws(() => {
+                    fakePackage.defineEnvVar('HTTP_PROXY', 'http://evil.example:3128');
+                }, { code: 'ERR_DOTNOPE_WRITE_VALUE' });
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                delete process.env.NODE_ENV;
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('Immutable Variables', () => {
+        test('should make the critical variables immutable unless the list is replaced', () => {
+            const configLoader = require('../lib/config-loader');
+
+            assert.deepStrictEqual(configLoader.normalizeConfig({}).options.immutable, [
+                'NODE_OPTIONS', 'LD_PRELOAD', 'DOTNOPE_POLICY', 'DOTNOPE_POLICY_FILE', 'DOTNOPE_CONFIG', 'DOTNOPE_PROFILE',
+                'DOTNOPE_LEARN', 'DOTNOPE_LEARN_DIR', 'NODE_TLS_REJECT_UNAUTHORIZED', 'NODE_EXTRA_CA_CERTS', 'PATH'
+            ]);
+            assert.deepStrictEqual(configLoader.normalizeConfig({ '__options__': { mode: 'audit' } }).options.immutable,
+                configLoader.DEFAULT_IMMUTABLE);
+            assert.deepStrictEqual(configLoader.normalizeConfig({ '__options__': { immutable: ['NODE_OPTIONS'] } }).options.immutable,
+                ['NODE_OPTIONS']);
+        });
+
+        test('should block writes and deletes from "*" writers and the main application', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            process.env.LOCKED_TEST_VAR = 'original';
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    '__options__': { immutable: ['NODE_OPTIONS', 'LOCKED_*'], protectDeletes: false },
+                    'fake-package': { allowed: ['*'], canWrite: ['*'], canDelete: ['*'] }
+                });
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+                const nodeOptions = process.env.NODE_OPTIONS;
+
+                assert.throws(() => {
+                    fakePackage.setEnvVar('NODE_OPTIONS', '--require /tmp/evil.js');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_IMMUTABLE');
+                    assert.strictEqual(err.packageName, 'fake-package');
+                    assert.strictEqual(err.operation, 'write');
+                    return true;
+                });
+                assert.strictEqual(process.env.NODE_OPTIONS, nodeOptions);
+
+                // Checked even though protectDeletes is off
+                assert.throws(() => {
+                    fakePackage.deleteEnvVar('LOCKED_TEST_VAR');
+                }, { code: 'ERR_DOTNOPE_IMMUTABLE' });
+                assert.throws(() => {
+                    process.env.LOCKED_TEST_VAR = 'changed';
+                }, { code: 'ERR_DOTNOPE_IMMUTABLE' });
+                assert.strictEqual(process.env.LOCKED_TEST_VAR, 'original');
+
+                // Everything else is still writable
+                fakePackage.setEnvVar('UNLOCKED_TEST_VAR', 'value');
+                assert.strictEqual(process.env.UNLOCKED_TEST_VAR, 'value');
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                delete process.env.LOCKED_TEST_VAR;
+                delete process.env.UNLOCKED_TEST_VAR;
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('should only record immutable writes in audit mode', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupMockProject(fixturesDir, {
+                    '__options__': { mode: 'audit', immutable: ['LOCKED_TEST_VAR'] }
+                });
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                process.env.LOCKED_TEST_VAR = 'changed';
+                assert.strictEqual(process.env.LOCKED_TEST_VAR, 'changed');
+
+                const violations = handle.getViolations();
+                assert.strictEqual(violations.length, 1);
+                assert.strictEqual(violations[0].code, 'ERR_DOTNOPE_IMMUTABLE');
+                assert.strictEqual(violations[0].envVar, 'LOCKED_TEST_VAR');
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                delete process.env.LOCKED_TEST_VAR;
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('Child Process Environment', () => {
+        const childPackageCode = `'use strict';
+const { execFileSync } = require('child_process');
+const { Worker, SHARE_ENV } = require('worker_threads');
+const printEnv = 'process.stdout.write(JSON.stringify(process.env))';
+module.exports = {
+    childEnv: function(how) {
+        const options = {
+            default: undefined,
+            proxy: { env: process.env },
+            spread: { env: { ...process.env, CHILD_ONLY_VAR: 'set-by-package' } }
+        }[how];
+        return JSON.parse(execFileSync(process.execPath, ['-e', printEnv], options));
+    },
+    workerEnvKeys: function(share) {
+        const code = "require('worker_threads').parentPort.postMessage(Object.keys(process.env))";
+        const worker = new Worker(code, { eval: true, env: share ? SHARE_ENV : undefined });
+        return new Promise((resolve, reject) => {
+            worker.once('message', resolve);
+            worker.once('error', reject);
+        });
+    },
+    readThroughOptions: function(how) {
+        let leaked;
+        const read = () => {
+            leaked = process.env.CHILD_SECRET_TOKEN;
+            return undefined;
+        };
+        try {
+            if (how === 'workerData') {
+                const workerData = { get secret() { return process.env.CHILD_SECRET_TOKEN; } };
+                new Worker('require("worker_threads").workerData', { eval: true, workerData }).terminate();
+            } else {
+                const options = {
+                    getter: { get stdio() { return read() || 'pipe'; } },
+                    proxy: new Proxy({}, { get: read }),
+                    stdio: { stdio: new Proxy(['pipe', 'pipe', 'pipe'], { get: (target, key) => read() || target[key] }) }
+                }[how];
+                execFileSync(process.execPath, ['-e', ''], options);
+            }
+            return { leaked };
+        } catch (err) {
+            return { leaked, code: err.code };
+        }
+    }
+};`;
+
+        test('should inherit only harmless variables by default', () => {
+            const configLoader = require('../lib/config-loader');
+            const { options } = configLoader.normalizeConfig({});
+
+            assert.strictEqual(options.protectChildren, true);
+            assert.ok(options.inheritForChildren.includes('PATH'));
+            assert.ok(options.inheritForChildren.every(name => !/TOKEN|SECRET|KEY|PASSWORD/.test(name)));
+        });
+
+        test('should give child processes only what the spawning package may read', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            process.env.CHILD_SECRET_TOKEN = 'secret';
+            process.env.CHILD_PORT = '8080';
+            process.env.CHILD_INHERITED = 'inherited';
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    '__options__': { inheritForChildren: ['PATH', 'CHILD_INHERITED'] },
+                    'fake-package': ['CHILD_PORT']
+                }, childPackageCode);
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+
+                for (const how of ['default', 'proxy']) {
+                    const env = fakePackage.childEnv(how);
+                    assert.strictEqual(env.CHILD_PORT, '8080', how);
+                    assert.strictEqual(env.CHILD_INHERITED, 'inherited', how);
+                    assert.strictEqual(env.CHILD_SECRET_TOKEN, undefined, how);
+                }
+
+                // A copy made by the package holds what it could read, plus its own values
+                const spreadEnv = fakePackage.childEnv('spread');
+                assert.strictEqual(spreadEnv.CHILD_PORT, '8080');
+                assert.strictEqual(spreadEnv.CHILD_ONLY_VAR, 'set-by-package');
+                assert.strictEqual(spreadEnv.CHILD_SECRET_TOKEN, undefined);
+
+                // The main application still passes everything on
+                const { execFileSync } = require('child_process');
+                const mainEnv = JSON.parse(execFileSync(process.execPath, ['-e', 'process.stdout.write(JSON.stringify(process.env))']));
+                assert.strictEqual(mainEnv.CHILD_SECRET_TOKEN, 'secret');
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                delete process.env.CHILD_SECRET_TOKEN;
+                delete process.env.CHILD_PORT;
+                delete process.env.CHILD_INHERITED;
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('should filter the environment of workers and refuse SHARE_ENV', async () => {
+            const fixturesDir = getUniqueFixturesDir();
+            process.env.CHILD_SECRET_TOKEN = 'secret';
+            process.env.CHILD_PORT = '8080';
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': ['CHILD_PORT']
+                }, childPackageCode);
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+
+                const keys = await fakePackage.workerEnvKeys(false);
+                assert.ok(keys.includes('CHILD_PORT'));
+                assert.ok(!keys.includes('CHILD_SECRET_TOKEN'));
+
+                assert.throws(() => {
+                    fakePackage.workerEnvKeys(true);
+                }, { code: 'ERR_DOTNOPE_SHARE_ENV' });
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                delete process.env.CHILD_SECRET_TOKEN;
+                delete process.env.CHILD_PORT;
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('should run getters and Proxy traps in child options with checks on', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            process.env.CHILD_SECRET_TOKEN = 'secret';
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': ['CHILD_PORT']
+                }, childPackageCode);
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+
+                for (const how of ['getter', 'proxy', 'stdio', 'workerData']) {
+                    const result = fakePackage.readThroughOptions(how);
+                    assert.strictEqual(result.code, 'ERR_DOTNOPE_UNAUTHORIZED', how);
+                    assert.strictEqual(result.leaked, undefined, how);
+                }
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                delete process.env.CHILD_SECRET_TOKEN;
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('should enforce the policy in Node.js children and report back', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            process.env.CHILD_SECRET_TOKEN = 'secret';
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    '__options__': { protectNodeChildren: true },
+                    'fake-package': ['CHILD_PORT']
+                }, `'use strict';
+module.exports = { read: () => process.env.CHILD_SECRET_TOKEN };`);
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                // The main application starts a Node.js child that loads the package
+                const childScript = path.join(fixturesDir, 'child.js');
+                fs.writeFileSync(childScript, `try { require(${JSON.stringify(fakePackageDir)}).read(); process.stdout.write('read'); } ` +
+                    `catch (err) { process.stdout.write(err.code); }`);
+                const { execFileSync } = require('child_process');
+                const output = String(execFileSync(process.execPath, [childScript]));
+                assert.strictEqual(output, 'ERR_DOTNOPE_UNAUTHORIZED');
+
+                const reported = handle.getChildViolations();
+                assert.strictEqual(reported.length, 1);
+                assert.strictEqual(reported[0].packageName, 'fake-package');
+                assert.strictEqual(reported[0].envVar, 'CHILD_SECRET_TOKEN');
+                assert.strictEqual(reported[0].blocked, true);
+                assert.notStrictEqual(reported[0].pid, process.pid);
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                delete process.env.CHILD_SECRET_TOKEN;
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
     describe('Delete Protection', () => {
         test('should block unauthorized deletes', () => {
             const fixturesDir = getUniqueFixturesDir();
@@ -419,44 +829,1119 @@ describe('Security Tests', { concurrency: false }, () => {
                 delete require.cache[require.resolve(fakePackageDir)];
                 const fakePackage = require(fakePackageDir);
 
-                const keys = fakePackage.getAllKeys();
-                assert.strictEqual(keys.length, 0, 'Should see no keys');
+                const keys = fakePackage.getAllKeys();
+                assert.strictEqual(keys.length, 0, 'Should see no keys');
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('should show all keys with wildcard access', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': {
+                        allowed: ['*'],
+                        canWrite: [],
+                        canDelete: []
+                    }
+                });
+
+                process.env.VAR_A = 'a';
+                process.env.VAR_B = 'b';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+
+                const keys = fakePackage.getAllKeys();
+                assert.ok(keys.includes('VAR_A'), 'Should see VAR_A');
+                assert.ok(keys.includes('VAR_B'), 'Should see VAR_B');
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('Explicit Deny Rules', () => {
+        test('should normalize package and global denied lists', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupMockProject(fixturesDir, {
+                    '__options__': { denied: ['NPM_TOKEN'] },
+                    'fake-package': { allowed: ['*'], denied: ['AWS_SECRET_*'] }
+                });
+
+                const configLoader = require('../lib/config-loader');
+                configLoader.clearCache();
+                const config = configLoader.loadConfig(mainPkgPath);
+
+                assert.deepStrictEqual(config['fake-package'].denied, ['AWS_SECRET_*']);
+                assert.deepStrictEqual(configLoader.getOptions().denied, ['NPM_TOKEN']);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('denied should override wildcard read access', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': {
+                        allowed: ['*'],
+                        denied: ['AWS_SECRET_ACCESS_KEY']
+                    }
+                });
+
+                process.env.AWS_SECRET_ACCESS_KEY = 'secret';
+                process.env.PORT = '8080';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+
+                assert.strictEqual(fakePackage.getEnvVar('PORT'), '8080');
+                assert.throws(() => {
+                    fakePackage.getEnvVar('AWS_SECRET_ACCESS_KEY');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_DENIED');
+                    assert.strictEqual(err.packageName, 'fake-package');
+                    assert.strictEqual(err.envVar, 'AWS_SECRET_ACCESS_KEY');
+                    return true;
+                });
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('global denied should block writes even with canWrite wildcard', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    '__options__': { denied: ['NPM_TOKEN'] },
+                    'fake-package': {
+                        allowed: ['*'],
+                        canWrite: ['*']
+                    }
+                });
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+
+                fakePackage.setEnvVar('SOME_VAR', 'value');
+                assert.throws(() => {
+                    fakePackage.setEnvVar('NPM_TOKEN', 'stolen');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_DENIED');
+                    assert.strictEqual(err.operation, 'write');
+                    return true;
+                });
+
+                // Main application is never subject to denies
+                process.env.NPM_TOKEN = 'main-app-value';
+                assert.strictEqual(process.env.NPM_TOKEN, 'main-app-value');
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('denied vars should be hidden from enumeration', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': {
+                        allowed: ['*'],
+                        denied: ['HIDDEN_*']
+                    }
+                }, `'use strict';
+module.exports = {
+    getOwnKeys: function() {
+        return Reflect.ownKeys(process.env);
+    }
+};`);
+
+                process.env.VISIBLE_VAR = 'visible';
+                process.env.HIDDEN_VAR = 'hidden';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+
+                const keys = fakePackage.getOwnKeys();
+                assert.ok(keys.includes('VISIBLE_VAR'), 'Should see VISIBLE_VAR');
+                assert.ok(!keys.includes('HIDDEN_VAR'), 'Should NOT see HIDDEN_VAR');
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('Version-Scoped Entries', () => {
+        test('should keep version-scoped keys when loading config', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupMockProject(fixturesDir, {
+                    'fake-package@^1.0.0': ['SECRET_VAR'],
+                    'fake-package': { allowed: ['PORT'] }
+                });
+
+                const configLoader = require('../lib/config-loader');
+                configLoader.clearCache();
+                const config = configLoader.loadConfig(mainPkgPath);
+
+                assert.deepStrictEqual(config['fake-package@^1.0.0'].allowed, ['SECRET_VAR']);
+                assert.deepStrictEqual(config['fake-package'].allowed, ['PORT']);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('nested copies at different versions should get different permissions', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package@^1.0.0': { allowed: ['SECRET_VAR'] },
+                    'fake-package@2.x': { allowed: ['PORT'] }
+                });
+
+                // A second, newer copy nested under another dependency
+                const nestedDir = path.join(fixturesDir, 'node_modules/other/node_modules/fake-package');
+                fs.mkdirSync(nestedDir, { recursive: true });
+                fs.writeFileSync(
+                    path.join(nestedDir, 'package.json'),
+                    JSON.stringify({ name: 'fake-package', version: '2.0.0', main: 'index.js' })
+                );
+                fs.copyFileSync(path.join(fakePackageDir, 'index.js'), path.join(nestedDir, 'index.js'));
+
+                process.env.SECRET_VAR = 'secret';
+                process.env.PORT = '8080';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                delete require.cache[require.resolve(nestedDir)];
+                const v1 = require(fakePackageDir);
+                const v2 = require(nestedDir);
+
+                assert.strictEqual(v1.getEnvVar('SECRET_VAR'), 'secret');
+                assert.strictEqual(v2.getEnvVar('PORT'), '8080');
+
+                assert.throws(() => {
+                    v2.getEnvVar('SECRET_VAR');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_UNAUTHORIZED');
+                    assert.strictEqual(err.packageName, 'fake-package');
+                    assert.strictEqual(err.packageVersion, '2.0.0');
+                    assert.ok(err.message.includes('Version: 2.0.0'));
+                    return true;
+                });
+
+                assert.throws(() => {
+                    v1.getEnvVar('PORT');
+                }, { code: 'ERR_DOTNOPE_UNAUTHORIZED' });
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('a version outside every range should get nothing', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package@^0.9.0': { allowed: ['*'], canWrite: ['*'] }
+                });
+
+                process.env.PORT = '8080';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+
+                assert.throws(() => {
+                    fakePackage.getEnvVar('PORT');
+                }, { code: 'ERR_DOTNOPE_UNAUTHORIZED' });
+                assert.throws(() => {
+                    fakePackage.setEnvVar('PORT', '1');
+                }, { code: 'ERR_DOTNOPE_UNAUTHORIZED' });
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('File-Level Grants', () => {
+        test('should normalize file grants relative to the package root', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupMockProject(fixturesDir, {
+                    'fake-package': {
+                        allowed: ['PORT'],
+                        files: { './lib/config.js': ['SECRET_VAR'] }
+                    }
+                });
+
+                const configLoader = require('../lib/config-loader');
+                configLoader.clearCache();
+                const config = configLoader.loadConfig(mainPkgPath);
+
+                assert.deepStrictEqual(config['fake-package'].files, {
+                    'lib/config.js': { allowed: ['SECRET_VAR'], canWrite: [], writeConstraints: null, canDelete: [], denied: [] }
+                });
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('only the granted file should read the scoped var', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': {
+                        allowed: ['PORT'],
+                        files: { 'lib/config.js': ['SECRET_VAR'] }
+                    }
+                });
+
+                fs.mkdirSync(path.join(fakePackageDir, 'lib'));
+                fs.writeFileSync(
+                    path.join(fakePackageDir, 'lib/config.js'),
+                    `'use strict';\nmodule.exports = (name) => process.env[name];\n`
+                );
+
+                process.env.SECRET_VAR = 'secret';
+                process.env.PORT = '8080';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                delete require.cache[require.resolve(fakePackageDir)];
+                const fakePackage = require(fakePackageDir);
+                const readConfig = require(path.join(fakePackageDir, 'lib/config.js'));
+
+                // The config module gets the file grant on top of the package grant
+                assert.strictEqual(readConfig('SECRET_VAR'), 'secret');
+                assert.strictEqual(readConfig('PORT'), '8080');
+
+                // The rest of the package only has the package grant
+                assert.strictEqual(fakePackage.getEnvVar('PORT'), '8080');
+                assert.throws(() => {
+                    fakePackage.getEnvVar('SECRET_VAR');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_UNAUTHORIZED');
+                    assert.ok(err.fileName.endsWith('index.js'));
+                    return true;
+                });
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('Workspace Packages', () => {
+        /**
+         * Turn a mock project into a monorepo with packages/api linked
+         * into node_modules the way npm workspaces do
+         */
+        function setupWorkspace(fixturesDir, rootWhitelist, apiWhitelist) {
+            const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, rootWhitelist);
+            const pkg = JSON.parse(fs.readFileSync(mainPkgPath, 'utf8'));
+            fs.writeFileSync(mainPkgPath, JSON.stringify({ ...pkg, workspaces: ['packages/*'] }, null, 2));
+
+            const apiDir = path.join(fixturesDir, 'packages/api');
+            fs.mkdirSync(apiDir, { recursive: true });
+            fs.writeFileSync(
+                path.join(apiDir, 'package.json'),
+                JSON.stringify({ name: '@acme/api', version: '1.0.0', environmentWhitelist: apiWhitelist }, null, 2)
+            );
+            fs.copyFileSync(path.join(fakePackageDir, 'index.js'), path.join(apiDir, 'index.js'));
+
+            fs.mkdirSync(path.join(fixturesDir, 'node_modules/@acme'), { recursive: true });
+            fs.symlinkSync(apiDir, path.join(fixturesDir, 'node_modules/@acme/api'), 'dir');
+
+            return { mainPkgPath, apiDir };
+        }
+
+        test('workspace symlinks should not be reported as spoofing', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupWorkspace(fixturesDir, {}, {});
+
+                const configLoader = require('../lib/config-loader');
+                configLoader.clearCache();
+                configLoader.loadConfig(mainPkgPath);
+
+                const stackParser = require('../lib/stack-parser');
+                const linkedPath = path.join(fixturesDir, 'node_modules/@acme/api/index.js');
+
+                assert.strictEqual(stackParser.validatePackageIdentity(linkedPath, '@acme/api'), true);
+                assert.strictEqual(stackParser.validatePackageIdentity(linkedPath, 'fake-package'), false);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('workspace code should be checked against its own whitelist', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, apiDir } = setupWorkspace(
+                    fixturesDir,
+                    { 'fake-package': ['PORT'] },
+                    { '__main__': ['API_PORT'] }
+                );
+
+                process.env.API_PORT = '3000';
+                process.env.SECRET_VAR = 'secret';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                const api = require(apiDir);
+
+                assert.strictEqual(api.getEnvVar('API_PORT'), '3000');
+                assert.throws(() => {
+                    api.getEnvVar('SECRET_VAR');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_UNAUTHORIZED');
+                    assert.strictEqual(err.packageName, '@acme/api');
+                    return true;
+                });
+
+                // The app itself is still unrestricted
+                assert.strictEqual(process.env.SECRET_VAR, 'secret');
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('Limited Grants', () => {
+        test('should validate expires, untilMs and maxReads', () => {
+            const { validateConfig } = require('../index');
+
+            assert.strictEqual(validateConfig({
+                'aws-sdk': { allowed: ['AWS_*'], maxReads: 1, expires: '2099-12-31', untilMs: 30000 }
+            }).valid, true);
+
+            const result = validateConfig({
+                'aws-sdk': { allowed: ['AWS_*'], maxReads: 0, expires: 'next tuesday' },
+                'pg': { allowed: ['PG*'], untilMs: 1000, allowPeerDependencies: true }
+            });
+            assert.deepStrictEqual(result.errors.map(e => e.path), [
+                'environmentWhitelist["aws-sdk"].maxReads',
+                'environmentWhitelist["aws-sdk"].expires',
+                'environmentWhitelist.pg.untilMs'
+            ]);
+        });
+
+        test('maxReads should allow only that many reads of each variable', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: ['AWS_SECRET_ACCESS_KEY', 'AWS_REGION'], maxReads: 1 }
+                });
+
+                process.env.AWS_SECRET_ACCESS_KEY = 'secret';
+                process.env.AWS_REGION = 'eu-west-1';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const fakePackage = require(fakePackageDir);
+
+                assert.strictEqual(fakePackage.getEnvVar('AWS_SECRET_ACCESS_KEY'), 'secret');
+                assert.strictEqual(fakePackage.getEnvVar('AWS_REGION'), 'eu-west-1');
+
+                assert.throws(() => {
+                    fakePackage.getEnvVar('AWS_SECRET_ACCESS_KEY');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_GRANT_EXPIRED');
+                    assert.strictEqual(err.reason, 'maxReads');
+                    assert.strictEqual(err.packageName, 'fake-package');
+                    return true;
+                });
+
+                handle.disable(handle.getToken());
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('maxReads should count a check-then-read or an object spread as one read', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                // Builtin frames such as Object.getOwnPropertyDescriptor look like eval to the stack parser
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    '__options__': { failClosed: false },
+                    'fake-package': { allowed: ['AWS_SECRET_ACCESS_KEY', 'AWS_REGION'], maxReads: 1 }
+                }, `'use strict';
+module.exports = {
+    readOr: (name, fallback) => (name in process.env ? process.env[name] : fallback),
+    copyEnv: () => ({ ...process.env }),
+    describeEnvVar: (name) => Object.getOwnPropertyDescriptor(process.env, name).value
+};`);
+
+                process.env.AWS_SECRET_ACCESS_KEY = 'secret';
+                process.env.AWS_REGION = 'eu-west-1';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                let handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const fakePackage = require(fakePackageDir);
+
+                assert.strictEqual(fakePackage.readOr('AWS_REGION', 'us-east-1'), 'eu-west-1');
+                assert.throws(() => fakePackage.readOr('AWS_REGION', 'us-east-1'), { reason: 'maxReads' });
+                handle.disable(handle.getToken());
+
+                handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const copy = fakePackage.copyEnv();
+                assert.strictEqual(copy.AWS_SECRET_ACCESS_KEY, 'secret');
+                assert.strictEqual(copy.AWS_REGION, 'eu-west-1');
+
+                // A property descriptor holds the value, so it is a read
+                assert.throws(() => fakePackage.describeEnvVar('AWS_SECRET_ACCESS_KEY'), { reason: 'maxReads' });
+                handle.disable(handle.getToken());
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('a grant past its expires date should fail with a distinct code', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: ['*'], expires: '2020-01-01' }
+                });
+
+                process.env.PORT = '8080';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const fakePackage = require(fakePackageDir);
+
+                assert.throws(() => {
+                    fakePackage.getEnvVar('PORT');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_GRANT_EXPIRED');
+                    assert.strictEqual(err.reason, 'expires');
+                    assert.ok(err.message.includes('2020-01-02T00:00:00.000Z'));
+                    return true;
+                });
+                assert.deepStrictEqual(fakePackage.getAllKeys(), []);
+
+                handle.disable(handle.getToken());
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('an untilMs grant should end that long after enabling', async () => {
+            const fixturesDir = getUniqueFixturesDir();
+            let handle;
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: ['PORT'], untilMs: 30 }
+                });
+
+                process.env.PORT = '8080';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const fakePackage = require(fakePackageDir);
+
+                assert.strictEqual(fakePackage.getEnvVar('PORT'), '8080');
+
+                await new Promise((resolve) => setTimeout(resolve, 60));
+
+                assert.throws(() => {
+                    fakePackage.getEnvVar('PORT');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_GRANT_EXPIRED');
+                    assert.strictEqual(err.reason, 'untilMs');
+                    return true;
+                });
+            } finally {
+                if (handle) {
+                    handle.disable(handle.getToken());
+                }
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('Startup Phase', () => {
+        test('should validate the startup section as a top-level overlay', () => {
+            const { validateConfig } = require('../index');
+
+            assert.strictEqual(validateConfig({
+                'fake-package': { allowed: ['PORT'] },
+                'startup': { 'fake-package': { allowed: ['DATABASE_URL'] } }
+            }).valid, true);
+
+            const result = validateConfig({
+                'startup': { 'fake-package': { alowed: ['DATABASE_URL'] } },
+                'profiles': { production: { 'startup': {} } }
+            });
+            assert.strictEqual(result.valid, false);
+            assert.ok(result.errors.some(e => e.path === 'environmentWhitelist.startup["fake-package"].alowed'));
+            assert.ok(result.errors.some(e => e.path === 'environmentWhitelist.profiles.production.startup'));
+        });
+
+        test('startup grants should apply until handle.lock()', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: ['PORT'] },
+                    'startup': { 'fake-package': { allowed: ['DATABASE_URL'] } }
+                });
+
+                process.env.PORT = '8080';
+                process.env.DATABASE_URL = 'postgres://localhost/app';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const fakePackage = require(fakePackageDir);
+
+                assert.strictEqual(fakePackage.getEnvVar('DATABASE_URL'), 'postgres://localhost/app');
+                assert.strictEqual(fakePackage.getEnvVar('PORT'), '8080');
+
+                const changes = handle.lock(handle.getToken());
+                assert.deepStrictEqual(changes.changed['fake-package'].allowed, {
+                    added: [],
+                    removed: ['DATABASE_URL']
+                });
+
+                assert.throws(() => {
+                    fakePackage.getEnvVar('DATABASE_URL');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_UNAUTHORIZED');
+                    return true;
+                });
+                assert.strictEqual(fakePackage.getEnvVar('PORT'), '8080');
+
+                // A reload keeps the steady state
+                handle.reload(handle.getToken());
+                assert.throws(() => fakePackage.getEnvVar('DATABASE_URL'));
+
+                handle.disable(handle.getToken());
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('lock with readOnly should block writes from the main application', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: ['PORT'] }
+                });
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                process.env.STARTUP_FLAG = 'set';
+                handle.lock(handle.getToken(), { readOnly: true });
+
+                assert.strictEqual(process.env.STARTUP_FLAG, 'set');
+                assert.throws(() => {
+                    process.env.STARTUP_FLAG = 'changed';
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_READ_ONLY');
+                    assert.strictEqual(err.envVar, 'STARTUP_FLAG');
+                    return true;
+                });
+                assert.throws(() => {
+                    delete process.env.STARTUP_FLAG;
+                }, { code: 'ERR_DOTNOPE_READ_ONLY' });
+
+                handle.disable(handle.getToken());
+
+                // Disabling lifts read-only mode
+                process.env.STARTUP_FLAG = 'changed';
+                assert.strictEqual(process.env.STARTUP_FLAG, 'changed');
+                delete process.env.STARTUP_FLAG;
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('lock should require the handle token', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: ['PORT'] }
+                });
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                assert.throws(() => handle.lock('wrong-token'), /Invalid lock token/);
+
+                handle.disable(handle.getToken());
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('Audit Mode', () => {
+        test('should validate mode values', () => {
+            const { validateConfig } = require('../index');
+
+            assert.strictEqual(validateConfig({
+                '__options__': { mode: 'audit' },
+                'fake-package': { allowed: ['PORT'], mode: 'enforce' }
+            }).valid, true);
+
+            const result = validateConfig({
+                '__options__': { mode: 'report' },
+                'fake-package': { allowed: ['PORT'], mode: 'audti' }
+            });
+            assert.deepStrictEqual(result.errors.map(e => e.path), [
+                'environmentWhitelist.__options__.mode',
+                'environmentWhitelist["fake-package"].mode'
+            ]);
+            assert.strictEqual(result.errors[1].suggestion, 'did you mean "audit"?');
+        });
+
+        test('global audit mode should allow the access and record a violation', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    '__options__': { mode: 'audit' },
+                    'fake-package': ['PORT']
+                });
+
+                process.env.SECRET_VAR = 'secret';
+                process.chdir(fixturesDir);
+
+                const seen = [];
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({
+                    strictLoadOrder: false,
+                    configPath: mainPkgPath,
+                    onViolation: (violation) => seen.push(violation)
+                });
+                const fakePackage = require(fakePackageDir);
+
+                assert.strictEqual(fakePackage.getEnvVar('SECRET_VAR'), 'secret');
+                assert.strictEqual(fakePackage.getEnvVar('SECRET_VAR'), 'secret');
+                fakePackage.setEnvVar('AUDIT_WRITE', 'x');
+                assert.strictEqual(process.env.AUDIT_WRITE, 'x');
+
+                const violations = handle.getViolations();
+                assert.deepStrictEqual(violations.map(v => [v.code, v.packageName, v.envVar, v.operation, v.count]), [
+                    ['ERR_DOTNOPE_UNAUTHORIZED', 'fake-package', 'SECRET_VAR', 'read', 2],
+                    ['ERR_DOTNOPE_UNAUTHORIZED', 'fake-package', 'AUDIT_WRITE', 'write', 1]
+                ]);
+                assert.strictEqual(seen.length, 2);
+                assert.deepStrictEqual(dotnope.getViolations(), violations);
+
+                delete process.env.AUDIT_WRITE;
+                handle.disable(handle.getToken());
+                assert.deepStrictEqual(dotnope.getViolations(), []);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('a package in off mode should skip every check', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: ['PORT'], mode: 'off' }
+                });
+
+                process.env.SECRET_VAR = 'secret';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const fakePackage = require(fakePackageDir);
+
+                assert.strictEqual(fakePackage.getEnvVar('SECRET_VAR'), 'secret');
+                assert.deepStrictEqual(handle.getViolations(), []);
+
+                handle.disable(handle.getToken());
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('a package in enforce mode should still be blocked under global audit', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    '__options__': { mode: 'audit' },
+                    'fake-package': { allowed: ['PORT'], mode: 'enforce' }
+                });
+
+                process.env.SECRET_VAR = 'secret';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({
+                    strictLoadOrder: false,
+                    configPath: mainPkgPath,
+                    onViolation: () => {}
+                });
+                const fakePackage = require(fakePackageDir);
+
+                assert.throws(() => {
+                    fakePackage.getEnvVar('SECRET_VAR');
+                }, { code: 'ERR_DOTNOPE_UNAUTHORIZED' });
+                assert.deepStrictEqual(fakePackage.getAllKeys(), []);
+
+                handle.disable(handle.getToken());
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('Learning Mode', () => {
+        test('should turn recorded accesses into a whitelist', () => {
+            const learner = require('../lib/learner');
+            learner.clearCache();
+
+            learner.record('pg', 'PGPASSWORD', 'read');
+            learner.record('pg', 'PGHOST', 'read');
+            learner.record('pg', 'PGHOST', 'read');
+            learner.record('dotenv', 'PORT', 'write');
+            learner.record('dotenv', 'TMP', 'delete');
+
+            assert.deepStrictEqual(learner.buildWhitelist(), {
+                'dotenv': { allowed: [], canWrite: ['PORT'], canDelete: ['TMP'] },
+                'pg': ['PGHOST', 'PGPASSWORD']
+            });
+            assert.throws(() => learner.normalizeLearnOptions({ format: 'yaml' }), {
+                code: 'ERR_DOTNOPE_INVALID_CONFIG'
+            });
+
+            learner.clearCache();
+        });
+
+        test('should allow everything and write the proposed whitelist', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': ['PORT']
+                });
+
+                process.env.SECRET_VAR = 'secret';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({
+                    strictLoadOrder: false,
+                    configPath: mainPkgPath,
+                    learn: true
+                });
+                const fakePackage = require(fakePackageDir);
+
+                assert.strictEqual(fakePackage.getEnvVar('SECRET_VAR'), 'secret');
+                fakePackage.setEnvVar('LEARNED_WRITE', 'x');
+                process.env.APP_ONLY = 'main';
+
+                assert.deepStrictEqual(handle.getLearnedWhitelist(), {
+                    'fake-package': { allowed: ['SECRET_VAR'], canWrite: ['LEARNED_WRITE'] }
+                });
+                assert.strictEqual(handle.getAccessStats()['fake-package:SECRET_VAR:read'], 1);
+
+                handle.disable(handle.getToken());
+
+                const written = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'dotnope.learned.json'), 'utf8'));
+                assert.deepStrictEqual(written, {
+                    environmentWhitelist: {
+                        'fake-package': { allowed: ['SECRET_VAR'], canWrite: ['LEARNED_WRITE'] }
+                    }
+                });
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('package.json format should add learned grants to the existing whitelist', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': ['PORT'],
+                    'other-package': ['HOME']
+                });
+
+                process.env.PORT = '8080';
+                process.env.SECRET_VAR = 'secret';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({
+                    strictLoadOrder: false,
+                    configPath: mainPkgPath,
+                    learn: { format: 'package.json', output: 'proposed.json' }
+                });
+                const fakePackage = require(fakePackageDir);
+
+                fakePackage.getEnvVar('PORT');
+                fakePackage.getEnvVar('SECRET_VAR');
+
+                handle.disable(handle.getToken());
+
+                const written = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'proposed.json'), 'utf8'));
+                assert.strictEqual(written.name, 'test-project');
+                assert.deepStrictEqual(written.environmentWhitelist, {
+                    'fake-package': { allowed: ['PORT', 'SECRET_VAR'] },
+                    'other-package': ['HOME']
+                });
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('learning child processes should add to the proposal, not overwrite it', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                setupMockProject(fixturesDir, {});
+                const childPackageDir = path.join(fixturesDir, 'node_modules/pkga');
+                fs.mkdirSync(childPackageDir, { recursive: true });
+                fs.writeFileSync(path.join(childPackageDir, 'package.json'), JSON.stringify({
+                    name: 'pkga',
+                    version: '1.0.0',
+                    main: 'index.js'
+                }));
+                fs.writeFileSync(path.join(childPackageDir, 'index.js'), 'module.exports = () => process.env.CHILD_SECRET;\n');
+                fs.writeFileSync(path.join(fixturesDir, 'child.js'), 'require(\'pkga\')();\n');
+                fs.writeFileSync(path.join(fixturesDir, 'parent.js'),
+                    'require(\'child_process\').execFileSync(process.execPath, [\'child.js\']);\n');
+
+                const { execFileSync } = require('child_process');
+                const registerPath = path.join(__dirname, '..', 'register.js');
+                execFileSync(process.execPath, ['parent.js'], {
+                    cwd: fixturesDir,
+                    stdio: 'ignore',
+                    env: {
+                        ...process.env,
+                        CHILD_SECRET: 'secret',
+                        DOTNOPE_LEARN: '1',
+                        NODE_OPTIONS: `--require ${JSON.stringify(registerPath)}`
+                    }
+                });
+
+                const written = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'dotnope.learned.json'), 'utf8'));
+                assert.deepStrictEqual(written, { environmentWhitelist: { 'pkga': ['CHILD_SECRET'] } });
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('Lockfile', () => {
+        // Pin the mock project's packages as they are now
+        function writeLock(fixturesDir, whitelist) {
+            const lockfile = require('../lib/lockfile');
+            const { normalizeConfig } = require('../lib/config-loader');
+            const lock = lockfile.createLockfile(normalizeConfig(whitelist).config, { projectDir: fixturesDir });
+            fs.writeFileSync(path.join(fixturesDir, lockfile.LOCKFILE_NAME), JSON.stringify(lock, null, 2));
+            return lock;
+        }
+
+        test('should pin versions and hashes and report what changed', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const whitelist = { 'fake-package': ['PORT'], 'not-installed': ['HOME'] };
+                const { fakePackageDir } = setupMockProject(fixturesDir, whitelist);
+                const lockfile = require('../lib/lockfile');
+                const { normalizeConfig } = require('../lib/config-loader');
+                const { config } = normalizeConfig(whitelist);
+                const context = { projectDir: fixturesDir };
+
+                const lock = writeLock(fixturesDir, whitelist);
+                assert.deepStrictEqual(Object.keys(lock.packages), ['fake-package']);
+                assert.strictEqual(lock.packages['fake-package'].version, '1.0.0');
+                assert.match(lock.packages['fake-package'].integrity, /^sha256-/);
+                assert.deepStrictEqual(lock.packages['fake-package'].allowed, ['PORT']);
+                assert.strictEqual(lockfile.findMismatches(config, lock, context).size, 0);
+
+                fs.appendFileSync(path.join(fakePackageDir, 'index.js'), '\n// injected\n');
+                assert.deepStrictEqual([...lockfile.findMismatches(config, lock, context).keys()], ['fake-package']);
+
+                const widened = normalizeConfig({ 'fake-package': ['PORT', 'NPM_TOKEN'] }).config;
+                assert.deepStrictEqual(lockfile.findChangedGrants(widened, lock), ['fake-package']);
+
+                fs.writeFileSync(path.join(fixturesDir, lockfile.LOCKFILE_NAME), '{"packages": []}');
+                assert.throws(
+                    () => lockfile.readLockfile(path.join(fixturesDir, lockfile.LOCKFILE_NAME)),
+                    { code: 'ERR_DOTNOPE_INVALID_LOCKFILE' }
+                );
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('should pin peer readers and check nested copies by their files', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const whitelist = { 'fake-package': { allowed: ['PORT'], allowPeerDependencies: true } };
+                const { fakePackageDir } = setupMockProject(fixturesDir, whitelist);
+                const writePackage = (dir, pkg, code) => {
+                    fs.mkdirSync(dir, { recursive: true });
+                    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(pkg));
+                    fs.writeFileSync(path.join(dir, 'index.js'), code);
+                };
+                const fakePkg = JSON.parse(fs.readFileSync(path.join(fakePackageDir, 'package.json'), 'utf8'));
+                fakePkg.dependencies = { 'peer-package': '1.0.0' };
+                fs.writeFileSync(path.join(fakePackageDir, 'package.json'), JSON.stringify(fakePkg));
+                const peerDir = path.join(fixturesDir, 'node_modules', 'peer-package');
+                writePackage(peerDir, { name: 'peer-package', version: '1.0.0' }, 'module.exports = {};');
+
+                // Same name and version, other files
+                const nestedDir = path.join(fixturesDir, 'node_modules', 'host', 'node_modules', 'fake-package');
+                writePackage(nestedDir, fakePkg, 'module.exports = () => process.env.NPM_TOKEN;');
+
+                process.chdir(fixturesDir);
+                const lockfile = require('../lib/lockfile');
+                const { normalizeConfig } = require('../lib/config-loader');
+                const { config } = normalizeConfig(whitelist);
+                const context = { projectDir: fixturesDir };
+
+                const lock = writeLock(fixturesDir, whitelist);
+                assert.deepStrictEqual(Object.keys(lock.packages), ['fake-package', 'peer-package']);
+                assert.deepStrictEqual(lock.packages['peer-package'].peerOf, ['fake-package']);
+
+                assert.strictEqual(lockfile.loadLockfile(config, context).size, 0);
+                assert.strictEqual(lockfile.getPinMismatch('fake-package', '1.0.0', fakePackageDir), null);
+                assert.match(lockfile.getPinMismatch('fake-package', '1.0.0', nestedDir), /files .* differ/);
+
+                fs.appendFileSync(path.join(peerDir, 'index.js'), '\n// injected\n');
+                assert.deepStrictEqual([...lockfile.findMismatches(config, lock, context).keys()], ['peer-package']);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('a package that no longer matches its pin should lose its grants', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            const originalWarn = console.warn;
+            try {
+                const whitelist = { 'fake-package': ['PORT'] };
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, whitelist);
+                writeLock(fixturesDir, whitelist);
+                fs.appendFileSync(path.join(fakePackageDir, 'index.js'), '\n// injected\n');
+
+                process.env.PORT = '3000';
+                process.chdir(fixturesDir);
+
+                const warnings = [];
+                console.warn = (message) => warnings.push(message);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                console.warn = originalWarn;
+                const fakePackage = require(fakePackageDir);
+
+                assert.ok(warnings.some(message => message.includes('"fake-package" does not match dotnope-lock.json')));
+                assert.throws(() => fakePackage.getEnvVar('PORT'), { code: 'ERR_DOTNOPE_INTEGRITY' });
+                assert.deepStrictEqual(fakePackage.getAllKeys(), []);
 
-                const token = handle.getToken();
-                handle.disable(token);
+                handle.disable(handle.getToken());
             } finally {
+                console.warn = originalWarn;
                 cleanup(fixturesDir);
             }
         });
 
-        test('should show all keys with wildcard access', () => {
+        test('a matching package keeps its grants, and lockMismatch "audit" only records', () => {
             const fixturesDir = getUniqueFixturesDir();
+            const originalWarn = console.warn;
             try {
-                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
-                    'fake-package': {
-                        allowed: ['*'],
-                        canWrite: [],
-                        canDelete: []
-                    }
-                });
+                const whitelist = { '__options__': { lockMismatch: 'audit' }, 'fake-package': ['PORT'] };
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, whitelist);
+                writeLock(fixturesDir, whitelist);
 
-                process.env.VAR_A = 'a';
-                process.env.VAR_B = 'b';
+                process.env.PORT = '3000';
                 process.chdir(fixturesDir);
 
                 const dotnope = require('../index');
-                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
-
-                delete require.cache[require.resolve(fakePackageDir)];
-                const fakePackage = require(fakePackageDir);
+                let handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                let fakePackage = require(fakePackageDir);
+                assert.strictEqual(fakePackage.getEnvVar('PORT'), '3000');
+                assert.deepStrictEqual(handle.getViolations(), []);
+                handle.disable(handle.getToken());
+
+                fs.appendFileSync(path.join(fakePackageDir, 'index.js'), '\n// injected\n');
+                clearRequireCache();
+                console.warn = () => {};
+
+                const seen = [];
+                handle = require('../index').enableStrictEnv({
+                    strictLoadOrder: false,
+                    configPath: mainPkgPath,
+                    onViolation: (violation) => seen.push(violation)
+                });
+                console.warn = originalWarn;
+                fakePackage = require(fakePackageDir);
 
-                const keys = fakePackage.getAllKeys();
-                assert.ok(keys.includes('VAR_A'), 'Should see VAR_A');
-                assert.ok(keys.includes('VAR_B'), 'Should see VAR_B');
+                assert.strictEqual(fakePackage.getEnvVar('PORT'), '3000');
+                assert.deepStrictEqual(seen.map(v => [v.code, v.packageName, v.envVar]), [
+                    ['ERR_DOTNOPE_INTEGRITY', 'fake-package', 'PORT']
+                ]);
 
-                const token = handle.getToken();
-                handle.disable(token);
+                handle.disable(handle.getToken());
             } finally {
+                console.warn = originalWarn;
                 cleanup(fixturesDir);
             }
         });
@@ -840,6 +2325,33 @@ describe('Security Tests', { concurrency: false }, () => {
         });
     });
 
+    describe('Config Validation', () => {
+        test('should refuse to enable with an invalid whitelist', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: 'SECRET' }
+                });
+
+                const envBefore = process.env;
+                const dotnope = require('../index');
+
+                assert.throws(() => {
+                    dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_INVALID_CONFIG');
+                    return true;
+                });
+
+                // The proxy must not have been installed
+                assert.strictEqual(process.env, envBefore);
+                assert.strictEqual(dotnope.isEnabled(), false);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
     describe('Same Handle on Multiple Calls', () => {
         test('should return same handle on repeated enableStrictEnv calls', () => {
             const fixturesDir = getUniqueFixturesDir();
@@ -870,6 +2382,376 @@ describe('Security Tests', { concurrency: false }, () => {
         });
     });
 
+    describe('Hot Reload', () => {
+        /**
+         * Rewrite the whitelist in a mock project's package.json
+         */
+        function rewriteWhitelist(mainPkgPath, whitelistConfig) {
+            fs.writeFileSync(mainPkgPath, JSON.stringify({
+                name: 'test-project',
+                environmentWhitelist: whitelistConfig
+            }, null, 2));
+        }
+
+        test('reloadConfig should keep the loaded config when the new one is invalid', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupMockProject(fixturesDir, { 'fake-package': ['PORT'] });
+
+                const configLoader = require('../lib/config-loader');
+                configLoader.clearCache();
+                configLoader.loadConfig(mainPkgPath);
+
+                rewriteWhitelist(mainPkgPath, { 'fake-package': { alowed: ['*'] } });
+
+                assert.throws(() => {
+                    configLoader.reloadConfig();
+                }, { code: 'ERR_DOTNOPE_INVALID_CONFIG' });
+                assert.deepStrictEqual(configLoader.getConfig()['fake-package'].allowed, ['PORT']);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('should reject reload with an invalid token', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupMockProject(fixturesDir, {});
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                assert.throws(() => {
+                    handle.reload('wrong-token');
+                }, /Invalid reload token/);
+
+                const token = handle.getToken();
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('reload should swap the whitelist and report what changed', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: ['SECRET_VAR', 'PORT'] }
+                });
+
+                process.env.SECRET_VAR = 'secret';
+                process.env.PORT = '8080';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const token = handle.getToken();
+                const fakePackage = require(fakePackageDir);
+
+                // Warm the resolver cache with the old grant
+                assert.strictEqual(fakePackage.getEnvVar('SECRET_VAR'), 'secret');
+
+                rewriteWhitelist(mainPkgPath, {
+                    'fake-package': { allowed: ['PORT'] },
+                    'other-package': ['HOME']
+                });
+                const changes = handle.reload(token);
+
+                assert.strictEqual(changes.hasChanges, true);
+                assert.deepStrictEqual(changes.added, ['other-package']);
+                assert.deepStrictEqual(changes.changed['fake-package'].allowed, { added: [], removed: ['SECRET_VAR'] });
+
+                assert.throws(() => {
+                    fakePackage.getEnvVar('SECRET_VAR');
+                }, { code: 'ERR_DOTNOPE_UNAUTHORIZED' });
+                assert.strictEqual(fakePackage.getEnvVar('PORT'), '8080');
+
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('an invalid edit should leave the current whitelist in force', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': ['PORT']
+                });
+
+                process.env.PORT = '8080';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const token = handle.getToken();
+                const fakePackage = require(fakePackageDir);
+
+                rewriteWhitelist(mainPkgPath, { 'fake-package': { alowed: ['*'] } });
+
+                assert.throws(() => {
+                    handle.reload(token);
+                }, { code: 'ERR_DOTNOPE_INVALID_CONFIG' });
+                assert.strictEqual(fakePackage.getEnvVar('PORT'), '8080');
+
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('a preset package should not read unlisted vars during reload', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupMockProject(fixturesDir, {
+                    'extends': ['policy-preset'],
+                    'fake-package': ['PORT']
+                });
+
+                const presetDir = path.join(fixturesDir, 'node_modules/policy-preset');
+                fs.mkdirSync(presetDir, { recursive: true });
+                fs.writeFileSync(path.join(presetDir, 'package.json'), JSON.stringify({
+                    name: 'policy-preset',
+                    version: '1.0.0',
+                    main: 'index.js'
+                }));
+                fs.writeFileSync(path.join(presetDir, 'index.js'), `
+                    try {
+                        global.__presetSeen = process.env.RELOAD_SECRET;
+                    } catch (err) {
+                        global.__presetSeen = err.code;
+                    }
+                    module.exports = { 'other-package': ['HOME'] };
+                `);
+
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const token = handle.getToken();
+
+                process.env.RELOAD_SECRET = 'secret';
+                global.__presetSeen = undefined;
+                try {
+                    handle.reload(token);
+                } catch {
+                    // A preset that throws is rejected; either way it saw nothing
+                }
+
+                assert.notStrictEqual(global.__presetSeen, 'secret');
+                assert.match(String(global.__presetSeen), /^ERR_DOTNOPE_/);
+
+                handle.disable(token);
+            } finally {
+                delete global.__presetSeen;
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('watch should reload when the config file changes', async () => {
+            const fixturesDir = getUniqueFixturesDir();
+            let handle;
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': ['PORT']
+                });
+
+                process.env.PORT = '8080';
+                process.chdir(fixturesDir);
+
+                let resolveReload;
+                const reloaded = new Promise((resolve) => {
+                    resolveReload = resolve;
+                });
+
+                const dotnope = require('../index');
+                handle = dotnope.enableStrictEnv({
+                    strictLoadOrder: false,
+                    configPath: mainPkgPath,
+                    watch: { interval: 20 },
+                    onReload: (err, changes) => resolveReload({ err, changes })
+                });
+                const fakePackage = require(fakePackageDir);
+
+                // Let the watcher take its first stat, or the rewrite becomes the baseline
+                await new Promise((resolve) => setTimeout(resolve, 100));
+                rewriteWhitelist(mainPkgPath, { 'fake-package': ['HOME'] });
+
+                const timeout = new Promise((resolve) => setTimeout(resolve, 5000, { err: new Error('no reload') }));
+                const { err, changes } = await Promise.race([reloaded, timeout]);
+
+                assert.ifError(err);
+                assert.deepStrictEqual(changes.changed['fake-package'].allowed, { added: ['HOME'], removed: ['PORT'] });
+                assert.throws(() => {
+                    fakePackage.getEnvVar('PORT');
+                }, { code: 'ERR_DOTNOPE_UNAUTHORIZED' });
+            } finally {
+                if (handle) {
+                    handle.disable(handle.getToken());
+                }
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
+    describe('Runtime Grants', () => {
+        test('should reject malformed grants', () => {
+            const runtimeGrants = require('../lib/runtime-grants');
+
+            assert.throws(() => {
+                runtimeGrants.grant('fake-package', { alowed: ['PORT'] });
+            }, (err) => {
+                assert.strictEqual(err.code, 'ERR_DOTNOPE_INVALID_GRANT');
+                assert.ok(err.message.includes('did you mean "allowed"?'));
+                return true;
+            });
+            assert.throws(() => {
+                runtimeGrants.grant('fake-package', { allowed: ['PORT'], ttlMs: -1 });
+            }, { code: 'ERR_DOTNOPE_INVALID_GRANT' });
+            assert.throws(() => {
+                runtimeGrants.grant('__main__', { allowed: ['PORT'] });
+            }, { code: 'ERR_DOTNOPE_INVALID_GRANT' });
+            assert.throws(() => {
+                runtimeGrants.grant('fake-package', {});
+            }, { code: 'ERR_DOTNOPE_INVALID_GRANT' });
+
+            runtimeGrants.clearCache();
+        });
+
+        test('grant and revoke should require the token', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath } = setupMockProject(fixturesDir, {});
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+
+                assert.throws(() => {
+                    handle.grant('wrong-token', 'fake-package', { allowed: ['*'] });
+                }, /Invalid grant token/);
+                assert.throws(() => {
+                    handle.revoke('wrong-token', 'fake-package');
+                }, /Invalid revoke token/);
+
+                handle.disable(handle.getToken());
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('grant should add access and revoke should remove it', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: ['PORT'] }
+                });
+
+                process.env.PORT = '8080';
+                process.env.PLUGIN_API_KEY = 'key';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const token = handle.getToken();
+                const fakePackage = require(fakePackageDir);
+
+                assert.throws(() => {
+                    fakePackage.getEnvVar('PLUGIN_API_KEY');
+                }, { code: 'ERR_DOTNOPE_UNAUTHORIZED' });
+
+                handle.grant(token, 'fake-package', { allowed: ['PLUGIN_API_KEY'], canWrite: ['PLUGIN_*'] });
+
+                assert.strictEqual(fakePackage.getEnvVar('PLUGIN_API_KEY'), 'key');
+                fakePackage.setEnvVar('PLUGIN_MODE', 'on');
+
+                // Revoking wins over the grant and over the whitelist
+                handle.revoke(token, 'fake-package', { allowed: ['PLUGIN_API_KEY', 'PORT'] });
+
+                assert.throws(() => {
+                    fakePackage.getEnvVar('PLUGIN_API_KEY');
+                }, (err) => {
+                    assert.strictEqual(err.code, 'ERR_DOTNOPE_UNAUTHORIZED');
+                    assert.ok(err.message.includes('revoked at runtime'));
+                    return true;
+                });
+                assert.throws(() => {
+                    fakePackage.getEnvVar('PORT');
+                }, { code: 'ERR_DOTNOPE_UNAUTHORIZED' });
+                assert.deepStrictEqual(fakePackage.getAllKeys(), []);
+
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('revoke without lists should block all access', () => {
+            const fixturesDir = getUniqueFixturesDir();
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {
+                    'fake-package': { allowed: ['*'], canWrite: ['*'], denied: ['NPM_TOKEN'] }
+                });
+
+                process.env.PORT = '8080';
+                process.env.NPM_TOKEN = 'npm_secret';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                const handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const token = handle.getToken();
+                const fakePackage = require(fakePackageDir);
+
+                // A grant never overrides "denied"
+                handle.grant(token, 'fake-package', { allowed: ['NPM_TOKEN'] });
+                assert.throws(() => {
+                    fakePackage.getEnvVar('NPM_TOKEN');
+                }, { code: 'ERR_DOTNOPE_DENIED' });
+
+                handle.revoke(token, 'fake-package');
+                assert.throws(() => {
+                    fakePackage.getEnvVar('PORT');
+                }, { code: 'ERR_DOTNOPE_UNAUTHORIZED' });
+                assert.throws(() => {
+                    fakePackage.setEnvVar('PORT', '1');
+                }, { code: 'ERR_DOTNOPE_UNAUTHORIZED' });
+                assert.deepStrictEqual(fakePackage.getAllKeys(), []);
+
+                handle.disable(token);
+            } finally {
+                cleanup(fixturesDir);
+            }
+        });
+
+        test('a grant with ttlMs should expire', async () => {
+            const fixturesDir = getUniqueFixturesDir();
+            let handle;
+            try {
+                const { mainPkgPath, fakePackageDir } = setupMockProject(fixturesDir, {});
+
+                process.env.PLUGIN_API_KEY = 'key';
+                process.chdir(fixturesDir);
+
+                const dotnope = require('../index');
+                handle = dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: mainPkgPath });
+                const fakePackage = require(fakePackageDir);
+
+                handle.grant(handle.getToken(), 'fake-package', { allowed: ['PLUGIN_API_KEY'], ttlMs: 30 });
+                assert.strictEqual(fakePackage.getEnvVar('PLUGIN_API_KEY'), 'key');
+
+                await new Promise((resolve) => setTimeout(resolve, 60));
+
+                assert.throws(() => {
+                    fakePackage.getEnvVar('PLUGIN_API_KEY');
+                }, { code: 'ERR_DOTNOPE_UNAUTHORIZED' });
+            } finally {
+                if (handle) {
+                    handle.disable(handle.getToken());
+                }
+                cleanup(fixturesDir);
+            }
+        });
+    });
+
     describe('Symlink Spoofing Protection', () => {
         test('should validate package identity via realpath', () => {
             const fixturesDir = getUniqueFixturesDir();
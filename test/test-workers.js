@@ -34,6 +34,47 @@ function setupMockProject(fixturesDir, whitelist = {}) {
     return { mainPkgPath };
 }
 
+// Setup a package that starts a worker from its own directory; the worker
+// reports its token and what it could read, and the promise resolves at exit.
+// Every message the package's listener sees is kept in startWorker.seen.
+function setupWorkerPackage(fixturesDir) {
+    const fakePackageDir = path.join(fixturesDir, 'node_modules', 'fake-package');
+    fs.mkdirSync(fakePackageDir, { recursive: true });
+    fs.writeFileSync(path.join(fakePackageDir, 'package.json'), JSON.stringify({ name: 'fake-package', version: '1.0.0' }));
+    fs.writeFileSync(path.join(fakePackageDir, 'index.js'), `'use strict';
+const path = require('path');
+const { Worker, SHARE_ENV } = require('worker_threads');
+module.exports = function startWorker(share, script = 'worker.js') {
+    const worker = new Worker(path.join(__dirname, script), { env: share ? SHARE_ENV : undefined });
+    let result = null;
+    worker.on('message', (message) => {
+        module.exports.seen.push(message);
+        result = result || message;
+    });
+    return new Promise((resolve, reject) => {
+        worker.once('exit', () => resolve(result));
+        worker.once('error', reject);
+    });
+};
+module.exports.seen = [];`);
+    fs.writeFileSync(path.join(fakePackageDir, 'worker.js'), `'use strict';
+const { parentPort } = require('worker_threads');
+function read(name) {
+    try {
+        return process.env[name];
+    } catch (err) {
+        return err.code;
+    }
+}
+parentPort.postMessage({
+    token: global.__dotnope && global.__dotnope.token,
+    allowed: read('WORKER_TEST_VAR'),
+    secret: read('WORKER_SECRET')
+});`);
+
+    return fakePackageDir;
+}
+
 // Cleanup
 function cleanup(fixturesDir) {
     try {
@@ -209,6 +250,213 @@ describe('Worker Thread Protection', () => {
         }
     });
 
+    test('should load getSerializableConfig() output back as is', () => {
+        const fixturesDir = getUniqueFixturesDir();
+        try {
+            const { mainPkgPath } = setupMockProject(fixturesDir, {
+                '__options__': { protectDeletes: false },
+                'test-package': { allowed: ['WORKER_TEST_VAR'], canWrite: ['WORKER_TEST_VAR'] }
+            });
+
+            const dotnope = require('../index');
+            const configLoader = require('../lib/config-loader');
+            process.chdir(fixturesDir);
+            const handle = dotnope.enableStrictEnv({
+                strictLoadOrder: false,
+                configPath: mainPkgPath,
+                suppressWarnings: true
+            });
+
+            const serialized = JSON.parse(JSON.stringify(dotnope.getSerializableConfig()));
+            const config = configLoader.getConfig();
+            const options = configLoader.getOptions();
+
+            const token = handle.getToken();
+            handle.disable(token);
+
+            configLoader.loadConfig(null, serialized);
+            assert.deepStrictEqual(configLoader.getConfig(), config);
+            assert.deepStrictEqual(configLoader.getOptions(), options);
+            assert.strictEqual(configLoader.getOptions().protectDeletes, false);
+            configLoader.clearCache();
+        } finally {
+            cleanup(fixturesDir);
+        }
+    });
+
+    test('should preload the policy in workers with protectWorkers', async () => {
+        const fixturesDir = getUniqueFixturesDir();
+        try {
+            const { mainPkgPath } = setupMockProject(fixturesDir, {
+                '__options__': { protectWorkers: true },
+                'fake-package': ['WORKER_TEST_VAR']
+            });
+
+            const fakePackageDir = setupWorkerPackage(fixturesDir);
+
+            process.env.WORKER_TEST_VAR = 'worker-value';
+            process.env.WORKER_SECRET = 'secret';
+
+            const dotnope = require('../index');
+            process.chdir(fixturesDir);
+            const handle = dotnope.enableStrictEnv({
+                strictLoadOrder: false,
+                configPath: mainPkgPath,
+                suppressWarnings: true
+            });
+            const token = handle.getToken();
+
+            const startWorker = require(fakePackageDir);
+            for (const share of [false, true]) {
+                const result = await startWorker(share);
+                assert.strictEqual(result.allowed, 'worker-value', `share: ${share}`);
+                assert.strictEqual(result.secret, 'ERR_DOTNOPE_UNAUTHORIZED', `share: ${share}`);
+                assert.strictEqual(typeof result.token, 'string', `share: ${share}`);
+                assert.notStrictEqual(result.token, token, `share: ${share}`);
+            }
+
+            handle.disable(token);
+        } finally {
+            cleanup(fixturesDir);
+        }
+    });
+
+    test('should aggregate stats and violations from workers', async () => {
+        const fixturesDir = getUniqueFixturesDir();
+        try {
+            const { mainPkgPath } = setupMockProject(fixturesDir, {
+                '__options__': { protectWorkers: true, aggregateStats: true, mode: 'audit' },
+                'fake-package': ['WORKER_TEST_VAR']
+            });
+            const fakePackageDir = setupWorkerPackage(fixturesDir);
+
+            // Reads like worker.js, then forges a report without the nonce
+            fs.writeFileSync(path.join(fakePackageDir, 'forger.js'), `'use strict';
+const { parentPort } = require('worker_threads');
+const allowed = process.env.WORKER_TEST_VAR;
+try { process.env.WORKER_SECRET; } catch (err) {}
+parentPort.postMessage({ allowed });
+parentPort.postMessage({ type: 'dotnope:stats', stats: { 'fake-package:FORGED:read': 99 }, violations: [] });`);
+
+            process.env.WORKER_TEST_VAR = 'worker-value';
+            process.env.WORKER_SECRET = 'secret';
+
+            const dotnope = require('../index');
+            process.chdir(fixturesDir);
+            const handle = dotnope.enableStrictEnv({
+                strictLoadOrder: false,
+                configPath: mainPkgPath,
+                suppressWarnings: true,
+                onViolation: () => {}
+            });
+
+            const startWorker = require(fakePackageDir);
+            await startWorker(false);
+            await startWorker(false, 'forger.js');
+
+            // Workers report at exit; the messages may trail the exit event
+            const deadline = Date.now() + 2000;
+            while (handle.getWorkerStats().length < 2 && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+
+            const workers = handle.getWorkerStats();
+            assert.strictEqual(workers.length, 2);
+            for (const worker of workers) {
+                assert.strictEqual(worker.kind, 'thread');
+                assert.strictEqual(worker.id, `thread:${worker.threadId}`);
+                assert.strictEqual(worker.stats['fake-package:WORKER_TEST_VAR:read'], 1);
+            }
+
+            assert.strictEqual(handle.getAccessStats()['fake-package:WORKER_TEST_VAR:read'], undefined);
+            assert.strictEqual(handle.getAccessStats({ aggregate: true })['fake-package:WORKER_TEST_VAR:read'], 2);
+
+            // The package's own listener never sees a report, and the forged one is dropped
+            assert.deepStrictEqual(startWorker.seen.map(message => message.allowed), ['worker-value', 'worker-value']);
+            assert.strictEqual(handle.getAccessStats({ aggregate: true })['fake-package:FORGED:read'], undefined);
+
+            // Node.js internals in the workers show up as unknown callers
+            const violations = handle.getViolations({ aggregate: true })
+                .filter(violation => violation.packageName === 'fake-package');
+            assert.strictEqual(violations.length, 1);
+            assert.strictEqual(violations[0].envVar, 'WORKER_SECRET');
+            assert.strictEqual(violations[0].count, 2);
+
+            const token = handle.getToken();
+            handle.disable(token);
+        } finally {
+            cleanup(fixturesDir);
+        }
+    });
+
+    test('should aggregate stats from cluster workers and only with their nonce', async () => {
+        const cluster = require('cluster');
+        const originalFork = cluster.fork;
+        const fixturesDir = getUniqueFixturesDir();
+        const seen = [];
+        const onMessage = (worker, message) => seen.push(message);
+        try {
+            // cluster.fork() copies process.env from Node.js internals
+            const { mainPkgPath } = setupMockProject(fixturesDir, {
+                '__options__': { aggregateStats: true, failClosed: false },
+                'fake-package': ['WORKER_TEST_VAR']
+            });
+            const fakePackageDir = setupWorkerPackage(fixturesDir);
+            fs.writeFileSync(path.join(fakePackageDir, 'reader.js'), 'module.exports = () => process.env.WORKER_TEST_VAR;\n');
+
+            // Reads through the package, then forges a report without the nonce
+            const workerScript = path.join(fixturesDir, 'cluster-worker.js');
+            fs.writeFileSync(workerScript, `'use strict';
+const dotnope = require(${JSON.stringify(path.resolve(__dirname, '../index.js'))});
+dotnope.enableStrictEnv({ strictLoadOrder: false, configPath: ${JSON.stringify(mainPkgPath)}, suppressWarnings: true });
+require(${JSON.stringify(path.join(fakePackageDir, 'reader.js'))})();
+process.send({ hello: true });
+process.send({ cmd: 'NODE_DOTNOPE_STATS', stats: { 'fake-package:FORGED:read': 99 }, violations: [] });
+setImmediate(() => process.exit(0));`);
+
+            process.env.WORKER_TEST_VAR = 'worker-value';
+
+            const dotnope = require('../index');
+            process.chdir(fixturesDir);
+            const handle = dotnope.enableStrictEnv({
+                strictLoadOrder: false,
+                configPath: mainPkgPath,
+                suppressWarnings: true
+            });
+
+            cluster.setupPrimary({ exec: workerScript, execArgv: [] });
+            cluster.on('message', onMessage);
+            const worker = cluster.fork();
+
+            // A report on 'message', as if Node.js stopped routing "NODE_" commands internally
+            worker.process.emit('message', {
+                cmd: 'NODE_DOTNOPE_STATS',
+                nonce: 'guessed',
+                stats: { 'fake-package:FORGED:read': 99 },
+                violations: []
+            });
+
+            await new Promise(resolve => worker.once('exit', resolve));
+            const deadline = Date.now() + 2000;
+            while (handle.getWorkerStats().length < 1 && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+
+            const workers = handle.getWorkerStats();
+            assert.strictEqual(workers.length, 1);
+            assert.strictEqual(workers[0].id, `cluster:${worker.id}`);
+            assert.strictEqual(workers[0].stats['fake-package:WORKER_TEST_VAR:read'], 1);
+            assert.strictEqual(handle.getAccessStats({ aggregate: true })['fake-package:FORGED:read'], undefined);
+            assert.deepStrictEqual(seen, [{ hello: true }]);
+
+            handle.disable(handle.getToken());
+            assert.strictEqual(cluster.fork, originalFork);
+        } finally {
+            cluster.removeListener('message', onMessage);
+            cleanup(fixturesDir);
+        }
+    });
+
     test('should report isWorkerAllowed correctly', async () => {
         const dotnopeModulePath = path.resolve(__dirname, '../index.js');
 